@@ -0,0 +1,63 @@
+/**
+ * Database Migration CLI
+ *
+ * Run:
+ *   node migrate.js              Apply all pending migrations
+ *   node migrate.js up [--to N]  Apply pending migrations up to version N
+ *   node migrate.js down [--steps N]  Roll back the last N migrations (default 1)
+ *   node migrate.js status       Show applied and pending migrations
+ *
+ * Base tables (users, customers, ...) are created by setup-db.js, which also
+ * runs pending migrations on every start.
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { migrateUp, migrateDown, getStatus } = require('./migrations/runner');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+function getFlag(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool, { to: getFlag(args, '--to') });
+      console.log(applied.length ? `\n✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(getFlag(args, '--steps')) || 1;
+      const rolledBack = await migrateDown(pool, { steps });
+      console.log(rolledBack.length ? `\n✅ Rolled back ${rolledBack.length} migration(s)` : '⚠️  Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getStatus(pool);
+      const icons = { applied: '✅', pending: '⏳', missing: '❌' };
+
+      console.log('🗄️  Migration status\n');
+      for (const m of status) {
+        const appliedAt = m.applied_at ? `  (${new Date(m.applied_at).toISOString()})` : '';
+        console.log(`${icons[m.state]} ${m.version}_${m.name}  ${m.state}${appliedAt}`);
+      }
+
+      const pendingCount = status.filter(m => m.state === 'pending').length;
+      console.log(`\n   ${status.length} migration(s), ${pendingCount} pending`);
+    } else {
+      console.error(`❌ Unknown command "${command}" (expected up, down or status)`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,150 @@
+/**
+ * Migration 001: cards
+ * Core card inventory used by inventory, showcase, vendor, NFC, transfers, scanner and eBay routes
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS cards (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+
+      -- Card identity
+      sport VARCHAR(50),
+      player VARCHAR(255),
+      team VARCHAR(255),
+      year INTEGER,
+      set_name VARCHAR(255),
+      card_number VARCHAR(50),
+      parallel VARCHAR(255),
+      parallel_confidence VARCHAR(50),
+      parallel_source VARCHAR(50),
+      manufacturer VARCHAR(100),
+      league VARCHAR(100),
+      is_rookie BOOLEAN DEFAULT false,
+      is_insert BOOLEAN DEFAULT false,
+      is_autographed BOOLEAN DEFAULT false,
+      numbered BOOLEAN DEFAULT false,
+      serial_number VARCHAR(50),
+      numbered_to INTEGER,
+      condition VARCHAR(50),
+      ebay_search_string TEXT,
+
+      -- Generic inventory fields (inventory routes)
+      name VARCHAR(255),
+      brand VARCHAR(255),
+      model VARCHAR(255),
+      size VARCHAR(50),
+      price DECIMAL(10, 2),
+      description TEXT,
+      sku VARCHAR(100),
+      colorway VARCHAR(255),
+      release_date DATE,
+
+      -- Grading
+      is_graded BOOLEAN DEFAULT false,
+      grading_company VARCHAR(50),
+      grade VARCHAR(20),
+      cert_number VARCHAR(100),
+      grading_review_status VARCHAR(50),
+      grading_review_notes TEXT,
+
+      -- Images
+      front_image_url TEXT,
+      back_image_url TEXT,
+      front_image_thumb TEXT,
+      back_image_thumb TEXT,
+
+      -- Market pricing
+      ebay_avg DECIMAL(10, 2),
+      ebay_low DECIMAL(10, 2),
+      ebay_high DECIMAL(10, 2),
+      ebay_sample_size INTEGER DEFAULT 0,
+      ebay_last_checked TIMESTAMP,
+      sportscardspro_raw DECIMAL(10, 2),
+      sportscardspro_psa7 DECIMAL(10, 2),
+      sportscardspro_psa8 DECIMAL(10, 2),
+      sportscardspro_psa9 DECIMAL(10, 2),
+      sportscardspro_psa10 DECIMAL(10, 2),
+      sportscardspro_bgs10 DECIMAL(10, 2),
+      sportscardspro_cgc10 DECIMAL(10, 2),
+      sportscardspro_sgc10 DECIMAL(10, 2),
+      sportscardspro_sales_volume INTEGER,
+      tcgplayer_market DECIMAL(10, 2),
+      tcgplayer_low DECIMAL(10, 2),
+      tcgplayer_mid DECIMAL(10, 2),
+      tcgplayer_high DECIMAL(10, 2),
+      database_match BOOLEAN DEFAULT false,
+      database_raw DECIMAL(10, 2),
+      database_psa10 DECIMAL(10, 2),
+      psa_10_value DECIMAL(10, 2),
+
+      -- Selling
+      asking_price DECIMAL(10, 2),
+      listing_price DECIMAL(10, 2),
+      price_type VARCHAR(50),
+      for_sale BOOLEAN DEFAULT false,
+      listing_status VARCHAR(50) DEFAULT 'unlisted',
+      listing_type VARCHAR(50),
+      listed_date TIMESTAMP,
+      sold_price DECIMAL(10, 2),
+      sold_date TIMESTAMP,
+      buyer_name VARCHAR(255),
+      buyer_paid_shipping DECIMAL(10, 2),
+      total_fees DECIMAL(10, 2),
+      net_payout DECIMAL(10, 2),
+
+      -- Acquisition
+      acquisition_type VARCHAR(50),
+      purchase_price DECIMAL(10, 2),
+      pack_price DECIMAL(10, 2),
+      cards_in_pack INTEGER,
+      estimated_profit DECIMAL(10, 2),
+      profit_margin DECIMAL(10, 2),
+
+      -- eBay listing
+      ebay_listing_id VARCHAR(100),
+      ebay_listing_url TEXT,
+      ebay_listing_price DECIMAL(10, 2),
+      ebay_listing_status VARCHAR(50),
+      ebay_listed_at TIMESTAMP,
+      ebay_offer_id VARCHAR(100),
+      ebay_sku VARCHAR(100),
+      auction_start_price DECIMAL(10, 2),
+      auction_reserve_price DECIMAL(10, 2),
+      auction_buy_it_now DECIMAL(10, 2),
+      auction_duration VARCHAR(20),
+      auction_end_time TIMESTAMP,
+
+      -- Public page / showcase
+      is_public BOOLEAN DEFAULT false,
+      short_id VARCHAR(20) UNIQUE,
+      hide_owner_info BOOLEAN DEFAULT false,
+      owner_notes TEXT,
+      trade_interests TEXT,
+      public_views INTEGER DEFAULT 0,
+      views INTEGER DEFAULT 0,
+      last_viewed TIMESTAMP,
+      vendor_display BOOLEAN DEFAULT false,
+      showcase_id INTEGER,
+      case_status VARCHAR(50),
+
+      -- Transfers
+      transfer_code VARCHAR(50),
+      transfer_code_expires_at TIMESTAMP,
+      transfer_code_used BOOLEAN DEFAULT false,
+
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cards_user ON cards(user_id);
+    CREATE INDEX IF NOT EXISTS idx_cards_listing_status ON cards(listing_status);
+    CREATE INDEX IF NOT EXISTS idx_cards_transfer_code ON cards(transfer_code);
+    CREATE INDEX IF NOT EXISTS idx_cards_case_status ON cards(user_id, case_status);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS cards;
+  `
+};
@@ -0,0 +1,83 @@
+/**
+ * Migration 002: showcases
+ * Public showcases (showcase module) and vendor display showcases, screens and tablets (vendor-system module)
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS showcases (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      slug VARCHAR(255) NOT NULL,
+      description TEXT,
+      theme VARCHAR(50) DEFAULT 'purple',
+      layout VARCHAR(50) DEFAULT 'grid',
+      bio TEXT,
+      banner_url TEXT,
+      social_links JSONB DEFAULT '{}',
+      is_default BOOLEAN DEFAULT false,
+      is_active BOOLEAN DEFAULT true,
+      display_order INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, slug)
+    );
+
+    CREATE TABLE IF NOT EXISTS showcase_cards (
+      id SERIAL PRIMARY KEY,
+      showcase_id INTEGER REFERENCES showcases(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      display_order INTEGER DEFAULT 0,
+      added_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (showcase_id, card_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS vendor_showcases (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      showcase_name VARCHAR(255) NOT NULL,
+      description TEXT,
+      card_ids JSONB DEFAULT '[]',
+      display_settings JSONB DEFAULT '{}',
+      theme VARCHAR(50) DEFAULT 'dark',
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS vendor_screen_config (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      screen_identifier VARCHAR(100) NOT NULL,
+      showcase_id INTEGER REFERENCES vendor_showcases(id) ON DELETE SET NULL,
+      grid_size VARCHAR(20) DEFAULT '6x4',
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, screen_identifier)
+    );
+
+    CREATE TABLE IF NOT EXISTS vendor_tablet_configs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      device_identifier VARCHAR(255) NOT NULL,
+      device_name VARCHAR(255),
+      showcase_id INTEGER REFERENCES vendor_showcases(id) ON DELETE SET NULL,
+      is_active BOOLEAN DEFAULT true,
+      last_seen TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, device_identifier)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_showcases_user ON showcases(user_id);
+    CREATE INDEX IF NOT EXISTS idx_showcase_cards_card ON showcase_cards(card_id);
+    CREATE INDEX IF NOT EXISTS idx_vendor_showcases_user ON vendor_showcases(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS vendor_tablet_configs;
+    DROP TABLE IF EXISTS vendor_screen_config;
+    DROP TABLE IF EXISTS vendor_showcases;
+    DROP TABLE IF EXISTS showcase_cards;
+    DROP TABLE IF EXISTS showcases;
+  `
+};
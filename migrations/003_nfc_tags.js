@@ -0,0 +1,35 @@
+/**
+ * Migration 003: nfc_tags
+ * NFC tag to card bindings and tap logs (nfc-tags module)
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS nfc_tags (
+      id SERIAL PRIMARY KEY,
+      nfc_uid VARCHAR(100) UNIQUE NOT NULL,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      last_scanned TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS nfc_scan_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      nfc_tag_id INTEGER REFERENCES nfc_tags(id) ON DELETE SET NULL,
+      device_type VARCHAR(50),
+      scanned_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_nfc_tags_user ON nfc_tags(user_id);
+    CREATE INDEX IF NOT EXISTS idx_nfc_tags_card ON nfc_tags(card_id);
+    CREATE INDEX IF NOT EXISTS idx_nfc_scan_logs_card ON nfc_scan_logs(card_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS nfc_scan_logs;
+    DROP TABLE IF EXISTS nfc_tags;
+  `
+};
@@ -0,0 +1,73 @@
+/**
+ * Migration 004: sales and shows
+ * Show reports, card sales and ownership history (vendor-system and transfers modules)
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS show_reports (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      showcase_id INTEGER REFERENCES vendor_showcases(id) ON DELETE SET NULL,
+      show_name VARCHAR(255) NOT NULL,
+      show_date DATE,
+      show_location VARCHAR(255),
+      status VARCHAR(50) DEFAULT 'active',
+      starting_inventory JSONB DEFAULT '[]',
+      ending_inventory JSONB DEFAULT '[]',
+      mid_show_snapshots JSONB DEFAULT '[]',
+      cards_started INTEGER DEFAULT 0,
+      cards_sold INTEGER DEFAULT 0,
+      total_sales DECIMAL(10, 2) DEFAULT 0,
+      qr_scans INTEGER DEFAULT 0,
+      card_views INTEGER DEFAULT 0,
+      cart_adds INTEGER DEFAULT 0,
+      checkouts INTEGER DEFAULT 0,
+      started_at TIMESTAMP,
+      ended_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS card_sales_history (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      show_report_id INTEGER REFERENCES show_reports(id) ON DELETE SET NULL,
+      showcase_id INTEGER,
+      card_data JSONB DEFAULT '{}',
+      sale_price DECIMAL(10, 2) DEFAULT 0,
+      sale_method VARCHAR(50) DEFAULT 'cash',
+      customer_name VARCHAR(255),
+      customer_email VARCHAR(255),
+      time_in_showcase_minutes INTEGER,
+      notes TEXT,
+      sold_at TIMESTAMP DEFAULT NOW(),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS card_ownership_history (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      previous_owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      new_owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      sale_price DECIMAL(10, 2),
+      transfer_method VARCHAR(50),
+      transfer_code VARCHAR(50),
+      transferred_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_show_reports_user ON show_reports(user_id);
+    CREATE INDEX IF NOT EXISTS idx_show_reports_status ON show_reports(status);
+    CREATE INDEX IF NOT EXISTS idx_card_sales_user ON card_sales_history(user_id);
+    CREATE INDEX IF NOT EXISTS idx_card_sales_show ON card_sales_history(show_report_id);
+    CREATE INDEX IF NOT EXISTS idx_card_sales_sold_at ON card_sales_history(sold_at);
+    CREATE INDEX IF NOT EXISTS idx_ownership_history_card ON card_ownership_history(card_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS card_ownership_history;
+    DROP TABLE IF EXISTS card_sales_history;
+    DROP TABLE IF EXISTS show_reports;
+  `
+};
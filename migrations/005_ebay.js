@@ -0,0 +1,83 @@
+/**
+ * Migration 005: ebay
+ * Search cache, OAuth tokens and listing log (ebay-integration module)
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS ebay_cache (
+      id SERIAL PRIMARY KEY,
+      search_query TEXT UNIQUE NOT NULL,
+      results JSONB DEFAULT '[]',
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ebay_oauth_states (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      state VARCHAR(255) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ebay_user_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      ebay_user_id VARCHAR(255),
+      access_token TEXT NOT NULL,
+      refresh_token TEXT,
+      token_expires_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ebay_listings_log (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      action VARCHAR(50) NOT NULL,
+      status VARCHAR(50) NOT NULL,
+      listing_id VARCHAR(100),
+      sku VARCHAR(100),
+      offer_id VARCHAR(100),
+      listing_url TEXT,
+      error_message TEXT,
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_marketplace_id VARCHAR(50);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_currency VARCHAR(10);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_country_code VARCHAR(10);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_payment_policy_id VARCHAR(100);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_return_policy_id VARCHAR(100);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_fulfillment_policy_id VARCHAR(100);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_policies_created_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_policies_onboarded BOOLEAN DEFAULT false;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_pricing_usage INTEGER DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_listings_used INTEGER DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS ebay_listings_reset_date TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_ebay_cache_expires ON ebay_cache(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_ebay_listings_log_user ON ebay_listings_log(user_id);
+  `,
+
+  down: `
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_listings_reset_date;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_listings_used;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_pricing_usage;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_policies_onboarded;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_policies_created_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_fulfillment_policy_id;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_return_policy_id;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_payment_policy_id;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_country_code;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_currency;
+    ALTER TABLE users DROP COLUMN IF EXISTS ebay_marketplace_id;
+    DROP TABLE IF EXISTS ebay_listings_log;
+    DROP TABLE IF EXISTS ebay_user_tokens;
+    DROP TABLE IF EXISTS ebay_oauth_states;
+    DROP TABLE IF EXISTS ebay_cache;
+  `
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration 006: marketplace
+ * Trades, listings and collections (marketplace and collections modules)
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS trades (
+      id SERIAL PRIMARY KEY,
+      offerer_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      receiver_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      offered_card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      requested_card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      message TEXT,
+      status VARCHAR(50) DEFAULT 'pending',
+      resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS listings (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      seller_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      price DECIMAL(10, 2) NOT NULL,
+      description TEXT,
+      status VARCHAR(50) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS collections (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      color VARCHAR(20) DEFAULT '#6366f1',
+      is_public BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS collection_cards (
+      id SERIAL PRIMARY KEY,
+      collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      added_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (collection_id, card_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trades_offerer ON trades(offerer_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_receiver ON trades(receiver_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
+    CREATE INDEX IF NOT EXISTS idx_listings_seller ON listings(seller_id);
+    CREATE INDEX IF NOT EXISTS idx_listings_status ON listings(status);
+    CREATE INDEX IF NOT EXISTS idx_collections_user ON collections(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS collection_cards;
+    DROP TABLE IF EXISTS collections;
+    DROP TABLE IF EXISTS listings;
+    DROP TABLE IF EXISTS trades;
+  `
+};
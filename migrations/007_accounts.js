@@ -0,0 +1,48 @@
+/**
+ * Migration 007: accounts
+ * Subscription, usage and vendor profile columns on users (stripe-payments, ai-scanner, showcase modules)
+ */
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_status VARCHAR(50);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_subscription_id VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_subscription_status VARCHAR(50);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_end_date TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS usage_reset_date TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS vendor_profile JSONB;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS vendor_display_settings JSONB;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS vendor_enabled BOOLEAN DEFAULT false;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS vendor_setup_date TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      stripe_customer_id VARCHAR(255),
+      stripe_subscription_id VARCHAR(255),
+      stripe_price_id VARCHAR(255),
+      plan_name VARCHAR(50),
+      status VARCHAR(50) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_stripe_customer ON users(stripe_customer_id);
+    CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS subscriptions;
+    ALTER TABLE users DROP COLUMN IF EXISTS vendor_setup_date;
+    ALTER TABLE users DROP COLUMN IF EXISTS vendor_enabled;
+    ALTER TABLE users DROP COLUMN IF EXISTS vendor_display_settings;
+    ALTER TABLE users DROP COLUMN IF EXISTS vendor_profile;
+    ALTER TABLE users DROP COLUMN IF EXISTS usage_reset_date;
+    ALTER TABLE users DROP COLUMN IF EXISTS subscription_end_date;
+    ALTER TABLE users DROP COLUMN IF EXISTS stripe_subscription_status;
+    ALTER TABLE users DROP COLUMN IF EXISTS stripe_subscription_id;
+    ALTER TABLE users DROP COLUMN IF EXISTS stripe_customer_id;
+    ALTER TABLE users DROP COLUMN IF EXISTS subscription_status;
+  `
+};
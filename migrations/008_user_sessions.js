@@ -0,0 +1,29 @@
+/**
+ * Migration 008: user_sessions
+ * Refresh token sessions for /api/auth; revoked rows act as the access token denylist
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id UUID PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+      previous_token_hash VARCHAR(64),
+      user_agent TEXT,
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_seen_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_previous ON user_sessions(previous_token_hash);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS user_sessions;
+  `
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 009: mfa
+ * TOTP two-factor auth for /api/auth, recovery codes and the admin MFA policy setting
+ */
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT false;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret VARCHAR(64);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_pending_secret VARCHAR(64);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_step BIGINT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP;
+
+    ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN DEFAULT false;
+
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS app_settings;
+    DROP TABLE IF EXISTS user_recovery_codes;
+    ALTER TABLE user_sessions DROP COLUMN IF EXISTS mfa_verified;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_enabled_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_last_step;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_pending_secret;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_secret;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_enabled;
+  `
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 010: notifications
+ * In-app notification center (/api/notifications) and per-type preferences
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      message TEXT,
+      data JSONB DEFAULT '{}',
+      link VARCHAR(500),
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_read ON notifications(user_id, read_at);
+
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      in_app BOOLEAN DEFAULT true,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (user_id, type)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS notification_preferences;
+    DROP TABLE IF EXISTS notifications;
+  `
+};
@@ -0,0 +1,35 @@
+/**
+ * Migration 011: email_outbox
+ * Queued transactional mail with retry state, plus an email channel on notification preferences
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      to_address VARCHAR(255) NOT NULL,
+      template VARCHAR(50),
+      subject VARCHAR(500) NOT NULL,
+      html TEXT,
+      text TEXT,
+      status VARCHAR(20) DEFAULT 'pending',
+      provider VARCHAR(20),
+      provider_message_id VARCHAR(255),
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP DEFAULT NOW(),
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+
+    ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS email BOOLEAN;
+  `,
+
+  down: `
+    ALTER TABLE notification_preferences DROP COLUMN IF EXISTS email;
+    DROP TABLE IF EXISTS email_outbox;
+  `
+};
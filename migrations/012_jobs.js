@@ -0,0 +1,37 @@
+/**
+ * Migration 012: jobs
+ * Persistent background job queue (modules/jobs) for bulk eBay, scanner and pricing work
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(100) NOT NULL,
+      status VARCHAR(20) DEFAULT 'queued',
+      payload JSONB DEFAULT '{}',
+      result JSONB,
+      progress_current INTEGER DEFAULT 0,
+      progress_total INTEGER,
+      progress_message VARCHAR(255),
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      last_error TEXT,
+      cancel_requested BOOLEAN DEFAULT false,
+      run_at TIMESTAMP DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id, created_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS jobs;
+  `
+};
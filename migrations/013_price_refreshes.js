@@ -0,0 +1,45 @@
+/**
+ * Migration 013: price_refreshes
+ * Scheduled eBay re-pricing runs and the per-card refreshes each run made (also used for per-tier budgets)
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS price_refresh_runs (
+      id SERIAL PRIMARY KEY,
+      trigger VARCHAR(20) DEFAULT 'schedule',
+      status VARCHAR(20) DEFAULT 'running',
+      cards_selected INTEGER DEFAULT 0,
+      cards_updated INTEGER DEFAULT 0,
+      cards_no_sales INTEGER DEFAULT 0,
+      cards_failed INTEGER DEFAULT 0,
+      error TEXT,
+      started_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS card_price_refreshes (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER REFERENCES price_refresh_runs(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL,
+      search_query TEXT,
+      previous_avg DECIMAL(10, 2),
+      ebay_low DECIMAL(10, 2),
+      ebay_avg DECIMAL(10, 2),
+      ebay_high DECIMAL(10, 2),
+      sample_size INTEGER DEFAULT 0,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_card_price_refreshes_user ON card_price_refreshes(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_card_price_refreshes_card ON card_price_refreshes(card_id, created_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS card_price_refreshes;
+    DROP TABLE IF EXISTS price_refresh_runs;
+  `
+};
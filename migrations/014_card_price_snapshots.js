@@ -0,0 +1,31 @@
+/**
+ * Migration 014: card_price_snapshots
+ * Append-only pricing history - one row per pricing event (recent sales, grading analysis,
+ * scanner confirm, scheduled refresh). card_id is NULL for scans not yet tied to a saved card.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS card_price_snapshots (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      source VARCHAR(30) NOT NULL,
+      market_value DECIMAL(10, 2),
+      ebay_low DECIMAL(10, 2),
+      ebay_avg DECIMAL(10, 2),
+      ebay_high DECIMAL(10, 2),
+      sample_size INTEGER DEFAULT 0,
+      search_query TEXT,
+      details JSONB,
+      captured_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_card_price_snapshots_card ON card_price_snapshots(card_id, captured_at);
+    CREATE INDEX IF NOT EXISTS idx_card_price_snapshots_user ON card_price_snapshots(user_id, captured_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS card_price_snapshots;
+  `
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 015: card_costs
+ * Acquisition details and itemized expenses per card, and the cost/fee/profit breakdown on each sale
+ */
+
+module.exports = {
+  up: `
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS purchase_date DATE;
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS acquisition_source VARCHAR(50);
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS acquisition_notes TEXT;
+
+    CREATE TABLE IF NOT EXISTS card_expenses (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      category VARCHAR(30) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      description VARCHAR(255),
+      incurred_at DATE DEFAULT CURRENT_DATE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_card_expenses_card ON card_expenses(card_id);
+    CREATE INDEX IF NOT EXISTS idx_card_expenses_user ON card_expenses(user_id);
+
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS cost_basis DECIMAL(10, 2);
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS fees DECIMAL(10, 2) DEFAULT 0;
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS shipping_cost DECIMAL(10, 2) DEFAULT 0;
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS net_profit DECIMAL(10, 2);
+  `,
+
+  down: `
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS net_profit;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS shipping_cost;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS fees;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS cost_basis;
+    DROP TABLE IF EXISTS card_expenses;
+    ALTER TABLE cards DROP COLUMN IF EXISTS acquisition_notes;
+    ALTER TABLE cards DROP COLUMN IF EXISTS acquisition_source;
+    ALTER TABLE cards DROP COLUMN IF EXISTS purchase_date;
+  `
+};
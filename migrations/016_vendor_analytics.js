@@ -0,0 +1,30 @@
+/**
+ * Migration 016: vendor_analytics
+ * Traffic events per vendor (showcase views, NFC/QR scans, card detail views, display impressions,
+ * cart adds, checkouts). show_report_id is the vendor's active show when the event happened.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vendor_analytics (
+      id SERIAL PRIMARY KEY,
+      vendor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      event_type VARCHAR(30) NOT NULL,
+      card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      showcase_id INTEGER,
+      show_report_id INTEGER REFERENCES show_reports(id) ON DELETE SET NULL,
+      screen_id VARCHAR(100),
+      session_id VARCHAR(100),
+      source VARCHAR(30),
+      metadata JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_vendor_analytics_vendor ON vendor_analytics(vendor_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_vendor_analytics_show ON vendor_analytics(show_report_id, event_type);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS vendor_analytics;
+  `
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 017: case_checkouts
+ * Custody log for cards taken out of the display case at shows - who has the card, when it
+ * left and came back, and whether it was returned or sold (outcome NULL = still out).
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS case_checkouts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      show_report_id INTEGER REFERENCES show_reports(id) ON DELETE SET NULL,
+      card_name VARCHAR(255),
+      lookup_method VARCHAR(20),
+      holder_type VARCHAR(20) NOT NULL DEFAULT 'customer',
+      holder_name VARCHAR(255),
+      holder_contact VARCHAR(255),
+      checked_out_by VARCHAR(255),
+      checked_in_by VARCHAR(255),
+      outcome VARCHAR(20),
+      sale_id INTEGER REFERENCES card_sales_history(id) ON DELETE SET NULL,
+      notes TEXT,
+      checked_out_at TIMESTAMP DEFAULT NOW(),
+      checked_in_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_case_checkouts_user ON case_checkouts(user_id, checked_out_at);
+    CREATE INDEX IF NOT EXISTS idx_case_checkouts_show ON case_checkouts(show_report_id);
+    CREATE INDEX IF NOT EXISTS idx_case_checkouts_card ON case_checkouts(card_id, checked_in_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS case_checkouts;
+  `
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 018: vendor_teams
+ * Staff working a vendor's booth (owner = the vendor's own account), and which staff member
+ * made each sale. user_id is set when an invite is accepted.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vendor_team_members (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'seller',
+      status VARCHAR(20) NOT NULL DEFAULT 'invited',
+      invite_token_hash VARCHAR(64),
+      invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      invited_at TIMESTAMP DEFAULT NOW(),
+      accepted_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (owner_id, email)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_vendor_team_members_user ON vendor_team_members(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_vendor_team_members_token ON vendor_team_members(invite_token_hash);
+
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS sold_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS sold_by_name VARCHAR(255);
+    CREATE INDEX IF NOT EXISTS idx_card_sales_sold_by ON card_sales_history(sold_by_user_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_card_sales_sold_by;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS sold_by_name;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS sold_by_user_id;
+    DROP TABLE IF EXISTS vendor_team_members;
+  `
+};
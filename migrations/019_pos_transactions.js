@@ -0,0 +1,46 @@
+/**
+ * Migration 019: pos_transactions
+ * Point-of-sale checkouts that sell several cards at once. Each card still gets its own
+ * card_sales_history row (linked by transaction_id) carrying its share of the bundle discount;
+ * payments holds the tender split, e.g. [{ "method": "cash", "amount": 60 }, { "method": "card", "amount": 40 }].
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS pos_transactions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      show_report_id INTEGER REFERENCES show_reports(id) ON DELETE SET NULL,
+      receipt_number VARCHAR(30) UNIQUE NOT NULL,
+      card_count INTEGER NOT NULL DEFAULT 0,
+      subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+      discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+      total DECIMAL(10,2) NOT NULL DEFAULT 0,
+      payments JSONB NOT NULL DEFAULT '[]',
+      change_due DECIMAL(10,2) NOT NULL DEFAULT 0,
+      customer_name VARCHAR(255),
+      customer_email VARCHAR(255),
+      notes TEXT,
+      sold_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      sold_by_name VARCHAR(255),
+      receipt_sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pos_transactions_user ON pos_transactions(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_pos_transactions_show ON pos_transactions(show_report_id);
+
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS transaction_id INTEGER REFERENCES pos_transactions(id) ON DELETE SET NULL;
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS list_price DECIMAL(10,2);
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) DEFAULT 0;
+    CREATE INDEX IF NOT EXISTS idx_card_sales_transaction ON card_sales_history(transaction_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_card_sales_transaction;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS discount_amount;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS list_price;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS transaction_id;
+    DROP TABLE IF EXISTS pos_transactions;
+  `
+};
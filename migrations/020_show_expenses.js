@@ -0,0 +1,26 @@
+/**
+ * Migration 020: show_expenses
+ * What it cost to work a show (table fee, travel, hotel, booth supplies...) for net profit per show
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS show_expenses (
+      id SERIAL PRIMARY KEY,
+      show_report_id INTEGER REFERENCES show_reports(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      category VARCHAR(30) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      description VARCHAR(255),
+      incurred_at DATE DEFAULT CURRENT_DATE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_show_expenses_show ON show_expenses(show_report_id);
+    CREATE INDEX IF NOT EXISTS idx_show_expenses_user ON show_expenses(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS show_expenses;
+  `
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 021: trade_ins
+ * Trades with customers at the vendor table. Cards going out are sales at their agreed value
+ * (card_sales_history, sale_method 'trade'); cards coming in are new cards whose cost basis is
+ * the trade credit given. cash_difference is value out - credit in: positive means the customer
+ * paid the difference, negative means the vendor did. Both directions are also recorded in
+ * card_ownership_history with transfer_method 'trade_in'.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS trade_ins (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      show_report_id INTEGER REFERENCES show_reports(id) ON DELETE SET NULL,
+      customer_name VARCHAR(255),
+      customer_email VARCHAR(255),
+      cards_out_count INTEGER NOT NULL DEFAULT 0,
+      cards_in_count INTEGER NOT NULL DEFAULT 0,
+      value_out DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      credit_in DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      cash_difference DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      cash_method VARCHAR(50),
+      notes TEXT,
+      handled_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      handled_by_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trade_ins_user ON trade_ins(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_trade_ins_show ON trade_ins(show_report_id);
+
+    ALTER TABLE card_sales_history ADD COLUMN IF NOT EXISTS trade_in_id INTEGER REFERENCES trade_ins(id) ON DELETE SET NULL;
+    ALTER TABLE cards ADD COLUMN IF NOT EXISTS trade_in_id INTEGER REFERENCES trade_ins(id) ON DELETE SET NULL;
+    ALTER TABLE card_ownership_history ADD COLUMN IF NOT EXISTS trade_in_id INTEGER REFERENCES trade_ins(id) ON DELETE SET NULL;
+  `,
+
+  down: `
+    ALTER TABLE card_ownership_history DROP COLUMN IF EXISTS trade_in_id;
+    ALTER TABLE cards DROP COLUMN IF EXISTS trade_in_id;
+    ALTER TABLE card_sales_history DROP COLUMN IF EXISTS trade_in_id;
+    DROP TABLE IF EXISTS trade_ins;
+  `
+};
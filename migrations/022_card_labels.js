@@ -0,0 +1,25 @@
+/**
+ * Migration 022: card_labels
+ * Last printed price label per card. content_hash covers everything printed on the label
+ * (player, year, set, grade, price, QR link), so a price change marks the label as stale.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS card_labels (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER UNIQUE REFERENCES cards(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      content_hash VARCHAR(64) NOT NULL,
+      printed_price DECIMAL(10, 2),
+      stock VARCHAR(30),
+      printed_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_card_labels_user ON card_labels(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS card_labels;
+  `
+};
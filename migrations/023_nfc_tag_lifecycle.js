@@ -0,0 +1,35 @@
+/**
+ * Migration 023: NFC tag lifecycle
+ * Tag states (provisioned, bound, retired, reported_stolen) and SUN/SDM signed taps.
+ * sdm_key is the tag's SDM file read key; sdm_counter is the highest tap counter accepted,
+ * so a tap at or below it is a replayed URL. Tags registered before this have no key and
+ * keep working as unsigned taps.
+ */
+
+module.exports = {
+  up: `
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'bound';
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS sdm_key VARCHAR(32);
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS sdm_counter INTEGER;
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS provisioned_at TIMESTAMP;
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP;
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS status_note TEXT;
+
+    ALTER TABLE nfc_scan_logs ADD COLUMN IF NOT EXISTS tap_counter INTEGER;
+    ALTER TABLE nfc_scan_logs ADD COLUMN IF NOT EXISTS verification VARCHAR(20);
+
+    CREATE INDEX IF NOT EXISTS idx_nfc_scan_logs_tag ON nfc_scan_logs(nfc_tag_id, scanned_at);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_nfc_scan_logs_tag;
+    ALTER TABLE nfc_scan_logs DROP COLUMN IF EXISTS verification;
+    ALTER TABLE nfc_scan_logs DROP COLUMN IF EXISTS tap_counter;
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS status_note;
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS status_changed_at;
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS provisioned_at;
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS sdm_counter;
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS sdm_key;
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS status;
+  `
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 024: nfc_tag_events
+ * History of each NFC tag: bind, rebind, unbind, transfer (carried to a card's new owner) and
+ * status changes (retire, report_stolen, recover). Rows keep nfc_uid so the history outlives
+ * a deleted tag. nfc_tags.previous_card_id is the card a tag was on before its last rebind or unbind.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS nfc_tag_events (
+      id SERIAL PRIMARY KEY,
+      nfc_tag_id INTEGER REFERENCES nfc_tags(id) ON DELETE SET NULL,
+      nfc_uid VARCHAR(100) NOT NULL,
+      event_type VARCHAR(20) NOT NULL,
+      card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      previous_card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL,
+      owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      previous_owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_nfc_tag_events_uid ON nfc_tag_events(nfc_uid, created_at);
+    CREATE INDEX IF NOT EXISTS idx_nfc_tag_events_card ON nfc_tag_events(card_id);
+
+    ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS previous_card_id INTEGER REFERENCES cards(id) ON DELETE SET NULL;
+  `,
+
+  down: `
+    ALTER TABLE nfc_tags DROP COLUMN IF EXISTS previous_card_id;
+    DROP TABLE IF EXISTS nfc_tag_events;
+  `
+};
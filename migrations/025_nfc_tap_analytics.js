@@ -0,0 +1,20 @@
+/**
+ * Migration 025: NFC tap analytics
+ * device_hash is a keyed hash of the tapping device's user agent and IP (never stored in the clear)
+ * for unique-device counts; show_report_id is the owner's active show when the tap happened.
+ */
+
+module.exports = {
+  up: `
+    ALTER TABLE nfc_scan_logs ADD COLUMN IF NOT EXISTS device_hash VARCHAR(64);
+    ALTER TABLE nfc_scan_logs ADD COLUMN IF NOT EXISTS show_report_id INTEGER REFERENCES show_reports(id) ON DELETE SET NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_nfc_scan_logs_user ON nfc_scan_logs(user_id, scanned_at);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_nfc_scan_logs_user;
+    ALTER TABLE nfc_scan_logs DROP COLUMN IF EXISTS show_report_id;
+    ALTER TABLE nfc_scan_logs DROP COLUMN IF EXISTS device_hash;
+  `
+};
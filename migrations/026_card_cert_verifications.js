@@ -0,0 +1,25 @@
+/**
+ * Migration 026: card_cert_verifications
+ * Last grading cert lookup per card for the public provenance page. status is pending (lookup
+ * queued), verified, mismatch (cert exists but the grade differs), not_found, unsupported
+ * (grader has no lookup API) or error. details holds what the grader returned.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS card_cert_verifications (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER UNIQUE REFERENCES cards(id) ON DELETE CASCADE,
+      grading_company VARCHAR(50),
+      cert_number VARCHAR(100),
+      status VARCHAR(20) NOT NULL,
+      details JSONB,
+      requested_at TIMESTAMP DEFAULT NOW(),
+      checked_at TIMESTAMP
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS card_cert_verifications;
+  `
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration 027: transfer_codes
+ * Seller-issued transfer codes (transfers module), replacing the single code on cards.
+ * status: active -> completed, or active -> pending_approval (require_approval: the buyer claimed,
+ * waiting for the seller to confirm payment) -> completed / declined / cancelled.
+ * An active code can be revoked; an expired one stays 'active' past expires_at.
+ * Unused, unexpired codes already on cards are carried over.
+ */
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS transfer_codes (
+      id SERIAL PRIMARY KEY,
+      card_id INTEGER REFERENCES cards(id) ON DELETE CASCADE,
+      seller_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      code VARCHAR(50) UNIQUE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      require_approval BOOLEAN NOT NULL DEFAULT false,
+      sale_price DECIMAL(10, 2),
+      note TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      buyer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      claimed_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      closed_at TIMESTAMP,
+      close_reason TEXT,
+      reissued_from_id INTEGER REFERENCES transfer_codes(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transfer_codes_card ON transfer_codes(card_id, status);
+    CREATE INDEX IF NOT EXISTS idx_transfer_codes_seller ON transfer_codes(seller_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_transfer_codes_buyer ON transfer_codes(buyer_id);
+
+    INSERT INTO transfer_codes (card_id, seller_id, code, status, expires_at)
+    SELECT id, user_id, transfer_code, 'active', transfer_code_expires_at
+    FROM cards
+    WHERE transfer_code IS NOT NULL
+      AND transfer_code_used = false
+      AND transfer_code_expires_at > NOW()
+    ON CONFLICT (code) DO NOTHING;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS transfer_codes;
+  `
+};
@@ -0,0 +1,40 @@
+/**
+ * Migration 028: normalize nfc_uid
+ * Tags are now bound by their normalized UID (7 bytes, uppercase hex, no separators - sdm.normalizeUid).
+ * Rewrites UIDs saved as typed ("04:a1:...", lowercase) so rebinding a tag finds its row instead of
+ * registering it twice. UIDs that would collide with another tag's are left as they are.
+ */
+
+const NORMALIZED_UID = `UPPER(REPLACE(REPLACE(REPLACE(nfc_uid, ' ', ''), ':', ''), '-', ''))`;
+
+// Tags whose UID changes: { id, uid }
+const RENAMED_TAGS = `
+  SELECT n.id, n.uid
+  FROM (SELECT id, nfc_uid, ${NORMALIZED_UID} AS uid FROM nfc_tags) n
+  JOIN (
+    SELECT uid, COUNT(*) AS tags
+    FROM (SELECT ${NORMALIZED_UID} AS uid FROM nfc_tags) all_uids
+    GROUP BY uid
+  ) counted ON counted.uid = n.uid AND counted.tags = 1
+  WHERE n.nfc_uid <> n.uid
+    AND n.uid ~ '^[0-9A-F]{14}$'
+`;
+
+module.exports = {
+  up: `
+    UPDATE nfc_tag_events
+    SET nfc_uid = renamed.uid
+    FROM (${RENAMED_TAGS}) renamed
+    WHERE nfc_tag_events.nfc_tag_id = renamed.id;
+
+    UPDATE nfc_tags
+    SET nfc_uid = renamed.uid
+    FROM (${RENAMED_TAGS}) renamed
+    WHERE nfc_tags.id = renamed.id;
+  `,
+
+  // The typed form isn't kept - nothing to restore
+  down: `
+    SELECT 1;
+  `
+};
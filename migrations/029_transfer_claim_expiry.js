@@ -0,0 +1,20 @@
+/**
+ * Migration 029: transfer claim expiry
+ * A claim waiting on the seller's approval is held until claim_expires_at (transfer-codes
+ * CLAIM_HOLD_HOURS) - after that it can't be approved and no longer holds the card.
+ * Claims already pending get the same hold from when they were made.
+ */
+
+module.exports = {
+  up: `
+    ALTER TABLE transfer_codes ADD COLUMN IF NOT EXISTS claim_expires_at TIMESTAMP;
+
+    UPDATE transfer_codes
+    SET claim_expires_at = claimed_at + INTERVAL '72 hours'
+    WHERE status = 'pending_approval';
+  `,
+
+  down: `
+    ALTER TABLE transfer_codes DROP COLUMN IF EXISTS claim_expires_at;
+  `
+};
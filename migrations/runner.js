@@ -0,0 +1,177 @@
+/**
+ * Migration Runner
+ *
+ * Applies the numbered migrations in this directory (001_name.js, 002_name.js, ...)
+ * and records each one in the schema_migrations ledger.
+ *
+ * Each migration file exports SQL strings:
+ *   module.exports = { up: `CREATE TABLE ...`, down: `DROP TABLE ...` };
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = __dirname;
+const MIGRATION_FILE = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// Versions are zero-padded but can outgrow the padding ("1000" after "999") - compare them as numbers
+function compareVersions(a, b) {
+  return parseInt(a, 10) - parseInt(b, 10);
+}
+
+/**
+ * Load migration files sorted by version
+ * @returns {Array<{ version: string, name: string, up: string, down: string }>}
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+
+      return { version, name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+// Create the ledger table if this is the first run
+async function ensureLedger(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(pool) {
+  const result = await pool.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Run one migration direction inside a transaction together with its ledger write
+async function runInTransaction(pool, sql, ledgerSql, ledgerParams) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query(ledgerSql, ledgerParams);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply all pending migrations (optionally stopping at a target version)
+ * @param {import('pg').Pool} pool
+ * @param {{ to?: string, log?: Function }} options
+ * @returns {Promise<string[]>} Versions that were applied
+ */
+async function migrateUp(pool, { to, log = console.log } = {}) {
+  await ensureLedger(pool);
+
+  const applied = await getAppliedVersions(pool);
+  const pending = loadMigrations().filter(m =>
+    !applied.has(m.version) && (!to || compareVersions(m.version, to) <= 0)
+  );
+
+  for (const migration of pending) {
+    try {
+      await runInTransaction(
+        pool,
+        migration.up,
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      log(`✅ Migrated ${migration.version}_${migration.name}`);
+    } catch (error) {
+      error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return pending.map(m => m.version);
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {import('pg').Pool} pool
+ * @param {{ steps?: number, log?: Function }} options
+ * @returns {Promise<string[]>} Versions that were rolled back
+ */
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  await ensureLedger(pool);
+
+  const applied = await getAppliedVersions(pool);
+  const migrations = loadMigrations();
+  const targets = [...applied.keys()].sort(compareVersions).reverse().slice(0, steps);
+
+  for (const version of targets) {
+    const migration = migrations.find(m => m.version === version);
+
+    if (!migration) {
+      throw new Error(`Cannot roll back ${version}: migration file is missing`);
+    }
+
+    try {
+      await runInTransaction(
+        pool,
+        migration.down,
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [version]
+      );
+      log(`↩️  Rolled back ${migration.version}_${migration.name}`);
+    } catch (error) {
+      error.message = `Rollback of ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * List every known migration with its applied state
+ * Ledger entries without a matching file are reported as "missing"
+ */
+async function getStatus(pool) {
+  await ensureLedger(pool);
+
+  const applied = await getAppliedVersions(pool);
+  const migrations = loadMigrations();
+
+  const status = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    state: applied.has(m.version) ? 'applied' : 'pending',
+    applied_at: applied.get(m.version)?.applied_at || null
+  }));
+
+  for (const [version, row] of applied) {
+    if (!migrations.some(m => m.version === version)) {
+      status.push({ version, name: row.name, state: 'missing', applied_at: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
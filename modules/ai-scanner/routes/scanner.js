@@ -6,6 +6,8 @@ const claudeScanner = require('../services/claude-scanner');
 const db = require('../database/db');
 const { uploadImage } = require('../services/cloudinary');
 const { lookupCardInDatabase } = require('../services/cardDatabaseLookup');
+const jobQueue = require('../../jobs/services/queue');
+const { recordPriceSnapshot } = require('../services/price-history');
 
 /**
  * Extract clean parallel name from product name
@@ -754,6 +756,40 @@ router.post('/analyze', authenticateToken, async (req, res) => {
     }
 });
 
+// Multi-slab photo (several PSA/BGS slabs in one shot) - runs as a background job,
+// poll /api/jobs/:id for the detected cards
+router.post('/analyze-slabs', authenticateToken, async (req, res) => {
+    try {
+        const { image } = req.body;
+
+        if (!image) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Image is required' 
+            });
+        }
+
+        const job = await jobQueue.enqueue('scanner.multi_slab', { image }, {
+            userId: req.user.userId,
+            total: 1
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`
+        });
+
+    } catch (error) {
+        console.error('Multi-slab queue error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to start slab analysis'
+        });
+    }
+});
+
 // NEW: Confirm and save verified card data
 router.post('/confirm', authenticateToken, async (req, res) => {
     try {
@@ -865,6 +901,31 @@ router.post('/confirm', authenticateToken, async (req, res) => {
             console.error('❌ Pricing failed:', priceError.message);
         }
 
+        // Price history - tied to the card when confirming a re-scan of one the user already owns
+        if (priceData || sportsCardsProData) {
+            let snapshotCardId = null;
+            if (cardData.id) {
+                const owned = await db.query(
+                    'SELECT id FROM cards WHERE id = $1 AND user_id = $2',
+                    [cardData.id, req.user.userId]
+                ).catch(() => ({ rows: [] }));
+                snapshotCardId = owned.rows[0]?.id || null;
+            }
+
+            await recordPriceSnapshot({
+                cardId: snapshotCardId,
+                userId: req.user.userId,
+                source: 'scanner_confirm',
+                marketValue: priceData?.ebay_avg ?? sportsCardsProData?.raw ?? null,
+                ebayLow: priceData?.ebay_low ?? null,
+                ebayAvg: priceData?.ebay_avg ?? null,
+                ebayHigh: priceData?.ebay_high ?? null,
+                sampleSize: priceData?.ebay_sample_size || 0,
+                searchQuery: cardData.ebay_search_string || `${cardData.year} ${cardData.set_name} ${cardData.player}`,
+                details: sportsCardsProData ? { sportsCardsPro: sportsCardsProData } : null
+            });
+        }
+
         // Save to quick_checks table
         if (priceData || sportsCardsProData) {
             try {
@@ -1218,5 +1279,17 @@ setInterval(() => {
 }, 24 * 60 * 60 * 1000); // Run daily
 
 // Export router and demoScanLimits for admin access
+jobQueue.registerHandler('scanner.multi_slab', async ({ image }, ctx) => {
+    await ctx.progress(0, 1, 'Detecting slabs');
+
+    const result = await claudeScanner.analyzeMultipleSlabs(image);
+    if (!result.success) {
+        throw new Error(result.error || 'Multi-slab analysis failed');
+    }
+
+    await ctx.progress(1, 1, `Detected ${result.cards.length} slabs`);
+    return { cards: result.cards, count: result.cards.length, usage: result.usage };
+});
+
 module.exports = router;
 module.exports.demoScanLimits = demoScanLimits;
\ No newline at end of file
@@ -1,14 +1,6 @@
 /**
- * Notification Service Stub
+ * Notification Service
+ * Delegates to the shared notification service in modules/notifications
  */
 
-module.exports = {
-  notifyUser: async (userId, message, type = 'info') => {
-    console.log(`📢 Notify user ${userId}: ${message}`);
-    return { success: true };
-  },
-  notifyParent: async (childId, message) => {
-    console.log(`📢 Notify parent of ${childId}: ${message}`);
-    return { success: true };
-  }
-};
+module.exports = require('../../notifications/services/notificationService');
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const db = require('../database/db');
 
 // Must match the fallback used in module-assembler-ui/lib/routes/auth.cjs
 const JWT_SECRET = process.env.JWT_SECRET || 'blink-default-secret';
@@ -6,6 +7,16 @@ const JWT_SECRET = process.env.JWT_SECRET || 'blink-default-secret';
 // Debug: log secret on module load (first 10 chars only for security)
 console.log('   🔐 Auth middleware loaded with secret:', JWT_SECRET.substring(0, 10) + '...');
 
+// Session denylist - revoked or expired sessions (see /api/auth/logout, /api/auth/sessions)
+async function isSessionRevoked(sessionId) {
+    const result = await db.query(
+        'SELECT revoked_at, expires_at FROM user_sessions WHERE id = $1',
+        [sessionId]
+    );
+    const session = result.rows[0];
+    return !session || session.revoked_at !== null || new Date(session.expires_at) <= new Date();
+}
+
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -14,18 +25,31 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ success: false, error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
         if (err) {
             console.log('   ❌ Token verification failed:', err.message);
             return res.status(403).json({ success: false, error: 'Invalid token' });
         }
 
+        // Tokens issued before session tracking have no sid and simply expire
+        if (user.sid) {
+            try {
+                if (await isSessionRevoked(user.sid)) {
+                    return res.status(401).json({ success: false, error: 'Session revoked' });
+                }
+            } catch (error) {
+                console.error('   ❌ Session check failed:', error.message);
+                return res.status(500).json({ success: false, error: 'Failed to verify session' });
+            }
+        }
+
         // Preserve all user data from JWT
         req.user = {
             id: user.id,
             userId: user.id,
             email: user.email,
-            is_admin: user.is_admin || false
+            is_admin: user.is_admin || false,
+            sessionId: user.sid || null
         };
         next();
     });
@@ -0,0 +1,60 @@
+const db = require('../database/db');
+const { authenticateToken } = require('./auth');
+const mfa = require('../services/mfa');
+
+// Admin MFA gate - mounted in front of /api/admin and /api/admin-api.
+// With the policy off this is a pass-through; with it on only admins whose
+// account has TOTP enabled and whose session passed the second factor get through.
+function requireAdminMfa(req, res, next) {
+    mfa.isAdminMfaRequired()
+        .then(required => {
+            if (!required) {
+                return next();
+            }
+
+            authenticateToken(req, res, async () => {
+                try {
+                    const userId = req.user.userId || req.user.id;
+                    const userResult = await db.query(
+                        'SELECT is_admin, mfa_enabled FROM users WHERE id = $1',
+                        [userId]
+                    );
+                    const user = userResult.rows[0];
+
+                    if (!user || !user.is_admin) {
+                        return res.status(403).json({ success: false, error: 'Admin access required' });
+                    }
+
+                    let sessionVerified = false;
+                    if (user.mfa_enabled && req.user.sessionId) {
+                        const sessionResult = await db.query(
+                            'SELECT mfa_verified FROM user_sessions WHERE id = $1',
+                            [req.user.sessionId]
+                        );
+                        sessionVerified = sessionResult.rows[0]?.mfa_verified === true;
+                    }
+
+                    if (!sessionVerified) {
+                        return res.status(403).json({
+                            success: false,
+                            error: 'Two-factor authentication required for admin access',
+                            mfaRequired: true,
+                            mfaEnabled: user.mfa_enabled || false
+                        });
+                    }
+
+                    req.user.is_admin = true;
+                    next();
+                } catch (error) {
+                    console.error('   ❌ Admin MFA check failed:', error.message);
+                    res.status(500).json({ success: false, error: 'Failed to verify two-factor authentication' });
+                }
+            });
+        })
+        .catch(error => {
+            console.error('   ❌ MFA policy lookup failed:', error.message);
+            res.status(500).json({ success: false, error: 'Failed to verify two-factor authentication' });
+        });
+}
+
+module.exports = { requireAdminMfa };
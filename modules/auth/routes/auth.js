@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../database/db');
+const sessions = require('../services/sessions');
+const mfa = require('../services/mfa');
 
 // ===========================================
 // SECURITY CONFIGURATION
 // ===========================================
-const JWT_EXPIRES = '24h';
 const PASSWORD_MIN_LENGTH = 8;
 
 // Validate JWT_SECRET at startup
@@ -104,16 +104,8 @@ router.post('/register', rateLimiters.registerLimiter, async (req, res) => {
         );
         const user = userResult.rows[0];
 
-        // Generate JWT - INCLUDE BOTH id AND userId
-        const token = jwt.sign(
-            { 
-                id: user.id,
-                userId: user.id, 
-                email: user.email 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: JWT_EXPIRES }
-        );
+        // Start session - short-lived access JWT + rotating refresh token
+        const { token, refreshToken } = await sessions.createSession(user, req);
 
         // Update referral stats if user was referred
         if (referralCodeId) {
@@ -137,6 +129,8 @@ router.post('/register', rateLimiters.registerLimiter, async (req, res) => {
         res.json({
             success: true,
             token,
+            refreshToken,
+            expiresIn: sessions.ACCESS_TOKEN_EXPIRES,
             user: {
                 id: user.id,
                 email: user.email,
@@ -157,7 +151,7 @@ router.post('/login', rateLimiters.loginLimiter, async (req, res) => {
 
         // Find user - FIXED QUERY SYNTAX
         const userResult = await db.query(
-            'SELECT id, email, password_hash, full_name, subscription_tier, is_admin, scans_used FROM users WHERE email = $1', 
+            'SELECT id, email, password_hash, full_name, subscription_tier, is_admin, scans_used, mfa_enabled FROM users WHERE email = $1', 
             [email]
         );
         const user = userResult.rows[0];
@@ -172,20 +166,71 @@ router.post('/login', rateLimiters.loginLimiter, async (req, res) => {
             return res.status(401).json({ success: false, error: 'Invalid credentials' });
         }
 
-        // Generate JWT - INCLUDE BOTH id AND userId
-        const token = jwt.sign(
-            { 
+        // Two-step login - password OK, now exchange mfaToken + code at /login/mfa
+        if (user.mfa_enabled) {
+            return res.json({
+                success: true,
+                mfaRequired: true,
+                mfaToken: mfa.signPendingToken(user),
+                expiresIn: mfa.MFA_PENDING_EXPIRES
+            });
+        }
+
+        // Start session - short-lived access JWT + rotating refresh token
+        const { token, refreshToken } = await sessions.createSession(user, req);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken,
+            expiresIn: sessions.ACCESS_TOKEN_EXPIRES,
+            user: {
                 id: user.id,
-                userId: user.id, 
-                email: user.email 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: JWT_EXPIRES }
+                email: user.email,
+                fullName: user.full_name,
+                subscriptionTier: user.subscription_tier,
+                isAdmin: user.is_admin || false,
+                scansUsed: user.scans_used || 0
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Login failed' });
+    }
+});
+
+// Second login step - { mfaToken, code } or { mfaToken, recoveryCode }
+router.post('/login/mfa', rateLimiters.loginLimiter, async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body;
+
+        const userId = mfaToken && mfa.verifyPendingToken(mfaToken);
+        if (!userId) {
+            return res.status(401).json({ success: false, error: 'Login expired - sign in again' });
+        }
+
+        const verification = await mfa.verifySecondFactor(userId, { code, recoveryCode });
+        if (!verification.ok) {
+            return res.status(401).json({ success: false, error: 'Invalid verification code' });
+        }
+
+        const userResult = await db.query(
+            'SELECT id, email, full_name, subscription_tier, is_admin, scans_used FROM users WHERE id = $1',
+            [userId]
         );
+        const user = userResult.rows[0];
+
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Invalid credentials' });
+        }
+
+        const { token, refreshToken } = await sessions.createSession(user, req, { mfaVerified: true });
 
         res.json({
             success: true,
             token,
+            refreshToken,
+            expiresIn: sessions.ACCESS_TOKEN_EXPIRES,
+            usedRecoveryCode: verification.method === 'recovery_code',
             user: {
                 id: user.id,
                 email: user.email,
@@ -240,6 +285,270 @@ const getUserProfile = async (req, res) => {
 router.get('/me', authenticateToken, getUserProfile);
 router.get('/profile', authenticateToken, getUserProfile);
 
+// ===========================================
+// SESSIONS & TOKEN REFRESH
+// ===========================================
+
+// Exchange refresh token for a new access/refresh pair (refresh token rotates every call)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ success: false, error: 'Refresh token required' });
+        }
+
+        const result = await sessions.rotateRefreshToken(refreshToken, req);
+
+        if (result.error) {
+            return res.status(401).json({ success: false, error: result.error });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            expiresIn: sessions.ACCESS_TOKEN_EXPIRES
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to refresh token' });
+    }
+});
+
+// Logout - revokes the current session, or every session with { all: true }
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const { all, refreshToken } = req.body || {};
+
+        if (all) {
+            const revoked = await sessions.revokeAllSessions(userId);
+            return res.json({ success: true, message: 'Logged out of all devices', revoked });
+        }
+
+        let sessionId = req.user.sessionId;
+        if (!sessionId && refreshToken) {
+            const session = await sessions.findSessionByRefreshToken(refreshToken);
+            sessionId = session && session.user_id === userId ? session.id : null;
+        }
+
+        if (sessionId) {
+            await sessions.revokeSession(sessionId, userId);
+        }
+
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Logout failed' });
+    }
+});
+
+// List active sessions (devices) for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const rows = await sessions.listSessions(userId);
+
+        res.json({
+            success: true,
+            sessions: rows.map(session => ({
+                id: session.id,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastSeenAt: session.last_seen_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to load sessions' });
+    }
+});
+
+// Revoke every other session (keep this device signed in)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const revoked = await sessions.revokeAllSessions(userId, {
+            exceptSessionId: req.user.sessionId
+        });
+
+        res.json({ success: true, message: 'Other sessions revoked', revoked });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to revoke sessions' });
+    }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(req.params.id);
+        const revoked = isUuid && await sessions.revokeSession(req.params.id, userId);
+
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to revoke session' });
+    }
+});
+
+// ===========================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ===========================================
+
+// MFA status for the current user
+router.get('/mfa', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const status = await mfa.getStatus(userId);
+
+        res.json({ success: true, mfa: status });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to load two-factor status' });
+    }
+});
+
+// Start enrollment - returns the secret and otpauth:// URI to render as a QR code
+router.post('/mfa/setup', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const userResult = await db.query('SELECT id, email, mfa_enabled FROM users WHERE id = $1', [userId]);
+        const user = userResult.rows[0];
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (user.mfa_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+        }
+
+        const { secret, otpauthUri } = await mfa.startEnrollment(user);
+
+        res.json({ success: true, secret, otpauthUri });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirm enrollment with a code - returns one-time recovery codes (shown once)
+router.post('/mfa/enable', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const result = await mfa.confirmEnrollment(userId, req.body.code);
+
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        // The device that just proved the code counts as verified
+        if (req.user.sessionId) {
+            await sessions.markSessionMfaVerified(req.user.sessionId, userId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: result.recoveryCodes
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Disable - requires the password and a current code (or recovery code)
+router.post('/mfa/disable', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const { password, code, recoveryCode } = req.body;
+
+        const userResult = await db.query('SELECT password_hash, mfa_enabled FROM users WHERE id = $1', [userId]);
+        const user = userResult.rows[0];
+
+        if (!user || !user.mfa_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        }
+
+        const validPassword = password && await bcrypt.compare(password, user.password_hash);
+        if (!validPassword) {
+            return res.status(401).json({ success: false, error: 'Invalid password' });
+        }
+
+        const verification = await mfa.verifySecondFactor(userId, { code, recoveryCode });
+        if (!verification.ok) {
+            return res.status(401).json({ success: false, error: 'Invalid verification code' });
+        }
+
+        await mfa.disableMfa(userId);
+        await sessions.clearSessionsMfaVerified(userId);
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Replace recovery codes - requires a current TOTP code
+router.post('/mfa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+
+        if (!(await mfa.verifyTotp(userId, req.body.code))) {
+            return res.status(401).json({ success: false, error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = await mfa.regenerateRecoveryCodes(userId);
+
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Admin MFA policy - when on, /api/admin and /api/admin-api only answer MFA-verified admins
+router.get('/mfa/policy', authenticateToken, async (req, res) => {
+    try {
+        res.json({ success: true, requireAdminMfa: await mfa.isAdminMfaRequired() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to load MFA policy' });
+    }
+});
+
+router.put('/mfa/policy', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user.id;
+        const { requireAdminMfa } = req.body;
+
+        if (typeof requireAdminMfa !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'requireAdminMfa must be true or false' });
+        }
+
+        const userResult = await db.query('SELECT is_admin, mfa_enabled FROM users WHERE id = $1', [userId]);
+        const user = userResult.rows[0];
+
+        if (!user || !user.is_admin) {
+            return res.status(403).json({ success: false, error: 'Admin access required' });
+        }
+
+        // Don't let an admin lock themselves out of the admin routes
+        if (requireAdminMfa && !user.mfa_enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Enable two-factor authentication on your own account first'
+            });
+        }
+
+        await mfa.setAdminMfaRequired(requireAdminMfa, userId);
+
+        res.json({ success: true, requireAdminMfa });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to update MFA policy' });
+    }
+});
+
 // Forgot Password - Request reset
 router.post('/forgot-password', async (req, res) => {
     try {
@@ -342,6 +651,9 @@ router.post('/reset-password/:token', async (req, res) => {
             [passwordHash, user.id]
         );
 
+        // Sign out every device that used the old password
+        await sessions.revokeAllSessions(user.id, { reason: 'password_reset' });
+
         res.json({
             success: true,
             message: 'Password reset successful! You can now login.'
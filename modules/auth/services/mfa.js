@@ -0,0 +1,238 @@
+/**
+ * MFA Service
+ *
+ * TOTP enrollment, one-time recovery codes, the short-lived "mfa pending"
+ * token that bridges the two login steps, and the admin MFA policy.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const totp = require('./totp');
+
+const MFA_PENDING_EXPIRES = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRE_ADMIN_MFA_KEY = 'require_admin_mfa';
+
+// Separate signing key so a pending token can never pass authenticateToken
+function pendingTokenSecret() {
+  return `${process.env.JWT_SECRET}:mfa-pending`;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Token proving the password step passed; exchanged at /login/mfa
+ * @param {{ id: number }} user
+ * @returns {string}
+ */
+function signPendingToken(user) {
+  return jwt.sign({ id: user.id, purpose: 'mfa_pending' }, pendingTokenSecret(), {
+    expiresIn: MFA_PENDING_EXPIRES
+  });
+}
+
+/**
+ * @returns {number|null} User id, or null if the token is invalid or expired
+ */
+function verifyPendingToken(token) {
+  try {
+    const payload = jwt.verify(token, pendingTokenSecret());
+    return payload.purpose === 'mfa_pending' ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start enrollment - stores a pending secret until the user confirms a code
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+async function startEnrollment(user) {
+  const secret = totp.generateSecret();
+
+  await db.query('UPDATE users SET mfa_pending_secret = $1 WHERE id = $2', [secret, user.id]);
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri(secret, user.email)
+  };
+}
+
+/**
+ * Replace a user's recovery codes; the plain codes are only ever returned here
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashCode(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @returns {Promise<{ error?: string, recoveryCodes?: string[] }>}
+ */
+async function confirmEnrollment(userId, code) {
+  const result = await db.query(
+    'SELECT mfa_enabled, mfa_pending_secret FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user || !user.mfa_pending_secret) {
+    return { error: 'Start two-factor setup first' };
+  }
+  if (user.mfa_enabled) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+
+  const step = totp.verifyCode(user.mfa_pending_secret, code);
+  if (step === null) {
+    return { error: 'Invalid verification code' };
+  }
+
+  await db.query(
+    `UPDATE users
+     SET mfa_enabled = true, mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL,
+         mfa_last_step = $1, mfa_enabled_at = NOW()
+     WHERE id = $2`,
+    [step, userId]
+  );
+
+  const recoveryCodes = await regenerateRecoveryCodes(userId);
+  return { recoveryCodes };
+}
+
+async function disableMfa(userId) {
+  await db.query(
+    `UPDATE users
+     SET mfa_enabled = false, mfa_secret = NULL, mfa_pending_secret = NULL,
+         mfa_last_step = NULL, mfa_enabled_at = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Verify a TOTP code for an enrolled user. Each time step is accepted once.
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotp(userId, code) {
+  const result = await db.query(
+    'SELECT mfa_secret, mfa_last_step FROM users WHERE id = $1 AND mfa_enabled = true',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.mfa_secret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(user.mfa_secret, code);
+  if (step === null || (user.mfa_last_step !== null && step <= Number(user.mfa_last_step))) {
+    return false;
+  }
+
+  await db.query('UPDATE users SET mfa_last_step = $1 WHERE id = $2', [step, userId]);
+  return true;
+}
+
+/**
+ * Consume a recovery code
+ * @returns {Promise<boolean>}
+ */
+async function useRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await db.query(
+    `UPDATE user_recovery_codes
+     SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashCode(normalized)]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Accept either { code } (TOTP) or { recoveryCode }
+ * @returns {Promise<{ ok: boolean, method?: string }>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  if (code) {
+    return { ok: await verifyTotp(userId, code), method: 'totp' };
+  }
+  if (recoveryCode) {
+    return { ok: await useRecoveryCode(userId, recoveryCode), method: 'recovery_code' };
+  }
+  return { ok: false };
+}
+
+async function getStatus(userId) {
+  const userResult = await db.query(
+    'SELECT mfa_enabled, mfa_enabled_at, is_admin FROM users WHERE id = $1',
+    [userId]
+  );
+  const codesResult = await db.query(
+    'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  const user = userResult.rows[0] || {};
+
+  return {
+    enabled: user.mfa_enabled || false,
+    enabledAt: user.mfa_enabled_at || null,
+    recoveryCodesRemaining: parseInt(codesResult.rows[0]?.count || 0),
+    requiredForAdmin: (user.is_admin || false) && await isAdminMfaRequired()
+  };
+}
+
+async function isAdminMfaRequired() {
+  const result = await db.query('SELECT value FROM app_settings WHERE key = $1', [REQUIRE_ADMIN_MFA_KEY]);
+  return result.rows[0]?.value === true;
+}
+
+async function setAdminMfaRequired(required, updatedBy) {
+  await db.query(
+    `INSERT INTO app_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (key) DO UPDATE SET value = $2, updated_by = $3, updated_at = NOW()`,
+    [REQUIRE_ADMIN_MFA_KEY, JSON.stringify(Boolean(required)), updatedBy]
+  );
+}
+
+module.exports = {
+  MFA_PENDING_EXPIRES,
+  signPendingToken,
+  verifyPendingToken,
+  startEnrollment,
+  confirmEnrollment,
+  disableMfa,
+  verifyTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  getStatus,
+  isAdminMfaRequired,
+  setAdminMfaRequired
+};
@@ -0,0 +1,229 @@
+/**
+ * Session Service
+ *
+ * Short-lived access JWTs paired with rotating refresh tokens.
+ * Refresh tokens are stored hashed in user_sessions; revoking a session there
+ * makes every module's authenticateToken reject its access tokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+const ACCESS_TOKEN_EXPIRES = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function getClientInfo(req) {
+  return {
+    userAgent: (req.headers['user-agent'] || '').substring(0, 500) || null,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Sign an access token bound to a session
+ * @param {{ id: number, email: string }} user
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      userId: user.id,
+      email: user.email,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES }
+  );
+}
+
+/**
+ * Start a new session for a freshly authenticated user
+ * @param {{ id: number, email: string }} user
+ * @param {object} req
+ * @param {{ mfaVerified?: boolean }} [options] - true when the login passed a second factor
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+async function createSession(user, req, { mfaVerified = false } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, mfa_verified, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '${REFRESH_TOKEN_DAYS} days')`,
+    [sessionId, user.id, hashToken(refreshToken), userAgent, ipAddress, mfaVerified]
+  );
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId
+  };
+}
+
+// A rotated refresh token came back - whoever holds it, the session can't be trusted
+async function revokeReusedSession(session) {
+  await revokeSession(session.id, session.user_id, 'refresh_reuse');
+  console.log(`⚠️  Refresh token reuse detected for session ${session.id} - session revoked`);
+  return { error: 'Refresh token already used - session revoked' };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting an already-rotated token means it leaked, so the whole session is revoked.
+ * @returns {Promise<{ error?: string, token?: string, refreshToken?: string, sessionId?: string }>}
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const result = await db.query(
+    `SELECT s.*, u.email
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1`,
+    [tokenHash]
+  );
+  const session = result.rows[0];
+
+  if (!session) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (session.revoked_at) {
+    return { error: 'Session revoked' };
+  }
+
+  if (session.refresh_token_hash !== tokenHash) {
+    return revokeReusedSession(session);
+  }
+
+  if (new Date(session.expires_at) <= new Date()) {
+    return { error: 'Session expired' };
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  // Only the request that still holds the current token gets to rotate it - two presenting
+  // the same token at once means it's in two hands, so the loser is treated as reuse
+  const rotated = await db.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $1,
+         previous_token_hash = $2,
+         user_agent = COALESCE($3, user_agent),
+         ip_address = COALESCE($4, ip_address),
+         last_seen_at = NOW()
+     WHERE id = $5 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [hashToken(newRefreshToken), tokenHash, userAgent, ipAddress, session.id]
+  );
+
+  if (rotated.rowCount === 0) {
+    return revokeReusedSession(session);
+  }
+
+  return {
+    token: signAccessToken({ id: session.user_id, email: session.email }, session.id),
+    refreshToken: newRefreshToken,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Mark an existing session as having passed a second factor (e.g. right after enrolling)
+ */
+async function markSessionMfaVerified(sessionId, userId) {
+  await db.query(
+    'UPDATE user_sessions SET mfa_verified = true WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+}
+
+/**
+ * Forget every second-factor pass on the user's sessions (when MFA is turned off),
+ * so re-enrolling doesn't wave old devices through
+ */
+async function clearSessionsMfaVerified(userId) {
+  await db.query(
+    'UPDATE user_sessions SET mfa_verified = false WHERE user_id = $1 AND mfa_verified = true',
+    [userId]
+  );
+}
+
+/**
+ * Find the session a refresh token belongs to (for logout by refresh token)
+ */
+async function findSessionByRefreshToken(refreshToken) {
+  const result = await db.query(
+    'SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke a single session owned by the user
+ * @returns {Promise<boolean>} Whether a live session was revoked
+ */
+async function revokeSession(sessionId, userId, reason = 'logout') {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, sessionId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke every live session for a user, optionally keeping one (the caller's)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL
+       AND ($3::uuid IS NULL OR id != $3::uuid)
+     RETURNING id`,
+    [reason, userId, exceptSessionId]
+  );
+  return result.rows.length;
+}
+
+/**
+ * List a user's active sessions (devices)
+ */
+async function listSessions(userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES,
+  createSession,
+  rotateRefreshToken,
+  markSessionMfaVerified,
+  clearSessionsMfaVerified,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
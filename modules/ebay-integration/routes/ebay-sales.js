@@ -0,0 +1,129 @@
+/**
+ * eBay Sales
+ *
+ * Recording a sale made on eBay doesn't call the eBay API, so unlike the
+ * listing routes in ebay.js this router is served whether or not eBay API
+ * credentials are configured.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const { notifyUser } = require('../services/notificationService');
+const { calculateSaleProfit } = require('../services/card-costs');
+
+// ═══════════════════════════════════════════════════════
+// 💰 RECORD EBAY SALE (fees + shipping -> net profit)
+// ═══════════════════════════════════════════════════════
+
+router.post('/record-sale/:cardId', authenticateToken, async (req, res) => {
+  try {
+    const { cardId } = req.params;
+    const {
+      salePrice,
+      fees = 0,
+      shippingCost = 0,
+      buyerPaidShipping = null,
+      buyerName = null,
+      orderId = null
+    } = req.body;
+
+    if (!(parseFloat(salePrice) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'salePrice is required'
+      });
+    }
+    
+    const cardResult = await db.query(
+      'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
+      [cardId, req.user.userId]
+    );
+    
+    if (cardResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+    
+    const card = cardResult.rows[0];
+    
+    if (card.listing_status === 'sold') {
+      return res.status(400).json({
+        success: false,
+        error: 'Card is already marked as sold'
+      });
+    }
+    
+    const profit = await calculateSaleProfit(card, { salePrice, fees, shippingCost });
+    
+    const saleResult = await db.query(`
+      INSERT INTO card_sales_history (
+        user_id, card_id, card_data, sale_price, sale_method, customer_name, notes, sold_at,
+        cost_basis, fees, shipping_cost, net_profit
+      ) VALUES ($1, $2, $3, $4, 'ebay', $5, $6, NOW(), $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      req.user.userId,
+      card.id,
+      JSON.stringify(card),
+      parseFloat(salePrice),
+      buyerName,
+      orderId ? `eBay order ${orderId}` : null,
+      profit.costBasis,
+      profit.fees,
+      profit.shippingCost,
+      profit.netProfit
+    ]);
+    
+    await db.query(`
+      UPDATE cards 
+      SET listing_status = 'sold',
+          ebay_listing_status = 'sold',
+          sold_price = $1,
+          sold_date = NOW(),
+          buyer_name = $2,
+          buyer_paid_shipping = $3,
+          total_fees = $4,
+          net_payout = $5
+      WHERE id = $6
+    `, [parseFloat(salePrice), buyerName, buyerPaidShipping, profit.fees, profit.netPayout, card.id]);
+    
+    await db.query(`
+      INSERT INTO ebay_listings_log (
+        user_id, card_id, action, status, listing_id, metadata
+      ) VALUES ($1, $2, 'record_sale', 'success', $3, $4)
+    `, [
+      req.user.userId,
+      card.id,
+      card.ebay_listing_id,
+      JSON.stringify({ orderId, salePrice: parseFloat(salePrice), ...profit })
+    ]);
+    
+    notifyUser(req.user.userId, 'card_sold', {
+      cardId: card.id,
+      cardName: [card.year, card.set_name, card.player].filter(Boolean).join(' '),
+      salePrice: saleResult.rows[0].sale_price,
+      saleMethod: 'ebay'
+    }, { caller: 'ebay.record-sale' });
+    
+    console.log(`💰 eBay sale recorded for card ${card.id}: $${salePrice} (net profit ${profit.netProfit ?? 'unknown'})`);
+    
+    res.json({
+      success: true,
+      sale: saleResult.rows[0],
+      profit
+    });
+    
+  } catch (error) {
+    console.error('❌ Record eBay sale error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record eBay sale'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,21 @@ const ebayService = require('../services/ebay-oauth');
 const db = require('../database/db');
 const { getRateLimitMiddleware, incrementUsage } = require('../middleware/rate-limiter');
 const { authenticateToken } = require('../middleware/auth');
-const { getUserEbayToken } = require('./ebayAuth');
+const { getUserEbayToken } = require('./ebay-auth');
 const axios = require('axios');
-const { generateLotCollages } = require('../services/collageService');
+const { notifyUser } = require('../services/notificationService');
+const jobQueue = require('../../jobs/services/queue');
+const { buildSoldSearchQuery, estimateFromSales } = require('../services/price-refresh');
+const { recordPriceSnapshot } = require('../services/price-history');
+
+// Lot collages come from the Cloudinary collage service, which isn't bundled with this module -
+// without it lots still list with the cards' own photos
+let generateLotCollages;
+try {
+  ({ generateLotCollages } = require('../services/collageService'));
+} catch (error) {
+  generateLotCollages = async () => ({ success: false, error: 'Collage images are not available on this server' });
+}
 
 router.post('/price-card', authenticateToken, getRateLimitMiddleware(100), async (req, res) => {
     try {
@@ -142,11 +154,7 @@ router.get('/recent-sales/:cardId', authenticateToken, async (req, res) => {
         
         const card = cardResult.rows[0];
         
-        const cleanSetName = card.set_name.replace(/^\d{4}\s+/, '');
-        let searchQuery = `${card.year} ${cleanSetName} ${card.player}`;
-        if (card.card_number) searchQuery += ` #${card.card_number}`;
-        if (card.parallel && card.parallel !== 'Base') searchQuery += ` ${card.parallel}`;
-        if (card.grading_company) searchQuery += ` ${card.grading_company} ${card.grade}`;
+        const searchQuery = buildSoldSearchQuery(card);
         
         console.log('🔍 Fetching recent sales for:', searchQuery);
         
@@ -154,22 +162,28 @@ router.get('/recent-sales/:cardId', authenticateToken, async (req, res) => {
         
         console.log(`✅ Found ${soldListings.length} sold listings`);
         
-        const prices = soldListings.map(item => item.price).filter(p => p > 0);
-        const estimate = {
-            low: prices.length > 0 ? Math.min(...prices).toFixed(2) : '0.00',
-            avg: prices.length > 0 ? (prices.reduce((a, b) => a + b, 0) / prices.length).toFixed(2) : '0.00',
-            high: prices.length > 0 ? Math.max(...prices).toFixed(2) : '0.00'
-        };
+        const { sampleSize, ...estimate } = estimateFromSales(soldListings);
         
         // Update card prices in database if we found sales
-        if (prices.length > 0) {
+        if (sampleSize > 0) {
             await db.query(
                 `UPDATE cards 
                 SET ebay_low = $1, ebay_avg = $2, ebay_high = $3, ebay_sample_size = $4, ebay_last_checked = NOW() 
                 WHERE id = $5`,
-                [estimate.low, estimate.avg, estimate.high, prices.length, cardId]
+                [estimate.low, estimate.avg, estimate.high, sampleSize, cardId]
             );
             console.log('✅ Updated card prices in database');
+            
+            await recordPriceSnapshot({
+                cardId: card.id,
+                userId: req.user.userId,
+                source: 'recent_sales',
+                ebayLow: estimate.low,
+                ebayAvg: estimate.avg,
+                ebayHigh: estimate.high,
+                sampleSize,
+                searchQuery
+            });
         }
         
         // Track API usage
@@ -326,234 +340,269 @@ router.get('/current-listings/:cardId', authenticateToken, async (req, res) => {
     }
 });
 // Grading Analysis - Compare Raw vs PSA 8/9/10 values WITH CACHING
-router.get('/grading-analysis/:cardId', authenticateToken, async (req, res) => {
-    try {
-        const { cardId } = req.params;
-        const forceRefresh = req.query.refresh === 'true';
-        
-        console.log('💎 Starting grading analysis for card:', cardId);
-        
-        // Get card from database
-        const cardResult = await db.query(
-            'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
-            [cardId, req.user.userId]
+// Shared by /grading-analysis/:cardId and the 'ebay.grading_analysis' background job
+async function runGradingAnalysis(card, { forceRefresh = false } = {}) {
+    // Build base search query (without grading)
+    const cleanSetName = card.set_name.replace(/^\d{4}\s+/, '');
+    let baseQuery = `${card.year} ${cleanSetName} ${card.player}`;
+    if (card.card_number) baseQuery += ` #${card.card_number}`;
+    
+    // ALWAYS include parallel for accuracy (unless it's Base)
+    if (card.parallel && card.parallel !== 'Base') {
+        baseQuery += ` ${card.parallel}`;
+    }
+    
+    // If numbered card, include the print run for specificity
+    if (card.numbered_to) {
+        baseQuery += ` /${card.numbered_to}`;
+    }
+    
+    console.log('🔍 Base query (specific):', baseQuery);
+    
+    // Also try broader query if specific returns too few results
+    let broadQuery = `${card.year} ${cleanSetName} ${card.player}`;
+    if (card.card_number) broadQuery += ` #${card.card_number}`;
+    console.log('🔍 Broad query (fallback):', broadQuery);
+    
+    // CACHE KEY
+    const cacheKey = `grading_${card.id}_${baseQuery}`;
+    
+    // CHECK CACHE FIRST (unless force refresh)
+    if (!forceRefresh) {
+        const cached = await db.query(
+            'SELECT results FROM ebay_cache WHERE search_query = $1 AND expires_at > NOW()',
+            [cacheKey]
         );
         
-        if (cardResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Card not found' });
-        }
-        
-        const card = cardResult.rows[0];
-        
-        // Build base search query (without grading)
-        const cleanSetName = card.set_name.replace(/^\d{4}\s+/, '');
-        let baseQuery = `${card.year} ${cleanSetName} ${card.player}`;
-        if (card.card_number) baseQuery += ` #${card.card_number}`;
-        
-        // ALWAYS include parallel for accuracy (unless it's Base)
-        if (card.parallel && card.parallel !== 'Base') {
-            baseQuery += ` ${card.parallel}`;
+        if (cached.rows.length > 0) {
+            console.log('✅ Using cached grading analysis');
+            return { analysis: JSON.parse(cached.rows[0].results), cached: true };
         }
+    }
+    
+    console.log('🔄 No cache found, fetching from eBay...');
+    
+    // Helper: Get listings with cache
+    const getCachedListings = async (query, limit, grade = null) => {
+        const searchCacheKey = `search_${query}_${grade || 'raw'}_${limit}`;
         
-        // If numbered card, include the print run for specificity
-        if (card.numbered_to) {
-            baseQuery += ` /${card.numbered_to}`;
-        }
-        
-        console.log('🔍 Base query (specific):', baseQuery);
-        
-        // Also try broader query if specific returns too few results
-        let broadQuery = `${card.year} ${cleanSetName} ${card.player}`;
-        if (card.card_number) broadQuery += ` #${card.card_number}`;
-        console.log('🔍 Broad query (fallback):', broadQuery);
-        
-        // CACHE KEY
-        const cacheKey = `grading_${cardId}_${baseQuery}`;
-        
-        // CHECK CACHE FIRST (unless force refresh)
+        // Check cache
         if (!forceRefresh) {
             const cached = await db.query(
                 'SELECT results FROM ebay_cache WHERE search_query = $1 AND expires_at > NOW()',
-                [cacheKey]
+                [searchCacheKey]
             );
             
             if (cached.rows.length > 0) {
-                console.log('✅ Using cached grading analysis');
-                return res.json({
-                    success: true,
-                    analysis: JSON.parse(cached.rows[0].results),
-                    cached: true
-                });
+                console.log(`✅ Using cached listings for ${grade || 'raw'}`);
+                return JSON.parse(cached.rows[0].results);
             }
         }
         
-        console.log('🔄 No cache found, fetching from eBay...');
+        // Fetch from eBay
+        console.log(`📊 Fetching ${limit} ${grade || 'raw'} listings from eBay...`);
+        const listings = await ebayService.getRecentSoldListings(query);
+        const limitedListings = listings.slice(0, limit);
         
-        // Helper: Get listings with cache
-        const getCachedListings = async (query, limit, grade = null) => {
-            const searchCacheKey = `search_${query}_${grade || 'raw'}_${limit}`;
-            
-            // Check cache
-            if (!forceRefresh) {
-                const cached = await db.query(
-                    'SELECT results FROM ebay_cache WHERE search_query = $1 AND expires_at > NOW()',
-                    [searchCacheKey]
-                );
-                
-                if (cached.rows.length > 0) {
-                    console.log(`✅ Using cached listings for ${grade || 'raw'}`);
-                    return JSON.parse(cached.rows[0].results);
-                }
-            }
-            
-            // Fetch from eBay
-            console.log(`📊 Fetching ${limit} ${grade || 'raw'} listings from eBay...`);
-            const listings = await ebayService.getRecentSoldListings(query);
-            const limitedListings = listings.slice(0, limit);
-            
-            // Cache results (24 hour expiry)
-            await db.query(
-                `INSERT INTO ebay_cache (search_query, results, expires_at) 
-                 VALUES ($1, $2, NOW() + INTERVAL '24 hours')
-                 ON CONFLICT (search_query) DO UPDATE SET results = $2, expires_at = NOW() + INTERVAL '24 hours'`,
-                [searchCacheKey, JSON.stringify(limitedListings)]
-            );
-            
-            return limitedListings;
-        };
+        // Cache results (24 hour expiry)
+        await db.query(
+            `INSERT INTO ebay_cache (search_query, results, expires_at) 
+             VALUES ($1, $2, NOW() + INTERVAL '24 hours')
+             ON CONFLICT (search_query) DO UPDATE SET results = $2, expires_at = NOW() + INTERVAL '24 hours'`,
+            [searchCacheKey, JSON.stringify(limitedListings)]
+        );
+        
+        return limitedListings;
+    };
+    
+    // Search for RAW (ungraded) prices - LIMIT TO 20
+    console.log('📊 Fetching RAW card prices (specific search)...');
+    let rawListings = await getCachedListings(baseQuery, 20);
+    
+    // If too few results, try broader search
+    if (rawListings.length < 3) {
+        console.log('⚠️ Only found', rawListings.length, 'specific results. Trying broader search...');
+        rawListings = await getCachedListings(broadQuery, 20);
+        console.log('✅ Found', rawListings.length, 'results with broader search');
+    } else {
+        console.log('✅ Found', rawListings.length, 'results with specific search');
+    }
+    
+    const rawPrices = rawListings
+        .map(item => item.price)
+        .filter(p => p > 0 && p < 1000); // Filter obvious outliers
+    
+    // Remove outliers using IQR method
+    const removeOutliers = (prices) => {
+        if (prices.length < 4) return prices;
+        
+        const sorted = [...prices].sort((a, b) => a - b);
+        const q1 = sorted[Math.floor(sorted.length * 0.25)];
+        const q3 = sorted[Math.floor(sorted.length * 0.75)];
+        const iqr = q3 - q1;
+        const lowerBound = q1 - (1.5 * iqr);
+        const upperBound = q3 + (1.5 * iqr);
         
-        // Search for RAW (ungraded) prices - LIMIT TO 20
-        console.log('📊 Fetching RAW card prices (specific search)...');
-        let rawListings = await getCachedListings(baseQuery, 20);
+        return prices.filter(p => p >= lowerBound && p <= upperBound);
+    };
+    
+    const cleanRawPrices = removeOutliers(rawPrices);
+    
+    const rawValue = {
+        avg: cleanRawPrices.length > 0 
+            ? cleanRawPrices.reduce((a, b) => a + b, 0) / cleanRawPrices.length 
+            : 0,
+        low: cleanRawPrices.length > 0 ? Math.min(...cleanRawPrices) : 0,
+        high: cleanRawPrices.length > 0 ? Math.max(...cleanRawPrices) : 0,
+        sampleSize: cleanRawPrices.length
+    };
+    
+    console.log('✅ Raw value:', rawValue);
+    
+    // Search for PSA 10, 9, 8 prices - LIMIT TO 10 EACH
+    const grades = ['PSA 10', 'PSA 9', 'PSA 8'];
+    const gradedValues = {};
+    
+    for (const grade of grades) {
+        console.log(`📊 Fetching ${grade} prices (specific search)...`);
+        const gradeQuery = `${baseQuery} ${grade}`;
+        let gradeListings = await getCachedListings(gradeQuery, 10, grade);
         
         // If too few results, try broader search
-        if (rawListings.length < 3) {
-            console.log('⚠️ Only found', rawListings.length, 'specific results. Trying broader search...');
-            rawListings = await getCachedListings(broadQuery, 20);
-            console.log('✅ Found', rawListings.length, 'results with broader search');
+        if (gradeListings.length < 3) {
+            console.log(`⚠️ Only found ${gradeListings.length} specific ${grade} results. Trying broader...`);
+            const broadGradeQuery = `${broadQuery} ${grade}`;
+            gradeListings = await getCachedListings(broadGradeQuery, 10, grade);
+            console.log(`✅ Found ${gradeListings.length} ${grade} results with broader search`);
         } else {
-            console.log('✅ Found', rawListings.length, 'results with specific search');
+            console.log(`✅ Found ${gradeListings.length} specific ${grade} results`);
         }
         
-        const rawPrices = rawListings
+        const gradePrices = gradeListings
             .map(item => item.price)
-            .filter(p => p > 0 && p < 1000); // Filter obvious outliers
+            .filter(p => p > 0 && p < 5000); // Higher ceiling for graded
         
-        // Remove outliers using IQR method
-        const removeOutliers = (prices) => {
-            if (prices.length < 4) return prices;
-            
-            const sorted = [...prices].sort((a, b) => a - b);
-            const q1 = sorted[Math.floor(sorted.length * 0.25)];
-            const q3 = sorted[Math.floor(sorted.length * 0.75)];
-            const iqr = q3 - q1;
-            const lowerBound = q1 - (1.5 * iqr);
-            const upperBound = q3 + (1.5 * iqr);
-            
-            return prices.filter(p => p >= lowerBound && p <= upperBound);
-        };
+        const cleanGradePrices = removeOutliers(gradePrices);
         
-        const cleanRawPrices = removeOutliers(rawPrices);
+        const gradingCost = 25; // PSA standard grading cost
         
-        const rawValue = {
-            avg: cleanRawPrices.length > 0 
-                ? cleanRawPrices.reduce((a, b) => a + b, 0) / cleanRawPrices.length 
+        gradedValues[grade] = {
+            avg: cleanGradePrices.length > 0 
+                ? cleanGradePrices.reduce((a, b) => a + b, 0) / cleanGradePrices.length 
                 : 0,
-            low: cleanRawPrices.length > 0 ? Math.min(...cleanRawPrices) : 0,
-            high: cleanRawPrices.length > 0 ? Math.max(...cleanRawPrices) : 0,
-            sampleSize: cleanRawPrices.length
+            low: cleanGradePrices.length > 0 ? Math.min(...cleanGradePrices) : 0,
+            high: cleanGradePrices.length > 0 ? Math.max(...cleanGradePrices) : 0,
+            sampleSize: cleanGradePrices.length,
+            gradingCost: gradingCost,
+            profit: cleanGradePrices.length > 0 
+                ? (cleanGradePrices.reduce((a, b) => a + b, 0) / cleanGradePrices.length) - rawValue.avg - gradingCost
+                : -gradingCost,
+            roi: rawValue.avg > 0 && cleanGradePrices.length > 0
+                ? (((cleanGradePrices.reduce((a, b) => a + b, 0) / cleanGradePrices.length) - rawValue.avg - gradingCost) / rawValue.avg) * 100
+                : 0
         };
         
-        console.log('✅ Raw value:', rawValue);
-        
-        // Search for PSA 10, 9, 8 prices - LIMIT TO 10 EACH
-        const grades = ['PSA 10', 'PSA 9', 'PSA 8'];
-        const gradedValues = {};
-        
-        for (const grade of grades) {
-            console.log(`📊 Fetching ${grade} prices (specific search)...`);
-            const gradeQuery = `${baseQuery} ${grade}`;
-            let gradeListings = await getCachedListings(gradeQuery, 10, grade);
-            
-            // If too few results, try broader search
-            if (gradeListings.length < 3) {
-                console.log(`⚠️ Only found ${gradeListings.length} specific ${grade} results. Trying broader...`);
-                const broadGradeQuery = `${broadQuery} ${grade}`;
-                gradeListings = await getCachedListings(broadGradeQuery, 10, grade);
-                console.log(`✅ Found ${gradeListings.length} ${grade} results with broader search`);
-            } else {
-                console.log(`✅ Found ${gradeListings.length} specific ${grade} results`);
-            }
-            
-            const gradePrices = gradeListings
-                .map(item => item.price)
-                .filter(p => p > 0 && p < 5000); // Higher ceiling for graded
-            
-            const cleanGradePrices = removeOutliers(gradePrices);
-            
-            const gradingCost = 25; // PSA standard grading cost
-            
-            gradedValues[grade] = {
-                avg: cleanGradePrices.length > 0 
-                    ? cleanGradePrices.reduce((a, b) => a + b, 0) / cleanGradePrices.length 
-                    : 0,
-                low: cleanGradePrices.length > 0 ? Math.min(...cleanGradePrices) : 0,
-                high: cleanGradePrices.length > 0 ? Math.max(...cleanGradePrices) : 0,
-                sampleSize: cleanGradePrices.length,
-                gradingCost: gradingCost,
-                profit: cleanGradePrices.length > 0 
-                    ? (cleanGradePrices.reduce((a, b) => a + b, 0) / cleanGradePrices.length) - rawValue.avg - gradingCost
-                    : -gradingCost,
-                roi: rawValue.avg > 0 && cleanGradePrices.length > 0
-                    ? (((cleanGradePrices.reduce((a, b) => a + b, 0) / cleanGradePrices.length) - rawValue.avg - gradingCost) / rawValue.avg) * 100
-                    : 0
-            };
-            
-            console.log(`✅ ${grade}:`, gradedValues[grade]);
+        console.log(`✅ ${grade}:`, gradedValues[grade]);
+    }
+    
+    // Determine best grade and recommendation
+    const profitableGrades = Object.entries(gradedValues)
+        .filter(([_, data]) => data.profit > 0)
+        .sort((a, b) => b[1].profit - a[1].profit);
+    
+    const bestGrade = profitableGrades.length > 0 ? profitableGrades[0][0] : null;
+    const bestProfit = profitableGrades.length > 0 ? profitableGrades[0][1].profit : 0;
+    
+    let recommendation = 'DONT_GRADE';
+    let recommendationText = "Don't grade. The potential profit doesn't justify the grading cost.";
+    
+    if (bestProfit > 50) {
+        recommendation = 'GRADE';
+        recommendationText = `Strong grading candidate! ${bestGrade} could net you $${bestProfit.toFixed(2)} profit.`;
+    } else if (bestProfit > 20) {
+        recommendation = 'CONSIDER';
+        recommendationText = `Consider grading if confident in ${bestGrade}. Potential profit: $${bestProfit.toFixed(2)}.`;
+    }
+    
+    console.log('🎯 Recommendation:', recommendation);
+    
+    const analysis = {
+        rawValue,
+        grades: gradedValues,
+        bestGrade,
+        recommendation,
+        recommendationText,
+        psaSubmitUrl: 'https://www.psacard.com/submissions'
+    };
+    
+    // CACHE THE FINAL ANALYSIS (24 hours)
+    await db.query(
+        `INSERT INTO ebay_cache (search_query, results, expires_at) 
+         VALUES ($1, $2, NOW() + INTERVAL '24 hours')
+         ON CONFLICT (search_query) DO UPDATE SET results = $2, expires_at = NOW() + INTERVAL '24 hours'`,
+        [cacheKey, JSON.stringify(analysis)]
+    );
+    
+    // Cached results were snapshotted when they were first fetched
+    await recordPriceSnapshot({
+        cardId: card.id,
+        userId: card.user_id,
+        source: 'grading_analysis',
+        marketValue: rawValue.avg,
+        ebayLow: rawValue.low,
+        ebayAvg: rawValue.avg,
+        ebayHigh: rawValue.high,
+        sampleSize: rawValue.sampleSize,
+        searchQuery: baseQuery,
+        details: {
+            grades: Object.fromEntries(
+                Object.entries(gradedValues).map(([grade, data]) => [grade, { avg: data.avg, sampleSize: data.sampleSize }])
+            ),
+            recommendation
         }
+    });
+
+    return { analysis, cached: false };
+}
+
+router.get('/grading-analysis/:cardId', authenticateToken, async (req, res) => {
+    try {
+        const { cardId } = req.params;
+        const forceRefresh = req.query.refresh === 'true';
         
-        // Determine best grade and recommendation
-        const profitableGrades = Object.entries(gradedValues)
-            .filter(([_, data]) => data.profit > 0)
-            .sort((a, b) => b[1].profit - a[1].profit);
-        
-        const bestGrade = profitableGrades.length > 0 ? profitableGrades[0][0] : null;
-        const bestProfit = profitableGrades.length > 0 ? profitableGrades[0][1].profit : 0;
+        console.log('💎 Starting grading analysis for card:', cardId);
         
-        let recommendation = 'DONT_GRADE';
-        let recommendationText = "Don't grade. The potential profit doesn't justify the grading cost.";
+        // Get card from database
+        const cardResult = await db.query(
+            'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
+            [cardId, req.user.userId]
+        );
         
-        if (bestProfit > 50) {
-            recommendation = 'GRADE';
-            recommendationText = `Strong grading candidate! ${bestGrade} could net you $${bestProfit.toFixed(2)} profit.`;
-        } else if (bestProfit > 20) {
-            recommendation = 'CONSIDER';
-            recommendationText = `Consider grading if confident in ${bestGrade}. Potential profit: $${bestProfit.toFixed(2)}.`;
+        if (cardResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Card not found' });
         }
         
-        console.log('🎯 Recommendation:', recommendation);
-        
-        const analysis = {
-            rawValue,
-            grades: gradedValues,
-            bestGrade,
-            recommendation,
-            recommendationText,
-            psaSubmitUrl: 'https://www.psacard.com/submissions'
-        };
+        // ?async=true - run in the background and poll /api/jobs/:id
+        if (req.query.async === 'true') {
+            const job = await jobQueue.enqueue('ebay.grading_analysis', {
+                cardIds: [cardResult.rows[0].id],
+                forceRefresh
+            }, { userId: req.user.userId, total: 1 });
+            
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`
+            });
+        }
         
-        // CACHE THE FINAL ANALYSIS (24 hours)
-        await db.query(
-            `INSERT INTO ebay_cache (search_query, results, expires_at) 
-             VALUES ($1, $2, NOW() + INTERVAL '24 hours')
-             ON CONFLICT (search_query) DO UPDATE SET results = $2, expires_at = NOW() + INTERVAL '24 hours'`,
-            [cacheKey, JSON.stringify(analysis)]
-        );
+        const { analysis, cached } = await runGradingAnalysis(cardResult.rows[0], { forceRefresh });
         
         res.json({
             success: true,
             analysis,
-            cached: false
+            cached
         });
         
     } catch (error) {
@@ -566,6 +615,37 @@ router.get('/grading-analysis/:cardId', authenticateToken, async (req, res) => {
     }
 });
 
+// Bulk grading analysis - always a background job
+router.post('/grading-analysis', authenticateToken, async (req, res) => {
+    try {
+        const { cardIds, forceRefresh = false } = req.body;
+        
+        if (!Array.isArray(cardIds) || cardIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'cardIds must be a non-empty array' });
+        }
+        
+        if (cardIds.length > 100) {
+            return res.status(400).json({ success: false, error: 'Maximum 100 cards per analysis' });
+        }
+        
+        const job = await jobQueue.enqueue('ebay.grading_analysis', {
+            cardIds,
+            forceRefresh: forceRefresh === true
+        }, { userId: req.user.userId, total: cardIds.length });
+        
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`
+        });
+        
+    } catch (error) {
+        console.error('❌ Bulk grading analysis error:', error);
+        res.status(500).json({ success: false, error: 'Failed to queue grading analysis' });
+    }
+});
+
 // Get SOLD listings
 router.get('/sold-comps/:cardId', authenticateToken, async (req, res) => {
     try {
@@ -1191,6 +1271,11 @@ ${card.team ? `🏟️ Team: ${card.team}\n` : ''}
         INSERT INTO ebay_listings_log (user_id, card_id, action, status, error_message)
         VALUES ($1, $2, 'create_listing', 'failed', $3)
       `, [req.user.userId, cardId, result.error]);
+
+      notifyUser(req.user.userId, 'ebay_listing_failed', {
+        cardId,
+        error: result.error
+      }, { caller: 'ebay.create-listing' });
       
       return res.status(400).json({
         success: false,
@@ -1340,49 +1425,8 @@ router.get('/fix-policies', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/bulk-create-listings', authenticateToken, async (req, res) => {
-  try {
-    const { 
-      cardIds, 
-      globalSettings = {},
-      perCardSettings = {} 
-    } = req.body;
-    
-    console.log(`🏷️ Bulk creating ${cardIds.length} eBay listings...`);
-    
-    // 🔥 TIER LIMITS CHECK (also get eBay token)
-    const userResult = await db.query(
-      'SELECT subscription_tier, ebay_listings_used, ebay_listings_reset_date, ebay_seller_token FROM users WHERE id = $1',
-      [req.user.userId]
-    );
-    
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    const user = userResult.rows[0];
-    const tier = user.subscription_tier || 'free';
-    let ebayListingsUsed = user.ebay_listings_used || 0;
-    const resetDate = user.ebay_listings_reset_date ? new Date(user.ebay_listings_reset_date) : null;
-    
-    // Check if we need to reset monthly counter
-    const now = new Date();
-    if (!resetDate || now > resetDate) {
-      // Reset counter
-      const nextReset = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-      await db.query(
-        'UPDATE users SET ebay_listings_used = 0, ebay_listings_reset_date = $1 WHERE id = $2',
-        [nextReset, req.user.userId]
-      );
-      ebayListingsUsed = 0;
-      console.log(`🔄 Reset eBay listing counter for user ${req.user.userId}`);
-    }
-    
-    // Tier limits: { batchLimit, monthlyLimit }
-    const tierLimits = {
+// Bulk listing limits per tier: { batch, monthly }
+const LISTING_TIER_LIMITS = {
   free: { batch: 10, monthly: 50 },
   power: { batch: 25, monthly: 150 },
   dealer: { batch: 100, monthly: 999999 },
@@ -1391,131 +1435,82 @@ router.post('/bulk-create-listings', authenticateToken, async (req, res) => {
   pro: { batch: 100, monthly: 999999 },
   premium: { batch: 100, monthly: 999999 }
 };
-    
-    const limits = tierLimits[tier] || tierLimits.free;
-    
-    // Check batch limit
-    if (cardIds.length > limits.batch) {
-      return res.status(403).json({
-        success: false,
-        error: `Your ${tier} plan allows listing ${limits.batch} cards at once. You selected ${cardIds.length} cards.`,
-        errorType: 'BATCH_LIMIT',
-        tier: tier,
-        batchLimit: limits.batch,
-        attempted: cardIds.length,
-        upgradeMessage: tier === 'free' 
-          ? 'Upgrade to Starter ($9/mo) to list 15 cards at once!'
-          : tier === 'starter'
-          ? 'Upgrade to Pro ($29/mo) to list 50 cards at once!'
-          : 'Upgrade to Premium for unlimited bulk listing!'
-      });
-    }
-    
-    // Check monthly limit
-    if (ebayListingsUsed + cardIds.length > limits.monthly) {
-      const remaining = limits.monthly - ebayListingsUsed;
-      return res.status(403).json({
-        success: false,
-        error: `Monthly limit reached. You have ${remaining} listings remaining this month (${tier} plan: ${limits.monthly}/month).`,
-        errorType: 'MONTHLY_LIMIT',
-        tier: tier,
-        monthlyLimit: limits.monthly,
-        used: ebayListingsUsed,
-        remaining: remaining,
-        attempted: cardIds.length,
-        upgradeMessage: tier === 'free'
-          ? 'Upgrade to Starter ($9/mo) for 150 listings/month!'
-          : tier === 'starter'
-          ? 'Upgrade to Pro ($29/mo) for 750 listings/month!'
-          : 'Upgrade to Premium for unlimited listings!'
-      });
+
+/**
+ * Take one listing from the user's monthly allowance, false once it's used up.
+ * Taken per card as it's listed, so queued bulk jobs can't add up past the limit.
+ */
+async function reserveListing(userId, monthlyLimit) {
+  const result = await db.query(
+    `UPDATE users SET ebay_listings_used = COALESCE(ebay_listings_used, 0) + 1
+     WHERE id = $1 AND COALESCE(ebay_listings_used, 0) < $2
+     RETURNING id`,
+    [userId, monthlyLimit]
+  );
+  return result.rows.length > 0;
+}
+
+// Give back a reserved listing that didn't go up
+async function releaseListing(userId) {
+  await db.query(
+    'UPDATE users SET ebay_listings_used = GREATEST(ebay_listings_used - 1, 0) WHERE id = $1',
+    [userId]
+  );
+}
+
+/**
+ * List a batch of cards on eBay at a fixed price. Runs inline for /bulk-create-listings
+ * and as the 'ebay.bulk_create_listings' background job.
+ * @param {number} userId
+ * @param {{ cardIds: number[], globalSettings?: object, perCardSettings?: object }} batch
+ * @param {{ accessToken?: string, userSettings?: object, onProgress?: Function, isCancelled?: Function, skipListed?: boolean }} [options]
+ * @returns {Promise<{ success: object[], failed: object[] }>}
+ */
+async function runBulkListings(userId, { cardIds, globalSettings = {}, perCardSettings = {} }, options = {}) {
+    const { onProgress, isCancelled, skipListed = false } = options;
+    const ebay_seller_token = options.accessToken || await getUserEbayToken(userId);
+
+    let userSettings = options.userSettings;
+    if (!userSettings) {
+      const userSettingsResult = await db.query(`
+        SELECT 
+          ebay_ship_from_city,
+          ebay_ship_from_state,
+          ebay_ship_from_zip,
+          ebay_ship_from_country,
+          default_shipping_cost,
+          default_shipping_service,
+          default_handling_time,
+          enable_free_shipping,
+          free_shipping_threshold,
+          default_returns_accepted,
+          default_return_period
+        FROM users 
+        WHERE id = $1
+      `, [userId]);
+      userSettings = userSettingsResult.rows[0];
     }
-    
-    console.log(`✅ Tier check passed: ${tier} plan (${ebayListingsUsed}/${limits.monthly} used this month)`);
-    
-    // 🔥 CHECK BUSINESS POLICIES (NEW!)
-    console.log('🏪 Checking business policies...');
-    const policiesCheck = await db.query(
-      'SELECT ebay_payment_policy_id, ebay_return_policy_id, ebay_fulfillment_policy_id FROM users WHERE id = $1',
-      [req.user.userId]
-    );
-    
-    const policies = policiesCheck.rows[0];
-    
-    if (!policies.ebay_payment_policy_id || !policies.ebay_return_policy_id || !policies.ebay_fulfillment_policy_id) {
-      console.log('❌ Business policies not set up');
-      return res.status(400).json({
-        success: false,
-        error: 'eBay business policies not configured',
-        errorType: 'MISSING_POLICIES',
-        message: 'Please disconnect and reconnect your eBay account to auto-create business policies',
-        action: 'RECONNECT_EBAY'
-      });
-    }
-    
-    console.log('✅ Business policies found:', {
-      payment: policies.ebay_payment_policy_id,
-      return: policies.ebay_return_policy_id,
-      fulfillment: policies.ebay_fulfillment_policy_id
-    });
-    
-    // Get user's OAuth token with auto-refresh
-    let ebay_seller_token;
-    try {
-      ebay_seller_token = await getUserEbayToken(req.user.userId);
-      console.log('🔑 Using user OAuth token for listing');
-    } catch (error) {
-      console.error('❌ Failed to get eBay token:', error.message);
-      return res.status(401).json({
-        success: false,
-        error: 'eBay seller account not connected',
-        needsAuth: true
-      });
-    }
-    
-    // Get user's shipping settings
-    const userSettingsResult = await db.query(`
-      SELECT 
-        ebay_ship_from_city,
-        ebay_ship_from_state,
-        ebay_ship_from_zip,
-        ebay_ship_from_country,
-        default_shipping_cost,
-        default_shipping_service,
-        default_handling_time,
-        enable_free_shipping,
-        free_shipping_threshold,
-        default_returns_accepted,
-        default_return_period
-      FROM users 
-      WHERE id = $1
-    `, [req.user.userId]);
-
-    const userSettings = userSettingsResult.rows[0];
-
-    // Validate shipping address
-    if (!userSettings.ebay_ship_from_city || !userSettings.ebay_ship_from_state || !userSettings.ebay_ship_from_zip) {
-      return res.status(400).json({
-        success: false,
-        error: 'Shipping location not configured. Please add your shipping address in Settings.',
-        errorType: 'MISSING_LOCATION'
-      });
-    }
-
-    console.log('✅ User shipping settings loaded');
-    
-    const results = {
-      success: [],
-      failed: []
-    };
+
+    const tierResult = await db.query('SELECT subscription_tier FROM users WHERE id = $1', [userId]);
+    const tier = tierResult.rows[0] && tierResult.rows[0].subscription_tier;
+    const monthlyLimit = (LISTING_TIER_LIMITS[tier] || LISTING_TIER_LIMITS.free).monthly;
+
+    const results = {
+      success: [],
+      failed: []
+    };
     
     // Process each card
-    for (const cardId of cardIds) {
+    for (const [index, cardId] of cardIds.entries()) {
+      if (isCancelled && isCancelled()) break;
+      if (onProgress) await onProgress(index, cardIds.length, `Listing card ${index + 1} of ${cardIds.length}`);
+
+      let reserved = false;
       try {
         // Get card
         const cardResult = await db.query(
           'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
-          [cardId, req.user.userId]
+          [cardId, userId]
         );
         
         if (cardResult.rows.length === 0) {
@@ -1527,7 +1522,27 @@ router.post('/bulk-create-listings', authenticateToken, async (req, res) => {
         }
         
         const card = cardResult.rows[0];
+
+        // A retried job must not list the same card twice
+        if (skipListed && card.ebay_listing_status === 'active' && card.ebay_listing_id) {
+          results.success.push({
+            cardId,
+            listingUrl: card.ebay_listing_url,
+            listingId: card.ebay_listing_id,
+            alreadyListed: true
+          });
+          continue;
+        }
         
+        reserved = await reserveListing(userId, monthlyLimit);
+        if (!reserved) {
+          results.failed.push({
+            cardId,
+            error: `Monthly eBay listing limit reached (${monthlyLimit} listings)`
+          });
+          continue;
+        }
+
         // Merge settings (per-card overrides global)
         const cardSettings = perCardSettings[cardId] || {};
 
@@ -1642,6 +1657,9 @@ Shipped securely in protective sleeve. Fast shipping!
         });
         
         if (result.success) {
+          // It's live on eBay - the reservation is spent
+          reserved = false;
+
           // Update card
           await db.query(`
             UPDATE cards 
@@ -1672,7 +1690,7 @@ Shipped securely in protective sleeve. Fast shipping!
               metadata
             ) VALUES ($1, $2, 'bulk_create', 'success', $3, $4, $5, $6, $7)
           `, [
-            req.user.userId,
+            userId,
             cardId,
             result.listingId,
             result.sku,
@@ -1693,7 +1711,7 @@ Shipped securely in protective sleeve. Fast shipping!
           await db.query(`
             INSERT INTO ebay_listings_log (user_id, card_id, action, status, error_message)
             VALUES ($1, $2, 'bulk_create', 'failed', $3)
-          `, [req.user.userId, cardId, result.error]);
+          `, [userId, cardId, result.error]);
           
           results.failed.push({
             cardId,
@@ -1713,17 +1731,202 @@ Shipped securely in protective sleeve. Fast shipping!
           error: error.message
         });
       }
+
+      if (reserved) await releaseListing(userId);
     }
     
-    // Update monthly usage counter
-    await db.query(
-      'UPDATE users SET ebay_listings_used = ebay_listings_used + $1 WHERE id = $2',
-      [results.success.length, req.user.userId]
+    console.log(`✅ Bulk listing complete: ${results.success.length} success, ${results.failed.length} failed`);
+
+    if (results.failed.length > 0) {
+      notifyUser(userId, 'ebay_listing_failed', {
+        failedCount: results.failed.length,
+        cardIds: results.failed.map(f => f.cardId),
+        error: results.failed.length === 1
+          ? results.failed[0].error
+          : `${results.failed.length} of ${cardIds.length} cards could not be listed on eBay`
+      }, { caller: 'ebay.bulk-create-listings' });
+    }
+
+    if (onProgress) await onProgress(cardIds.length, cardIds.length, 'Done');
+
+    return results;
+}
+
+router.post('/bulk-create-listings', authenticateToken, async (req, res) => {
+  try {
+    const { 
+      cardIds, 
+      globalSettings = {},
+      perCardSettings = {} 
+    } = req.body;
+    
+    console.log(`🏷️ Bulk creating ${cardIds.length} eBay listings...`);
+    
+    // 🔥 TIER LIMITS CHECK (also get eBay token)
+    const userResult = await db.query(
+      'SELECT subscription_tier, ebay_listings_used, ebay_listings_reset_date, ebay_seller_token FROM users WHERE id = $1',
+      [req.user.userId]
     );
     
-    console.log(`📊 Updated usage: ${ebayListingsUsed + results.success.length}/${limits.monthly}`);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
     
-    console.log(`✅ Bulk listing complete: ${results.success.length} success, ${results.failed.length} failed`);
+    const user = userResult.rows[0];
+    const tier = user.subscription_tier || 'free';
+    let ebayListingsUsed = user.ebay_listings_used || 0;
+    const resetDate = user.ebay_listings_reset_date ? new Date(user.ebay_listings_reset_date) : null;
+    
+    // Check if we need to reset monthly counter
+    const now = new Date();
+    if (!resetDate || now > resetDate) {
+      // Reset counter
+      const nextReset = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+      await db.query(
+        'UPDATE users SET ebay_listings_used = 0, ebay_listings_reset_date = $1 WHERE id = $2',
+        [nextReset, req.user.userId]
+      );
+      ebayListingsUsed = 0;
+      console.log(`🔄 Reset eBay listing counter for user ${req.user.userId}`);
+    }
+    
+    
+    const limits = LISTING_TIER_LIMITS[tier] || LISTING_TIER_LIMITS.free;
+    
+    // Check batch limit
+    if (cardIds.length > limits.batch) {
+      return res.status(403).json({
+        success: false,
+        error: `Your ${tier} plan allows listing ${limits.batch} cards at once. You selected ${cardIds.length} cards.`,
+        errorType: 'BATCH_LIMIT',
+        tier: tier,
+        batchLimit: limits.batch,
+        attempted: cardIds.length,
+        upgradeMessage: tier === 'free' 
+          ? 'Upgrade to Starter ($9/mo) to list 15 cards at once!'
+          : tier === 'starter'
+          ? 'Upgrade to Pro ($29/mo) to list 50 cards at once!'
+          : 'Upgrade to Premium for unlimited bulk listing!'
+      });
+    }
+    
+    // Check monthly limit
+    if (ebayListingsUsed + cardIds.length > limits.monthly) {
+      const remaining = limits.monthly - ebayListingsUsed;
+      return res.status(403).json({
+        success: false,
+        error: `Monthly limit reached. You have ${remaining} listings remaining this month (${tier} plan: ${limits.monthly}/month).`,
+        errorType: 'MONTHLY_LIMIT',
+        tier: tier,
+        monthlyLimit: limits.monthly,
+        used: ebayListingsUsed,
+        remaining: remaining,
+        attempted: cardIds.length,
+        upgradeMessage: tier === 'free'
+          ? 'Upgrade to Starter ($9/mo) for 150 listings/month!'
+          : tier === 'starter'
+          ? 'Upgrade to Pro ($29/mo) for 750 listings/month!'
+          : 'Upgrade to Premium for unlimited listings!'
+      });
+    }
+    
+    console.log(`✅ Tier check passed: ${tier} plan (${ebayListingsUsed}/${limits.monthly} used this month)`);
+    
+    // 🔥 CHECK BUSINESS POLICIES (NEW!)
+    console.log('🏪 Checking business policies...');
+    const policiesCheck = await db.query(
+      'SELECT ebay_payment_policy_id, ebay_return_policy_id, ebay_fulfillment_policy_id FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    
+    const policies = policiesCheck.rows[0];
+    
+    if (!policies.ebay_payment_policy_id || !policies.ebay_return_policy_id || !policies.ebay_fulfillment_policy_id) {
+      console.log('❌ Business policies not set up');
+      return res.status(400).json({
+        success: false,
+        error: 'eBay business policies not configured',
+        errorType: 'MISSING_POLICIES',
+        message: 'Please disconnect and reconnect your eBay account to auto-create business policies',
+        action: 'RECONNECT_EBAY'
+      });
+    }
+    
+    console.log('✅ Business policies found:', {
+      payment: policies.ebay_payment_policy_id,
+      return: policies.ebay_return_policy_id,
+      fulfillment: policies.ebay_fulfillment_policy_id
+    });
+    
+    // Get user's OAuth token with auto-refresh
+    let ebay_seller_token;
+    try {
+      ebay_seller_token = await getUserEbayToken(req.user.userId);
+      console.log('🔑 Using user OAuth token for listing');
+    } catch (error) {
+      console.error('❌ Failed to get eBay token:', error.message);
+      return res.status(401).json({
+        success: false,
+        error: 'eBay seller account not connected',
+        needsAuth: true
+      });
+    }
+    
+    // Get user's shipping settings
+    const userSettingsResult = await db.query(`
+      SELECT 
+        ebay_ship_from_city,
+        ebay_ship_from_state,
+        ebay_ship_from_zip,
+        ebay_ship_from_country,
+        default_shipping_cost,
+        default_shipping_service,
+        default_handling_time,
+        enable_free_shipping,
+        free_shipping_threshold,
+        default_returns_accepted,
+        default_return_period
+      FROM users 
+      WHERE id = $1
+    `, [req.user.userId]);
+
+    const userSettings = userSettingsResult.rows[0];
+
+    // Validate shipping address
+    if (!userSettings.ebay_ship_from_city || !userSettings.ebay_ship_from_state || !userSettings.ebay_ship_from_zip) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shipping location not configured. Please add your shipping address in Settings.',
+        errorType: 'MISSING_LOCATION'
+      });
+    }
+
+    console.log('✅ User shipping settings loaded');
+    
+    if (req.body.async) {
+      const job = await jobQueue.enqueue('ebay.bulk_create_listings', {
+        cardIds,
+        globalSettings,
+        perCardSettings
+      }, { userId: req.user.userId, total: cardIds.length });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    }
+
+    const results = await runBulkListings(req.user.userId, { cardIds, globalSettings, perCardSettings }, {
+      accessToken: ebay_seller_token,
+      userSettings
+    });
+
+    console.log(`📊 Updated usage: ${ebayListingsUsed + results.success.length}/${limits.monthly}`);
     
     res.json({
       success: true,
@@ -2205,60 +2408,40 @@ router.post('/create-auction', authenticateToken, async (req, res) => {
 // ═══════════════════════════════════════════════════════
 // 🔨 BULK CREATE AUCTION LISTINGS
 // ═══════════════════════════════════════════════════════
-router.post('/bulk-create-auctions', authenticateToken, async (req, res) => {
-  try {
-    console.log('🔨 POST /bulk-create-auctions - Creating multiple auctions...');
-    
-    const { auctions } = req.body; // Array of auction objects
-
-    if (!Array.isArray(auctions) || auctions.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'auctions must be a non-empty array'
-      });
-    }
-
-    console.log(`📦 Creating ${auctions.length} auction listings...`);
-
-    // Get user's eBay token with auto-refresh
-    let accessToken;
-    try {
-      accessToken = await getUserEbayToken(req.user.userId);
-      console.log('🔑 Using user OAuth token (auto-refreshed if needed)');
-    } catch (error) {
-      console.error('❌ Failed to get eBay token:', error.message);
-      return res.status(401).json({
-        success: false,
-        error: 'eBay seller account not connected',
-        needsAuth: true
-      });
-    }
-
-    // Get user settings (shipping location)
-    const userResult = await db.query(
-      'SELECT ebay_ship_from_city, ebay_ship_from_state, ebay_ship_from_zip, ebay_ship_from_country FROM users WHERE id = $1',
-      [req.user.userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+/**
+ * Create a batch of auction listings. Runs inline for /bulk-create-auctions
+ * and as the 'ebay.bulk_create_auctions' background job.
+ * @param {number} userId
+ * @param {object[]} auctions
+ * @param {{ accessToken?: string, userData?: object, onProgress?: Function, isCancelled?: Function, skipListed?: boolean }} [options]
+ * @returns {Promise<object[]>} One { cardId, success, listingUrl, error } per auction
+ */
+async function runBulkAuctions(userId, auctions, options = {}) {
+    const { onProgress, isCancelled, skipListed = false } = options;
+    const accessToken = options.accessToken || await getUserEbayToken(userId);
+
+    let userData = options.userData;
+    if (!userData) {
+      const userResult = await db.query(
+        'SELECT ebay_ship_from_city, ebay_ship_from_state, ebay_ship_from_zip, ebay_ship_from_country FROM users WHERE id = $1',
+        [userId]
+      );
+      userData = userResult.rows[0] || {};
     }
 
-    const userData = userResult.rows[0]; // 🔥 THIS WAS MISSING!
-
     const results = [];
     
-    for (const auction of auctions) {
+    for (const [index, auction] of auctions.entries()) {
+      if (isCancelled && isCancelled()) break;
+      if (onProgress) await onProgress(index, auctions.length, `Creating auction ${index + 1} of ${auctions.length}`);
+
       try {
         const { cardId, title, description, startPrice, reservePrice, buyItNowPrice, duration, shippingCost } = auction;
 
         // Get card
         const cardResult = await db.query(
           'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
-          [cardId, req.user.userId]
+          [cardId, userId]
         );
 
         if (cardResult.rows.length === 0) {
@@ -2268,6 +2451,12 @@ router.post('/bulk-create-auctions', authenticateToken, async (req, res) => {
 
         const card = cardResult.rows[0];
 
+        // A retried job must not list the same card twice
+        if (skipListed && card.ebay_listing_id && card.ebay_listing_status === 'active') {
+          results.push({ cardId, success: true, listingUrl: card.ebay_listing_url, alreadyListed: true });
+          continue;
+        }
+
         // Build listing data
         const listingData = {
           card,
@@ -2342,6 +2531,71 @@ router.post('/bulk-create-auctions', authenticateToken, async (req, res) => {
       }
     }
 
+    if (onProgress) await onProgress(auctions.length, auctions.length, 'Done');
+
+    return results;
+}
+
+router.post('/bulk-create-auctions', authenticateToken, async (req, res) => {
+  try {
+    console.log('🔨 POST /bulk-create-auctions - Creating multiple auctions...');
+    
+    const { auctions } = req.body; // Array of auction objects
+
+    if (!Array.isArray(auctions) || auctions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'auctions must be a non-empty array'
+      });
+    }
+
+    console.log(`📦 Creating ${auctions.length} auction listings...`);
+
+    // Get user's eBay token with auto-refresh
+    let accessToken;
+    try {
+      accessToken = await getUserEbayToken(req.user.userId);
+      console.log('🔑 Using user OAuth token (auto-refreshed if needed)');
+    } catch (error) {
+      console.error('❌ Failed to get eBay token:', error.message);
+      return res.status(401).json({
+        success: false,
+        error: 'eBay seller account not connected',
+        needsAuth: true
+      });
+    }
+
+    // Get user settings (shipping location)
+    const userResult = await db.query(
+      'SELECT ebay_ship_from_city, ebay_ship_from_state, ebay_ship_from_zip, ebay_ship_from_country FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const userData = userResult.rows[0]; // 🔥 THIS WAS MISSING!
+
+    if (req.body.async) {
+      const job = await jobQueue.enqueue('ebay.bulk_create_auctions', { auctions }, {
+        userId: req.user.userId,
+        total: auctions.length
+      });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    }
+
+    const results = await runBulkAuctions(req.user.userId, auctions, { accessToken, userData });
+
     const successCount = results.filter(r => r.success).length;
     console.log(`✅ Created ${successCount}/${auctions.length} auctions`);
 
@@ -2593,4 +2847,73 @@ router.post('/create-lot-listing', authenticateToken, async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════
+// ⚙️ BACKGROUND JOBS (see modules/jobs)
+// ═══════════════════════════════════════════════════════
+
+jobQueue.registerHandler('ebay.bulk_create_listings', async (payload, ctx) => {
+  const results = await runBulkListings(ctx.userId, payload, {
+    onProgress: ctx.progress,
+    isCancelled: ctx.isCancelled,
+    skipListed: ctx.attempt > 1
+  });
+
+  return {
+    total: payload.cardIds.length,
+    succeeded: results.success.length,
+    failed: results.failed.length,
+    details: {
+      succeeded: results.success,
+      failed: results.failed
+    }
+  };
+});
+
+jobQueue.registerHandler('ebay.bulk_create_auctions', async (payload, ctx) => {
+  const results = await runBulkAuctions(ctx.userId, payload.auctions, {
+    onProgress: ctx.progress,
+    isCancelled: ctx.isCancelled,
+    skipListed: ctx.attempt > 1
+  });
+  const successCount = results.filter(r => r.success).length;
+
+  return {
+    results,
+    summary: {
+      total: payload.auctions.length,
+      successful: successCount,
+      failed: results.length - successCount
+    }
+  };
+});
+
+jobQueue.registerHandler('ebay.grading_analysis', async ({ cardIds, forceRefresh = false }, ctx) => {
+  const results = [];
+
+  for (const [index, cardId] of cardIds.entries()) {
+    if (ctx.isCancelled()) break;
+    await ctx.progress(index, cardIds.length, `Analyzing card ${index + 1} of ${cardIds.length}`);
+
+    const cardResult = await db.query(
+      'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
+      [cardId, ctx.userId]
+    );
+
+    if (cardResult.rows.length === 0) {
+      results.push({ cardId, success: false, error: 'Card not found' });
+      continue;
+    }
+
+    try {
+      const { analysis, cached } = await runGradingAnalysis(cardResult.rows[0], { forceRefresh });
+      results.push({ cardId, success: true, analysis, cached });
+    } catch (error) {
+      results.push({ cardId, success: false, error: error.message });
+    }
+  }
+
+  await ctx.progress(cardIds.length, cardIds.length, 'Done');
+  return { results };
+});
+
 module.exports = router;
@@ -1,10 +1,8 @@
 /**
- * Password Reset Email Stub
+ * Password Reset Email
+ * Delegates to the shared mail service in modules/email
  */
 
-module.exports = {
-  sendPasswordResetEmail: async (email, resetToken) => {
-    console.log('📧 Password reset email (stub) to:', email);
-    return { success: true, messageId: 'stub_' + Date.now() };
-  }
-};
+const { sendPasswordResetEmail } = require('../../email/services/email-service');
+
+module.exports = { sendPasswordResetEmail };
@@ -0,0 +1,6 @@
+/**
+ * Price History
+ * Delegates to the shared card price snapshots in modules/inventory
+ */
+
+module.exports = require('../../inventory/services/price-history');
@@ -0,0 +1,265 @@
+/**
+ * Scheduled Price Refresh
+ *
+ * Re-prices stale cards from recent eBay sales on a node-cron schedule
+ * (startPriceRefreshScheduler, started in server.js). Each run picks the most
+ * valuable, longest-unchecked cards first, stays inside each owner's daily
+ * tier budget and a global per-run cap, and records every card it touches in
+ * card_price_refreshes.
+ */
+
+const cron = require('node-cron');
+const db = require('../database/db');
+const { recordPriceSnapshot } = require('./price-history');
+
+// Per-tier eBay API budget: { dailyCalls, staleAfterHours }
+const REFRESH_TIERS = {
+  free: { dailyCalls: 10, staleAfterHours: 24 * 7 },
+  power: { dailyCalls: 100, staleAfterHours: 72 },
+  dealer: { dailyCalls: 500, staleAfterHours: 24 },
+  // Legacy tiers get the dealer budget
+  starter: { dailyCalls: 500, staleAfterHours: 24 },
+  pro: { dailyCalls: 500, staleAfterHours: 24 },
+  premium: { dailyCalls: 500, staleAfterHours: 24 }
+};
+
+const SCHEDULE = process.env.PRICE_REFRESH_CRON || '15 * * * *';
+const MAX_CARDS_PER_RUN = parseInt(process.env.PRICE_REFRESH_MAX_PER_RUN) || 200;
+const CALL_DELAY_MS = 500;
+
+let scheduledTask = null;
+let running = false;
+
+/**
+ * eBay sold-listings search for a card (same query /recent-sales uses)
+ */
+function buildSoldSearchQuery(card) {
+  const cleanSetName = (card.set_name || '').replace(/^\d{4}\s+/, '');
+  let searchQuery = `${card.year} ${cleanSetName} ${card.player}`;
+  if (card.card_number) searchQuery += ` #${card.card_number}`;
+  if (card.parallel && card.parallel !== 'Base') searchQuery += ` ${card.parallel}`;
+  if (card.grading_company) searchQuery += ` ${card.grading_company} ${card.grade}`;
+  return searchQuery;
+}
+
+/**
+ * Low/avg/high (as 2dp strings) from sold listings
+ * @returns {{ low: string, avg: string, high: string, sampleSize: number }}
+ */
+function estimateFromSales(soldListings) {
+  const prices = soldListings.map(item => item.price).filter(p => p > 0);
+  return {
+    low: prices.length > 0 ? Math.min(...prices).toFixed(2) : '0.00',
+    avg: prices.length > 0 ? (prices.reduce((a, b) => a + b, 0) / prices.length).toFixed(2) : '0.00',
+    high: prices.length > 0 ? Math.max(...prices).toFixed(2) : '0.00',
+    sampleSize: prices.length
+  };
+}
+
+// CASE over the owner's tier for one REFRESH_TIERS field (values are our own constants)
+function tierCase(field) {
+  const whens = Object.entries(REFRESH_TIERS)
+    .map(([tier, limits]) => `WHEN '${tier}' THEN ${limits[field]}`)
+    .join(' ');
+  return `(CASE COALESCE(u.subscription_tier, 'free') ${whens} ELSE ${REFRESH_TIERS.free[field]} END)`;
+}
+
+/**
+ * Stale, unsold cards whose owners still have budget today, highest priority first.
+ * Never-priced cards come first, then value x hours since the last check.
+ */
+async function selectCards(limit) {
+  const result = await db.query(
+    `WITH usage AS (
+       SELECT user_id, COUNT(*) AS used
+       FROM card_price_refreshes
+       WHERE created_at > NOW() - INTERVAL '24 hours'
+       GROUP BY user_id
+     )
+     SELECT c.id, c.user_id, c.year, c.set_name, c.player, c.card_number, c.parallel,
+            c.grading_company, c.grade, c.ebay_avg,
+            ${tierCase('dailyCalls')} AS daily_calls, COALESCE(usage.used, 0) AS used_today
+     FROM cards c
+     JOIN users u ON u.id = c.user_id
+     LEFT JOIN usage ON usage.user_id = c.user_id
+     WHERE COALESCE(c.listing_status, 'unlisted') <> 'sold'
+       AND c.player IS NOT NULL AND c.set_name IS NOT NULL
+       AND COALESCE(usage.used, 0) < ${tierCase('dailyCalls')}
+       AND (c.ebay_last_checked IS NULL
+            OR c.ebay_last_checked < NOW() - ${tierCase('staleAfterHours')} * INTERVAL '1 hour')
+     ORDER BY (c.ebay_last_checked IS NULL) DESC,
+              COALESCE(c.ebay_avg, c.asking_price, c.purchase_price, 0)
+                * EXTRACT(EPOCH FROM (NOW() - COALESCE(c.ebay_last_checked, c.created_at))) DESC,
+              c.id
+     LIMIT $1`,
+    [limit * 5]
+  );
+
+  // Several of one owner's cards can be due at once - keep each owner inside their budget
+  const taken = new Map();
+  const selected = [];
+  for (const card of result.rows) {
+    const count = taken.get(card.user_id) || 0;
+    if (count >= card.daily_calls - parseInt(card.used_today)) continue;
+
+    taken.set(card.user_id, count + 1);
+    selected.push(card);
+    if (selected.length >= limit) break;
+  }
+  return selected;
+}
+
+/**
+ * Re-price one card and record the refresh
+ * @returns {Promise<'updated'|'no_sales'|'failed'>}
+ */
+async function refreshCard(ebayService, card, runId) {
+  const searchQuery = buildSoldSearchQuery(card);
+
+  try {
+    const soldListings = await ebayService.getRecentSoldListings(searchQuery);
+    const estimate = estimateFromSales(soldListings);
+    const status = estimate.sampleSize > 0 ? 'updated' : 'no_sales';
+
+    if (status === 'updated') {
+      await db.query(
+        `UPDATE cards
+         SET ebay_low = $1, ebay_avg = $2, ebay_high = $3, ebay_sample_size = $4, ebay_last_checked = NOW()
+         WHERE id = $5`,
+        [estimate.low, estimate.avg, estimate.high, estimate.sampleSize, card.id]
+      );
+
+      await recordPriceSnapshot({
+        cardId: card.id,
+        userId: card.user_id,
+        source: 'scheduled_refresh',
+        ebayLow: estimate.low,
+        ebayAvg: estimate.avg,
+        ebayHigh: estimate.high,
+        sampleSize: estimate.sampleSize,
+        searchQuery
+      });
+    } else {
+      // Keep the old prices, but don't pick this card again until it's stale
+      await db.query('UPDATE cards SET ebay_last_checked = NOW() WHERE id = $1', [card.id]);
+    }
+
+    await db.query(
+      `INSERT INTO card_price_refreshes
+         (run_id, card_id, user_id, status, search_query, previous_avg, ebay_low, ebay_avg, ebay_high, sample_size)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        runId, card.id, card.user_id, status, searchQuery, card.ebay_avg,
+        status === 'updated' ? estimate.low : null,
+        status === 'updated' ? estimate.avg : null,
+        status === 'updated' ? estimate.high : null,
+        estimate.sampleSize
+      ]
+    );
+
+    return status;
+  } catch (error) {
+    console.error(`❌ Price refresh failed for card ${card.id}:`, error.message);
+    await db.query(
+      `INSERT INTO card_price_refreshes (run_id, card_id, user_id, status, search_query, previous_avg, error)
+       VALUES ($1, $2, $3, 'failed', $4, $5, $6)`,
+      [runId, card.id, card.user_id, searchQuery, card.ebay_avg, error.message]
+    );
+    return 'failed';
+  }
+}
+
+/**
+ * One refresh pass. Skipped (returns null) if a pass is already running in this process.
+ * @param {{ trigger?: string, limit?: number }} [options]
+ * @returns {Promise<object|null>} The price_refresh_runs row
+ */
+async function runPriceRefresh({ trigger = 'schedule', limit = MAX_CARDS_PER_RUN } = {}) {
+  if (running) return null;
+  running = true;
+
+  let runId = null;
+  try {
+    const runResult = await db.query(
+      'INSERT INTO price_refresh_runs (trigger) VALUES ($1) RETURNING id',
+      [trigger]
+    );
+    runId = runResult.rows[0].id;
+
+    // Loaded on first run so the scheduler costs nothing when eBay isn't configured
+    const ebayService = require('./ebay-oauth');
+    const cards = await selectCards(limit);
+    const counts = { updated: 0, no_sales: 0, failed: 0 };
+
+    for (const card of cards) {
+      counts[await refreshCard(ebayService, card, runId)]++;
+      await new Promise(resolve => setTimeout(resolve, CALL_DELAY_MS));
+    }
+
+    const finished = await db.query(
+      `UPDATE price_refresh_runs
+       SET status = 'completed', cards_selected = $1, cards_updated = $2, cards_no_sales = $3,
+           cards_failed = $4, finished_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [cards.length, counts.updated, counts.no_sales, counts.failed, runId]
+    );
+
+    console.log(`💲 Price refresh ${runId}: ${counts.updated} updated, ${counts.no_sales} no sales, ${counts.failed} failed (${cards.length} selected)`);
+    return finished.rows[0];
+  } catch (error) {
+    console.error('❌ Price refresh run failed:', error.message);
+    if (runId) {
+      await db.query(
+        `UPDATE price_refresh_runs SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2`,
+        [error.message, runId]
+      ).catch(() => {});
+    }
+    throw error;
+  } finally {
+    running = false;
+  }
+}
+
+function startPriceRefreshScheduler() {
+  if (scheduledTask) return;
+
+  if (process.env.PRICE_REFRESH_ENABLED === 'false') {
+    console.log('💲 Scheduled price refresh disabled (PRICE_REFRESH_ENABLED=false)');
+    return;
+  }
+  if (!process.env.EBAY_APP_ID || !process.env.EBAY_CERT_ID) {
+    console.log('⚠️  Scheduled price refresh off - eBay API credentials not configured');
+    return;
+  }
+  // Every run needs the eBay service - don't schedule runs that can only fail
+  try {
+    require('./ebay-oauth');
+  } catch (error) {
+    console.error(`❌ eBay service failed to load (${error.message}) - scheduled price refresh off`);
+    return;
+  }
+  if (!cron.validate(SCHEDULE)) {
+    console.error(`❌ Invalid PRICE_REFRESH_CRON "${SCHEDULE}" - scheduled price refresh off`);
+    return;
+  }
+
+  scheduledTask = cron.schedule(SCHEDULE, () => {
+    runPriceRefresh().catch(() => {});
+  });
+  console.log(`💲 Price refresh scheduled (${SCHEDULE}, up to ${MAX_CARDS_PER_RUN} cards per run)`);
+}
+
+function stopPriceRefreshScheduler() {
+  if (scheduledTask) scheduledTask.stop();
+  scheduledTask = null;
+}
+
+module.exports = {
+  REFRESH_TIERS,
+  buildSoldSearchQuery,
+  estimateFromSales,
+  runPriceRefresh,
+  startPriceRefreshScheduler,
+  stopPriceRefreshScheduler
+};
@@ -0,0 +1,102 @@
+/**
+ * Card Matcher
+ *
+ * Sorts eBay listings for a card search into exact / similar / different by
+ * reading the listing title: an exact match names the player, year, card
+ * number, grade and parallel of the card; a similar one is the same player
+ * and graded/raw state with some of the details missing; anything else
+ * (another player, a graded copy of a raw card, a different grade or
+ * parallel) is different and shouldn't drive the price.
+ */
+
+const GRADERS = ['psa', 'bgs', 'sgc', 'cgc', 'beckett'];
+// Title words that mean a parallel / insert rather than the base card
+const PARALLEL_WORDS = ['refractor', 'prizm', 'holo', 'parallel', 'auto', 'autograph', 'patch', 'relic', 'gold', 'silver', 'numbered'];
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9#/.\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function words(text) {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+function hasAll(title, text) {
+  const titleWords = new Set(words(title));
+  return words(text).every(word => titleWords.has(word));
+}
+
+function cardNumberIn(title, cardNumber) {
+  const number = normalize(cardNumber).replace(/^#/, '');
+  if (!number) return true;
+  return words(title).some(word => word.replace(/^#/, '') === number);
+}
+
+function gradeNumber(grade) {
+  const match = String(grade || '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * The grader and grade a title claims, or null for a raw card
+ */
+function titleGrade(title) {
+  const match = normalize(title).match(new RegExp(`\\b(${GRADERS.join('|')})\\s*(?:gem\\s*(?:mint|mt)\\s*|mint\\s*)?(\\d+(?:\\.\\d+)?)\\b`));
+  if (!match) return null;
+  return { company: match[1] === 'beckett' ? 'bgs' : match[1], grade: parseFloat(match[2]) };
+}
+
+/**
+ * @returns {'exact'|'similar'|'different'}
+ */
+function matchType(listing, card) {
+  const title = listing.title || '';
+
+  if (card.player && !hasAll(title, card.player)) return 'different';
+
+  const listed = titleGrade(title);
+  if (card.grading_company) {
+    if (!listed) return 'different';
+    if (listed.company !== normalize(card.grading_company)) return 'different';
+    if (gradeNumber(card.grade) !== null && listed.grade !== gradeNumber(card.grade)) return 'different';
+  } else if (listed) {
+    return 'different';
+  }
+
+  const titleWords = words(title);
+  // "Prizm" in a Prizm base card's title is the set, not a parallel
+  const setWords = new Set(words(card.set_name));
+  const namesParallel = titleWords.some(word => (PARALLEL_WORDS.includes(word) && !setWords.has(word)) || /^\/\d+$/.test(word));
+  const parallelMatches = card.parallel ? hasAll(title, card.parallel) : !namesParallel;
+  if (card.parallel && !parallelMatches && namesParallel) return 'different';
+
+  const details = [
+    !card.year || titleWords.includes(String(card.year)),
+    !card.set_name || hasAll(title, card.set_name),
+    cardNumberIn(title, card.card_number),
+    parallelMatches
+  ];
+  return details.every(Boolean) ? 'exact' : 'similar';
+}
+
+/**
+ * Tag each listing with its matchType
+ * @param {object[]} listings - { title, price, ... }
+ * @param {object} card - player, year, set_name, card_number, parallel, grading_company, grade
+ * @param {'all'|'exact'|'similar'} [mode] - 'all' keeps every listing, 'similar' keeps exact and similar
+ */
+function filterListings(listings, card, mode = 'all') {
+  const tagged = (listings || []).map(listing => ({ ...listing, matchType: matchType(listing, card) }));
+  if (mode === 'exact') return tagged.filter(listing => listing.matchType === 'exact');
+  if (mode === 'similar') return tagged.filter(listing => listing.matchType !== 'different');
+  return tagged;
+}
+
+module.exports = {
+  filterListings,
+  matchType
+};
@@ -0,0 +1,211 @@
+/**
+ * Email Service
+ *
+ * Shared transactional mail for every module. Messages are written to
+ * email_outbox and delivered straight away; failures are retried with
+ * backoff by the outbox worker (startOutboxWorker, started in server.js).
+ * Provider selection lives in transports.js, content in templates.js.
+ */
+
+const db = require('../database/db');
+const { createTransport } = require('./transports');
+const templates = require('./templates');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const SENDING_LEASE_MINUTES = 10;
+
+let transport = null;
+let workerTimer = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+    console.log(`📧 Mail transport: ${transport.name}`);
+  }
+  return transport;
+}
+
+function fromAddress() {
+  return process.env.EMAIL_FROM || 'noreply@solevault.app';
+}
+
+/**
+ * Deliver one claimed outbox row and record the outcome
+ */
+async function deliver(row) {
+  const activeTransport = getTransport();
+  const attempts = row.attempts + 1;
+
+  try {
+    const { messageId } = await activeTransport.send({
+      from: fromAddress(),
+      to: row.to_address,
+      subject: row.subject,
+      html: row.html || undefined,
+      text: row.text || undefined
+    });
+
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'sent', attempts = $1, provider = $2, provider_message_id = $3, last_error = NULL, sent_at = NOW()
+       WHERE id = $4`,
+      [attempts, activeTransport.name, messageId, row.id]
+    );
+
+    return { success: true, messageId, outboxId: row.id };
+  } catch (error) {
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+
+    await db.query(
+      `UPDATE email_outbox
+       SET status = $1, attempts = $2, provider = $3, last_error = $4,
+           next_attempt_at = NOW() + $5 * INTERVAL '1 minute'
+       WHERE id = $6`,
+      [giveUp ? 'failed' : 'pending', attempts, activeTransport.name, error.message, delay, row.id]
+    );
+
+    console.error(`❌ Email ${row.id} to ${row.to_address} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+    return { success: false, queued: !giveUp, error: error.message, outboxId: row.id };
+  }
+}
+
+/**
+ * Queue a message and try to deliver it immediately
+ * @param {{ to: string, subject: string, html?: string, text?: string, template?: string, userId?: number }} message
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, outboxId?: number, error?: string }>}
+ */
+async function sendEmail({ to, subject, html, text, template = null, userId = null }) {
+  if (!to) {
+    return { success: false, error: 'Recipient required' };
+  }
+
+  let row;
+  try {
+    const result = await db.query(
+      `INSERT INTO email_outbox (user_id, to_address, template, subject, html, text, status, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'sending', NOW() + INTERVAL '${SENDING_LEASE_MINUTES} minutes')
+       RETURNING *`,
+      [userId, to, template, subject, html || null, text || null]
+    );
+    row = result.rows[0];
+  } catch (error) {
+    // No database - send without retry rather than drop the message
+    console.error('⚠️  Email outbox unavailable, sending directly:', error.message);
+    try {
+      const { messageId } = await getTransport().send({ from: fromAddress(), to, subject, html, text });
+      return { success: true, messageId };
+    } catch (sendError) {
+      console.error('❌ Email send failed:', sendError.message);
+      return { success: false, error: sendError.message };
+    }
+  }
+
+  return deliver(row);
+}
+
+/**
+ * Render a template and send it
+ * @param {string} to
+ * @param {string} template - key of templates.TEMPLATES
+ * @param {object} data
+ * @param {{ userId?: number }} [options]
+ */
+async function sendTemplate(to, template, data = {}, { userId = null } = {}) {
+  const { subject, html, text } = templates.render(template, data);
+  return sendEmail({ to, subject, html, text, template, userId });
+}
+
+/**
+ * Retry due messages (pending, or stuck in 'sending' past their lease)
+ * @returns {Promise<{ processed: number, sent: number }>}
+ */
+async function processOutbox({ limit = 25 } = {}) {
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', next_attempt_at = NOW() + INTERVAL '${SENDING_LEASE_MINUTES} minutes'
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+
+  let sent = 0;
+  for (const row of result.rows) {
+    const outcome = await deliver(row);
+    if (outcome.success) sent++;
+  }
+
+  return { processed: result.rows.length, sent };
+}
+
+function startOutboxWorker(intervalMs = 60 * 1000) {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    processOutbox().catch(error => console.error('❌ Email outbox worker error:', error.message));
+  }, intervalMs);
+  workerTimer.unref();
+}
+
+function stopOutboxWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// ==========================================
+// TEMPLATE HELPERS
+// ==========================================
+
+const sendWelcomeEmail = (email, name, options) =>
+  sendTemplate(email, 'welcome', { fullName: name }, options);
+
+const sendPasswordResetEmail = (email, resetToken, options) =>
+  sendTemplate(email, 'password_reset', { resetToken }, options);
+
+async function sendNewUserEmail({ fullName, email, subscriptionTier }) {
+  console.log('📧 New user registered:', email, '- Tier:', subscriptionTier);
+  return sendWelcomeEmail(email, fullName);
+}
+
+const sendShowReportReadyEmail = (email, data, options) =>
+  sendTemplate(email, 'show_report_ready', data, options);
+
+const sendCardSoldReceipt = (email, data) =>
+  sendTemplate(email, 'card_sold_receipt', data);
+
+const sendPosReceipt = (email, data, options) =>
+  sendTemplate(email, 'pos_receipt', data, options);
+
+const sendTradeOfferEmail = (email, data, options) =>
+  sendTemplate(email, 'trade_offer', data, options);
+
+const sendTeamInviteEmail = (email, data, options) =>
+  sendTemplate(email, 'vendor_team_invite', data, options);
+
+const sendDowngradeEmail = (email, userId, reason) =>
+  sendTemplate(email, 'subscription_downgraded', { reason }, { userId });
+
+module.exports = {
+  sendEmail,
+  sendTemplate,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  sendWelcomeEmail,
+  sendPasswordReset: sendPasswordResetEmail,
+  sendPasswordResetEmail,
+  sendNewUserEmail,
+  sendShowReportReadyEmail,
+  sendCardSoldReceipt,
+  sendPosReceipt,
+  sendTradeOfferEmail,
+  sendTeamInviteEmail,
+  sendDowngradeEmail
+};
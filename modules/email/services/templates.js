@@ -0,0 +1,205 @@
+/**
+ * Email Templates
+ *
+ * render(name, data) -> { subject, html, text }. Every value interpolated into
+ * HTML goes through escapeHtml.
+ */
+
+const APP_NAME = process.env.APP_NAME || 'SoleVault';
+
+function appUrl(pathname = '') {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}${pathname}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMoney(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+function layout(heading, body) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .header h1 { color: white; margin: 0; font-size: 26px; }
+        .content { background: #f7fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+        .button { display: inline-block; padding: 15px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .stats td { padding: 4px 12px 4px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #718096; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header"><h1>${escapeHtml(heading)}</h1></div>
+        <div class="content">${body}</div>
+        <div class="footer"><p>© ${new Date().getFullYear()} ${escapeHtml(APP_NAME)}</p></div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function button(url, label) {
+  return `<div style="text-align: center;"><a href="${escapeHtml(url)}" class="button">${escapeHtml(label)}</a></div>`;
+}
+
+const TEMPLATES = {
+  welcome: ({ fullName }) => {
+    const url = appUrl('/dashboard');
+    return {
+      subject: `Welcome to ${APP_NAME}!`,
+      html: layout(`Welcome to ${APP_NAME}`, `
+        <h2>Hi ${escapeHtml(fullName || 'there')}!</h2>
+        <p>Your account is ready. Scan your first cards, build a showcase and start tracking what your collection is worth.</p>
+        ${button(url, 'Open your dashboard')}
+      `),
+      text: `Hi ${fullName || 'there'}!\n\nYour ${APP_NAME} account is ready: ${url}`
+    };
+  },
+
+  password_reset: ({ resetToken }) => {
+    const url = appUrl(`/reset-password/${resetToken}`);
+    return {
+      subject: `Reset your ${APP_NAME} password`,
+      html: layout('Password Reset Request', `
+        <p>We received a request to reset your password. Click the button below to choose a new one:</p>
+        ${button(url, 'Reset Password')}
+        <p>Or paste this link into your browser:</p>
+        <p style="word-break: break-all;">${escapeHtml(url)}</p>
+        <p><strong>This link expires in 1 hour.</strong> If you didn't request it, you can ignore this email.</p>
+      `),
+      text: `Reset your password (link expires in 1 hour): ${url}\n\nIf you didn't request this, ignore this email.`
+    };
+  },
+
+  show_report_ready: ({ showName, showId, cardsSold, totalSales, cardsRemaining }) => {
+    const url = appUrl(`/shows/${showId}`);
+    return {
+      subject: `Your show report for ${showName || 'your show'} is ready`,
+      html: layout('Show Report Ready', `
+        <p>Your show <strong>${escapeHtml(showName || 'report')}</strong> has ended. Here's the summary:</p>
+        <table class="stats">
+          <tr><td>Cards sold</td><td><strong>${escapeHtml(cardsSold || 0)}</strong></td></tr>
+          <tr><td>Total sales</td><td><strong>${formatMoney(totalSales)}</strong></td></tr>
+          <tr><td>Cards remaining</td><td><strong>${escapeHtml(cardsRemaining || 0)}</strong></td></tr>
+        </table>
+        ${button(url, 'View full report')}
+      `),
+      text: `${showName || 'Your show'} has ended.\nCards sold: ${cardsSold || 0}\nTotal sales: ${formatMoney(totalSales)}\nCards remaining: ${cardsRemaining || 0}\n\n${url}`
+    };
+  },
+
+  card_sold_receipt: ({ customerName, cardName, salePrice, saleMethod, vendorName, soldAt }) => ({
+    subject: `Your receipt for ${cardName || 'your card'}`,
+    html: layout('Thanks for your purchase!', `
+      <p>Hi ${escapeHtml(customerName || 'there')},</p>
+      <p>Here's your receipt${vendorName ? ` from <strong>${escapeHtml(vendorName)}</strong>` : ''}:</p>
+      <table class="stats">
+        <tr><td>Card</td><td><strong>${escapeHtml(cardName || 'Card')}</strong></td></tr>
+        <tr><td>Price</td><td><strong>${formatMoney(salePrice)}</strong></td></tr>
+        <tr><td>Paid with</td><td>${escapeHtml(saleMethod || 'cash')}</td></tr>
+        <tr><td>Date</td><td>${escapeHtml(new Date(soldAt || Date.now()).toLocaleDateString('en-US'))}</td></tr>
+      </table>
+    `),
+    text: `Receipt${vendorName ? ` from ${vendorName}` : ''}\nCard: ${cardName || 'Card'}\nPrice: ${formatMoney(salePrice)}\nPaid with: ${saleMethod || 'cash'}`
+  }),
+
+  pos_receipt: ({ customerName, vendorName, receiptNumber, lines = [], subtotal, discount, total, payments = [], changeDue, soldAt }) => ({
+    subject: `Your receipt${vendorName ? ` from ${vendorName}` : ''} (${lines.length} card${lines.length === 1 ? '' : 's'})`,
+    html: layout('Thanks for your purchase!', `
+      <p>Hi ${escapeHtml(customerName || 'there')},</p>
+      <p>Here's your receipt${vendorName ? ` from <strong>${escapeHtml(vendorName)}</strong>` : ''}:</p>
+      <table class="stats">
+        ${lines.map(line => `<tr><td>${escapeHtml(line.cardName || 'Card')}</td><td>${formatMoney(line.salePrice)}${Number(line.discount) > 0 ? ` <span style="color: #718096;">(was ${formatMoney(line.listPrice)})</span>` : ''}</td></tr>`).join('')}
+        <tr><td>Subtotal</td><td>${formatMoney(subtotal)}</td></tr>
+        ${Number(discount) > 0 ? `<tr><td>Bundle discount</td><td>-${formatMoney(discount)}</td></tr>` : ''}
+        <tr><td>Total</td><td><strong>${formatMoney(total)}</strong></td></tr>
+        ${payments.map(payment => `<tr><td>Paid with ${escapeHtml(payment.method)}</td><td>${formatMoney(payment.amount)}</td></tr>`).join('')}
+        ${Number(changeDue) > 0 ? `<tr><td>Change</td><td>${formatMoney(changeDue)}</td></tr>` : ''}
+        <tr><td>Receipt #</td><td>${escapeHtml(receiptNumber)}</td></tr>
+        <tr><td>Date</td><td>${escapeHtml(new Date(soldAt || Date.now()).toLocaleDateString('en-US'))}</td></tr>
+      </table>
+    `),
+    text: [
+      `Receipt${vendorName ? ` from ${vendorName}` : ''} #${receiptNumber}`,
+      ...lines.map(line => `${line.cardName || 'Card'}: ${formatMoney(line.salePrice)}`),
+      `Subtotal: ${formatMoney(subtotal)}`,
+      ...(Number(discount) > 0 ? [`Bundle discount: -${formatMoney(discount)}`] : []),
+      `Total: ${formatMoney(total)}`,
+      ...payments.map(payment => `Paid with ${payment.method}: ${formatMoney(payment.amount)}`),
+      ...(Number(changeDue) > 0 ? [`Change: ${formatMoney(changeDue)}`] : [])
+    ].join('\n')
+  }),
+
+  trade_offer: ({ fromUserName, offeredCount, requestedCount, message }) => {
+    const url = appUrl('/trades');
+    return {
+      subject: `${fromUserName || 'A collector'} sent you a trade offer`,
+      html: layout('New Trade Offer', `
+        <p><strong>${escapeHtml(fromUserName || 'A collector')}</strong> offered
+          ${escapeHtml(offeredCount || 0)} card(s) for ${escapeHtml(requestedCount || 0)} of yours.</p>
+        ${message ? `<blockquote>${escapeHtml(message)}</blockquote>` : ''}
+        ${button(url, 'Review the offer')}
+      `),
+      text: `${fromUserName || 'A collector'} offered ${offeredCount || 0} card(s) for ${requestedCount || 0} of yours.\n\n${url}`
+    };
+  },
+
+  vendor_team_invite: ({ ownerName, role, token }) => {
+    const url = appUrl(`/team/accept/${token}`);
+    return {
+      subject: `${ownerName || 'A vendor'} invited you to their ${APP_NAME} booth team`,
+      html: layout('Join the Team', `
+        <p><strong>${escapeHtml(ownerName || 'A vendor')}</strong> invited you to work their booth as
+          <strong>${escapeHtml(role || 'seller')}</strong>.</p>
+        <p>Sign in (or create an account with this email address) and accept the invite:</p>
+        ${button(url, 'Accept invite')}
+      `),
+      text: `${ownerName || 'A vendor'} invited you to work their booth as ${role || 'seller'}. Accept the invite: ${url}`
+    };
+  },
+
+  subscription_downgraded: ({ reason }) => {
+    const url = appUrl('/settings/billing');
+    return {
+      subject: `Your ${APP_NAME} plan was changed to Free`,
+      html: layout('Subscription Update', `
+        <p>Your subscription is now <strong>${escapeHtml(reason || 'inactive')}</strong>, so your account has moved to the Free plan.</p>
+        <p>Your cards and showcases are safe. Update your payment method to restore your plan.</p>
+        ${button(url, 'Manage billing')}
+      `),
+      text: `Your subscription is ${reason || 'inactive'} and your account moved to the Free plan. Manage billing: ${url}`
+    };
+  }
+};
+
+/**
+ * @param {string} name - key of TEMPLATES
+ * @param {object} data
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function render(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  TEMPLATES,
+  render,
+  escapeHtml
+};
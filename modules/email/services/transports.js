@@ -0,0 +1,126 @@
+/**
+ * Mail Transports
+ *
+ * Each transport exposes send({ from, to, subject, html, text }) -> { messageId }
+ * and throws on failure so the outbox can retry.
+ *
+ * MAIL_PROVIDER picks one explicitly: resend | sendgrid | smtp | file | console.
+ * Without it the first configured provider wins (RESEND_API_KEY, SENDGRID_API_KEY,
+ * SMTP_HOST), falling back to console logging.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createResendTransport() {
+  const { Resend } = require('resend');
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    async send(message) {
+      const { data, error } = await resend.emails.send(message);
+      if (error) {
+        throw new Error(error.message || 'Resend rejected the message');
+      }
+      return { messageId: data?.id || null };
+    }
+  };
+}
+
+function createSendgridTransport() {
+  const sgMail = require('@sendgrid/mail');
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: 'sendgrid',
+    async send(message) {
+      const [response] = await sgMail.send(message);
+      return { messageId: response?.headers?.['x-message-id'] || null };
+    }
+  };
+}
+
+// Also the way to capture mail locally - point SMTP_HOST/SMTP_PORT at Mailpit or MailHog
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Writes each message to MAIL_OUTBOX_DIR as .json + .html for tests and local development
+function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'tmp/mail-outbox');
+
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const base = path.join(dir, messageId);
+
+      await fs.promises.writeFile(`${base}.json`, JSON.stringify({ messageId, ...message }, null, 2));
+      if (message.html) {
+        await fs.promises.writeFile(`${base}.html`, message.html);
+      }
+      return { messageId };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('📧 Email (console transport) to:', message.to);
+      console.log('   Subject:', message.subject);
+      return { messageId: 'console_' + Date.now() };
+    }
+  };
+}
+
+const FACTORIES = {
+  resend: createResendTransport,
+  sendgrid: createSendgridTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+function detectProvider() {
+  if (process.env.MAIL_PROVIDER) return process.env.MAIL_PROVIDER.toLowerCase();
+  if (process.env.RESEND_API_KEY) return 'resend';
+  if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return 'console';
+}
+
+/**
+ * @param {string} [provider] - defaults to MAIL_PROVIDER / detected provider
+ */
+function createTransport(provider = detectProvider()) {
+  const factory = FACTORIES[provider];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_PROVIDER "${provider}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  createTransport,
+  detectProvider
+};
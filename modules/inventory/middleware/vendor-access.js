@@ -0,0 +1,6 @@
+/**
+ * Vendor Access
+ * Delegates to the vendor team access check in modules/vendor-system
+ */
+
+module.exports = require('../../vendor-system/middleware/vendor-access');
@@ -6,11 +6,15 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { vendorAccess, vendorCan } = require('../middleware/vendor-access');
+const { getPriceHistory, BUCKET_INTERVALS } = require('../services/price-history');
+const { getPortfolio } = require('../services/portfolio');
+const cardCosts = require('../services/card-costs');
 
 // Get user's inventory
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
     const { page = 1, limit = 50, sort = 'created_at', order = 'DESC' } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -45,10 +49,10 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single item
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
 
     const result = await db.query(
       'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
@@ -59,32 +63,164 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Item not found' });
     }
 
-    res.json({ success: true, item: result.rows[0] });
+    const costs = await cardCosts.getCardCosts(result.rows[0]);
+
+    res.json({ success: true, item: result.rows[0], costs });
   } catch (error) {
     console.error('Get item error:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch item' });
   }
 });
 
+// Valuation timeline - ?interval=day|week&days=90
+router.get('/:id/price-history', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.vendor.id;
+    const interval = req.query.interval || 'day';
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 730);
+
+    if (!BUCKET_INTERVALS.includes(interval)) {
+      return res.status(400).json({ success: false, error: `interval must be one of ${BUCKET_INTERVALS.join(', ')}` });
+    }
+
+    const card = await db.query(
+      'SELECT id, ebay_avg, ebay_last_checked FROM cards WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (card.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+
+    const history = await getPriceHistory(card.rows[0].id, { interval, days });
+
+    res.json({
+      success: true,
+      cardId: card.rows[0].id,
+      interval,
+      days,
+      current: {
+        value: card.rows[0].ebay_avg,
+        lastChecked: card.rows[0].ebay_last_checked
+      },
+      ...history
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch price history' });
+  }
+});
+
+// Itemized expenses (grading, shipping, supplies...) - count toward the card's cost basis
+router.get('/:id/expenses', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.vendor.id;
+
+    const card = await db.query(
+      'SELECT * FROM cards WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (card.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+
+    const costs = await cardCosts.getCardCosts(card.rows[0]);
+
+    res.json({ success: true, costs });
+  } catch (error) {
+    console.error('Get expenses error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch expenses' });
+  }
+});
+
+router.post('/:id/expenses', authenticateToken, vendorAccess('manage_inventory'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.vendor.id;
+    const { category, amount, description, incurred_at } = req.body;
+    const parsedAmount = parseFloat(amount);
+
+    if (!cardCosts.EXPENSE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ success: false, error: `category must be one of ${cardCosts.EXPENSE_CATEGORIES.join(', ')}` });
+    }
+
+    if (!Number.isFinite(parsedAmount) || parsedAmount < 0) {
+      return res.status(400).json({ success: false, error: 'amount must be a positive number' });
+    }
+
+    const card = await db.query(
+      'SELECT id FROM cards WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (card.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+
+    const expense = await cardCosts.addExpense(card.rows[0].id, userId, {
+      category,
+      amount: parsedAmount,
+      description: description || null,
+      incurredAt: incurred_at || null
+    });
+
+    res.status(201).json({ success: true, expense });
+  } catch (error) {
+    console.error('Add expense error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add expense' });
+  }
+});
+
+router.delete('/:id/expenses/:expenseId', authenticateToken, vendorAccess('manage_inventory'), async (req, res) => {
+  try {
+    const { id, expenseId } = req.params;
+    const userId = req.vendor.id;
+
+    const deleted = await cardCosts.deleteExpense(expenseId, id, userId);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Expense not found' });
+    }
+
+    res.json({ success: true, message: 'Expense deleted' });
+  } catch (error) {
+    console.error('Delete expense error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete expense' });
+  }
+});
+
 // Add new item to inventory
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, vendorAccess('custody'), async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
     const {
       name, brand, model, size, condition,
       price, description, front_image_url, back_image_url,
-      sku, colorway, release_date
+      sku, colorway, release_date,
+      purchase_price, purchase_date, acquisition_source, acquisition_notes
     } = req.body;
 
     if (!name || !brand) {
       return res.status(400).json({ success: false, error: 'Name and brand required' });
     }
 
+    if (acquisition_source && !cardCosts.ACQUISITION_SOURCES.includes(acquisition_source)) {
+      return res.status(400).json({ success: false, error: `acquisition_source must be one of ${cardCosts.ACQUISITION_SOURCES.join(', ')}` });
+    }
+
     const result = await db.query(
-      `INSERT INTO cards (user_id, name, brand, model, size, condition, price, description, front_image_url, back_image_url, sku, colorway, release_date, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+      `INSERT INTO cards (user_id, name, brand, model, size, condition, price, description, front_image_url, back_image_url, sku, colorway, release_date,
+                          purchase_price, purchase_date, acquisition_source, acquisition_notes, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
        RETURNING *`,
-      [userId, name, brand, model, size, condition, parseFloat(price) || 0, description, front_image_url, back_image_url, sku, colorway, release_date]
+      [
+        userId, name, brand, model, size, condition, parseFloat(price) || 0, description, front_image_url, back_image_url, sku, colorway, release_date,
+        purchase_price !== undefined && purchase_price !== null && purchase_price !== '' ? parseFloat(purchase_price) : null,
+        purchase_date || null, acquisition_source || null, acquisition_notes || null
+      ]
     );
 
     res.json({ success: true, item: result.rows[0] });
@@ -94,11 +230,13 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Update item
-router.put('/:id', authenticateToken, async (req, res) => {
+const COST_FIELDS = ['purchase_price', 'purchase_date', 'acquisition_source', 'acquisition_notes'];
+
+// Update item (purchase details need manage_inventory)
+router.put('/:id', authenticateToken, vendorAccess('custody'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
     const updates = req.body;
 
     // Verify ownership
@@ -111,16 +249,39 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Item not found or not owned' });
     }
 
+    // Cost basis feeds profit and tax figures - floor staff can't rewrite it
+    if (!vendorCan(req, 'manage_inventory') && Object.keys(updates).some(key => COST_FIELDS.includes(key))) {
+      return res.status(403).json({
+        success: false,
+        error: `Your team role (${req.vendor.role}) can't change purchase details`
+      });
+    }
+
     // Build update query
-    const allowedFields = ['name', 'brand', 'model', 'size', 'condition', 'price', 'description', 'front_image_url', 'back_image_url', 'sku', 'colorway', 'for_sale'];
+    const allowedFields = [
+      'name', 'brand', 'model', 'size', 'condition', 'price', 'description', 'front_image_url', 'back_image_url', 'sku', 'colorway', 'for_sale',
+      ...COST_FIELDS
+    ];
     const fields = [];
     const values = [];
     let paramIndex = 1;
 
+    if (updates.acquisition_source && !cardCosts.ACQUISITION_SOURCES.includes(updates.acquisition_source)) {
+      return res.status(400).json({ success: false, error: `acquisition_source must be one of ${cardCosts.ACQUISITION_SOURCES.join(', ')}` });
+    }
+
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
         fields.push(`${key} = $${paramIndex++}`);
-        values.push(key === 'price' ? parseFloat(value) : value);
+        if (key === 'price') {
+          values.push(parseFloat(value));
+        } else if (key === 'purchase_price') {
+          values.push(value === null || value === '' ? null : parseFloat(value));
+        } else if (key === 'purchase_date' || key === 'acquisition_source') {
+          values.push(value || null);
+        } else {
+          values.push(value);
+        }
       }
     }
 
@@ -142,10 +303,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete item
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, vendorAccess('manage_inventory'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
 
     const result = await db.query(
       'DELETE FROM cards WHERE id = $1 AND user_id = $2 RETURNING id',
@@ -164,9 +325,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get inventory stats
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
 
     const totalItems = await db.query(
       'SELECT COUNT(*) FROM cards WHERE user_id = $1',
@@ -197,11 +358,26 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
   }
 });
 
+// Portfolio valuation - cost basis vs market value, realized/unrealized P&L, breakdowns
+router.get('/stats/portfolio', authenticateToken, vendorAccess('reports'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const top = Math.min(Math.max(parseInt(req.query.top) || 5, 1), 50);
+
+    const portfolio = await getPortfolio(userId, { top });
+
+    res.json({ success: true, portfolio });
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({ success: false, error: 'Failed to calculate portfolio' });
+  }
+});
+
 // Bulk operations
-router.post('/bulk/delete', authenticateToken, async (req, res) => {
+router.post('/bulk/delete', authenticateToken, vendorAccess('manage_inventory'), async (req, res) => {
   try {
     const { ids } = req.body;
-    const userId = req.user.userId;
+    const userId = req.vendor.id;
 
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ success: false, error: 'Item IDs required' });
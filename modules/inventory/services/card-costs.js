@@ -0,0 +1,134 @@
+/**
+ * Card Costs
+ *
+ * What a card really cost: purchase price (or its share of a pack break) plus
+ * itemized expenses such as grading fees and shipping. Sales use this to
+ * record true net profit after selling fees and shipping.
+ */
+
+const db = require('../database/db');
+
+const ACQUISITION_SOURCES = ['show', 'ebay', 'trade', 'pack_break', 'card_shop', 'online', 'other'];
+const EXPENSE_CATEGORIES = ['grading', 'shipping', 'supplies', 'fees', 'other'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Purchase price, or the card's share of the pack price. Null if unknown.
+ */
+function purchaseCostFor(card) {
+  const purchasePrice = toNumber(card.purchase_price);
+  if (purchasePrice !== null) return purchasePrice;
+
+  const packPrice = toNumber(card.pack_price);
+  const cardsInPack = parseInt(card.cards_in_pack);
+  if (packPrice !== null && cardsInPack > 0) return packPrice / cardsInPack;
+
+  return null;
+}
+
+/**
+ * Purchase cost + expenses, or null when neither is known
+ */
+function costBasisFor(card, expensesTotal = 0) {
+  const purchaseCost = purchaseCostFor(card);
+  if (purchaseCost === null && !expensesTotal) return null;
+  return (purchaseCost || 0) + (expensesTotal || 0);
+}
+
+async function listExpenses(cardId) {
+  const result = await db.query(
+    'SELECT * FROM card_expenses WHERE card_id = $1 ORDER BY incurred_at ASC, id ASC',
+    [cardId]
+  );
+  return result.rows;
+}
+
+/**
+ * Expense totals for all of a user's cards
+ * @returns {Promise<Map<number, number>>} card id -> total
+ */
+async function getExpenseTotals(userId) {
+  const result = await db.query(
+    'SELECT card_id, SUM(amount) AS total FROM card_expenses WHERE user_id = $1 GROUP BY card_id',
+    [userId]
+  );
+  return new Map(result.rows.map(row => [row.card_id, toNumber(row.total) || 0]));
+}
+
+async function addExpense(cardId, userId, { category, amount, description = null, incurredAt = null }) {
+  const result = await db.query(
+    `INSERT INTO card_expenses (card_id, user_id, category, amount, description, incurred_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_DATE))
+     RETURNING *`,
+    [cardId, userId, category, amount, description, incurredAt]
+  );
+  return result.rows[0];
+}
+
+async function deleteExpense(expenseId, cardId, userId) {
+  const result = await db.query(
+    'DELETE FROM card_expenses WHERE id = $1 AND card_id = $2 AND user_id = $3 RETURNING id',
+    [expenseId, cardId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Cost breakdown for one card
+ */
+async function getCardCosts(card) {
+  const expenses = await listExpenses(card.id);
+  const expensesTotal = expenses.reduce((sum, expense) => sum + (toNumber(expense.amount) || 0), 0);
+  const purchaseCost = purchaseCostFor(card);
+  const costBasis = costBasisFor(card, expensesTotal);
+
+  return {
+    purchasePrice: purchaseCost !== null ? round2(purchaseCost) : null,
+    purchaseDate: card.purchase_date || null,
+    acquisitionSource: card.acquisition_source || null,
+    expenses,
+    expensesTotal: round2(expensesTotal),
+    costBasis: costBasis !== null ? round2(costBasis) : null
+  };
+}
+
+/**
+ * Net profit on a sale after cost basis, selling fees and shipping.
+ * netProfit is null when the card's cost is unknown.
+ * @returns {Promise<{ costBasis: number|null, fees: number, shippingCost: number, netPayout: number, netProfit: number|null }>}
+ */
+async function calculateSaleProfit(card, { salePrice, fees = 0, shippingCost = 0 }) {
+  const { costBasis } = await getCardCosts(card);
+  const feesAmount = toNumber(fees) || 0;
+  const shippingAmount = toNumber(shippingCost) || 0;
+  const netPayout = round2((toNumber(salePrice) || 0) - feesAmount - shippingAmount);
+
+  return {
+    costBasis,
+    fees: round2(feesAmount),
+    shippingCost: round2(shippingAmount),
+    netPayout,
+    netProfit: costBasis !== null ? round2(netPayout - costBasis) : null
+  };
+}
+
+module.exports = {
+  ACQUISITION_SOURCES,
+  EXPENSE_CATEGORIES,
+  purchaseCostFor,
+  costBasisFor,
+  listExpenses,
+  getExpenseTotals,
+  addExpense,
+  deleteExpense,
+  getCardCosts,
+  calculateSaleProfit
+};
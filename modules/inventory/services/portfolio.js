@@ -0,0 +1,207 @@
+/**
+ * Portfolio
+ *
+ * Cost basis (purchase price + expenses, see card-costs.js) vs current market
+ * value across a user's unsold cards (unrealized P&L) plus realized P&L from
+ * card_sales_history, with breakdowns by sport,
+ * set, grader and year and the biggest gainers/losers.
+ */
+
+const db = require('../database/db');
+const { costBasisFor, getExpenseTotals } = require('./card-costs');
+
+// grading_company + grade -> SportsCardsPro column
+const SCP_GRADE_FIELDS = {
+  'PSA 10': 'sportscardspro_psa10',
+  'PSA 9': 'sportscardspro_psa9',
+  'PSA 8': 'sportscardspro_psa8',
+  'PSA 7': 'sportscardspro_psa7',
+  'BGS 10': 'sportscardspro_bgs10',
+  'CGC 10': 'sportscardspro_cgc10',
+  'SGC 10': 'sportscardspro_sgc10'
+};
+
+const BREAKDOWNS = {
+  sport: card => card.sport || 'Unknown',
+  set: card => card.set_name || 'Unknown',
+  grader: card => (card.grading_company ? card.grading_company.toUpperCase() : 'Raw'),
+  year: card => (card.year ? String(card.year) : 'Unknown')
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function percentOf(gain, base) {
+  return base > 0 ? round2((gain / base) * 100) : null;
+}
+
+/**
+ * Current market value: recent eBay sales first, then the SportsCardsPro price for the card's grade
+ * @returns {{ value: number|null, source: string|null }}
+ */
+function marketValueFor(card) {
+  const ebayAvg = toNumber(card.ebay_avg);
+  if (ebayAvg !== null && ebayAvg > 0) return { value: ebayAvg, source: 'ebay' };
+
+  const gradeKey = card.grading_company && card.grade
+    ? `${card.grading_company.toUpperCase()} ${parseFloat(card.grade)}`
+    : null;
+  const field = gradeKey ? SCP_GRADE_FIELDS[gradeKey] : 'sportscardspro_raw';
+  const scpValue = field ? toNumber(card[field]) : null;
+  if (scpValue !== null && scpValue > 0) return { value: scpValue, source: 'sportscardspro' };
+
+  return { value: null, source: null };
+}
+
+function emptyTotals() {
+  return { cards: 0, priced: 0, costBasis: 0, marketValue: 0, unrealized: 0, matchedCost: 0 };
+}
+
+function addToTotals(totals, position) {
+  totals.cards++;
+  if (position.marketValue !== null) {
+    totals.priced++;
+    totals.marketValue += position.marketValue;
+  }
+  // Unrealized P&L only counts cards with both a cost and a value
+  if (position.costBasis !== null) {
+    totals.costBasis += position.costBasis;
+    if (position.gain !== null) {
+      totals.unrealized += position.gain;
+      totals.matchedCost += position.costBasis;
+    }
+  }
+}
+
+function finishTotals(totals) {
+  return {
+    cards: totals.cards,
+    priced: totals.priced,
+    costBasis: round2(totals.costBasis),
+    marketValue: round2(totals.marketValue),
+    unrealized: round2(totals.unrealized),
+    unrealizedPercent: percentOf(totals.unrealized, totals.matchedCost)
+  };
+}
+
+async function getRealized(userId) {
+  const result = await db.query(
+    'SELECT card_id, card_data, sale_price, cost_basis, net_profit FROM card_sales_history WHERE user_id = $1',
+    [userId]
+  );
+
+  let revenue = 0;
+  let costBasis = 0;
+  let profit = 0;
+  let unknownCost = 0;
+
+  for (const sale of result.rows) {
+    const salePrice = toNumber(sale.sale_price) || 0;
+    revenue += salePrice;
+
+    // Sales recorded with costs carry their own net profit (after fees and shipping)
+    if (sale.net_profit !== null && sale.net_profit !== undefined) {
+      costBasis += toNumber(sale.cost_basis) || 0;
+      profit += toNumber(sale.net_profit);
+      continue;
+    }
+
+    const cardData = typeof sale.card_data === 'string' ? JSON.parse(sale.card_data) : (sale.card_data || {});
+    const cost = costBasisFor(cardData);
+    if (cost === null) {
+      unknownCost++;
+      continue;
+    }
+    costBasis += cost;
+    profit += salePrice - cost;
+  }
+
+  return {
+    sales: result.rows.length,
+    revenue: round2(revenue),
+    costBasis: round2(costBasis),
+    profit: round2(profit),
+    profitPercent: percentOf(profit, costBasis),
+    salesWithoutCost: unknownCost
+  };
+}
+
+/**
+ * @param {number} userId
+ * @param {{ top?: number }} [options] - size of the gainers/losers lists
+ */
+async function getPortfolio(userId, { top = 5 } = {}) {
+  const cardsResult = await db.query(
+    `SELECT * FROM cards
+     WHERE user_id = $1 AND COALESCE(listing_status, 'unlisted') <> 'sold'`,
+    [userId]
+  );
+
+  const expenseTotals = await getExpenseTotals(userId);
+  const totals = emptyTotals();
+  const breakdowns = Object.fromEntries(Object.keys(BREAKDOWNS).map(key => [key, new Map()]));
+  const positions = [];
+
+  for (const card of cardsResult.rows) {
+    const costBasis = costBasisFor(card, expenseTotals.get(card.id));
+    const { value: marketValue, source } = marketValueFor(card);
+    const gain = costBasis !== null && marketValue !== null ? marketValue - costBasis : null;
+    const position = { costBasis, marketValue, gain };
+
+    addToTotals(totals, position);
+    for (const [name, keyFor] of Object.entries(BREAKDOWNS)) {
+      const key = keyFor(card);
+      if (!breakdowns[name].has(key)) breakdowns[name].set(key, emptyTotals());
+      addToTotals(breakdowns[name].get(key), position);
+    }
+
+    if (gain !== null) {
+      positions.push({
+        cardId: card.id,
+        name: [card.year, card.set_name, card.player, card.parallel !== 'Base' ? card.parallel : null]
+          .filter(Boolean).join(' '),
+        grade: card.grading_company ? `${card.grading_company} ${card.grade}` : null,
+        costBasis: round2(costBasis),
+        marketValue: round2(marketValue),
+        valueSource: source,
+        gain: round2(gain),
+        gainPercent: percentOf(gain, costBasis)
+      });
+    }
+  }
+
+  const sortedByGain = [...positions].sort((a, b) => b.gain - a.gain);
+  const realized = await getRealized(userId);
+  const unrealized = finishTotals(totals);
+
+  return {
+    summary: {
+      ...unrealized,
+      unpriced: unrealized.cards - unrealized.priced,
+      withoutCost: cardsResult.rows.filter(card => costBasisFor(card, expenseTotals.get(card.id)) === null).length
+    },
+    realized,
+    totalPnl: round2(unrealized.unrealized + realized.profit),
+    breakdowns: Object.fromEntries(
+      Object.entries(breakdowns).map(([name, groups]) => [
+        name,
+        Array.from(groups.entries())
+          .map(([key, groupTotals]) => ({ key, ...finishTotals(groupTotals) }))
+          .sort((a, b) => b.marketValue - a.marketValue)
+      ])
+    ),
+    topGainers: sortedByGain.filter(p => p.gain > 0).slice(0, top),
+    topLosers: sortedByGain.filter(p => p.gain < 0).reverse().slice(0, top)
+  };
+}
+
+module.exports = {
+  marketValueFor,
+  getPortfolio
+};
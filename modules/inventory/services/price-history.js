@@ -0,0 +1,135 @@
+/**
+ * Price History
+ *
+ * Card prices on `cards` are overwritten in place, so every pricing event also
+ * appends a row to card_price_snapshots. getPriceHistory buckets those rows
+ * into a daily or weekly valuation timeline.
+ */
+
+const db = require('../database/db');
+
+const SNAPSHOT_SOURCES = ['recent_sales', 'grading_analysis', 'scanner_confirm', 'scheduled_refresh'];
+const BUCKET_INTERVALS = ['day', 'week'];
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function percentChange(from, to) {
+  if (from === null || to === null || from === 0) return null;
+  return Math.round(((to - from) / from) * 10000) / 100;
+}
+
+/**
+ * Append a pricing snapshot. Never throws - a failed snapshot must not fail the pricing call.
+ * @param {{ cardId?: number, userId: number, source: string, marketValue?: number, ebayLow?: number,
+ *           ebayAvg?: number, ebayHigh?: number, sampleSize?: number, searchQuery?: string, details?: object }} snapshot
+ *   marketValue defaults to ebayAvg
+ * @returns {Promise<object|null>} The snapshot row, or null if it wasn't recorded
+ */
+async function recordPriceSnapshot({
+  cardId = null,
+  userId,
+  source,
+  marketValue,
+  ebayLow = null,
+  ebayAvg = null,
+  ebayHigh = null,
+  sampleSize = 0,
+  searchQuery = null,
+  details = null
+}) {
+  if (!SNAPSHOT_SOURCES.includes(source)) {
+    console.error(`❌ Unknown price snapshot source "${source}"`);
+    return null;
+  }
+
+  try {
+    const result = await db.query(
+      `INSERT INTO card_price_snapshots
+         (card_id, user_id, source, market_value, ebay_low, ebay_avg, ebay_high, sample_size, search_query, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        cardId,
+        userId,
+        source,
+        toNumber(marketValue !== undefined ? marketValue : ebayAvg),
+        toNumber(ebayLow),
+        toNumber(ebayAvg),
+        toNumber(ebayHigh),
+        parseInt(sampleSize) || 0,
+        searchQuery,
+        details ? JSON.stringify(details) : null
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error(`❌ Price snapshot failed (card ${cardId}, ${source}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Valuation timeline for one card
+ * @param {number} cardId
+ * @param {{ interval?: 'day'|'week', days?: number }} [options]
+ * @returns {Promise<{ buckets: object[], summary: object }>}
+ */
+async function getPriceHistory(cardId, { interval = 'day', days = 90 } = {}) {
+  const bucket = BUCKET_INTERVALS.includes(interval) ? interval : 'day';
+
+  const result = await db.query(
+    `SELECT DATE_TRUNC('${bucket}', captured_at) AS bucket,
+            AVG(market_value) AS avg_value,
+            MIN(market_value) AS low,
+            MAX(market_value) AS high,
+            COUNT(*) AS snapshots
+     FROM card_price_snapshots
+     WHERE card_id = $1
+       AND market_value IS NOT NULL
+       AND captured_at >= NOW() - $2 * INTERVAL '1 day'
+     GROUP BY DATE_TRUNC('${bucket}', captured_at)
+     ORDER BY bucket ASC`,
+    [cardId, days]
+  );
+
+  let previous = null;
+  const buckets = result.rows.map(row => {
+    const value = Math.round(toNumber(row.avg_value) * 100) / 100;
+    const entry = {
+      date: row.bucket,
+      value,
+      low: toNumber(row.low),
+      high: toNumber(row.high),
+      snapshots: parseInt(row.snapshots),
+      changePercent: percentChange(previous, value)
+    };
+    previous = value;
+    return entry;
+  });
+
+  const first = buckets.length > 0 ? buckets[0].value : null;
+  const last = buckets.length > 0 ? buckets[buckets.length - 1].value : null;
+
+  return {
+    buckets,
+    summary: {
+      first,
+      last,
+      change: first !== null && last !== null ? Math.round((last - first) * 100) / 100 : null,
+      changePercent: percentChange(first, last),
+      high: buckets.length > 0 ? Math.max(...buckets.map(b => b.high)) : null,
+      low: buckets.length > 0 ? Math.min(...buckets.map(b => b.low)) : null,
+      snapshots: buckets.reduce((sum, b) => sum + b.snapshots, 0)
+    }
+  };
+}
+
+module.exports = {
+  SNAPSHOT_SOURCES,
+  BUCKET_INTERVALS,
+  recordPriceSnapshot,
+  getPriceHistory
+};
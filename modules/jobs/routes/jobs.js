@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const queue = require('../services/queue');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// ==========================================
+// BACKGROUND JOBS - status & progress polling
+// ==========================================
+
+// List my jobs - ?status=running&type=ebay.bulk_create_listings&limit=20
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { status, type } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const jobs = await queue.listJobs(userId, {
+      status: status || null,
+      type: type || null,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({ success: true, jobs: jobs.map(queue.serializeJob) });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load jobs' });
+  }
+});
+
+// Job status, progress and (once finished) result
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const jobId = parseInt(req.params.id);
+    const job = jobId && await queue.getJob(jobId, userId);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, job: queue.serializeJob(job) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load job' });
+  }
+});
+
+// Cancel - queued jobs stop immediately, running jobs stop after the current item
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const jobId = parseInt(req.params.id);
+    const job = jobId && await queue.cancelJob(jobId, userId);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found or already finished' });
+    }
+
+    res.json({ success: true, job: queue.serializeJob(job) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+/**
+ * Job Queue
+ *
+ * Postgres-backed background jobs. Routes enqueue work and return a job id;
+ * the worker (startWorker, started in server.js) claims queued jobs with
+ * FOR UPDATE SKIP LOCKED, so several server instances can share the table.
+ *
+ * Handlers are registered by the module that owns the work:
+ *   registerHandler('ebay.bulk_create_listings', async (payload, ctx) => { ... })
+ * ctx.progress(current, total, message) reports progress and doubles as a
+ * heartbeat; ctx.isCancelled() tells the handler to stop early.
+ * A thrown error is retried with exponential backoff up to max_attempts
+ * (set error.retryable = false to fail immediately).
+ */
+
+const db = require('../database/db');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 2000;
+const CONCURRENCY = parseInt(process.env.JOBS_CONCURRENCY) || 2;
+const PER_USER_CONCURRENCY = parseInt(process.env.JOBS_PER_USER_CONCURRENCY) || 1;
+const BASE_BACKOFF_SECONDS = 30;
+const STALE_LOCK_MINUTES = 15;
+
+const handlers = new Map();
+let pollTimer = null;
+let running = 0;
+let ticking = false;
+
+/**
+ * @param {string} type
+ * @param {(payload: object, ctx: object) => Promise<object>} handler - resolves to the job result
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a job
+ * @param {string} type
+ * @param {object} payload
+ * @param {{ userId?: number, maxAttempts?: number, delaySeconds?: number, total?: number }} [options]
+ * @returns {Promise<object>} The job row
+ */
+async function enqueue(type, payload = {}, { userId = null, maxAttempts = 3, delaySeconds = 0, total = null } = {}) {
+  const result = await db.query(
+    `INSERT INTO jobs (user_id, type, payload, max_attempts, progress_total, run_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 second')
+     RETURNING *`,
+    [userId, type, JSON.stringify(payload), maxAttempts, total, delaySeconds]
+  );
+  return result.rows[0];
+}
+
+async function getJob(jobId, userId) {
+  const result = await db.query('SELECT * FROM jobs WHERE id = $1 AND user_id = $2', [jobId, userId]);
+  return result.rows[0] || null;
+}
+
+async function listJobs(userId, { status = null, type = null, limit = 20 } = {}) {
+  const params = [userId];
+  let query = 'SELECT * FROM jobs WHERE user_id = $1';
+
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+  if (type) {
+    params.push(type);
+    query += ` AND type = $${params.length}`;
+  }
+
+  params.push(limit);
+  query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length}`;
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Cancel a queued job outright, or ask a running one to stop
+ * @returns {Promise<object|null>} Updated job, or null if it can't be cancelled
+ */
+async function cancelJob(jobId, userId) {
+  const result = await db.query(
+    `UPDATE jobs
+     SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+         cancel_requested = true,
+         updated_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [jobId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Shape a job row for API responses
+ */
+function serializeJob(job) {
+  const total = job.progress_total;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: {
+      current: job.progress_current || 0,
+      total,
+      percent: total ? Math.round(((job.progress_current || 0) / total) * 100) : null,
+      message: job.progress_message
+    },
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    lastError: job.last_error,
+    cancelRequested: job.cancel_requested,
+    result: job.result,
+    runAt: job.run_at,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+// ==========================================
+// WORKER
+// ==========================================
+
+// Jobs whose worker died mid-run: requeue, or fail if they're out of attempts
+async function recoverStaleJobs() {
+  await db.query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         last_error = COALESCE(last_error, 'Worker stopped responding'),
+         finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+         locked_at = NULL,
+         run_at = NOW(),
+         updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes'`
+  );
+}
+
+// Claim the next due job of a type this process can run, skipping users at their concurrency cap
+async function claimJob() {
+  const result = await db.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = NOW(),
+         started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+     WHERE id = (
+       SELECT j.id FROM jobs j
+       WHERE j.status = 'queued' AND j.run_at <= NOW() AND j.type = ANY($1)
+         AND (j.user_id IS NULL OR j.user_id NOT IN (
+           SELECT user_id FROM jobs
+           WHERE status = 'running' AND user_id IS NOT NULL
+           GROUP BY user_id
+           HAVING COUNT(*) >= $2
+         ))
+       ORDER BY j.run_at, j.id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [Array.from(handlers.keys()), PER_USER_CONCURRENCY]
+  );
+  return result.rows[0] || null;
+}
+
+function createContext(job) {
+  let cancelled = job.cancel_requested === true;
+
+  return {
+    job,
+    userId: job.user_id,
+    attempt: job.attempts,
+    async progress(current, total = null, message = null) {
+      const result = await db.query(
+        `UPDATE jobs
+         SET progress_current = $1, progress_total = COALESCE($2, progress_total),
+             progress_message = $3, locked_at = NOW(), updated_at = NOW()
+         WHERE id = $4
+         RETURNING cancel_requested`,
+        [current, total, message, job.id]
+      );
+      cancelled = result.rows[0]?.cancel_requested === true;
+    },
+    isCancelled() {
+      return cancelled;
+    }
+  };
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const ctx = createContext(job);
+
+  try {
+    const result = await handler(job.payload || {}, ctx);
+
+    await db.query(
+      `UPDATE jobs
+       SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'completed' END,
+           result = $1, last_error = NULL, locked_at = NULL, finished_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [JSON.stringify(result ?? null), job.id]
+    );
+    console.log(`✅ Job ${job.id} (${job.type}) finished`);
+  } catch (error) {
+    const giveUp = error.retryable === false || job.attempts >= job.max_attempts;
+    const backoffSeconds = BASE_BACKOFF_SECONDS * 2 ** (job.attempts - 1);
+
+    await db.query(
+      `UPDATE jobs
+       SET status = $1, last_error = $2, locked_at = NULL,
+           run_at = NOW() + $3 * INTERVAL '1 second',
+           finished_at = CASE WHEN $5 THEN NOW() ELSE NULL END,
+           updated_at = NOW()
+       WHERE id = $4`,
+      [giveUp ? 'failed' : 'queued', error.message, backoffSeconds, job.id, giveUp]
+    );
+    console.error(`❌ Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed:`, error.message);
+  }
+}
+
+async function tick() {
+  if (ticking || handlers.size === 0) return;
+  ticking = true;
+
+  try {
+    await recoverStaleJobs();
+
+    while (running < CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+
+      running++;
+      runJob(job)
+        .catch(error => console.error(`❌ Job ${job.id} bookkeeping failed:`, error.message))
+        .finally(() => { running--; });
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+function startWorker() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  console.log(`⚙️  Job worker started (${handlers.size} job types, concurrency ${CONCURRENCY}, ${PER_USER_CONCURRENCY}/user)`);
+}
+
+function stopWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  getJob,
+  listJobs,
+  cancelJob,
+  serializeJob,
+  startWorker,
+  stopWorker,
+  tick
+};
@@ -2,16 +2,56 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { notifyUser } = require('../services/notificationService');
+const { recordVendorEvent } = require('../services/vendor-analytics');
+const sdm = require('../services/sdm');
+const tagLifecycle = require('../services/tag-lifecycle');
+const { recordTap, getTapAnalytics } = require('../services/tap-analytics');
+const { getCertStatus, verifyCardCert } = require('../services/cert-verification');
+const { buildProvenance } = require('../services/provenance');
+const jobQueue = require('../../jobs/services/queue');
+
+const BINDING_CONFLICTS = {
+  other_owner: 'NFC tag is registered to another account',
+  retired: 'NFC tag has been retired',
+  reported_stolen: 'NFC tag is reported stolen - recover it first',
+  rebind_unconfirmed: 'NFC tag is already on another card - resend with confirm_rebind to move it'
+};
+
+const INVALID_UID_ERROR = 'NFC UID must be 7 bytes of hex (NTAG 424 DNA)';
+
+// 7-byte UIDs are stored normalized. Plain tags with other UID formats keep the UID as given
+function lookupUid(nfcUid) {
+  return sdm.normalizeUid(nfcUid) || nfcUid;
+}
+
+function bindingConflictBody(conflict, tag) {
+  const body = { success: false, error: BINDING_CONFLICTS[conflict], conflict };
+  if (conflict === 'rebind_unconfirmed') {
+    body.current_card_id = tag.card_id;
+  }
+  return body;
+}
+
+async function ownsCard(userId, cardId) {
+  const result = await db.query(
+    'SELECT id FROM cards WHERE id = $1 AND user_id = $2',
+    [cardId, userId]
+  );
+  return result.rows.length > 0;
+}
 
 // ==========================================
 // REGISTER NFC TAG TO CARD
 // ==========================================
 router.post('/register-tag', authenticateToken, async (req, res) => {
   try {
-    const { nfc_uid, card_id } = req.body;
+    const { confirm_rebind } = req.body;
+    const nfc_uid = lookupUid(req.body.nfc_uid);
+    const cardId = parseInt(req.body.card_id, 10);
     const userId = req.user.userId;
     
-    if (!nfc_uid || !card_id) {
+    if (!nfc_uid || !cardId) {
       return res.status(400).json({ 
         success: false, 
         error: 'NFC UID and card ID required' 
@@ -19,47 +59,27 @@ router.post('/register-tag', authenticateToken, async (req, res) => {
     }
     
     // Verify user owns the card
-    const cardCheck = await db.query(
-      'SELECT id FROM cards WHERE id = ? AND user_id = ?',
-      [card_id, userId]
-    );
-    
-    if (cardCheck.rows.length === 0) {
+    if (!(await ownsCard(userId, cardId))) {
       return res.status(403).json({ 
         success: false, 
         error: 'Card not found or not owned by user' 
       });
     }
     
-    // Check if NFC tag already exists
-    const existingTag = await db.query(
-      'SELECT * FROM nfc_tags WHERE nfc_uid = ?',
-      [nfc_uid]
-    );
-    
-    if (existingTag.rows.length > 0) {
-      // Update existing tag
-      await db.query(
-        'UPDATE nfc_tags SET card_id = ?, user_id = ? WHERE nfc_uid = ?',
-        [card_id, userId, nfc_uid]
-      );
-      
-      console.log(`✅ Updated NFC tag ${nfc_uid} -> card ${card_id}`);
-    } else {
-      // Create new tag
-      await db.query(
-        'INSERT INTO nfc_tags (nfc_uid, card_id, user_id) VALUES (?, ?, ?)',
-        [nfc_uid, card_id, userId]
-      );
-      
-      console.log(`✅ Created NFC tag ${nfc_uid} -> card ${card_id}`);
+    const result = await tagLifecycle.bindTag(userId, nfc_uid, cardId, { confirmRebind: !!confirm_rebind });
+    
+    if (result.conflict) {
+      return res.status(409).json(bindingConflictBody(result.conflict, result.tag));
     }
     
+    console.log(`✅ ${result.eventType || 'Kept'} NFC tag ${nfc_uid} -> card ${cardId}`);
+    
     res.json({ 
       success: true, 
-      message: 'NFC tag registered successfully',
+      message: result.eventType === 'rebind' ? 'NFC tag moved to this card' : 'NFC tag registered successfully',
       nfc_uid,
-      card_id
+      card_id: cardId,
+      previous_card_id: result.previousCardId
     });
     
   } catch (error) {
@@ -71,8 +91,141 @@ router.post('/register-tag', authenticateToken, async (req, res) => {
   }
 });
 
+const TAP_CARD_COLUMNS = `
+  id, user_id, player, year, set_name, card_number, parallel, team, sport,
+  front_image_url, back_image_url, front_image_thumb, back_image_thumb,
+  is_graded, grading_company, grade, cert_number,
+  is_autographed, numbered, serial_number, numbered_to,
+  asking_price, ebay_avg, ebay_low, ebay_high, ebay_sample_size,
+  listing_status, created_at
+`;
+
+const VERIFICATION_MESSAGES = {
+  verified: 'Authentic tag - this tap was signed by the chip',
+  reused: 'This link was already opened - tap the tag again to verify',
+  replay: 'This link was copied from an earlier tap - the tag may be a clone',
+  unsigned: 'This tag does not sign its taps, so it cannot prove authenticity'
+};
+
+/**
+ * Log a tap on a bound tag and send back its card, with how far the tap can be trusted
+ */
+async function respondWithTappedCard(req, res, tag, { verification, tapCounter = null }) {
+  if (tag.status === 'retired') {
+    return res.status(410).json({
+      success: false,
+      error: 'This NFC tag has been retired'
+    });
+  }
+
+  const cardResult = await db.query(`SELECT ${TAP_CARD_COLUMNS} FROM cards WHERE id = $1`, [tag.card_id]);
+
+  if (cardResult.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'NFC tag is not on a card'
+    });
+  }
+
+  const card = cardResult.rows[0];
+  const cardName = [card.year, card.set_name, card.player].filter(Boolean).join(' ');
+
+  await recordTap(req, { userId: card.user_id, cardId: card.id, tagId: tag.id, tapCounter, verification });
+
+  await db.query('UPDATE nfc_tags SET last_scanned = NOW() WHERE id = $1', [tag.id]);
+
+  console.log(`✅ Card found: ${card.player} - ${card.year} ${card.set_name} (${verification})`);
+
+  notifyUser(card.user_id, 'nfc_tap', {
+    cardId: card.id,
+    cardName,
+    nfcUid: tag.nfc_uid
+  }, { caller: 'nfc.scan' });
+
+  const reportedStolen = tag.status === 'reported_stolen';
+  if (reportedStolen || verification === 'replay') {
+    notifyUser(card.user_id, 'nfc_tag_alert', {
+      cardId: card.id,
+      cardName,
+      nfcUid: tag.nfc_uid,
+      reason: reportedStolen ? 'reported_stolen' : 'replay'
+    }, { caller: 'nfc.scan' });
+  }
+
+  recordVendorEvent({
+    vendorId: card.user_id,
+    eventType: 'nfc_scan',
+    cardId: card.id,
+    sessionId: req.get('X-Session-Id') || null,
+    source: 'nfc'
+  });
+
+  res.json({
+    success: true,
+    card,
+    nfc_tag: {
+      uid: tag.nfc_uid,
+      status: tag.status,
+      registered_at: tag.created_at,
+      last_scanned: new Date()
+    },
+    verification: {
+      status: verification,
+      authentic: verification === 'verified',
+      message: VERIFICATION_MESSAGES[verification],
+      tap_counter: tapCounter,
+      reported_stolen: reportedStolen
+    }
+  });
+}
+
 // ==========================================
-// GET CARD BY NFC TAP
+// SIGNED TAP (SUN/SDM tags)
+// ==========================================
+router.get('/tap', async (req, res) => {
+  try {
+    const tap = sdm.parseTap(req.query);
+
+    if (!tap) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or incomplete tap URL'
+      });
+    }
+
+    const { tag, verification } = await tagLifecycle.verifyTap(tap);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'NFC tag not registered'
+      });
+    }
+
+    if (verification === 'bad_cmac') {
+      console.log(`⚠️ NFC tap signature mismatch: ${tap.uid}`);
+      await recordTap(req, { userId: tag.user_id, cardId: tag.card_id, tagId: tag.id, tapCounter: tap.counter, verification });
+      return res.status(403).json({
+        success: false,
+        error: 'Tap signature does not match this tag'
+      });
+    }
+
+    console.log(`📱 Signed NFC tap: ${tap.uid} #${tap.counter}`);
+
+    await respondWithTappedCard(req, res, tag, { verification, tapCounter: tap.counter });
+
+  } catch (error) {
+    console.error('NFC tap error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify NFC tap'
+    });
+  }
+});
+
+// ==========================================
+// GET CARD BY NFC TAP (unsigned tags)
 // ==========================================
 router.get('/scan/:nfc_uid', async (req, res) => {
   try {
@@ -80,66 +233,24 @@ router.get('/scan/:nfc_uid', async (req, res) => {
     
     console.log(`📱 NFC scan detected: ${nfc_uid}`);
     
-    // Look up NFC tag
-    const tagResult = await db.query(
-      'SELECT * FROM nfc_tags WHERE nfc_uid = ?',
-      [nfc_uid]
-    );
+    const tag = await tagLifecycle.getTagByUid(lookupUid(nfc_uid));
     
-    if (tagResult.rows.length === 0) {
+    if (!tag) {
       return res.status(404).json({ 
         success: false, 
         error: 'NFC tag not registered' 
       });
     }
-    
-    const tag = tagResult.rows[0];
-    
-    // Get full card details
-    const cardResult = await db.query(`
-      SELECT 
-        id, user_id, player, year, set_name, card_number, parallel, team, sport,
-        front_image_url, back_image_url, front_image_thumb, back_image_thumb,
-        is_graded, grading_company, grade, cert_number,
-        is_autographed, numbered, serial_number, numbered_to,
-        asking_price, ebay_avg, ebay_low, ebay_high, ebay_sample_size,
-        listing_status, created_at
-      FROM cards 
-      WHERE id = ?
-    `, [tag.card_id]);
-    
-    if (cardResult.rows.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Card not found' 
+
+    // A bare UID is trivial to copy - signed tags only answer on /tap
+    if (tag.sdm_key) {
+      return res.status(403).json({
+        success: false,
+        error: 'This tag uses signed taps - open the link the tag provides'
       });
     }
-    
-    const card = cardResult.rows[0];
-    
-    // Log the scan
-    await db.query(
-      'INSERT INTO nfc_scan_logs (user_id, card_id, nfc_tag_id, device_type) VALUES (?, ?, ?, ?)',
-      [card.user_id, card.id, tag.id, 'unknown']
-    );
-    
-    // Update last scanned timestamp
-    await db.query(
-      'UPDATE nfc_tags SET last_scanned = NOW() WHERE id = ?',
-      [tag.id]
-    );
-    
-    console.log(`✅ Card found: ${card.player} - ${card.year} ${card.set_name}`);
-    
-    res.json({ 
-      success: true, 
-      card,
-      nfc_tag: {
-        uid: tag.nfc_uid,
-        registered_at: tag.created_at,
-        last_scanned: new Date()
-      }
-    });
+
+    await respondWithTappedCard(req, res, tag, { verification: 'unsigned' });
     
   } catch (error) {
     console.error('NFC scan error:', error);
@@ -189,16 +300,29 @@ router.get('/card/:shortId', async (req, res) => {
     }
     
     const card = cardResult.rows[0];
+
+    // Printed QR codes link here with ?src=qr
+    const sessionId = req.get('X-Session-Id') || null;
+    recordVendorEvent({
+      vendorId: card.user_id,
+      eventType: 'card_view',
+      cardId: card.id,
+      sessionId,
+      source: req.query.src ? String(req.query.src).slice(0, 30) : null
+    });
+    if (req.query.src === 'qr') {
+      recordVendorEvent({ vendorId: card.user_id, eventType: 'qr_scan', cardId: card.id, sessionId, source: 'qr' });
+    }
     
     // Update view count (skip if columns don't exist)
     // await db.query(
-    //   'UPDATE cards SET views = COALESCE(views, 0) + 1, last_viewed = NOW() WHERE id = ?',
+    //   'UPDATE cards SET views = COALESCE(views, 0) + 1, last_viewed = NOW() WHERE id = $1',
     //   [card.id]
     // );
     
     // Build owner object
     const owner = {
-      username: card.full_name || card.email?.split('@')[0] || 'user',
+      username: card.hide_owner_info ? 'Private collector' : (card.full_name || card.email?.split('@')[0] || 'user'),
       email: card.hide_owner_info ? null : card.email
     };
     
@@ -214,11 +338,16 @@ router.get('/card/:shortId', async (req, res) => {
       }
     }
     
+    // Verified history - transfers, NFC bindings, cert check, eBay listings
+    const cert = await getCertStatus(card, cardId => jobQueue.enqueue('nfc.verify_cert', { cardId }));
+    const provenance = await buildProvenance(card, cert);
+    
     // Clean up response
     const response = {
       ...card,
       owner,
       certLink,
+      provenance,
       owner_theme: 'purple'
     };
     
@@ -253,10 +382,14 @@ router.get('/tags', authenticateToken, async (req, res) => {
     const result = await db.query(`
       SELECT 
         nt.id, nt.nfc_uid, nt.card_id, nt.created_at, nt.last_scanned,
-        c.player, c.year, c.set_name, c.front_image_thumb
+        nt.status, nt.status_changed_at, nt.status_note,
+        nt.sdm_key IS NOT NULL AS signed_taps, nt.sdm_counter,
+        c.player, c.year, c.set_name, c.front_image_thumb,
+        nt.previous_card_id, pc.player AS previous_player, pc.year AS previous_year, pc.set_name AS previous_set_name
       FROM nfc_tags nt
-      JOIN cards c ON nt.card_id = c.id
-      WHERE nt.user_id = ?
+      LEFT JOIN cards c ON nt.card_id = c.id
+      LEFT JOIN cards pc ON nt.previous_card_id = pc.id AND pc.user_id = nt.user_id
+      WHERE nt.user_id = $1
       ORDER BY nt.created_at DESC
     `, [userId]);
     
@@ -275,36 +408,217 @@ router.get('/tags', authenticateToken, async (req, res) => {
 });
 
 // ==========================================
-// DELETE NFC TAG
+// TAP ANALYTICS
+// ==========================================
+router.get('/analytics', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const cardId = req.query.card_id ? parseInt(req.query.card_id, 10) : null;
+
+    let card = null;
+    if (cardId) {
+      const cardResult = await db.query(
+        'SELECT id, player, year, set_name, asking_price, listing_status FROM cards WHERE id = $1 AND user_id = $2',
+        [cardId, userId]
+      );
+
+      if (cardResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Card not found or not owned by user'
+        });
+      }
+      card = cardResult.rows[0];
+    }
+
+    const analytics = await getTapAnalytics(userId, { days, cardId, limit });
+
+    res.json({
+      success: true,
+      ...(card ? { card } : {}),
+      analytics
+    });
+
+  } catch (error) {
+    console.error('NFC analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load NFC analytics'
+    });
+  }
+});
+
+// ==========================================
+// PROVISION SIGNED NFC TAG
+// ==========================================
+router.post('/tags/provision', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const nfcUid = sdm.normalizeUid(req.body.nfc_uid);
+    const cardId = parseInt(req.body.card_id, 10) || null;
+
+    if (!nfcUid) {
+      return res.status(400).json({
+        success: false,
+        error: INVALID_UID_ERROR
+      });
+    }
+
+    if (cardId && !(await ownsCard(userId, cardId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Card not found or not owned by user'
+      });
+    }
+
+    const result = await tagLifecycle.provisionTag(userId, nfcUid, cardId, { confirmRebind: !!req.body.confirm_rebind });
+
+    if (result.conflict) {
+      return res.status(409).json(bindingConflictBody(result.conflict, result.tag));
+    }
+
+    const { tag, key } = result;
+
+    console.log(`✅ Provisioned NFC tag ${nfcUid}${cardId ? ` -> card ${cardId}` : ''}`);
+
+    // The key is only ever shown here - it goes straight onto the chip
+    res.status(201).json({
+      success: true,
+      tag: {
+        id: tag.id,
+        nfc_uid: tag.nfc_uid,
+        card_id: tag.card_id,
+        status: tag.status,
+        provisioned_at: tag.provisioned_at
+      },
+      sdm: {
+        file_read_key: key,
+        url_template: sdm.tapUrlTemplate(process.env.BACKEND_URL || 'http://localhost:5000'),
+        encrypted_picc_data: !!process.env.NFC_SDM_META_KEY
+      }
+    });
+
+  } catch (error) {
+    console.error('Provision NFC tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to provision NFC tag'
+    });
+  }
+});
+
+// ==========================================
+// RETIRE / REPORT STOLEN / RECOVER NFC TAG
+// ==========================================
+const STATUS_ACTIONS = {
+  retire: 'retire',
+  'report-stolen': 'report_stolen',
+  recover: 'recover'
+};
+
+router.post('/tags/:nfc_uid/:action(retire|report-stolen|recover)', authenticateToken, async (req, res) => {
+  try {
+    const { nfc_uid, action } = req.params;
+    const userId = req.user.userId;
+    const note = req.body.note ? String(req.body.note).slice(0, 500) : null;
+
+    const tag = await tagLifecycle.setTagStatus(userId, lookupUid(nfc_uid), STATUS_ACTIONS[action], note);
+
+    if (!tag) {
+      return res.status(409).json({
+        success: false,
+        error: 'NFC tag not found, not owned by user, or not in a state that allows this'
+      });
+    }
+
+    console.log(`✅ NFC tag ${tag.nfc_uid} -> ${tag.status}`);
+
+    res.json({
+      success: true,
+      tag: {
+        id: tag.id,
+        nfc_uid: tag.nfc_uid,
+        card_id: tag.card_id,
+        status: tag.status,
+        status_note: tag.status_note,
+        status_changed_at: tag.status_changed_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Update NFC tag status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update NFC tag'
+    });
+  }
+});
+
+// ==========================================
+// NFC TAG HISTORY
+// ==========================================
+router.get('/tags/:nfc_uid/history', authenticateToken, async (req, res) => {
+  try {
+    const { nfc_uid } = req.params;
+    const history = await tagLifecycle.getTagHistory(req.user.userId, lookupUid(nfc_uid));
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: 'NFC tag not found or not owned by user'
+      });
+    }
+
+    const { tag, events } = history;
+
+    res.json({
+      success: true,
+      tag: {
+        id: tag.id,
+        nfc_uid: tag.nfc_uid,
+        card_id: tag.card_id,
+        previous_card_id: tag.previous_card_id,
+        status: tag.status,
+        created_at: tag.created_at
+      },
+      events
+    });
+
+  } catch (error) {
+    console.error('Get NFC tag history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get NFC tag history'
+    });
+  }
+});
+
+// ==========================================
+// DELETE (UNBIND) NFC TAG
 // ==========================================
 router.delete('/tags/:nfc_uid', authenticateToken, async (req, res) => {
   try {
     const { nfc_uid } = req.params;
     const userId = req.user.userId;
     
-    // Verify ownership
-    const checkResult = await db.query(
-      'SELECT id FROM nfc_tags WHERE nfc_uid = ? AND user_id = ?',
-      [nfc_uid, userId]
-    );
+    const result = await tagLifecycle.unbindTag(userId, lookupUid(nfc_uid));
     
-    if (checkResult.rows.length === 0) {
+    if (!result) {
       return res.status(404).json({ 
         success: false, 
         error: 'NFC tag not found or not owned by user' 
       });
     }
     
-    await db.query(
-      'DELETE FROM nfc_tags WHERE nfc_uid = ? AND user_id = ?',
-      [nfc_uid, userId]
-    );
-    
-    console.log(`✅ Deleted NFC tag ${nfc_uid}`);
+    console.log(`✅ ${result.deleted ? 'Deleted' : 'Unbound'} NFC tag ${nfc_uid}`);
     
     res.json({ 
       success: true, 
-      message: 'NFC tag deleted' 
+      message: result.deleted ? 'NFC tag deleted' : 'NFC tag removed from its card - it stays registered to you',
+      deleted: result.deleted,
+      previous_card_id: result.deleted ? result.tag.card_id : result.tag.previous_card_id
     });
     
   } catch (error) {
@@ -321,7 +635,7 @@ router.delete('/tags/:nfc_uid', authenticateToken, async (req, res) => {
 // ==========================================
 router.post('/bulk-register', authenticateToken, async (req, res) => {
   try {
-    const { tags } = req.body; // Array of { nfc_uid, card_id }
+    const { tags } = req.body; // Array of { nfc_uid, card_id, confirm_rebind? }
     const userId = req.user.userId;
     
     if (!Array.isArray(tags) || tags.length === 0) {
@@ -335,13 +649,11 @@ router.post('/bulk-register', authenticateToken, async (req, res) => {
     
     for (const tag of tags) {
       try {
-        // Verify card ownership
-        const cardCheck = await db.query(
-          'SELECT id FROM cards WHERE id = ? AND user_id = ?',
-          [tag.card_id, userId]
-        );
+        const cardId = parseInt(tag.card_id, 10);
+        const nfcUid = lookupUid(tag.nfc_uid);
         
-        if (cardCheck.rows.length === 0) {
+        // Verify card ownership
+        if (!nfcUid || !cardId || !(await ownsCard(userId, cardId))) {
           results.push({ 
             nfc_uid: tag.nfc_uid, 
             success: false, 
@@ -351,22 +663,31 @@ router.post('/bulk-register', authenticateToken, async (req, res) => {
         }
         
         // Register tag
-        await db.query(
-          'INSERT INTO nfc_tags (nfc_uid, card_id, user_id) VALUES (?, ?, ?) ON CONFLICT (nfc_uid) DO UPDATE SET card_id = ?, user_id = ?',
-          [tag.nfc_uid, tag.card_id, userId, tag.card_id, userId]
-        );
+        const result = await tagLifecycle.bindTag(userId, nfcUid, cardId, {
+          confirmRebind: !!(tag.confirm_rebind || req.body.confirm_rebind)
+        });
+        
+        if (result.conflict) {
+          results.push({ 
+            nfc_uid: tag.nfc_uid, 
+            ...bindingConflictBody(result.conflict, result.tag)
+          });
+          continue;
+        }
         
         results.push({ 
-          nfc_uid: tag.nfc_uid, 
-          card_id: tag.card_id,
+          nfc_uid: nfcUid, 
+          card_id: cardId,
+          previous_card_id: result.previousCardId,
           success: true 
         });
         
       } catch (error) {
+        console.error('Bulk register tag error:', tag.nfc_uid, error);
         results.push({ 
           nfc_uid: tag.nfc_uid, 
           success: false, 
-          error: error.message 
+          error: 'Failed to register tag' 
         });
       }
     }
@@ -391,4 +712,10 @@ router.post('/bulk-register', authenticateToken, async (req, res) => {
   }
 });
 
+// Grading cert lookups for the public card page
+jobQueue.registerHandler('nfc.verify_cert', async ({ cardId }) => {
+  const verification = await verifyCardCert(cardId);
+  return { cardId, status: verification ? verification.status : null };
+});
+
 module.exports = router;
\ No newline at end of file
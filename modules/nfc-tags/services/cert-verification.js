@@ -0,0 +1,122 @@
+/**
+ * Grading Cert Verification
+ *
+ * Looks a graded card's cert number up with its grader and keeps the result
+ * in card_cert_verifications. PSA is the only grader with a public cert API
+ * (needs PSA_API_TOKEN); BGS and SGC certs are marked unsupported and the
+ * public page just links to their lookup pages. Lookups run on the job queue
+ * ('nfc.verify_cert') so a public page view never waits on the grader.
+ */
+
+const axios = require('axios');
+const db = require('../database/db');
+
+const PSA_CERT_URL = 'https://api.psacard.com/publicapi/cert/GetByCertNumber';
+const RECHECK_DAYS = 30;
+const PENDING_RETRY_MINUTES = 60;
+
+function gradeNumber(grade) {
+  const match = String(grade || '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function canLookUp(card) {
+  return card.grading_company === 'PSA' && !!process.env.PSA_API_TOKEN;
+}
+
+async function getVerification(cardId) {
+  const result = await db.query('SELECT * FROM card_cert_verifications WHERE card_id = $1', [cardId]);
+  return result.rows[0] || null;
+}
+
+async function saveVerification(card, status, details = null) {
+  const result = await db.query(
+    `INSERT INTO card_cert_verifications (card_id, grading_company, cert_number, status, details, requested_at, checked_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), CASE WHEN $6 THEN NULL ELSE NOW() END)
+     ON CONFLICT (card_id) DO UPDATE
+     SET grading_company = $2, cert_number = $3, status = $4, details = $5,
+         requested_at = CASE WHEN $6 THEN NOW() ELSE card_cert_verifications.requested_at END,
+         checked_at = CASE WHEN $6 THEN card_cert_verifications.checked_at ELSE NOW() END
+     RETURNING *`,
+    [card.id, card.grading_company, card.cert_number, status, details ? JSON.stringify(details) : null, status === 'pending']
+  );
+  return result.rows[0];
+}
+
+function isCurrent(verification, card) {
+  if (!verification) return false;
+  if (verification.cert_number !== card.cert_number || verification.grading_company !== card.grading_company) return false;
+
+  const age = ms => Date.now() - new Date(ms).getTime();
+  if (verification.status === 'pending') {
+    return age(verification.requested_at) < PENDING_RETRY_MINUTES * 60 * 1000;
+  }
+  return !!verification.checked_at && age(verification.checked_at) < RECHECK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * The card's cert status, queueing a lookup when there's none or it's stale.
+ * Returns null for cards without a cert.
+ * @param {object} card - needs id, is_graded, grading_company, grade, cert_number
+ * @param {(cardId: number) => Promise<unknown>} queueLookup
+ */
+async function getCertStatus(card, queueLookup) {
+  if (!card.is_graded || !card.cert_number) return null;
+
+  const verification = await getVerification(card.id);
+  if (isCurrent(verification, card)) return verification;
+
+  if (!canLookUp(card)) return saveVerification(card, 'unsupported');
+
+  const pending = await saveVerification(card, 'pending');
+  await queueLookup(card.id);
+  return pending;
+}
+
+async function lookUpPsaCert(certNumber) {
+  try {
+    const response = await axios.get(`${PSA_CERT_URL}/${encodeURIComponent(certNumber)}`, {
+      headers: { Authorization: `bearer ${process.env.PSA_API_TOKEN}` },
+      timeout: 10000
+    });
+    return response.data && response.data.PSACert ? response.data.PSACert : null;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Look the card's cert up now and store the result (the job handler)
+ * @returns {Promise<object|null>} The verification row, or null if the card has no cert
+ */
+async function verifyCardCert(cardId) {
+  const cardResult = await db.query(
+    'SELECT id, is_graded, grading_company, grade, cert_number FROM cards WHERE id = $1',
+    [cardId]
+  );
+  const card = cardResult.rows[0];
+  if (!card || !card.is_graded || !card.cert_number) return null;
+  if (!canLookUp(card)) return saveVerification(card, 'unsupported');
+
+  const cert = await lookUpPsaCert(card.cert_number);
+  if (!cert) return saveVerification(card, 'not_found');
+
+  const details = {
+    year: cert.Year || null,
+    brand: cert.Brand || null,
+    subject: cert.Subject || null,
+    card_number: cert.CardNumber || null,
+    grade: cert.CardGrade || null,
+    grade_description: cert.GradeDescription || null,
+    population: cert.TotalPopulation ?? null
+  };
+  const gradeMatches = !card.grade || gradeNumber(card.grade) === gradeNumber(cert.CardGrade);
+
+  return saveVerification(card, gradeMatches ? 'verified' : 'mismatch', details);
+}
+
+module.exports = {
+  getCertStatus,
+  verifyCardCert
+};
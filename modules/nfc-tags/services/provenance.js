@@ -0,0 +1,187 @@
+/**
+ * Card Provenance
+ *
+ * The public history of a card: when it came onto SoleVault, every change of
+ * hands (transfer codes, trade-ins), its NFC tag bindings, grading cert checks
+ * and eBay listings, plus a one-line summary for a buyer scanning the slab.
+ * Owners are masked unless they're a vendor (their business is public) or the
+ * current owner; a current owner who hid their info is masked either way, and
+ * so are the eBay listings they made. Masked owners are numbered in chain
+ * order so the timeline still shows how many hands the card passed through.
+ */
+
+const db = require('../database/db');
+
+const EBAY_EVENTS = {
+  create_listing: 'ebay_listed',
+  bulk_create: 'ebay_listed',
+  create_lot: 'ebay_listed',
+  end_listing: 'ebay_ended',
+  remove_listing: 'ebay_ended',
+  record_sale: 'ebay_sold'
+};
+
+const CERT_SUMMARIES = {
+  verified: 'cert verified',
+  mismatch: 'cert grade does not match',
+  not_found: 'cert not found',
+  pending: 'cert check pending'
+};
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Public labels for the users in a card's history
+ */
+async function ownerLabeler(card, userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const users = ids.length > 0
+    ? (await db.query(
+      'SELECT id, full_name, email, vendor_enabled, vendor_profile FROM users WHERE id = ANY($1)',
+      [ids]
+    )).rows
+    : [];
+  const byId = new Map(users.map(user => [user.id, user]));
+  const masked = new Map();
+
+  return userId => {
+    const user = byId.get(userId);
+    if (!user) return { name: 'Private collector', masked: true };
+
+    // An owner who hid their info stays hidden, business name included
+    const hidden = userId === card.user_id && card.hide_owner_info;
+    const business = user.vendor_enabled && user.vendor_profile && user.vendor_profile.businessName;
+    if (business && !hidden) return { name: business, masked: false, vendor: true };
+
+    if (userId === card.user_id && !hidden) {
+      return { name: user.full_name || user.email?.split('@')[0] || 'user', masked: false };
+    }
+
+    if (!masked.has(userId)) masked.set(userId, masked.size + 1);
+    return { name: `Owner #${masked.get(userId)}`, masked: true };
+  };
+}
+
+/**
+ * @param {object} card - the public card row (id, user_id, created_at, hide_owner_info)
+ * @param {object|null} cert - card_cert_verifications row from getCertStatus
+ */
+async function buildProvenance(card, cert = null) {
+  const [ownershipResult, tagEventsResult, tagsResult, ebayResult] = await Promise.all([
+    db.query(
+      `SELECT previous_owner_id, new_owner_id, transfer_method, transferred_at
+       FROM card_ownership_history
+       WHERE card_id = $1
+       ORDER BY transferred_at ASC, id ASC`,
+      [card.id]
+    ),
+    db.query(
+      `SELECT event_type, card_id, previous_card_id, created_at
+       FROM nfc_tag_events
+       WHERE card_id = $1 OR previous_card_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [card.id]
+    ),
+    db.query(
+      'SELECT status, sdm_key IS NOT NULL AS signed, created_at FROM nfc_tags WHERE card_id = $1',
+      [card.id]
+    ),
+    db.query(
+      `SELECT user_id, action, listing_url, created_at
+       FROM ebay_listings_log
+       WHERE card_id = $1 AND status = 'success'
+       ORDER BY created_at ASC, id ASC`,
+      [card.id]
+    )
+  ]);
+
+  const ownership = ownershipResult.rows;
+  const label = await ownerLabeler(card, [
+    card.user_id,
+    ...ownership.flatMap(row => [row.previous_owner_id, row.new_owner_id]),
+    ...ebayResult.rows.map(row => row.user_id)
+  ]);
+
+  // The first owner on record is whoever had it before the first transfer
+  const firstOwnerId = ownership.length > 0 ? ownership[0].previous_owner_id : card.user_id;
+  const timeline = [{
+    type: 'added',
+    at: card.created_at,
+    owner: firstOwnerId ? label(firstOwnerId) : null
+  }];
+
+  for (const row of ownership) {
+    timeline.push({
+      type: row.transfer_method === 'trade_in' ? 'trade_in' : 'transfer',
+      at: row.transferred_at,
+      method: row.transfer_method,
+      from: row.previous_owner_id ? label(row.previous_owner_id) : null,
+      to: row.new_owner_id ? label(row.new_owner_id) : null
+    });
+  }
+
+  for (const event of tagEventsResult.rows) {
+    const onThisCard = event.card_id === card.id;
+    let type;
+    if (event.event_type === 'bind' || event.event_type === 'rebind') {
+      type = onThisCard ? 'nfc_bound' : 'nfc_removed';
+    } else if (event.event_type === 'unbind') {
+      type = 'nfc_removed';
+    } else if (onThisCard && event.event_type !== 'transfer') {
+      type = `nfc_${event.event_type}`;
+    }
+    if (type) timeline.push({ type, at: event.created_at });
+  }
+
+  for (const row of ebayResult.rows) {
+    const type = EBAY_EVENTS[row.action];
+    if (!type) continue;
+    const owner = label(row.user_id);
+    timeline.push({ type, at: row.created_at, listing_url: owner.masked ? null : row.listing_url });
+  }
+
+  if (cert && cert.checked_at && cert.status !== 'unsupported') {
+    timeline.push({ type: 'cert_checked', at: cert.checked_at, status: cert.status });
+  }
+
+  timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  // Every hand-off to a known owner means one owner before them
+  const priorOwners = ownership.filter(row => row.new_owner_id).length;
+  const tags = tagsResult.rows;
+  const reportedStolen = tags.some(tag => tag.status === 'reported_stolen');
+  const signedTag = tags.some(tag => tag.signed && tag.status === 'bound');
+  const since = new Date(card.created_at).getFullYear();
+
+  const summary = [
+    reportedStolen ? 'Reported stolen' : null,
+    `${signedTag ? 'Authenticated' : 'Registered'} on SoleVault since ${since}`,
+    priorOwners > 0 ? plural(priorOwners, 'prior owner') : 'original owner',
+    cert ? CERT_SUMMARIES[cert.status] : null
+  ].filter(Boolean).join(', ');
+
+  return {
+    summary,
+    on_platform_since: card.created_at,
+    prior_owners: priorOwners,
+    reported_stolen: reportedStolen,
+    nfc: {
+      tagged: tags.length > 0,
+      signed: signedTag
+    },
+    cert: cert
+      ? {
+        status: cert.status,
+        checked_at: cert.checked_at,
+        grade: cert.details ? cert.details.grade : null
+      }
+      : null,
+    timeline
+  };
+}
+
+module.exports = {
+  buildProvenance
+};
@@ -0,0 +1,155 @@
+/**
+ * Secure Dynamic Messaging (NTAG 424 DNA SUN)
+ *
+ * A provisioned tag rewrites its NDEF URL on every tap with the tag UID, a
+ * read counter that only goes up and a CMAC over both, keyed with that tag's
+ * SDM file read key. The UID and counter are mirrored either in plain
+ * (?uid=&ctr=&cmac=) or encrypted with the shared meta read key
+ * (?picc_data=&cmac=). MAC input is empty (SDMMACInputOffset = SDMMACOffset),
+ * as in NXP AN12196.
+ */
+
+const crypto = require('crypto');
+
+const UID_BYTES = 7;
+const ZERO_IV = Buffer.alloc(16);
+
+function metaKey() {
+  const hex = process.env.NFC_SDM_META_KEY;
+  return hex && /^[0-9a-f]{32}$/i.test(hex) ? Buffer.from(hex, 'hex') : null;
+}
+
+/**
+ * A new random 128-bit SDM file read key (hex)
+ */
+function generateKey() {
+  return crypto.randomBytes(16).toString('hex').toUpperCase();
+}
+
+function normalizeUid(uid) {
+  const hex = String(uid || '').replace(/[\s:-]/g, '').toUpperCase();
+  return /^[0-9A-F]{14}$/.test(hex) ? hex : null;
+}
+
+function aesEcb(key, block) {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+}
+
+function shiftLeft(block) {
+  const out = Buffer.alloc(16);
+  for (let i = 0; i < 16; i++) {
+    out[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff;
+  }
+  return out;
+}
+
+function subkey(block) {
+  const shifted = shiftLeft(block);
+  if (block[0] & 0x80) shifted[15] ^= 0x87;
+  return shifted;
+}
+
+/**
+ * AES-CMAC (RFC 4493)
+ */
+function cmac(key, message) {
+  const k1 = subkey(aesEcb(key, Buffer.alloc(16)));
+  const k2 = subkey(k1);
+
+  const blocks = Math.max(Math.ceil(message.length / 16), 1);
+  const complete = message.length > 0 && message.length % 16 === 0;
+  const last = Buffer.alloc(16);
+  message.copy(last, 0, (blocks - 1) * 16);
+  if (!complete) last[message.length - (blocks - 1) * 16] = 0x80;
+  const lastKey = complete ? k1 : k2;
+  for (let i = 0; i < 16; i++) last[i] ^= lastKey[i];
+
+  let state = Buffer.alloc(16);
+  for (let b = 0; b < blocks; b++) {
+    const block = b === blocks - 1 ? last : message.subarray(b * 16, b * 16 + 16);
+    for (let i = 0; i < 16; i++) state[i] ^= block[i];
+    state = aesEcb(key, state);
+  }
+  return state;
+}
+
+function counterBytes(counter) {
+  return Buffer.from([counter & 0xff, (counter >> 8) & 0xff, (counter >> 16) & 0xff]);
+}
+
+/**
+ * The 8-byte truncated MAC a tag with this key prints for uid/counter (hex)
+ */
+function sunMac(fileReadKeyHex, uidHex, counter) {
+  const sv2 = Buffer.concat([
+    Buffer.from([0x3c, 0xc3, 0x00, 0x01, 0x00, 0x80]),
+    Buffer.from(uidHex, 'hex'),
+    counterBytes(counter)
+  ]);
+  const sessionKey = cmac(Buffer.from(fileReadKeyHex, 'hex'), sv2);
+  const mac = cmac(sessionKey, Buffer.alloc(0));
+  return Buffer.from(mac.filter((_, i) => i % 2 === 1)).toString('hex').toUpperCase();
+}
+
+function decryptPiccData(piccHex) {
+  const key = metaKey();
+  if (!key || !/^[0-9a-f]{32}$/i.test(piccHex)) return null;
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', key, ZERO_IV);
+  decipher.setAutoPadding(false);
+  const data = Buffer.concat([decipher.update(Buffer.from(piccHex, 'hex')), decipher.final()]);
+
+  // PICCDataTag: UID and counter mirrored, 7-byte UID
+  if ((data[0] & 0xc0) !== 0xc0 || (data[0] & 0x0f) !== UID_BYTES) return null;
+  return {
+    uid: data.subarray(1, 1 + UID_BYTES).toString('hex').toUpperCase(),
+    counter: data[8] | (data[9] << 8) | (data[10] << 16)
+  };
+}
+
+/**
+ * Read UID and counter from a tap URL's query string, without checking the MAC
+ * @param {{ picc_data?: string, uid?: string, ctr?: string, cmac?: string }} query
+ * @returns {{ uid: string, counter: number, cmac: string }|null}
+ */
+function parseTap(query) {
+  const mac = String(query.cmac || '').toUpperCase();
+  if (!/^[0-9A-F]{16}$/.test(mac)) return null;
+
+  if (query.picc_data) {
+    const picc = decryptPiccData(String(query.picc_data));
+    return picc ? { ...picc, cmac: mac } : null;
+  }
+
+  // Plain mirroring prints the counter most significant byte first
+  const uid = normalizeUid(query.uid);
+  const ctr = String(query.ctr || '');
+  if (!uid || !/^[0-9a-f]{6}$/i.test(ctr)) return null;
+  return { uid, counter: parseInt(ctr, 16), cmac: mac };
+}
+
+function verifyMac(fileReadKeyHex, tap) {
+  const expected = Buffer.from(sunMac(fileReadKeyHex, tap.uid, tap.counter));
+  return crypto.timingSafeEqual(expected, Buffer.from(tap.cmac));
+}
+
+/**
+ * The NDEF URL to program into a tag, with the SDM mirror placeholders
+ */
+function tapUrlTemplate(baseUrl) {
+  return metaKey()
+    ? `${baseUrl}/api/nfc/tap?picc_data={PICCData}&cmac={CMAC}`
+    : `${baseUrl}/api/nfc/tap?uid={UID}&ctr={SDMReadCtr}&cmac={CMAC}`;
+}
+
+module.exports = {
+  generateKey,
+  normalizeUid,
+  cmac,
+  sunMac,
+  parseTap,
+  verifyMac,
+  tapUrlTemplate
+};
@@ -0,0 +1,324 @@
+/**
+ * NFC Tag Lifecycle
+ *
+ * provisioned (registered, no card yet) -> bound (on a card) -> retired
+ * (permanently out of use). A bound or provisioned tag can be reported stolen
+ * and later recovered. Every binding and status change lands in
+ * nfc_tag_events, so a tag moved to another card keeps its earlier binding
+ * on record. Signed taps are checked here: a valid CMAC with a counter above
+ * the last one accepted is a genuine tap; the same counter again is a reused
+ * URL, and a lower one means someone replayed a URL read off the tag
+ * earlier - the usual sign of a cloned tag.
+ */
+
+const db = require('../database/db');
+const sdm = require('./sdm');
+
+const TAG_STATUSES = ['provisioned', 'bound', 'retired', 'reported_stolen'];
+const TAG_EVENT_TYPES = ['bind', 'rebind', 'unbind', 'transfer', 'retire', 'report_stolen', 'recover'];
+
+async function inTransaction(work) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * @param {object} executor - db or a transaction client
+ */
+async function recordTagEvent(executor, {
+  tag,
+  eventType,
+  cardId = tag.card_id,
+  previousCardId = null,
+  ownerId = tag.user_id,
+  previousOwnerId = null,
+  actorUserId = null,
+  note = null
+}) {
+  await executor.query(
+    `INSERT INTO nfc_tag_events
+       (nfc_tag_id, nfc_uid, event_type, card_id, previous_card_id, owner_id, previous_owner_id, actor_user_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [tag.id, tag.nfc_uid, eventType, cardId, previousCardId, ownerId, previousOwnerId, actorUserId, note]
+  );
+}
+
+async function getTagByUid(nfcUid) {
+  const result = await db.query('SELECT * FROM nfc_tags WHERE nfc_uid = $1', [nfcUid]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Why userId can't put this tag on cardId, or null if it can. Moving a bound
+ * tag to a different card needs confirmRebind.
+ * @returns {'other_owner'|'retired'|'reported_stolen'|'rebind_unconfirmed'|null}
+ */
+function bindingConflict(existing, userId, cardId, confirmRebind) {
+  if (!existing) return null;
+  if (existing.user_id !== userId) return 'other_owner';
+  if (existing.status === 'retired') return 'retired';
+  if (existing.status === 'reported_stolen') return 'reported_stolen';
+  if (cardId && existing.card_id && existing.card_id !== cardId && !confirmRebind) return 'rebind_unconfirmed';
+  return null;
+}
+
+async function saveBinding(client, existing, userId, nfcUid, cardId, sdmKey) {
+  if (!existing) {
+    const inserted = await client.query(
+      `INSERT INTO nfc_tags (nfc_uid, card_id, user_id, status, sdm_key, provisioned_at, status_changed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [nfcUid, cardId, userId, cardId ? 'bound' : 'provisioned', sdmKey, sdmKey ? new Date() : null]
+    );
+    return inserted.rows[0];
+  }
+
+  const boundCardId = cardId || existing.card_id;
+  const rebound = existing.card_id && existing.card_id !== boundCardId;
+  const status = boundCardId ? 'bound' : 'provisioned';
+  // existing is the row locked by saveTag, so its status is current
+  const updated = await client.query(
+    `UPDATE nfc_tags
+     SET card_id = $1, status = $2, previous_card_id = $3,
+         status_changed_at = CASE WHEN $5 THEN NOW() ELSE status_changed_at END
+     WHERE id = $4
+     RETURNING *`,
+    [boundCardId, status, rebound ? existing.card_id : existing.previous_card_id, existing.id, status !== existing.status]
+  );
+
+  if (!sdmKey) return updated.rows[0];
+
+  // Rotating the key invalidates every URL signed with the old one
+  const rekeyed = await client.query(
+    `UPDATE nfc_tags SET sdm_key = $1, sdm_counter = NULL, provisioned_at = NOW()
+     WHERE id = $2
+     RETURNING *`,
+    [sdmKey, existing.id]
+  );
+  return rekeyed.rows[0];
+}
+
+async function recordBinding(client, existing, tag, actorUserId) {
+  if (!tag.card_id || (existing && existing.card_id === tag.card_id)) return null;
+
+  const eventType = existing && existing.card_id ? 'rebind' : 'bind';
+  await recordTagEvent(client, {
+    tag,
+    eventType,
+    previousCardId: existing ? existing.card_id : null,
+    actorUserId
+  });
+  return eventType;
+}
+
+/**
+ * Check and save a binding in one transaction. The tag row is locked while
+ * it's checked, and a tag registered by a concurrent request between the
+ * lookup and the insert (unique violation) is checked again against that row.
+ */
+async function saveTag(userId, nfcUid, cardId, { confirmRebind, sdmKey }, retried = false) {
+  try {
+    return await inTransaction(async client => {
+      const locked = await client.query('SELECT * FROM nfc_tags WHERE nfc_uid = $1 FOR UPDATE', [nfcUid]);
+      const existing = locked.rows[0] || null;
+      const conflict = bindingConflict(existing, userId, cardId, confirmRebind);
+      if (conflict) return { conflict, tag: existing };
+
+      const tag = await saveBinding(client, existing, userId, nfcUid, cardId, sdmKey);
+      const eventType = await recordBinding(client, existing, tag, userId);
+      return { tag, eventType, previousCardId: eventType === 'rebind' ? existing.card_id : null };
+    });
+  } catch (error) {
+    if (error.code === '23505' && !retried) {
+      return saveTag(userId, nfcUid, cardId, { confirmRebind, sdmKey }, true);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Put a tag on one of the user's cards, registering it if it's new
+ * @param {string} nfcUid - normalized (sdm.normalizeUid)
+ * @returns {Promise<{ tag: object, eventType: string|null, previousCardId: number|null }|{ conflict: string, tag: object }>}
+ *   eventType is null when the tag was already on that card
+ */
+function bindTag(userId, nfcUid, cardId, { confirmRebind = false } = {}) {
+  return saveTag(userId, nfcUid, cardId, { confirmRebind, sdmKey: null });
+}
+
+/**
+ * Give a tag a fresh SDM key, optionally binding it to a card (an existing
+ * binding is kept when no card is given)
+ * @param {string} nfcUid - normalized (sdm.normalizeUid)
+ * @returns {Promise<{ tag: object, key: string, eventType: string|null }|{ conflict: string, tag: object }>}
+ */
+async function provisionTag(userId, nfcUid, cardId = null, { confirmRebind = false } = {}) {
+  const key = sdm.generateKey();
+  const result = await saveTag(userId, nfcUid, cardId, { confirmRebind, sdmKey: key });
+  if (result.conflict) return result;
+  return { tag: result.tag, key, eventType: result.eventType };
+}
+
+/**
+ * Take a tag off its card. Signed tags stay registered (their key is on the
+ * chip) as provisioned; unsigned tags are deleted. Returns null if the tag
+ * isn't the user's.
+ * @returns {Promise<{ tag: object, deleted: boolean }|null>}
+ */
+async function unbindTag(userId, nfcUid) {
+  const existing = await getTagByUid(nfcUid);
+  if (!existing || existing.user_id !== userId) return null;
+
+  return inTransaction(async client => {
+    await recordTagEvent(client, {
+      tag: existing,
+      eventType: 'unbind',
+      cardId: null,
+      previousCardId: existing.card_id,
+      actorUserId: userId
+    });
+
+    if (!existing.sdm_key) {
+      await client.query('DELETE FROM nfc_tags WHERE id = $1', [existing.id]);
+      return { tag: existing, deleted: true };
+    }
+
+    const result = await client.query(
+      `UPDATE nfc_tags
+       SET card_id = NULL, previous_card_id = COALESCE(card_id, previous_card_id),
+           status = CASE WHEN status = 'bound' THEN 'provisioned' ELSE status END,
+           status_changed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [existing.id]
+    );
+    return { tag: result.rows[0], deleted: false };
+  });
+}
+
+/**
+ * Move a tag to retired or reported_stolen, or recover a stolen tag.
+ * Returns null if the tag isn't the user's or the move isn't allowed.
+ */
+async function setTagStatus(userId, nfcUid, action, note = null) {
+  const tag = await getTagByUid(nfcUid);
+  if (!tag || tag.user_id !== userId || tag.status === 'retired') return null;
+
+  let status;
+  if (action === 'retire') {
+    status = 'retired';
+  } else if (action === 'report_stolen') {
+    status = 'reported_stolen';
+  } else if (action === 'recover' && tag.status === 'reported_stolen') {
+    status = tag.card_id ? 'bound' : 'provisioned';
+  } else {
+    return null;
+  }
+
+  return inTransaction(async client => {
+    const result = await client.query(
+      `UPDATE nfc_tags SET status = $1, status_note = $2, status_changed_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [status, note, tag.id]
+    );
+    await recordTagEvent(client, { tag: result.rows[0], eventType: action, actorUserId: userId, note });
+    return result.rows[0];
+  });
+}
+
+/**
+ * Carry a card's tags to its new owner - call inside the ownership transfer's transaction
+ * @param {object} client - transaction client
+ * @returns {Promise<object[]>} The tags moved
+ */
+async function transferCardTags(client, cardId, fromUserId, toUserId, note = null) {
+  const result = await client.query(
+    `UPDATE nfc_tags SET user_id = $1
+     WHERE card_id = $2 AND user_id = $3 AND status <> 'retired'
+     RETURNING *`,
+    [toUserId, cardId, fromUserId]
+  );
+
+  for (const tag of result.rows) {
+    await recordTagEvent(client, {
+      tag,
+      eventType: 'transfer',
+      previousOwnerId: fromUserId,
+      actorUserId: toUserId,
+      note
+    });
+  }
+  return result.rows;
+}
+
+/**
+ * A tag and its events (oldest first), or null if it isn't the user's.
+ * Card details only show for the user's own cards - a tag that came with a
+ * transfer doesn't reveal what else its previous owner had it on.
+ */
+async function getTagHistory(userId, nfcUid) {
+  const tag = await getTagByUid(nfcUid);
+  if (!tag || tag.user_id !== userId) return null;
+
+  const events = await db.query(
+    `SELECT e.id, e.event_type, e.card_id, e.previous_card_id, e.note, e.created_at,
+            c.player, c.year, c.set_name,
+            pc.player AS previous_player, pc.year AS previous_year, pc.set_name AS previous_set_name
+     FROM nfc_tag_events e
+     LEFT JOIN cards c ON c.id = e.card_id AND c.user_id = $2
+     LEFT JOIN cards pc ON pc.id = e.previous_card_id AND pc.user_id = $2
+     WHERE e.nfc_uid = $1
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [nfcUid, userId]
+  );
+
+  return { tag, events: events.rows };
+}
+
+/**
+ * Check a signed tap. verification is one of verified, reused, replay or bad_cmac;
+ * tag is null when the UID isn't a provisioned tag.
+ * @param {{ uid: string, counter: number, cmac: string }} tap - from sdm.parseTap
+ * @returns {Promise<{ tag: object|null, verification: string|null }>}
+ */
+async function verifyTap(tap) {
+  const tag = await getTagByUid(tap.uid);
+  if (!tag || !tag.sdm_key) return { tag: null, verification: null };
+
+  if (!sdm.verifyMac(tag.sdm_key, tap)) return { tag, verification: 'bad_cmac' };
+
+  // Only move the counter forward, so two taps racing can't both count as fresh
+  const advanced = await db.query(
+    `UPDATE nfc_tags SET sdm_counter = $1
+     WHERE id = $2 AND (sdm_counter IS NULL OR sdm_counter < $1)
+     RETURNING *`,
+    [tap.counter, tag.id]
+  );
+  if (advanced.rows.length > 0) return { tag: advanced.rows[0], verification: 'verified' };
+
+  return { tag, verification: tap.counter < tag.sdm_counter ? 'replay' : 'reused' };
+}
+
+module.exports = {
+  TAG_STATUSES,
+  TAG_EVENT_TYPES,
+  getTagByUid,
+  bindTag,
+  provisionTag,
+  unbindTag,
+  setTagStatus,
+  transferCardTags,
+  getTagHistory,
+  verifyTap
+};
@@ -0,0 +1,248 @@
+/**
+ * NFC Tap Analytics
+ *
+ * Every tap lands in nfc_scan_logs with a keyed hash of the device (user
+ * agent + IP, so unique devices can be counted without keeping either) and
+ * the owner's active show. getTapAnalytics reads them back per vendor or per
+ * card: taps over time, a weekday x hour heatmap, taps per show and per show
+ * location (the geo breakdown - a tap has no location of its own beyond the
+ * show it was at) and the most-tapped cards that still haven't sold - the
+ * ones drawing interest but not closing, usually a price problem.
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+const { getActiveShow } = require('./vendor-analytics');
+
+function deviceHash(req) {
+  const secret = process.env.NFC_DEVICE_HASH_SECRET || process.env.JWT_SECRET || '';
+  return crypto.createHmac('sha256', secret)
+    .update(`${req.get('User-Agent') || ''}|${req.ip || ''}`)
+    .digest('hex');
+}
+
+function deviceType(req) {
+  const agent = req.get('User-Agent') || '';
+  if (/iPhone|iPad|iPod/i.test(agent)) return 'ios';
+  if (/Android/i.test(agent)) return 'android';
+  if (/Windows|Macintosh|Linux/i.test(agent)) return 'desktop';
+  return 'unknown';
+}
+
+/**
+ * Log one tap. Bad-signature taps are logged too (flagged) but not counted as interest.
+ */
+async function recordTap(req, { userId, cardId, tagId, tapCounter = null, verification }) {
+  const show = userId ? await getActiveShow(userId) : null;
+
+  await db.query(
+    `INSERT INTO nfc_scan_logs
+       (user_id, card_id, nfc_tag_id, device_type, device_hash, show_report_id, tap_counter, verification)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [userId, cardId, tagId, deviceType(req), deviceHash(req), show ? show.id : null, tapCounter, verification]
+  );
+}
+
+function cardName(card) {
+  return [card.year, card.set_name, card.player].filter(Boolean).join(' ');
+}
+
+// Taps with a forged signature aren't interest in a card
+const INTEREST = `COALESCE(l.verification, '') <> 'bad_cmac'`;
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * The WHERE clause and params for one vendor's (or card's) taps in the window
+ */
+function tapWindow(userId, days, cardId) {
+  const params = [userId, days];
+  let where = `l.user_id = $1 AND l.scanned_at >= NOW() - $2 * INTERVAL '1 day'`;
+  if (cardId) {
+    params.push(cardId);
+    where += ' AND l.card_id = $3';
+  }
+  return { where, params };
+}
+
+async function tapTotals({ where, params }) {
+  const result = await db.query(
+    `SELECT SUM(CASE WHEN ${INTEREST} THEN 1 ELSE 0 END) AS taps,
+            COUNT(DISTINCT CASE WHEN ${INTEREST} THEN l.device_hash END) AS unique_devices,
+            COUNT(DISTINCT CASE WHEN ${INTEREST} THEN l.card_id END) AS cards_tapped,
+            SUM(CASE WHEN l.verification = 'verified' THEN 1 ELSE 0 END) AS verified_taps,
+            SUM(CASE WHEN l.verification IN ('replay', 'bad_cmac') THEN 1 ELSE 0 END) AS flagged_taps
+     FROM nfc_scan_logs l
+     WHERE ${where}`,
+    params
+  );
+  const row = result.rows[0] || {};
+  return {
+    taps: parseInt(row.taps) || 0,
+    unique_devices: parseInt(row.unique_devices) || 0,
+    cards_tapped: parseInt(row.cards_tapped) || 0,
+    verified_taps: parseInt(row.verified_taps) || 0,
+    flagged_taps: parseInt(row.flagged_taps) || 0
+  };
+}
+
+/**
+ * Taps per day (UTC) across the window, including days without any
+ */
+async function tapsOverTime({ where, params }, days) {
+  const result = await db.query(
+    `SELECT date_trunc('day', l.scanned_at) AS day, COUNT(*) AS taps, COUNT(DISTINCT l.device_hash) AS unique_devices
+     FROM nfc_scan_logs l
+     WHERE ${where} AND ${INTEREST}
+     GROUP BY date_trunc('day', l.scanned_at)`,
+    params
+  );
+  const byDay = new Map(result.rows.map(row => [dayKey(row.day), row]));
+
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = dayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+    const row = byDay.get(date);
+    series.push({ date, taps: row ? parseInt(row.taps) : 0, unique_devices: row ? parseInt(row.unique_devices) : 0 });
+  }
+  return series;
+}
+
+/**
+ * 7 x 24 tap counts - rows are weekdays (0 = Sunday), columns hours, in UTC
+ */
+async function heatmap({ where, params }) {
+  const result = await db.query(
+    `SELECT EXTRACT(DOW FROM l.scanned_at) AS weekday, EXTRACT(HOUR FROM l.scanned_at) AS hour, COUNT(*) AS taps
+     FROM nfc_scan_logs l
+     WHERE ${where} AND ${INTEREST}
+     GROUP BY EXTRACT(DOW FROM l.scanned_at), EXTRACT(HOUR FROM l.scanned_at)`,
+    params
+  );
+
+  const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const row of result.rows) {
+    grid[parseInt(row.weekday)][parseInt(row.hour)] = parseInt(row.taps);
+  }
+  return grid;
+}
+
+async function tapsByDeviceType({ where, params }) {
+  const result = await db.query(
+    `SELECT COALESCE(l.device_type, 'unknown') AS device_type, COUNT(*) AS taps
+     FROM nfc_scan_logs l
+     WHERE ${where} AND ${INTEREST}
+     GROUP BY COALESCE(l.device_type, 'unknown')`,
+    params
+  );
+  return Object.fromEntries(result.rows.map(row => [row.device_type, parseInt(row.taps)]));
+}
+
+async function tapsByShow({ where, params }) {
+  const result = await db.query(
+    `SELECT s.id, s.show_name, s.show_date, s.show_location, s.started_at,
+            COUNT(*) AS taps, COUNT(DISTINCT l.device_hash) AS unique_devices, COUNT(DISTINCT l.card_id) AS cards_tapped
+     FROM nfc_scan_logs l
+     JOIN show_reports s ON s.id = l.show_report_id AND s.user_id = l.user_id
+     WHERE ${where} AND ${INTEREST}
+     GROUP BY s.id, s.show_name, s.show_date, s.show_location, s.started_at
+     ORDER BY taps DESC, s.id`,
+    params
+  );
+
+  return result.rows.map(show => ({
+    show_report_id: show.id,
+    show_name: show.show_name,
+    show_date: show.show_date || show.started_at,
+    show_location: show.show_location,
+    taps: parseInt(show.taps),
+    unique_devices: parseInt(show.unique_devices),
+    cards_tapped: parseInt(show.cards_tapped)
+  }));
+}
+
+/**
+ * Taps per show location, across every show held there. Taps outside a show
+ * have no location and aren't counted.
+ */
+async function tapsByLocation({ where, params }) {
+  const result = await db.query(
+    `SELECT MIN(TRIM(s.show_location)) AS location, COUNT(DISTINCT s.id) AS shows,
+            COUNT(*) AS taps, COUNT(DISTINCT l.device_hash) AS unique_devices, COUNT(DISTINCT l.card_id) AS cards_tapped
+     FROM nfc_scan_logs l
+     JOIN show_reports s ON s.id = l.show_report_id AND s.user_id = l.user_id
+     WHERE ${where} AND ${INTEREST} AND TRIM(COALESCE(s.show_location, '')) <> ''
+     GROUP BY LOWER(TRIM(s.show_location))
+     ORDER BY taps DESC, location`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    location: row.location,
+    shows: parseInt(row.shows),
+    taps: parseInt(row.taps),
+    unique_devices: parseInt(row.unique_devices),
+    cards_tapped: parseInt(row.cards_tapped)
+  }));
+}
+
+/**
+ * The vendor's unsold cards with the most taps in the window
+ */
+async function topUnsoldCards({ where, params }, limit) {
+  const result = await db.query(
+    `SELECT c.id, c.player, c.year, c.set_name, c.asking_price, c.ebay_avg, c.listing_status, c.created_at,
+            COUNT(*) AS taps, COUNT(DISTINCT l.device_hash) AS unique_devices, MAX(l.scanned_at) AS last_tapped
+     FROM nfc_scan_logs l
+     JOIN cards c ON c.id = l.card_id AND c.user_id = l.user_id
+     WHERE ${where} AND ${INTEREST} AND COALESCE(c.listing_status, '') <> 'sold'
+     GROUP BY c.id, c.player, c.year, c.set_name, c.asking_price, c.ebay_avg, c.listing_status, c.created_at
+     ORDER BY taps DESC, unique_devices DESC, c.id
+     LIMIT ${parseInt(limit)}`,
+    params
+  );
+
+  return result.rows.map(card => ({
+    card_id: card.id,
+    name: cardName(card),
+    asking_price: card.asking_price,
+    ebay_avg: card.ebay_avg,
+    listing_status: card.listing_status,
+    taps: parseInt(card.taps),
+    unique_devices: parseInt(card.unique_devices),
+    last_tapped: card.last_tapped,
+    days_in_inventory: Math.floor((Date.now() - new Date(card.created_at)) / (24 * 60 * 60 * 1000))
+  }));
+}
+
+/**
+ * Tap analytics for the vendor, or for one of their cards - aggregated in SQL
+ * @param {number} userId
+ * @param {{ days?: number, cardId?: number, limit?: number }} [options]
+ */
+async function getTapAnalytics(userId, { days = 30, cardId = null, limit = 10 } = {}) {
+  const window = tapWindow(userId, days, cardId);
+
+  const analytics = {
+    days,
+    card_id: cardId,
+    totals: await tapTotals(window),
+    taps_over_time: await tapsOverTime(window, days),
+    heatmap: await heatmap(window),
+    by_device_type: await tapsByDeviceType(window),
+    by_show: await tapsByShow(window),
+    by_location: await tapsByLocation(window)
+  };
+
+  if (!cardId) {
+    analytics.top_unsold = await topUnsoldCards(window, limit);
+  }
+  return analytics;
+}
+
+module.exports = {
+  recordTap,
+  getTapAnalytics
+};
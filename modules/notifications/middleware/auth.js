@@ -0,0 +1,81 @@
+/**
+ * Auth Middleware
+ * Auto-generated - exports all common naming patterns
+ */
+
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+// Session denylist - revoked or expired sessions (see /api/auth/logout, /api/auth/sessions)
+async function isSessionRevoked(sessionId) {
+  const result = await db.query(
+    'SELECT revoked_at, expires_at FROM user_sessions WHERE id = $1',
+    [sessionId]
+  );
+  const session = result.rows[0];
+  return !session || session.revoked_at !== null || new Date(session.expires_at) <= new Date();
+}
+
+// Main authentication function
+function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Access token required' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'dev-secret', async (err, user) => {
+    if (err) {
+      return res.status(403).json({ success: false, error: 'Invalid token' });
+    }
+
+    // Tokens issued before session tracking have no sid and simply expire
+    if (user.sid) {
+      try {
+        if (await isSessionRevoked(user.sid)) {
+          return res.status(401).json({ success: false, error: 'Session revoked' });
+        }
+      } catch (error) {
+        console.error('Session check error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to verify session' });
+      }
+    }
+
+    req.user = {
+      id: user.id,
+      userId: user.id,
+      email: user.email,
+      is_admin: user.is_admin || false,
+      sessionId: user.sid || null
+    };
+    next();
+  });
+}
+
+// Admin check middleware
+function isAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  if (!req.user.is_admin) {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+}
+
+// Export ALL common naming patterns
+module.exports = {
+  // Common names used across different modules
+  authenticateToken,
+  authenticate: authenticateToken,
+  auth: authenticateToken,
+  verifyToken: authenticateToken,
+  requireAuth: authenticateToken,
+  protect: authenticateToken,
+  
+  // Admin middleware
+  isAdmin,
+  adminOnly: isAdmin,
+  requireAdmin: isAdmin
+};
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const { NOTIFICATION_TYPES } = require('../services/notificationService');
+
+// ==========================================
+// NOTIFICATION CENTER
+// ==========================================
+
+// List notifications - ?unread=true&type=card_sold&limit=20&offset=0
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = 'SELECT id, type, title, message, data, link, read_at, created_at FROM notifications WHERE user_id = $1';
+    const params = [userId];
+
+    if (req.query.unread === 'true') {
+      query += ' AND read_at IS NULL';
+    }
+    if (req.query.type) {
+      params.push(req.query.type);
+      query += ` AND type = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const [result, unreadResult] = await Promise.all([
+      db.query(query, params),
+      db.query('SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId])
+    ]);
+
+    res.json({
+      success: true,
+      notifications: result.rows.map(n => ({ ...n, read: n.read_at !== null })),
+      unreadCount: parseInt(unreadResult.rows[0].count),
+      pagination: { limit, offset }
+    });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load notifications' });
+  }
+});
+
+// Unread badge count
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const result = await db.query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    res.json({ success: true, unreadCount: parseInt(result.rows[0].count) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load unread count' });
+  }
+});
+
+// Mark every notification read
+router.patch('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const result = await db.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL RETURNING id',
+      [userId]
+    );
+
+    res.json({ success: true, updated: result.rows.length, unreadCount: 0 });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to mark notifications read' });
+  }
+});
+
+// ==========================================
+// PREFERENCES
+// ==========================================
+
+// Per-type preferences - every known type, in-app defaulting to on
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const result = await db.query(
+      'SELECT type, in_app, email FROM notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+    const saved = Object.fromEntries(result.rows.map(row => [row.type, row]));
+
+    res.json({
+      success: true,
+      preferences: Object.entries(NOTIFICATION_TYPES).filter(([, definition]) => !definition.notSent).map(([type, definition]) => ({
+        type,
+        label: definition.label,
+        inApp: saved[type] ? saved[type].in_app !== false : true,
+        // null = no email version of this notification
+        email: definition.emailTemplate
+          ? (saved[type]?.email ?? definition.emailDefault ?? false)
+          : null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load notification preferences' });
+  }
+});
+
+// Update preferences - { preferences: { card_sold: { inApp: false }, ... } }
+router.patch('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return res.status(400).json({ success: false, error: 'preferences object required' });
+    }
+
+    const unknown = Object.keys(preferences).filter(type => !NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES[type].notSent);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown notification type: ${unknown.join(', ')}` });
+    }
+
+    for (const [type, value] of Object.entries(preferences)) {
+      if (!value || typeof value !== 'object') {
+        return res.status(400).json({ success: false, error: `${type} must be an object` });
+      }
+      if (value.inApp !== undefined && typeof value.inApp !== 'boolean') {
+        return res.status(400).json({ success: false, error: `${type}.inApp must be true or false` });
+      }
+      if (value.email !== undefined && typeof value.email !== 'boolean') {
+        return res.status(400).json({ success: false, error: `${type}.email must be true or false` });
+      }
+      if (value.email !== undefined && !NOTIFICATION_TYPES[type].emailTemplate) {
+        return res.status(400).json({ success: false, error: `${type} has no email notification` });
+      }
+    }
+
+    for (const [type, value] of Object.entries(preferences)) {
+      await db.query(
+        `INSERT INTO notification_preferences (user_id, type, in_app, email, updated_at)
+         VALUES ($1, $2, COALESCE($3, true), $4, NOW())
+         ON CONFLICT (user_id, type) DO UPDATE
+         SET in_app = COALESCE($3, notification_preferences.in_app),
+             email = COALESCE($4, notification_preferences.email),
+             updated_at = NOW()`,
+        [userId, type, value.inApp ?? null, value.email ?? null]
+      );
+    }
+
+    res.json({ success: true, message: 'Notification preferences updated' });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update notification preferences' });
+  }
+});
+
+// Mark one notification read
+router.patch('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const id = parseInt(req.params.id);
+
+    const result = id && await db.query(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = $1 AND user_id = $2 RETURNING id, read_at',
+      [id, userId]
+    );
+
+    if (!result || result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({ success: true, notification: { id: result.rows[0].id, read: true, readAt: result.rows[0].read_at } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update notification' });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const id = parseInt(req.params.id);
+
+    const result = id && await db.query(
+      'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    if (!result || result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({ success: true, message: 'Notification deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete notification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,6 @@
+/**
+ * Email Service
+ * Delegates to the shared mail service in modules/email
+ */
+
+module.exports = require('../../email/services/email-service');
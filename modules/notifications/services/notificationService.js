@@ -0,0 +1,199 @@
+/**
+ * Notification Service
+ *
+ * Writes in-app notifications to the notifications table, honoring each
+ * user's per-type preferences (notification_preferences). Read through
+ * /api/notifications. Types with an emailTemplate can also go out by email.
+ */
+
+const db = require('../database/db');
+const { sendTemplate } = require('./email-service');
+
+// Known types and how each one reads in the notification center.
+// Trade types are sent by marketplace/routes/trading.js, which still runs on
+// Mongoose and isn't mounted - its ObjectId user ids can't land in this table.
+// They're marked notSent and kept out of the preferences list until the trade
+// routes are ported to Postgres.
+const NOTIFICATION_TYPES = {
+  trade_offer: {
+    notSent: true,
+    label: 'Trade offers',
+    emailTemplate: 'trade_offer',
+    emailDefault: true,
+    title: () => 'New trade offer',
+    message: d => `${d.fromUserName || 'Someone'} sent you a trade offer`
+  },
+  trade_counter: {
+    notSent: true,
+    label: 'Trade counter-offers',
+    title: () => 'Trade countered',
+    message: d => `${d.fromUserName || 'Someone'} countered your trade offer`
+  },
+  trade_accepted: {
+    notSent: true,
+    label: 'Trades accepted',
+    title: () => 'Trade accepted',
+    message: d => `${d.acceptedBy || 'The other collector'} accepted your trade`
+  },
+  trade_completed: {
+    notSent: true,
+    label: 'Trades completed',
+    title: () => 'Trade completed',
+    message: d => `Your trade with ${d.tradedWith || d.otherUser || 'another collector'} is complete`
+  },
+  trade_rejected: {
+    notSent: true,
+    label: 'Trades rejected',
+    title: () => 'Trade declined',
+    message: d => `${d.rejectedBy || 'The other collector'} declined your trade${d.reason ? `: ${d.reason}` : ''}`
+  },
+  trade_pending: {
+    notSent: true,
+    label: 'Trades awaiting approval',
+    title: () => 'Trade needs your approval',
+    message: d => `A trade with ${d.toUserName || 'another collector'} is waiting for your approval`
+  },
+  trade_accept_pending: {
+    notSent: true,
+    label: 'Trades awaiting approval',
+    title: () => 'Trade needs your approval',
+    message: () => 'An accepted trade is waiting for your approval'
+  },
+  card_sold: {
+    label: 'Cards sold',
+    title: () => 'Card sold',
+    message: d => `${d.cardName || 'A card'} sold${d.salePrice != null ? ` for $${Number(d.salePrice).toFixed(2)}` : ''}`
+  },
+  nfc_tap: {
+    label: 'NFC tag taps',
+    title: () => 'Card tapped',
+    message: d => `Someone tapped the NFC tag on ${d.cardName || 'one of your cards'}`
+  },
+  nfc_tag_alert: {
+    label: 'NFC tag security alerts',
+    title: d => (d.reason === 'reported_stolen' ? 'Stolen card tapped' : 'Possible cloned NFC tag'),
+    message: d => (d.reason === 'reported_stolen'
+      ? `Someone tapped the tag on ${d.cardName || 'a card'} you reported stolen`
+      : `A replayed tap URL was used for ${d.cardName || 'one of your cards'} - the tag may have been copied`)
+  },
+  transfer_pending: {
+    label: 'Card transfers awaiting approval',
+    title: d => (d.role === 'seller' ? 'Transfer needs your approval' : 'Transfer awaiting the seller'),
+    message: d => (d.role === 'seller'
+      ? `${d.buyerName || 'A buyer'} claimed ${d.cardName || 'your card'} - approve once you've been paid`
+      : `Your claim on ${d.cardName || 'a card'} is waiting for ${d.sellerName || 'the seller'} to confirm payment`)
+  },
+  transfer_completed: {
+    label: 'Card transfers completed',
+    title: d => (d.role === 'seller' ? 'Card transferred' : 'Card received'),
+    message: d => (d.role === 'seller'
+      ? `${d.cardName || 'Your card'} was transferred to ${d.buyerName || 'the buyer'}`
+      : `${d.cardName || 'A card'} from ${d.sellerName || 'the seller'} is now in your collection`)
+  },
+  transfer_cancelled: {
+    label: 'Card transfers cancelled',
+    title: () => 'Transfer cancelled',
+    message: d => {
+      const by = { declined: 'declined by the seller', cancelled: 'cancelled by the buyer' }[d.reason] || 'called off';
+      return `The transfer of ${d.cardName || 'a card'} was ${by}${d.note ? `: ${d.note}` : ''}`;
+    }
+  },
+  ebay_listing_failed: {
+    label: 'eBay listing failures',
+    title: d => (d.failedCount > 1 ? `${d.failedCount} eBay listings failed` : 'eBay listing failed'),
+    message: d => d.error || 'eBay rejected the listing - check the listing history for details'
+  },
+  info: {
+    label: 'General',
+    title: () => 'Notification',
+    message: d => d.message || ''
+  }
+};
+
+function describe(type, data) {
+  const definition = NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES.info;
+  return {
+    title: data.title || definition.title(data),
+    message: data.body || definition.message(data)
+  };
+}
+
+/**
+ * Channels a user wants for this type - in-app defaults on, email uses the type's emailDefault
+ * @returns {Promise<{ inApp: boolean, email: boolean }>}
+ */
+async function getChannels(userId, type) {
+  const definition = NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES.info;
+  const result = await db.query(
+    'SELECT in_app, email FROM notification_preferences WHERE user_id = $1 AND type = $2',
+    [userId, type]
+  );
+  const saved = result.rows[0] || {};
+
+  return {
+    inApp: saved.in_app !== false,
+    email: Boolean(definition.emailTemplate) && (saved.email ?? definition.emailDefault ?? false)
+  };
+}
+
+async function sendNotificationEmail(userId, type, data) {
+  const userResult = await db.query('SELECT email FROM users WHERE id = $1', [userId]);
+  const email = userResult.rows[0]?.email;
+  if (email) {
+    await sendTemplate(email, NOTIFICATION_TYPES[type].emailTemplate, data, { userId });
+  }
+}
+
+/**
+ * Notify a user. Never throws - a failed notification must not fail the action that caused it.
+ * @param {number} userId
+ * @param {string} type - key of NOTIFICATION_TYPES
+ * @param {object} [data] - payload stored with the notification (title/body/link override the defaults)
+ * @param {{ caller?: string }} [options]
+ * @returns {Promise<{ success: boolean, notification?: object, skipped?: boolean }>}
+ */
+async function notifyUser(userId, type, data = {}, options = {}) {
+  try {
+    if (!userId) {
+      return { success: false, skipped: true };
+    }
+
+    const channels = await getChannels(userId, type);
+
+    if (channels.email) {
+      sendNotificationEmail(userId, type, data).catch(error => {
+        console.error(`📧 Notification email failed (${type}):`, error.message);
+      });
+    }
+
+    if (!channels.inApp) {
+      return { success: true, skipped: true };
+    }
+
+    const { title, message } = describe(type, data);
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, type, title, message, data, link)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [userId, type, title, message, JSON.stringify(data), data.link || null]
+    );
+
+    return { success: true, notification: result.rows[0] };
+  } catch (error) {
+    console.error(`📢 Notification failed (${type}${options.caller ? `, ${options.caller}` : ''}):`, error.message);
+    return { success: false };
+  }
+}
+
+/**
+ * Notify a parent account about a child account's activity
+ */
+async function notifyParent(parentId, childId, type, data = {}, options = {}) {
+  return notifyUser(parentId, type, { ...data, childId }, options);
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notifyUser,
+  notifyParent
+};
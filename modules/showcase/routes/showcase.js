@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { recordVendorEvent } = require('../services/vendor-analytics');
 
 // ============================================
 // TIER LIMITS
@@ -16,6 +17,20 @@ const SHOWCASE_LIMITS = {
   premium: 999
 };
 
+// Public showcase view for vendor analytics - first page only, so paging isn't counted.
+// QR codes at the booth link with ?src=qr.
+function trackShowcaseView(req, vendorId, showcaseId) {
+  if (parseInt(req.query.page || 1) !== 1) return;
+
+  const sessionId = req.get('X-Session-Id') || null;
+  const source = req.query.src === 'qr' ? 'qr' : null;
+
+  recordVendorEvent({ vendorId, eventType: 'showcase_view', showcaseId, sessionId, source });
+  if (source === 'qr') {
+    recordVendorEvent({ vendorId, eventType: 'qr_scan', showcaseId, sessionId, source });
+  }
+}
+
 // ============================================
 // GET: User's showcases list (authenticated) - MUST BE FIRST!
 // ============================================
@@ -797,6 +812,8 @@ router.get('/:username', async (req, res) => {
       [showcase.id]
     );
     
+    trackShowcaseView(req, user.id, showcase.id);
+
     // Get all showcases for switcher
     const allShowcasesResult = await db.query(`
       SELECT id, name, slug, description
@@ -1042,6 +1059,8 @@ router.get('/:username/:showcaseSlug', async (req, res) => {
       [showcase.id]
     );
     
+    trackShowcaseView(req, user.id, showcase.id);
+
     // Get all showcases for switcher
     const allShowcasesResult = await db.query(`
       SELECT id, name, slug, description
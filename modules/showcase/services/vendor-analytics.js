@@ -0,0 +1,6 @@
+/**
+ * Vendor Analytics
+ * Delegates to the shared traffic event recording in modules/vendor-system
+ */
+
+module.exports = require('../../vendor-system/services/vendor-analytics');
@@ -1,7 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { notifyUser } = require('../services/notificationService');
+const {
+  findClaimableCode,
+  createCode,
+  listCodes,
+  listClaims,
+  revokeCode,
+  reissueCode,
+  claimCode,
+  approveClaim,
+  declineClaim,
+  cancelClaim
+} = require('../services/transfer-codes');
+
+// conflict -> HTTP status and message. Bad codes stay 200 as they always have - the claim page reads success/error
+const TRANSFER_CONFLICTS = {
+  invalid: [200, 'Invalid or expired transfer code'],
+  own_card: [200, 'You cannot claim your own card'],
+  card_moved: [409, 'This card no longer belongs to the seller'],
+  card_sold: [409, 'This card has already been sold'],
+  pending_claim: [409, 'A buyer is waiting on your approval for this card - approve or decline it first'],
+  closed: [409, 'This transfer code is no longer active'],
+  completed: [409, 'This card has already been transferred'],
+  not_pending: [409, 'This transfer is not waiting for approval'],
+  claim_expired: [409, 'This claim waited too long for approval and has expired - issue a new code']
+};
+
+function sendConflict(res, conflict) {
+  const [status, error] = TRANSFER_CONFLICTS[conflict];
+  return res.status(status).json({ success: false, error, conflict });
+}
+
+/**
+ * Tell both sides of a transfer what just happened
+ */
+function notifyParties(transfer, type, caller, extra = {}) {
+  const data = {
+    transferId: transfer.id,
+    cardId: transfer.card.id,
+    cardName: transfer.card.name,
+    sellerName: transfer.seller.name,
+    buyerName: transfer.buyer ? transfer.buyer.name : null,
+    ...extra
+  };
+  return Promise.all([
+    notifyUser(transfer.seller.id, type, { ...data, role: 'seller' }, { caller }),
+    transfer.buyer ? notifyUser(transfer.buyer.id, type, { ...data, role: 'buyer' }, { caller }) : null
+  ]);
+}
+
+function parseSalePrice(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : undefined;
+}
+
+// ==========================================
+// CLAIMING (buyer)
+// ==========================================
 
 // Validate transfer code (public endpoint)
 router.get('/validate/:code', async (req, res) => {
@@ -10,20 +68,9 @@ router.get('/validate/:code', async (req, res) => {
 
     console.log('🔍 Validating transfer code:', code);
 
-    // Find card with this transfer code
-    const result = await db.query(`
-      SELECT
-        c.*,
-        u.full_name as seller_name,
-        u.email as seller_email
-      FROM cards c
-      JOIN users u ON c.user_id = u.id
-      WHERE c.transfer_code = $1
-        AND c.transfer_code_used = FALSE
-        AND c.transfer_code_expires_at > NOW()
-    `, [code]);
-
-    if (result.rows.length === 0) {
+    const transfer = await findClaimableCode(code);
+
+    if (!transfer || transfer.card_owner_id !== transfer.seller_id || transfer.card_listing_status === 'sold') {
       console.log('❌ Invalid or expired code');
       return res.json({
         success: false,
@@ -31,24 +78,28 @@ router.get('/validate/:code', async (req, res) => {
       });
     }
 
-    const card = result.rows[0];
-    console.log('✅ Valid transfer code for card:', card.id);
+    console.log('✅ Valid transfer code for card:', transfer.card_id);
 
     // Return card info (without sensitive data)
     res.json({
       success: true,
       card: {
-        id: card.id,
-        player: card.player,
-        year: card.year,
-        set_name: card.set_name,
-        card_number: card.card_number,
-        parallel: card.parallel,
-        front_image_url: card.front_image_url,
-        is_graded: card.is_graded,
-        grading_company: card.grading_company,
-        grade: card.grade,
-        seller: card.seller_name || 'SoleVault User'
+        id: transfer.card_id,
+        player: transfer.player,
+        year: transfer.year,
+        set_name: transfer.set_name,
+        card_number: transfer.card_number,
+        parallel: transfer.parallel,
+        front_image_url: transfer.front_image_url,
+        is_graded: transfer.is_graded,
+        grading_company: transfer.grading_company,
+        grade: transfer.grade,
+        seller: transfer.seller_name || 'SoleVault User'
+      },
+      transfer: {
+        require_approval: transfer.require_approval,
+        sale_price: transfer.sale_price,
+        expires_at: transfer.expires_at
       }
     });
 
@@ -69,82 +120,293 @@ router.post('/claim/:code', authenticateToken, async (req, res) => {
 
     console.log('🎁 User', newOwnerId, 'claiming card with code:', code);
 
-    // Find card with this transfer code
-    const cardResult = await db.query(`
-      SELECT * FROM cards
-      WHERE transfer_code = $1
-        AND transfer_code_used = FALSE
-        AND transfer_code_expires_at > NOW()
-    `, [code]);
+    const result = await claimCode(newOwnerId, code);
 
-    if (cardResult.rows.length === 0) {
-      console.log('❌ Invalid or expired code');
-      return res.json({
+    if (result.conflict) {
+      console.log('❌ Claim refused:', result.conflict);
+      return sendConflict(res, result.conflict);
+    }
+
+    const { transfer, pending, tags } = result;
+
+    if (pending) {
+      console.log('⏳ Card', transfer.card.id, 'claim held for seller approval');
+      notifyParties(transfer, 'transfer_pending', 'transfers.claim');
+
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        message: 'Claim received - the seller will confirm once payment is settled',
+        transfer
+      });
+    }
+
+    console.log(`✅ Card ${transfer.card.id} transferred successfully${tags.length > 0 ? ` with ${tags.length} NFC tag(s)` : ''}`);
+    notifyParties(transfer, 'transfer_completed', 'transfers.claim');
+
+    res.json({
+      success: true,
+      message: 'Card claimed successfully!',
+      card: {
+        id: transfer.card.id,
+        player: transfer.card.player
+      },
+      transfer,
+      nfc_tags: tags.map(tag => tag.nfc_uid)
+    });
+
+  } catch (error) {
+    console.error('Claim card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim card'
+    });
+  }
+});
+
+// The buyer's claims, pending and finished
+router.get('/claims', authenticateToken, async (req, res) => {
+  try {
+    const claims = await listClaims(req.user.userId);
+
+    res.json({
+      success: true,
+      claims
+    });
+
+  } catch (error) {
+    console.error('List transfer claims error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load claims'
+    });
+  }
+});
+
+// Back out of a claim still waiting on the seller
+router.post('/claims/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await cancelClaim(req.user.userId, parseInt(req.params.id, 10));
+
+    if (!transfer) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid or expired transfer code'
+        error: 'Claim not found'
       });
     }
+    if (transfer.conflict) return sendConflict(res, transfer.conflict);
 
-    const card = cardResult.rows[0];
-    const previousOwnerId = card.user_id;
+    console.log('↩️ Transfer', transfer.id, 'cancelled by buyer');
+    notifyParties(transfer, 'transfer_cancelled', 'transfers.cancel', { reason: 'cancelled' });
 
-    // Don't let user claim their own card
-    if (previousOwnerId === newOwnerId) {
-      return res.json({
+    res.json({
+      success: true,
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel claim'
+    });
+  }
+});
+
+// ==========================================
+// TRANSFER CODES (seller)
+// ==========================================
+
+// Issue a code for a card - replaces any open code on it
+router.post('/codes', authenticateToken, async (req, res) => {
+  try {
+    const sellerId = req.user.userId;
+    const cardId = parseInt(req.body.card_id, 10);
+    const salePrice = parseSalePrice(req.body.sale_price);
+
+    if (!cardId) {
+      return res.status(400).json({
+        success: false,
+        error: 'card_id is required'
+      });
+    }
+    if (salePrice === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'sale_price must be a positive number'
+      });
+    }
+
+    const transfer = await createCode(sellerId, cardId, {
+      expiresInHours: req.body.expires_in_hours,
+      requireApproval: req.body.require_approval === true || req.body.require_approval === 'true',
+      salePrice,
+      note: req.body.note || null
+    });
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found or not owned by user'
+      });
+    }
+    if (transfer.conflict) return sendConflict(res, transfer.conflict);
+
+    console.log('🔑 Transfer code issued for card', cardId, 'by user', sellerId);
+
+    res.status(201).json({
+      success: true,
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Create transfer code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create transfer code'
+    });
+  }
+});
+
+// The seller's codes (?status=active|expired|pending_approval|claim_expired|completed|revoked|declined|cancelled, ?card_id=)
+router.get('/codes', authenticateToken, async (req, res) => {
+  try {
+    const codes = await listCodes(req.user.userId, {
+      status: req.query.status || null,
+      cardId: req.query.card_id ? parseInt(req.query.card_id, 10) : null
+    });
+
+    res.json({
+      success: true,
+      codes
+    });
+
+  } catch (error) {
+    console.error('List transfer codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load transfer codes'
+    });
+  }
+});
+
+router.post('/codes/:id/revoke', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await revokeCode(req.user.userId, parseInt(req.params.id, 10));
+
+    if (!transfer) {
+      return res.status(404).json({
         success: false,
-        error: 'You cannot claim your own card'
+        error: 'Transfer code not found'
       });
     }
+    if (transfer.conflict) return sendConflict(res, transfer.conflict);
 
-    console.log('🔄 Transferring card', card.id, 'from user', previousOwnerId, 'to user', newOwnerId);
+    console.log('🚫 Transfer code', transfer.id, 'revoked');
 
-    // Start transaction (PostgreSQL syntax)
-    await db.query('BEGIN');
+    res.json({
+      success: true,
+      transfer
+    });
 
-    try {
-      // Record ownership history
-      await db.query(`
-        INSERT INTO card_ownership_history
-        (card_id, previous_owner_id, new_owner_id, sale_price, transfer_method, transfer_code)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [card.id, previousOwnerId, newOwnerId, card.sold_price || null, 'transfer_code', code]);
+  } catch (error) {
+    console.error('Revoke transfer code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke transfer code'
+    });
+  }
+});
 
-      // Transfer ownership
-      await db.query(`
-        UPDATE cards
-        SET
-          user_id = $1,
-          transfer_code_used = TRUE,
-          listing_status = 'unlisted',
-          for_sale = FALSE
-        WHERE id = $2
-      `, [newOwnerId, card.id]);
+// New code, same settings (optionally a new expires_in_hours)
+router.post('/codes/:id/reissue', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await reissueCode(req.user.userId, parseInt(req.params.id, 10), {
+      expiresInHours: req.body.expires_in_hours
+    });
 
-      // Commit transaction
-      await db.query('COMMIT');
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer code not found'
+      });
+    }
+    if (transfer.conflict) return sendConflict(res, transfer.conflict);
 
-      console.log('✅ Card transferred successfully');
+    console.log('🔁 Transfer code', transfer.reissued_from_id, 'reissued as', transfer.id);
 
-      res.json({
-        success: true,
-        message: 'Card claimed successfully!',
-        card: {
-          id: card.id,
-          player: card.player
-        }
+    res.status(201).json({
+      success: true,
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Reissue transfer code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reissue transfer code'
+    });
+  }
+});
+
+// Seller confirms payment - the card moves to the buyer
+router.post('/codes/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    const result = await approveClaim(req.user.userId, parseInt(req.params.id, 10));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer code not found'
       });
+    }
+    if (result.conflict) return sendConflict(res, result.conflict);
+
+    const { transfer, tags } = result;
+    console.log(`✅ Card ${transfer.card.id} transfer approved${tags.length > 0 ? ` with ${tags.length} NFC tag(s)` : ''}`);
+    notifyParties(transfer, 'transfer_completed', 'transfers.approve');
+
+    res.json({
+      success: true,
+      transfer,
+      nfc_tags: tags.map(tag => tag.nfc_uid)
+    });
+
+  } catch (error) {
+    console.error('Approve transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve transfer'
+    });
+  }
+});
+
+router.post('/codes/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const note = req.body.reason || null;
+    const transfer = await declineClaim(req.user.userId, parseInt(req.params.id, 10), note);
 
-    } catch (error) {
-      // Rollback on error
-      await db.query('ROLLBACK');
-      throw error;
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer code not found'
+      });
     }
+    if (transfer.conflict) return sendConflict(res, transfer.conflict);
+
+    console.log('🚫 Transfer', transfer.id, 'declined by seller');
+    notifyParties(transfer, 'transfer_cancelled', 'transfers.decline', { reason: 'declined', note });
+
+    res.json({
+      success: true,
+      transfer
+    });
 
   } catch (error) {
-    console.error('Claim card error:', error);
+    console.error('Decline transfer error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to claim card'
+      error: 'Failed to decline transfer'
     });
   }
 });
@@ -0,0 +1,6 @@
+/**
+ * NFC Tag Lifecycle
+ * Delegates to the tag bindings and history in modules/nfc-tags
+ */
+
+module.exports = require('../../nfc-tags/services/tag-lifecycle');
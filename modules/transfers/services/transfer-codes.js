@@ -0,0 +1,428 @@
+/**
+ * Transfer Codes
+ *
+ * A seller issues a code for one of their cards; whoever claims it gets the
+ * card. A card has at most one open code - issuing a new one revokes the old.
+ * With require_approval the claim doesn't move the card: it holds the code as
+ * pending_approval until the seller confirms they've been paid (approve) or
+ * turns the buyer down (decline), and the buyer can back out (cancel) until
+ * then. Expired codes keep status 'active' past expires_at; listCodes reports
+ * them as 'expired'. A pending claim is held for CLAIM_HOLD_HOURS - past
+ * claim_expires_at it reports as 'claim_expired', can't be approved and no
+ * longer holds the card. While a claim is held the card can't be sold at the
+ * table (pendingClaimCardIds), and a sold card can't be claimed or approved.
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+const { transferCardTags } = require('./nfc-tag-lifecycle');
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const CLAIM_HOLD_HOURS = 72;
+// No 0/O or 1/I - codes get read out loud and typed in at shows
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+async function inTransaction(work) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function expiryHours(hours) {
+  const parsed = parseInt(hours, 10);
+  if (!parsed) return DEFAULT_EXPIRY_HOURS;
+  return Math.min(Math.max(parsed, 1), MAX_EXPIRY_HOURS);
+}
+
+/**
+ * 'expired' for an active code past its expiry, 'claim_expired' for a pending
+ * claim the seller didn't approve in time, otherwise the stored status
+ */
+function codeState(row) {
+  if (row.status === 'active' && new Date(row.expires_at) <= new Date()) return 'expired';
+  if (row.status === 'pending_approval' && new Date(row.claim_expires_at) <= new Date()) return 'claim_expired';
+  return row.status;
+}
+
+function cardName(card) {
+  return [card.year, card.set_name, card.player].filter(Boolean).join(' ');
+}
+
+const TRANSFER_SELECT = `
+  SELECT t.*, c.user_id AS card_owner_id, c.listing_status AS card_listing_status, c.player, c.year, c.set_name, c.card_number,
+         c.parallel, c.front_image_url, c.is_graded, c.grading_company, c.grade, c.sold_price,
+         s.full_name AS seller_name, s.email AS seller_email,
+         b.full_name AS buyer_name, b.email AS buyer_email
+  FROM transfer_codes t
+  JOIN cards c ON c.id = t.card_id
+  JOIN users s ON s.id = t.seller_id
+  LEFT JOIN users b ON b.id = t.buyer_id`;
+
+function describeTransfer(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    status: codeState(row),
+    require_approval: row.require_approval,
+    sale_price: row.sale_price,
+    note: row.note,
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+    claimed_at: row.claimed_at,
+    claim_expires_at: row.claim_expires_at,
+    completed_at: row.completed_at,
+    closed_at: row.closed_at,
+    close_reason: row.close_reason,
+    reissued_from_id: row.reissued_from_id,
+    card: {
+      id: row.card_id,
+      name: cardName(row),
+      player: row.player,
+      year: row.year,
+      set_name: row.set_name,
+      front_image_url: row.front_image_url
+    },
+    seller: { id: row.seller_id, name: row.seller_name || 'SoleVault User' },
+    buyer: row.buyer_id ? { id: row.buyer_id, name: row.buyer_name || row.buyer_email?.split('@')[0] || 'SoleVault User' } : null
+  };
+}
+
+async function getTransfer(executor, id) {
+  const result = await executor.query(`${TRANSFER_SELECT} WHERE t.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Lock the card for a claim or approval
+ * @returns {Promise<'card_moved'|'card_sold'|null>} Why the card can't go to the buyer, or null
+ */
+async function lockCardForTransfer(client, transfer) {
+  const card = await client.query('SELECT user_id, listing_status FROM cards WHERE id = $1 FOR UPDATE', [transfer.card_id]);
+  if (card.rows.length === 0 || card.rows[0].user_id !== transfer.seller_id) return 'card_moved';
+  if (card.rows[0].listing_status === 'sold') return 'card_sold';
+  return null;
+}
+
+/**
+ * Which of these cards a buyer's claim is holding - they can't be sold elsewhere until it's settled
+ * @param {number[]} cardIds
+ * @param {object} [executor] - db or a transaction client
+ * @returns {Promise<number[]>}
+ */
+async function pendingClaimCardIds(cardIds, executor = db) {
+  if (cardIds.length === 0) return [];
+  const result = await executor.query(
+    `SELECT DISTINCT card_id FROM transfer_codes
+     WHERE card_id = ANY($1) AND status = 'pending_approval' AND claim_expires_at > NOW()`,
+    [cardIds]
+  );
+  return result.rows.map(row => row.card_id);
+}
+
+async function insertCode(client, { cardId, sellerId, hours, requireApproval, salePrice, note, reissuedFromId = null }) {
+  // Codes are random; on the rare collision just draw another
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const result = await client.query(
+      `INSERT INTO transfer_codes
+         (card_id, seller_id, code, require_approval, sale_price, note, expires_at, reissued_from_id)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7 * INTERVAL '1 hour', $8)
+       ON CONFLICT (code) DO NOTHING
+       RETURNING id`,
+      [cardId, sellerId, generateCode(), requireApproval, salePrice, note, hours, reissuedFromId]
+    );
+    if (result.rows.length > 0) return result.rows[0].id;
+  }
+  throw new Error('Could not generate a unique transfer code');
+}
+
+/**
+ * Close any open code (and any lapsed claim) on the card so the new one is the only way to claim it
+ * @returns {Promise<'pending_claim'|null>} pending_claim if a buyer is waiting on approval
+ */
+async function closeOpenCodes(client, cardId, reason) {
+  const pending = await pendingClaimCardIds([cardId], client);
+  if (pending.length > 0) return 'pending_claim';
+
+  await client.query(
+    `UPDATE transfer_codes
+     SET status = 'revoked', closed_at = NOW(), close_reason = $2
+     WHERE card_id = $1 AND status IN ('active', 'pending_approval')`,
+    [cardId, reason]
+  );
+  return null;
+}
+
+/**
+ * Issue a code for one of the seller's cards
+ * @param {{ expiresInHours?: number, requireApproval?: boolean, salePrice?: number, note?: string }} [options]
+ * @returns {Promise<object|null|{ conflict: 'pending_claim'|'card_sold' }>} The transfer, or null if the card isn't theirs
+ */
+async function createCode(sellerId, cardId, { expiresInHours, requireApproval = false, salePrice = null, note = null } = {}) {
+  return inTransaction(async client => {
+    const card = await client.query('SELECT id, listing_status FROM cards WHERE id = $1 AND user_id = $2', [cardId, sellerId]);
+    if (card.rows.length === 0) return null;
+    if (card.rows[0].listing_status === 'sold') return { conflict: 'card_sold' };
+
+    const conflict = await closeOpenCodes(client, cardId, 'replaced');
+    if (conflict) return { conflict };
+
+    const id = await insertCode(client, {
+      cardId,
+      sellerId,
+      hours: expiryHours(expiresInHours),
+      requireApproval: !!requireApproval,
+      salePrice,
+      note
+    });
+    return describeTransfer(await getTransfer(client, id));
+  });
+}
+
+/**
+ * The seller's codes, newest first
+ * @param {{ status?: string, cardId?: number }} [filters] - status can be 'expired' or 'claim_expired'
+ */
+async function listCodes(sellerId, { status = null, cardId = null } = {}) {
+  const params = [sellerId];
+  let filter = '';
+  if (cardId) {
+    params.push(cardId);
+    filter += ` AND t.card_id = $${params.length}`;
+  }
+
+  const result = await db.query(
+    `${TRANSFER_SELECT} WHERE t.seller_id = $1${filter} ORDER BY t.created_at DESC, t.id DESC`,
+    params
+  );
+  const transfers = result.rows.map(describeTransfer);
+  return status ? transfers.filter(transfer => transfer.status === status) : transfers;
+}
+
+/**
+ * Claims the buyer has made, newest first
+ */
+async function listClaims(buyerId) {
+  const result = await db.query(
+    `${TRANSFER_SELECT} WHERE t.buyer_id = $1 ORDER BY t.claimed_at DESC, t.id DESC`,
+    [buyerId]
+  );
+  return result.rows.map(describeTransfer);
+}
+
+/**
+ * Stop an active code (expired or not), or a lapsed claim, from being claimed
+ * @returns {Promise<object|null|{ conflict: 'pending_claim'|'closed' }>}
+ */
+async function revokeCode(sellerId, transferId) {
+  const transfer = await getTransfer(db, transferId);
+  if (!transfer || transfer.seller_id !== sellerId) return null;
+  const state = codeState(transfer);
+  if (state === 'pending_approval') return { conflict: 'pending_claim' };
+  if (!['active', 'expired', 'claim_expired'].includes(state)) return { conflict: 'closed' };
+
+  await db.query(
+    `UPDATE transfer_codes
+     SET status = 'revoked', closed_at = NOW(), close_reason = 'revoked'
+     WHERE id = $1 AND (status = 'active' OR (status = 'pending_approval' AND claim_expires_at <= NOW()))`,
+    [transferId]
+  );
+  return describeTransfer(await getTransfer(db, transferId));
+}
+
+/**
+ * A fresh code with the same settings, replacing the old one. Works for an
+ * active, expired, revoked or declined code as long as the seller still owns the card.
+ * @param {{ expiresInHours?: number }} [options] - defaults to the old code's lifetime
+ * @returns {Promise<object|null|{ conflict: 'pending_claim'|'completed'|'card_moved' }>}
+ */
+async function reissueCode(sellerId, transferId, { expiresInHours } = {}) {
+  return inTransaction(async client => {
+    const old = await getTransfer(client, transferId);
+    if (!old || old.seller_id !== sellerId) return null;
+    if (old.status === 'completed') return { conflict: 'completed' };
+    if (old.card_owner_id !== sellerId) return { conflict: 'card_moved' };
+
+    const conflict = await closeOpenCodes(client, old.card_id, 'reissued');
+    if (conflict) return { conflict };
+
+    const lifetimeHours = Math.round((new Date(old.expires_at) - new Date(old.created_at)) / (60 * 60 * 1000));
+    const id = await insertCode(client, {
+      cardId: old.card_id,
+      sellerId,
+      hours: expiryHours(expiresInHours || lifetimeHours),
+      requireApproval: old.require_approval,
+      salePrice: old.sale_price,
+      note: old.note,
+      reissuedFromId: old.id
+    });
+    return describeTransfer(await getTransfer(client, id));
+  });
+}
+
+/**
+ * The open, unexpired transfer behind a code (the card may have moved or sold since)
+ */
+async function findClaimableCode(code) {
+  const result = await db.query(
+    `${TRANSFER_SELECT} WHERE t.code = $1 AND t.status = 'active' AND t.expires_at > NOW()`,
+    [code]
+  );
+  return result.rows[0] || null;
+}
+
+async function completeTransfer(client, transfer, buyerId) {
+  await client.query(`
+    INSERT INTO card_ownership_history
+    (card_id, previous_owner_id, new_owner_id, sale_price, transfer_method, transfer_code)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [transfer.card_id, transfer.seller_id, buyerId, transfer.sale_price || transfer.sold_price || null, 'transfer_code', transfer.code]);
+
+  await client.query(`
+    UPDATE cards
+    SET
+      user_id = $1,
+      listing_status = 'unlisted',
+      for_sale = FALSE
+    WHERE id = $2
+  `, [buyerId, transfer.card_id]);
+
+  await client.query(
+    `UPDATE transfer_codes
+     SET status = 'completed', buyer_id = $2, claimed_at = COALESCE(claimed_at, NOW()), completed_at = NOW()
+     WHERE id = $1`,
+    [transfer.id, buyerId]
+  );
+
+  // NFC tags on the card go with it
+  return transferCardTags(client, transfer.card_id, transfer.seller_id, buyerId, `Transfer code ${transfer.code}`);
+}
+
+/**
+ * Claim a card with its code. Moves the card now, or holds it for the
+ * seller's approval if the code requires it.
+ * @returns {Promise<{ transfer: object, pending: boolean, tags: object[] }
+ *   | { conflict: 'invalid'|'own_card'|'card_moved'|'card_sold' }>}
+ */
+async function claimCode(buyerId, code) {
+  const transfer = await findClaimableCode(code);
+  if (!transfer) return { conflict: 'invalid' };
+  if (transfer.seller_id === buyerId) return { conflict: 'own_card' };
+
+  return inTransaction(async client => {
+    // Held until the claim is settled, so the card can't be sold at the table meanwhile
+    const cardConflict = await lockCardForTransfer(client, transfer);
+    if (cardConflict) return { conflict: cardConflict };
+
+    // Take the code first so two buyers can't both claim it
+    const taken = await client.query(
+      `UPDATE transfer_codes
+       SET status = $2, buyer_id = $3, claimed_at = NOW(),
+           claim_expires_at = NOW() + $4 * INTERVAL '1 hour'
+       WHERE id = $1 AND status = 'active' AND expires_at > NOW()
+       RETURNING id`,
+      [
+        transfer.id,
+        transfer.require_approval ? 'pending_approval' : 'claiming',
+        buyerId,
+        // Only a claim waiting on the seller expires
+        transfer.require_approval ? CLAIM_HOLD_HOURS : null
+      ]
+    );
+    if (taken.rows.length === 0) return { conflict: 'invalid' };
+
+    const tags = transfer.require_approval ? [] : await completeTransfer(client, transfer, buyerId);
+    return {
+      transfer: describeTransfer(await getTransfer(client, transfer.id)),
+      pending: transfer.require_approval,
+      tags
+    };
+  });
+}
+
+/**
+ * Seller confirms payment on a pending claim and the card moves to the buyer
+ * @returns {Promise<{ transfer: object, tags: object[] }
+ *   |null|{ conflict: 'not_pending'|'claim_expired'|'card_moved'|'card_sold' }>}
+ */
+async function approveClaim(sellerId, transferId) {
+  return inTransaction(async client => {
+    const transfer = await getTransfer(client, transferId);
+    if (!transfer || transfer.seller_id !== sellerId) return null;
+    if (transfer.status !== 'pending_approval') return { conflict: 'not_pending' };
+    if (codeState(transfer) === 'claim_expired') return { conflict: 'claim_expired' };
+
+    const cardConflict = await lockCardForTransfer(client, transfer);
+    if (cardConflict) return { conflict: cardConflict };
+
+    const tags = await completeTransfer(client, transfer, transfer.buyer_id);
+    return { transfer: describeTransfer(await getTransfer(client, transferId)), tags };
+  });
+}
+
+async function closePendingClaim(transferId, status, reason) {
+  const result = await db.query(
+    `UPDATE transfer_codes
+     SET status = $2, closed_at = NOW(), close_reason = $3
+     WHERE id = $1 AND status = 'pending_approval'
+     RETURNING id`,
+    [transferId, status, reason]
+  );
+  if (result.rows.length === 0) return { conflict: 'not_pending' };
+  return describeTransfer(await getTransfer(db, transferId));
+}
+
+/**
+ * Seller turns down a pending claim; the card stays with them
+ * @returns {Promise<object|null|{ conflict: 'not_pending' }>}
+ */
+async function declineClaim(sellerId, transferId, reason = null) {
+  const transfer = await getTransfer(db, transferId);
+  if (!transfer || transfer.seller_id !== sellerId) return null;
+  return closePendingClaim(transferId, 'declined', reason || 'declined');
+}
+
+/**
+ * Buyer backs out of a claim still waiting on the seller
+ * @returns {Promise<object|null|{ conflict: 'not_pending' }>}
+ */
+async function cancelClaim(buyerId, transferId) {
+  const transfer = await getTransfer(db, transferId);
+  if (!transfer || transfer.buyer_id !== buyerId) return null;
+  return closePendingClaim(transferId, 'cancelled', 'cancelled');
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_HOURS,
+  MAX_EXPIRY_HOURS,
+  CLAIM_HOLD_HOURS,
+  findClaimableCode,
+  pendingClaimCardIds,
+  createCode,
+  listCodes,
+  listClaims,
+  revokeCode,
+  reissueCode,
+  claimCode,
+  approveClaim,
+  declineClaim,
+  cancelClaim
+};
@@ -0,0 +1,46 @@
+const team = require('../services/vendor-team');
+
+// Vendor team access - use after authenticateToken.
+// Staff act on a vendor's booth by sending X-Vendor-Id (or ?vendor_id= where headers
+// can't be set, e.g. EventSource); without it the user acts on their own booth as owner.
+// Sets req.vendor = { id, role, actorId, actorName } - routes scope data to req.vendor.id
+// and attribute actions to the actor.
+function vendorAccess(permission) {
+  return async (req, res, next) => {
+    const userId = req.user.userId || req.user.id;
+    const requested = parseInt(req.get('X-Vendor-Id') || req.query.vendor_id) || userId;
+
+    if (requested === userId) {
+      req.vendor = { id: userId, role: 'owner', actorId: userId, actorName: req.user.email || null };
+      return next();
+    }
+
+    try {
+      const member = await team.getMembership(requested, userId);
+
+      if (!member) {
+        return res.status(403).json({ success: false, error: 'You are not on this vendor\'s team' });
+      }
+
+      if (!team.hasPermission(member.role, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `Your team role (${member.role}) doesn't allow this`
+        });
+      }
+
+      req.vendor = { id: requested, role: member.role, actorId: userId, actorName: req.user.email || member.email };
+      next();
+    } catch (error) {
+      console.error('   ❌ Vendor team check failed:', error.message);
+      res.status(500).json({ success: false, error: 'Failed to verify vendor team access' });
+    }
+  };
+}
+
+// Whether the acting member's role has a permission beyond the one the route required
+function vendorCan(req, permission) {
+  return team.hasPermission(req.vendor.role, permission);
+}
+
+module.exports = { vendorAccess, vendorCan };
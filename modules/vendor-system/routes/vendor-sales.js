@@ -7,15 +7,45 @@ const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
 const ExcelJS = require('exceljs');
 const axios = require('axios');
+const { notifyUser } = require('../services/notificationService');
+const { sendCardSoldReceipt, sendPosReceipt, sendShowReportReadyEmail } = require('../services/email-service');
+const { calculateSaleProfit } = require('../services/card-costs');
+const { buildTaxReport, taxReportCsv, taxReportWorkbook } = require('../services/tax-report');
+const {
+  PUBLIC_EVENT_TYPES,
+  VENDOR_EVENT_TYPES,
+  PERIODS,
+  recordVendorEvent,
+  getAnalyticsSummary
+} = require('../services/vendor-analytics');
+const { getRateLimitMiddleware } = require('../middleware/rate-limiter');
+const {
+  DEFAULT_ALERT_MINUTES,
+  STREAM_TICKET_EXPIRES_SECONDS,
+  signStreamTicket,
+  verifyStreamTicket,
+  isSessionActive,
+  notifyShowChange,
+  openShowStream
+} = require('../services/show-stream');
+const custody = require('../services/case-custody');
+const { vendorAccess } = require('../middleware/vendor-access');
+const team = require('../services/vendor-team');
+const pos = require('../services/pos-checkout');
+const showExpenses = require('../services/show-expenses');
+const tradeIns = require('../services/trade-ins');
+const { compareShows } = require('../services/show-comparison');
+const labels = require('../services/price-labels');
+const transferCodes = require('../services/transfer-codes');
 
 // ========================================
 // SALES HISTORY ENDPOINTS
 // ========================================
 
 // Mark card as SOLD 
-router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
+router.post('/sales/mark-sold', authenticateToken, vendorAccess('sell'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const {
       card_id,
       sale_price,
@@ -23,7 +53,9 @@ router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
       customer_name,
       customer_email,
       show_report_id,
-      notes
+      notes,
+      fees,
+      shipping_cost
     } = req.body;
 
     // Get the card data before we update it
@@ -38,6 +70,8 @@ router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
 
     const card = cardResult.rows[0];
 
+    if (await claimHeldOr409(res, [card.id])) return;
+
     // Calculate time in showcase (if we have created_at)
     let timeInShowcase = null;
     if (card.created_at) {
@@ -46,14 +80,24 @@ router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
       timeInShowcase = Math.floor((now - created) / 1000 / 60); // minutes
     }
 
+    // True profit: cost basis (purchase + expenses), selling fees and shipping
+    const finalPrice = sale_price || card.asking_price || 0;
+    const profit = await calculateSaleProfit(card, {
+      salePrice: finalPrice,
+      fees,
+      shippingCost: shipping_cost
+    });
+
     // Insert into sales history
     const salesResult = await db.query(`
       INSERT INTO card_sales_history (
         user_id, card_id, show_report_id, showcase_id,
         card_data, sale_price, sale_method,
         customer_name, customer_email,
-        time_in_showcase_minutes, notes, sold_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+        time_in_showcase_minutes, notes, sold_at,
+        cost_basis, fees, shipping_cost, net_profit,
+        sold_by_user_id, sold_by_name
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), $12, $13, $14, $15, $16, $17)
       RETURNING *
     `, [
       userId,
@@ -61,20 +105,31 @@ router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
       show_report_id || null,
       card.showcase_id || null,
       JSON.stringify(card), // Store full card snapshot
-      sale_price || card.asking_price || 0,
+      finalPrice,
       sale_method || 'cash',
       customer_name || null,
       customer_email || null,
       timeInShowcase,
-      notes || null
+      notes || null,
+      profit.costBasis,
+      profit.fees,
+      profit.shippingCost,
+      profit.netProfit,
+      req.vendor.actorId,
+      req.vendor.actorName
     ]);
 
     // Update card status to SOLD
     await db.query(
-      'UPDATE cards SET listing_status = $1 WHERE id = $2',
-      ['sold', card_id]
+      `UPDATE cards
+       SET listing_status = $1, sold_price = $2, sold_date = NOW(), total_fees = $3, net_payout = $4
+       WHERE id = $5`,
+      ['sold', finalPrice, profit.fees, profit.netPayout, card_id]
     );
 
+    // Sold while out of the case closes the custody trip
+    await custody.closeForSale(card.id, salesResult.rows[0].id);
+
     // If this sale is part of an active show, update the show stats
     if (show_report_id) {
       await db.query(`
@@ -86,9 +141,31 @@ router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
       `, [sale_price || card.asking_price || 0, show_report_id, userId]);
     }
 
+    notifyUser(userId, 'card_sold', {
+      cardId: card.id,
+      cardName: [card.year, card.set_name, card.player].filter(Boolean).join(' '),
+      salePrice: salesResult.rows[0].sale_price,
+      saleMethod: salesResult.rows[0].sale_method,
+      showReportId: show_report_id || null
+    }, { caller: 'vendor-sales.mark-sold' });
+    notifyShowChange(userId);
+
+    if (customer_email) {
+      sendCardSoldReceipt(customer_email, {
+        customerName: customer_name,
+        cardName: [card.year, card.set_name, card.player].filter(Boolean).join(' '),
+        salePrice: salesResult.rows[0].sale_price,
+        saleMethod: salesResult.rows[0].sale_method,
+        soldAt: salesResult.rows[0].sold_at
+      }).catch(() => {
+        // Receipt failures are retried by the email outbox - non-critical
+      });
+    }
+
     res.json({
       success: true,
       sale: salesResult.rows[0],
+      profit,
       message: 'Card marked as sold'
     });
 
@@ -99,9 +176,9 @@ router.post('/sales/mark-sold', authenticateToken, async (req, res) => {
 });
 
 // Get sales history
-router.get('/sales/history', authenticateToken, async (req, res) => {
+router.get('/sales/history', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const { show_id, limit = 100, offset = 0 } = req.query;
 
     let query = `
@@ -146,9 +223,9 @@ router.get('/sales/history', authenticateToken, async (req, res) => {
 });
 
 // Get sales summary stats
-router.get('/sales/summary', authenticateToken, async (req, res) => {
+router.get('/sales/summary', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const { period = '30d' } = req.query; // '7d', '30d', '90d', 'all'
 
     let dateFilter = '';
@@ -179,14 +256,484 @@ router.get('/sales/summary', authenticateToken, async (req, res) => {
   }
 });
 
+// Tax-year sales report (?year=2025&format=xlsx|csv)
+router.get('/sales/tax-report', authenticateToken, vendorAccess('reports'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const format = (req.query.format || 'xlsx').toLowerCase();
+
+    if (year < 2000 || year > new Date().getFullYear()) {
+      return res.status(400).json({ success: false, error: 'Invalid year' });
+    }
+    if (!['xlsx', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be xlsx or csv' });
+    }
+
+    const report = await buildTaxReport(userId, year);
+    const fileName = `sales-tax-report-${year}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(taxReportCsv(report));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    await taxReportWorkbook(report).xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Error exporting tax report:', error);
+    res.status(500).json({ success: false, error: 'Failed to export tax report' });
+  }
+});
+
+// ========================================
+// POINT OF SALE (multi-card cart checkout)
+// ========================================
+
+// Cart from the body: items [{ card_id, price? }] plus an optional bundle discount
+// (discount as an amount or discount_percent). Returns { error } when invalid.
+function parseCart(body) {
+  const { items, discount, discount_percent } = body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'items must be a non-empty array of { card_id, price }' };
+  }
+  if (items.length > 100) {
+    return { error: 'A cart can hold at most 100 cards' };
+  }
+
+  const cardIds = [];
+  const prices = {};
+  for (const item of items) {
+    const cardId = parseInt(item && item.card_id);
+    if (!cardId) {
+      return { error: 'Every item needs a card_id' };
+    }
+    if (cardIds.includes(cardId)) {
+      return { error: `Card ${cardId} is in the cart twice` };
+    }
+    if (item.price != null) {
+      const price = parseFloat(item.price);
+      if (isNaN(price) || price < 0) {
+        return { error: `Invalid price for card ${cardId}` };
+      }
+      prices[cardId] = price;
+    }
+    cardIds.push(cardId);
+  }
+
+  if (discount != null && discount_percent != null) {
+    return { error: 'Send either discount or discount_percent, not both' };
+  }
+  if (discount != null && (isNaN(parseFloat(discount)) || parseFloat(discount) < 0)) {
+    return { error: 'discount must be a positive amount' };
+  }
+  if (discount_percent != null) {
+    const percent = parseFloat(discount_percent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      return { error: 'discount_percent must be between 0 and 100' };
+    }
+  }
+
+  return {
+    cardIds,
+    prices,
+    discount: { discount: parseFloat(discount) || 0, discountPercent: parseFloat(discount_percent) || 0 }
+  };
+}
+
+// Show a sale belongs to: the requested one (404 if it isn't the vendor's) or the active show.
+// Returns the id, null when there's no active show, or undefined once the 404 is sent.
+async function showReportIdOr404(res, vendorId, requestedId) {
+  if (parseInt(requestedId)) {
+    const showResult = await db.query('SELECT id FROM show_reports WHERE id = $1 AND user_id = $2', [parseInt(requestedId), vendorId]);
+    if (showResult.rows.length === 0) {
+      res.status(404).json({ success: false, error: 'Show not found' });
+      return undefined;
+    }
+    return showResult.rows[0].id;
+  }
+
+  const showResult = await db.query(
+    `SELECT id FROM show_reports WHERE user_id = $1 AND status = 'active' ORDER BY started_at DESC LIMIT 1`,
+    [vendorId]
+  );
+  return showResult.rows[0] ? showResult.rows[0].id : null;
+}
+
+// A buyer's transfer claim waiting on approval holds its card - sends the 409 and returns true if any are held
+async function claimHeldOr409(res, cardIds) {
+  const held = await transferCodes.pendingClaimCardIds(cardIds);
+  if (held.length === 0) return false;
+
+  res.status(409).json({
+    success: false,
+    error: 'A buyer has claimed this card with a transfer code - approve or decline the transfer first',
+    card_ids: held
+  });
+  return true;
+}
+
+// Load and price a parsed cart; sends the 400/404/409 itself and returns null on failure
+async function priceCartOr4xx(res, vendorId, cart) {
+  const { cards, missing, sold } = await pos.loadCartCards(vendorId, cart.cardIds);
+
+  if (missing.length > 0) {
+    res.status(404).json({ success: false, error: 'Card not found', card_ids: missing });
+    return null;
+  }
+  if (sold.length > 0) {
+    res.status(409).json({ success: false, error: 'Some cards are already sold', card_ids: sold });
+    return null;
+  }
+  if (await claimHeldOr409(res, cart.cardIds)) return null;
+
+  return { cards, pricing: pos.priceCart(cards, cart.prices, cart.discount) };
+}
+
+// Price a cart without selling it (live totals while the buyer haggles)
+router.post('/pos/quote', authenticateToken, vendorAccess('sell'), async (req, res) => {
+  try {
+    const cart = parseCart(req.body);
+    if (cart.error) {
+      return res.status(400).json({ success: false, error: cart.error });
+    }
+
+    const priced = await priceCartOr4xx(res, req.vendor.id, cart);
+    if (!priced) return;
+
+    res.json({ success: true, quote: priced.pricing });
+
+  } catch (error) {
+    console.error('Error pricing cart:', error);
+    res.status(500).json({ success: false, error: 'Failed to price cart' });
+  }
+});
+
+// Sell a cart: { items, discount | discount_percent, payments: [{ method, amount }],
+// customer_name, customer_email, notes, show_report_id } - defaults to the active show
+router.post('/pos/checkout', authenticateToken, vendorAccess('sell'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { payments, customer_name, customer_email, notes } = req.body;
+
+    const cart = parseCart(req.body);
+    if (cart.error) {
+      return res.status(400).json({ success: false, error: cart.error });
+    }
+    if (!Array.isArray(payments) || payments.length === 0) {
+      return res.status(400).json({ success: false, error: 'payments must be a non-empty array of { method, amount }' });
+    }
+    for (const payment of payments) {
+      if (!payment || typeof payment.method !== 'string' || !payment.method.trim() || payment.method.length > 50) {
+        return res.status(400).json({ success: false, error: 'Every payment needs a method' });
+      }
+      if (isNaN(parseFloat(payment.amount)) || parseFloat(payment.amount) <= 0) {
+        return res.status(400).json({ success: false, error: 'Every payment needs a positive amount' });
+      }
+    }
+
+    const priced = await priceCartOr4xx(res, userId, cart);
+    if (!priced) return;
+    const { cards, pricing } = priced;
+
+    const settlement = pos.settlePayments(pricing.total, payments);
+    if (!settlement) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payments must add up to the total (only cash can be over-tendered)',
+        total: pricing.total
+      });
+    }
+
+    const showReportId = await showReportIdOr404(res, userId, req.body.show_report_id);
+    if (showReportId === undefined) return;
+
+    const result = await pos.checkoutCart(userId, cards, pricing, settlement, {
+      showReportId,
+      customerName: customer_name || null,
+      customerEmail: customer_email || null,
+      notes: notes || null,
+      soldByUserId: req.vendor.actorId,
+      soldByName: req.vendor.actorName
+    });
+
+    if (!result) {
+      return res.status(409).json({ success: false, error: 'A card in the cart was sold while checking out - nothing was charged' });
+    }
+
+    // Cards sold while out of the case close their custody trips
+    for (const sale of result.sales) {
+      await custody.closeForSale(sale.card_id, sale.id);
+    }
+
+    recordVendorEvent({
+      vendorId: userId,
+      eventType: 'checkout',
+      source: 'pos',
+      metadata: { transaction_id: result.transaction.id, card_count: cards.length, total: pricing.total }
+    });
+
+    notifyUser(userId, 'card_sold', {
+      cardName: cards.length === 1 ? pricing.lines[0].card_name : `${cards.length} cards`,
+      salePrice: pricing.total,
+      saleMethod: result.sales[0].sale_method,
+      showReportId,
+      transactionId: result.transaction.id
+    }, { caller: 'vendor-sales.pos-checkout' });
+    notifyShowChange(userId);
+
+    const transaction = await pos.getTransaction(userId, result.transaction.id);
+
+    if (customer_email) {
+      const vendorResult = await db.query('SELECT full_name FROM users WHERE id = $1', [userId]);
+      sendPosReceipt(customer_email, pos.receiptData(transaction, vendorResult.rows[0] && vendorResult.rows[0].full_name))
+        .then(sent => (sent.success || sent.queued) && pos.markReceiptSent(transaction.id))
+        .catch(() => {
+          // Receipt failures are retried by the email outbox - non-critical
+        });
+    }
+
+    console.log(`🛒 Vendor ${userId} sold ${cards.length} cards for $${pricing.total} (receipt ${transaction.receipt_number})`);
+
+    res.status(201).json({ success: true, transaction, message: `${cards.length} card(s) sold` });
+
+  } catch (error) {
+    console.error('Error checking out cart:', error);
+    res.status(500).json({ success: false, error: 'Failed to check out cart' });
+  }
+});
+
+// POS transactions (?show_id=&limit=&offset=)
+router.get('/pos/transactions', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const transactions = await pos.listTransactions(req.vendor.id, {
+      showReportId: parseInt(req.query.show_id) || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({ success: true, transactions });
+
+  } catch (error) {
+    console.error('Error fetching POS transactions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch transactions' });
+  }
+});
+
+// One transaction with its line items (the receipt)
+router.get('/pos/transactions/:id', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const transaction = await pos.getTransaction(req.vendor.id, parseInt(req.params.id));
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    res.json({ success: true, transaction });
+
+  } catch (error) {
+    console.error('Error fetching POS transaction:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch transaction' });
+  }
+});
+
+// Email (or re-email) the receipt - { email } overrides the customer's address
+router.post('/pos/transactions/:id/receipt', authenticateToken, vendorAccess('sell'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const transaction = await pos.getTransaction(userId, parseInt(req.params.id));
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    const email = req.body.email || transaction.customer_email;
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'No email address for this receipt' });
+    }
+
+    const vendorResult = await db.query('SELECT full_name FROM users WHERE id = $1', [userId]);
+    const sent = await sendPosReceipt(email, pos.receiptData(transaction, vendorResult.rows[0] && vendorResult.rows[0].full_name));
+    if (!sent.success && !sent.queued) {
+      return res.status(502).json({ success: false, error: 'Failed to send receipt' });
+    }
+
+    await pos.markReceiptSent(transaction.id);
+
+    res.json({ success: true, message: sent.success ? 'Receipt sent' : 'Receipt queued' });
+
+  } catch (error) {
+    console.error('Error sending POS receipt:', error);
+    res.status(500).json({ success: false, error: 'Failed to send receipt' });
+  }
+});
+
+// ========================================
+// TRADE-INS (customer trades cards at the table)
+// ========================================
+
+// Record a trade: { cards_out: [{ card_id, value }], cards_in: [{ player, year, set_name, ..., trade_value }],
+// customer_name, customer_email, cash_method, notes, show_report_id } - defaults to the active show.
+// value defaults to the card's asking price; the cash difference is worked out from the totals.
+router.post('/trade-ins', authenticateToken, vendorAccess('sell'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { cards_out = [], cards_in = [], customer_name, customer_email, cash_method, notes } = req.body;
+
+    if (!Array.isArray(cards_out) || !Array.isArray(cards_in)) {
+      return res.status(400).json({ success: false, error: 'cards_out and cards_in must be arrays' });
+    }
+    if (cards_out.length === 0 && cards_in.length === 0) {
+      return res.status(400).json({ success: false, error: 'A trade needs at least one card going out or coming in' });
+    }
+    if (cards_out.length > 100 || cards_in.length > 100) {
+      return res.status(400).json({ success: false, error: 'A trade can move at most 100 cards each way' });
+    }
+
+    const outIds = [];
+    for (const item of cards_out) {
+      const cardId = parseInt(item && item.card_id);
+      if (!cardId || outIds.includes(cardId)) {
+        return res.status(400).json({ success: false, error: 'Every card going out needs a distinct card_id' });
+      }
+      if (item.value != null && (isNaN(parseFloat(item.value)) || parseFloat(item.value) < 0)) {
+        return res.status(400).json({ success: false, error: `Invalid value for card ${cardId}` });
+      }
+      outIds.push(cardId);
+    }
+
+    const cardsIn = [];
+    for (const item of cards_in) {
+      const credit = parseFloat(item && item.trade_value);
+      if (isNaN(credit) || credit < 0) {
+        return res.status(400).json({ success: false, error: 'Every card coming in needs a trade_value' });
+      }
+      if (!item.player && !item.set_name) {
+        return res.status(400).json({ success: false, error: 'Every card coming in needs a player or set_name' });
+      }
+
+      const fields = {};
+      for (const field of tradeIns.CARD_IN_FIELDS) {
+        if (item[field] !== undefined) fields[field] = item[field];
+      }
+      cardsIn.push({ fields, credit: Math.round(credit * 100) / 100 });
+    }
+
+    let cardsOut = [];
+    if (outIds.length > 0) {
+      const cardsResult = await db.query('SELECT * FROM cards WHERE id = ANY($1) AND user_id = $2', [outIds, userId]);
+      const byId = new Map(cardsResult.rows.map(card => [card.id, card]));
+
+      const missing = outIds.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ success: false, error: 'Card not found', card_ids: missing });
+      }
+      const sold = cardsResult.rows.filter(card => card.listing_status === 'sold').map(card => card.id);
+      if (sold.length > 0) {
+        return res.status(409).json({ success: false, error: 'Some cards are already sold', card_ids: sold });
+      }
+      if (await claimHeldOr409(res, outIds)) return;
+
+      cardsOut = cards_out.map(item => {
+        const card = byId.get(parseInt(item.card_id));
+        const value = item.value != null ? item.value : card.asking_price;
+        return { card, value: Math.round((parseFloat(value) || 0) * 100) / 100 };
+      });
+    }
+
+    const showReportId = await showReportIdOr404(res, userId, req.body.show_report_id);
+    if (showReportId === undefined) return;
+
+    const result = await tradeIns.recordTradeIn(userId, {
+      cardsOut,
+      cardsIn,
+      showReportId,
+      customerName: customer_name || null,
+      customerEmail: customer_email || null,
+      cashMethod: cash_method || null,
+      notes: notes || null,
+      handledByUserId: req.vendor.actorId,
+      handledByName: req.vendor.actorName
+    });
+
+    if (!result) {
+      return res.status(409).json({ success: false, error: 'A card going out was sold while recording the trade - nothing was saved' });
+    }
+
+    // Cards traded away while out of the case close their custody trips
+    for (const sale of result.sales) {
+      await custody.closeForSale(sale.card_id, sale.id);
+    }
+
+    if (result.sales.length > 0) {
+      notifyUser(userId, 'card_sold', {
+        cardName: result.sales.length === 1
+          ? [cardsOut[0].card.year, cardsOut[0].card.set_name, cardsOut[0].card.player].filter(Boolean).join(' ')
+          : `${result.sales.length} cards`,
+        salePrice: result.tradeIn.value_out,
+        saleMethod: 'trade',
+        showReportId,
+        tradeInId: result.tradeIn.id
+      }, { caller: 'vendor-sales.trade-in' });
+    }
+    notifyShowChange(userId);
+
+    const tradeIn = await tradeIns.getTradeIn(userId, result.tradeIn.id);
+
+    console.log(`🔁 Vendor ${userId} trade-in #${tradeIn.id}: ${cardsOut.length} out, ${cardsIn.length} in, cash ${tradeIn.cash_difference}`);
+
+    res.status(201).json({ success: true, trade_in: tradeIn });
+
+  } catch (error) {
+    console.error('Error recording trade-in:', error);
+    res.status(500).json({ success: false, error: 'Failed to record trade-in' });
+  }
+});
+
+// Trade-ins (?show_id=&limit=&offset=)
+router.get('/trade-ins', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const trades = await tradeIns.listTradeIns(req.vendor.id, {
+      showReportId: parseInt(req.query.show_id) || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({ success: true, trade_ins: trades });
+
+  } catch (error) {
+    console.error('Error fetching trade-ins:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch trade-ins' });
+  }
+});
+
+// One trade with the cards that went out and came in
+router.get('/trade-ins/:id', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const tradeIn = await tradeIns.getTradeIn(req.vendor.id, parseInt(req.params.id));
+    if (!tradeIn) {
+      return res.status(404).json({ success: false, error: 'Trade-in not found' });
+    }
+
+    res.json({ success: true, trade_in: tradeIn });
+
+  } catch (error) {
+    console.error('Error fetching trade-in:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch trade-in' });
+  }
+});
+
 // ========================================
 // SHOW REPORTS ENDPOINTS
 // ========================================
 
 // Create new show report
-router.post('/shows/create', authenticateToken, async (req, res) => {
+router.post('/shows/create', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const {
       show_name,
       show_date,
@@ -246,9 +793,9 @@ router.post('/shows/create', authenticateToken, async (req, res) => {
 });
 
 // Take mid-show snapshot
-router.post('/shows/:id/snapshot', authenticateToken, async (req, res) => {
+router.post('/shows/:id/snapshot', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const showId = req.params.id;
     const { notes } = req.body;
 
@@ -310,9 +857,9 @@ router.post('/shows/:id/snapshot', authenticateToken, async (req, res) => {
 });
 
 // End show and finalize report
-router.post('/shows/:id/end', authenticateToken, async (req, res) => {
+router.post('/shows/:id/end', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const showId = req.params.id;
 
     // Get show report
@@ -353,6 +900,23 @@ router.post('/shows/:id/end', authenticateToken, async (req, res) => {
       WHERE id = $2
     `, [JSON.stringify(endingInventory), showId]);
 
+    notifyShowChange(userId);
+
+    // The report goes to the booth owner, whoever on the team ended the show
+    const ownerEmail = req.vendor.role === 'owner'
+      ? req.user.email
+      : (await db.query('SELECT email FROM users WHERE id = $1', [userId])).rows[0]?.email;
+
+    sendShowReportReadyEmail(ownerEmail, {
+      showId,
+      showName: report.show_name,
+      cardsSold: report.cards_sold,
+      totalSales: report.total_sales,
+      cardsRemaining: endingInventory.length
+    }, { userId }).catch(() => {
+      // Email send failed silently - non-critical
+    });
+
     res.json({
       success: true,
       message: 'Show ended',
@@ -366,9 +930,9 @@ router.post('/shows/:id/end', authenticateToken, async (req, res) => {
 });
 
 // Get all show reports
-router.get('/shows', authenticateToken, async (req, res) => {
+router.get('/shows', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const { status, limit = 50, offset = 0 } = req.query;
 
     let query = 'SELECT * FROM show_reports WHERE user_id = $1';
@@ -395,10 +959,37 @@ router.get('/shows', authenticateToken, async (req, res) => {
   }
 });
 
+// Compare shows over a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD, default the last 12 months;
+// &limit= caps the best-seller lists) - revenue, sell-through, sale vs asking, best sellers
+router.get('/shows/compare', authenticateToken, vendorAccess('reports'), async (req, res) => {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const yearAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const { from = yearAgo, to = today } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    if (from > to) {
+      return res.status(400).json({ success: false, error: 'from must be on or before to' });
+    }
+
+    const comparison = await compareShows(req.vendor.id, { from, to, limit });
+
+    res.json({ success: true, comparison });
+
+  } catch (error) {
+    console.error('Error comparing shows:', error);
+    res.status(500).json({ success: false, error: 'Failed to compare shows' });
+  }
+});
+
 // Get single show report with details
-router.get('/shows/:id', authenticateToken, async (req, res) => {
+router.get('/shows/:id', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const showId = req.params.id;
 
     const reportResult = await db.query(
@@ -418,10 +1009,21 @@ router.get('/shows/:id', authenticateToken, async (req, res) => {
       [showId]
     );
 
+    const custodyLog = await custody.getShowCustody(userId, report.id);
+    const sellers = await team.getSalesBySeller(report.id);
+    const expenses = await showExpenses.listShowExpenses(report.id);
+    const profitability = await showExpenses.getShowProfitability(report, expenses);
+    const trades = await tradeIns.listTradeIns(userId, { showReportId: report.id, limit: 1000 });
+
     res.json({
       success: true,
       report: report,
-      sales: salesResult.rows
+      sales: salesResult.rows,
+      sellers,
+      custody: custodyLog,
+      expenses,
+      profitability,
+      trade_ins: trades
     });
 
   } catch (error) {
@@ -430,14 +1032,186 @@ router.get('/shows/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// ========================================
+// SHOW EXPENSES (table fee, travel, hotel, supplies...)
+// ========================================
+
+// Expenses for a show with its profitability
+router.get('/shows/:id/expenses', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const reportResult = await db.query(
+      'SELECT * FROM show_reports WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.vendor.id]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Show report not found' });
+    }
+
+    const expenses = await showExpenses.listShowExpenses(reportResult.rows[0].id);
+    const profitability = await showExpenses.getShowProfitability(reportResult.rows[0], expenses);
+
+    res.json({ success: true, expenses, profitability });
+
+  } catch (error) {
+    console.error('Error fetching show expenses:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch show expenses' });
+  }
+});
+
+router.post('/shows/:id/expenses', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { category, amount, description, incurred_at } = req.body;
+    const parsedAmount = parseFloat(amount);
+
+    if (!showExpenses.EXPENSE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ success: false, error: `category must be one of ${showExpenses.EXPENSE_CATEGORIES.join(', ')}` });
+    }
+
+    if (!Number.isFinite(parsedAmount) || parsedAmount < 0) {
+      return res.status(400).json({ success: false, error: 'amount must be a positive number' });
+    }
+
+    const reportResult = await db.query(
+      'SELECT id FROM show_reports WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Show report not found' });
+    }
+
+    const expense = await showExpenses.addShowExpense(reportResult.rows[0].id, userId, {
+      category,
+      amount: parsedAmount,
+      description: description || null,
+      incurredAt: incurred_at || null
+    });
+
+    res.status(201).json({ success: true, expense });
+
+  } catch (error) {
+    console.error('Error adding show expense:', error);
+    res.status(500).json({ success: false, error: 'Failed to add show expense' });
+  }
+});
+
+router.delete('/shows/:id/expenses/:expenseId', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
+  try {
+    const deleted = await showExpenses.deleteShowExpense(req.params.expenseId, req.params.id, req.vendor.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Expense not found' });
+    }
+
+    res.json({ success: true, message: 'Expense deleted' });
+
+  } catch (error) {
+    console.error('Error deleting show expense:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete show expense' });
+  }
+});
+
+// ========================================
+// LIVE SHOW STREAM
+// ========================================
+
+// EventSource can't send headers - streams also accept a ?ticket= from /stream-ticket.
+// The ticket stands in for the login it was issued to; team access is checked again after.
+async function streamTicketAuth(req, res, next) {
+  if (req.headers['authorization'] || !req.query.ticket) return authenticateToken(req, res, next);
+
+  const grant = verifyStreamTicket(String(req.query.ticket), parseInt(req.params.id));
+  if (!grant) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired stream ticket' });
+  }
+  try {
+    if (grant.sid && !(await isSessionActive(grant.sid))) {
+      return res.status(401).json({ success: false, error: 'Session revoked' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to verify session' });
+  }
+
+  req.user = { id: grant.id, userId: grant.id, email: grant.email, is_admin: false, sessionId: grant.sid || null };
+  req.headers['x-vendor-id'] = String(grant.vendorId);
+  next();
+}
+
+// Short-lived ticket for opening this show's stream with EventSource (keeps the login token out of URLs)
+router.post('/shows/:id/stream-ticket', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const showId = parseInt(req.params.id);
+    const reportResult = await db.query(
+      'SELECT id FROM show_reports WHERE id = $1 AND user_id = $2',
+      [showId, req.vendor.id]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Show report not found' });
+    }
+
+    const ticket = signStreamTicket({
+      userId: req.user.userId,
+      email: req.user.email,
+      sessionId: req.user.sessionId,
+      vendorId: req.vendor.id,
+      showId
+    });
+
+    res.json({
+      success: true,
+      ticket,
+      expires_in: STREAM_TICKET_EXPIRES_SECONDS,
+      stream_url: `/api/vendors/shows/${showId}/stream?ticket=${encodeURIComponent(ticket)}`
+    });
+
+  } catch (error) {
+    console.error('Error issuing show stream ticket:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue stream ticket' });
+  }
+});
+
+// Live show dashboard (Server-Sent Events, ?alert_minutes= for the card-out alert)
+router.get('/shows/:id/stream', streamTicketAuth, vendorAccess('view'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const alertMinutes = req.query.alert_minutes !== undefined
+      ? parseInt(req.query.alert_minutes)
+      : DEFAULT_ALERT_MINUTES;
+
+    if (!(alertMinutes >= 1 && alertMinutes <= 240)) {
+      return res.status(400).json({ success: false, error: 'alert_minutes must be between 1 and 240' });
+    }
+
+    const reportResult = await db.query(
+      'SELECT * FROM show_reports WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Show report not found' });
+    }
+
+    await openShowStream(req, res, reportResult.rows[0], { alertMinutes, sessionId: req.user.sessionId });
+
+  } catch (error) {
+    console.error('Error opening show stream:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: 'Failed to open show stream' });
+  }
+});
+
 // ========================================
 // EXCEL EXPORT
 // ========================================
 
 // Export show report to Excel with images
-router.get('/shows/:id/export', authenticateToken, async (req, res) => {
+router.get('/shows/:id/export', authenticateToken, vendorAccess('reports'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
     const showId = req.params.id;
 
     // Get show report with all data
@@ -490,6 +1264,41 @@ router.get('/shows/:id/export', authenticateToken, async (req, res) => {
       { label: 'Checkouts:', value: report.checkouts || 0 },
     ]);
 
+    // Profitability after cost of goods, fees and show expenses
+    const expenses = await showExpenses.listShowExpenses(report.id);
+    const profitability = await showExpenses.getShowProfitability(report, expenses);
+    const money = value => (value === null ? 'N/A' : `$${value.toFixed(2)}`);
+
+    summarySheet.addRows([
+      { label: '', value: '' },
+      { label: 'Cost of Cards Sold:', value: money(profitability.cost_of_goods) },
+      { label: 'Selling Fees & Shipping:', value: money(profitability.selling_fees + profitability.shipping) },
+      { label: 'Show Expenses:', value: money(profitability.expenses_total) },
+      { label: 'Net Profit:', value: money(profitability.net_profit) },
+      { label: 'Hours:', value: profitability.hours !== null ? profitability.hours : 'N/A' },
+      { label: 'Profit per Hour:', value: money(profitability.profit_per_hour) },
+      { label: 'Cards Sold per Hour:', value: profitability.cards_sold_per_hour !== null ? profitability.cards_sold_per_hour : 'N/A' }
+    ]);
+    if (profitability.cards_missing_cost > 0) {
+      summarySheet.addRow({
+        label: '',
+        value: `${profitability.cards_missing_cost} sold card(s) have no purchase cost - profit is overstated`
+      });
+    }
+
+    // Per-seller breakdown
+    const sellers = await team.getSalesBySeller(report.id);
+    if (sellers.length > 0) {
+      summarySheet.addRow({ label: '', value: '' });
+      summarySheet.addRow({ label: 'Sales by Seller:', value: '' });
+      for (const seller of sellers) {
+        summarySheet.addRow({
+          label: `  ${seller.name}`,
+          value: `${seller.sales} sold - $${seller.revenue.toFixed(2)}`
+        });
+      }
+    }
+
     // Bold the labels
     summarySheet.getColumn('label').font = { bold: true };
 
@@ -566,7 +1375,8 @@ router.get('/shows/:id/export', authenticateToken, async (req, res) => {
       { key: 'grade', width: 15, header: 'GRADE' },
       { key: 'price', width: 12, header: 'SALE PRICE' },
       { key: 'time', width: 18, header: 'SOLD AT' },
-      { key: 'customer', width: 20, header: 'CUSTOMER' }
+      { key: 'customer', width: 20, header: 'CUSTOMER' },
+      { key: 'seller', width: 20, header: 'SOLD BY' }
     ];
 
     for (let i = 0; i < sales.length; i++) {
@@ -582,7 +1392,8 @@ router.get('/shows/:id/export', authenticateToken, async (req, res) => {
         grade: card.is_graded ? `${card.grading_company} ${card.grade}` : 'Raw',
         price: `$${parseFloat(sale.sale_price).toFixed(2)}`,
         time: new Date(sale.sold_at).toLocaleString(),
-        customer: sale.customer_name || 'N/A'
+        customer: sale.customer_name || 'N/A',
+        seller: sale.sold_by_name || ''
       });
 
       // Add image
@@ -677,6 +1488,89 @@ router.get('/shows/:id/export', authenticateToken, async (req, res) => {
     };
     endingSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
 
+    // ========================================
+    // SHEET 5: Custody Log
+    // ========================================
+    const custodyLog = await custody.getShowCustody(userId, report.id);
+    const custodySheet = workbook.addWorksheet('Custody Log');
+    custodySheet.columns = [
+      { key: 'card', width: 35, header: 'CARD' },
+      { key: 'holder', width: 25, header: 'HOLDER' },
+      { key: 'holderType', width: 12, header: 'TYPE' },
+      { key: 'outBy', width: 20, header: 'HANDED OUT BY' },
+      { key: 'outAt', width: 20, header: 'OUT AT' },
+      { key: 'inAt', width: 20, header: 'BACK AT' },
+      { key: 'inBy', width: 20, header: 'CHECKED IN BY' },
+      { key: 'outcome', width: 14, header: 'OUTCOME' },
+      { key: 'notes', width: 30, header: 'NOTES' }
+    ];
+
+    for (const entry of custodyLog.log) {
+      const row = custodySheet.addRow({
+        card: entry.card_name,
+        holder: [entry.holder_name, entry.holder_contact].filter(Boolean).join(' - ') || 'N/A',
+        holderType: entry.holder_type,
+        outBy: entry.checked_out_by || '',
+        outAt: new Date(entry.checked_out_at).toLocaleString(),
+        inAt: entry.checked_in_at ? new Date(entry.checked_in_at).toLocaleString() : '',
+        inBy: entry.checked_in_by || '',
+        outcome: entry.outcome || 'NOT RETURNED',
+        notes: entry.notes || ''
+      });
+
+      // Flag cards never checked back in for teardown reconciliation
+      if (!entry.checked_in_at) {
+        row.font = { bold: true, color: { argb: 'FFEF4444' } };
+      }
+    }
+
+    custodySheet.addRow({});
+    custodySheet.addRow({ card: 'Checked out:', holder: custodyLog.summary.checkouts });
+    custodySheet.addRow({ card: 'Returned:', holder: custodyLog.summary.returned });
+    custodySheet.addRow({ card: 'Sold while out:', holder: custodyLog.summary.sold });
+    custodySheet.addRow({ card: 'Not returned:', holder: custodyLog.summary.outstanding });
+
+    // Header formatting
+    custodySheet.getRow(1).font = { bold: true };
+    custodySheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFF59E0B' }
+    };
+    custodySheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+    // ========================================
+    // SHEET 6: Expenses
+    // ========================================
+    const expensesSheet = workbook.addWorksheet('Expenses');
+    expensesSheet.columns = [
+      { key: 'date', width: 14, header: 'DATE' },
+      { key: 'category', width: 16, header: 'CATEGORY' },
+      { key: 'description', width: 40, header: 'DESCRIPTION' },
+      { key: 'amount', width: 12, header: 'AMOUNT' }
+    ];
+
+    for (const expense of expenses) {
+      expensesSheet.addRow({
+        date: expense.incurred_at ? new Date(expense.incurred_at).toLocaleDateString() : '',
+        category: expense.category,
+        description: expense.description || '',
+        amount: `$${parseFloat(expense.amount).toFixed(2)}`
+      });
+    }
+
+    expensesSheet.addRow({});
+    expensesSheet.addRow({ description: 'Total:', amount: money(profitability.expenses_total) });
+
+    // Header formatting
+    expensesSheet.getRow(1).font = { bold: true };
+    expensesSheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF8B5CF6' }
+    };
+    expensesSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
     // ========================================
     // SEND FILE
     // ========================================
@@ -698,26 +1592,20 @@ router.get('/shows/:id/export', authenticateToken, async (req, res) => {
 // ANALYTICS SUMMARY (for Live Show tab)
 // ========================================
 
-// Get analytics summary for today's activity
-router.get('/analytics/summary', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { period = 'today' } = req.query;
-
-    // For now, return zeros - can enhance later with real analytics
-    const summary = {
-      qr_scans: 0,
-      card_views: 0,
-      cart_adds: 0,
-      checkouts: 0,
-      cards_out: 0,
-      cards_removed_today: 0,
-      cards_returned_today: 0,
-      nfc_taps: 0
-    };
+// Get analytics summary (?period=today|show|7d|30d, &show_id= for a past show)
+router.get('/analytics/summary', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { period = 'today', show_id } = req.query;
 
-    // TODO: Get real analytics from vendor_analytics table
-    // This is a stub to prevent 404 errors
+    if (!PERIODS.includes(period)) {
+      return res.status(400).json({ success: false, error: `period must be one of ${PERIODS.join(', ')}` });
+    }
+
+    const summary = await getAnalyticsSummary(userId, {
+      period,
+      showId: show_id ? parseInt(show_id) : null
+    });
 
     res.json({
       success: true,
@@ -730,21 +1618,101 @@ router.get('/analytics/summary', authenticateToken, async (req, res) => {
   }
 });
 
+// Signed-in requests record as the vendor (or for the vendor their seller works for);
+// without an Authorization header the request stays anonymous
+function optionalVendorAccess(req, res, next) {
+  if (!req.get('Authorization')) return next();
+  authenticateToken(req, res, () => vendorAccess('sell')(req, res, next));
+}
+
+// Record traffic events from showcases, display screens and card pages.
+// Body is one event or { events: [...] } (max 50):
+// { vendor_id, event_type, card_id?, showcase_id?, screen_id?, session_id?, source? }
+// Anonymous callers can only report views (PUBLIC_EVENT_TYPES), and only for vendors
+// with an active showcase; a signed-in vendor or seller can also report cart adds,
+// always for their own vendor. Checkouts come from POS only.
+router.post('/analytics/events', getRateLimitMiddleware({ windowMs: 60 * 1000, max: 120 }), optionalVendorAccess, async (req, res) => {
+  try {
+    const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+    const allowedTypes = req.vendor ? VENDOR_EVENT_TYPES : PUBLIC_EVENT_TYPES;
+
+    if (events.length === 0 || events.length > 50) {
+      return res.status(400).json({ success: false, error: 'Send between 1 and 50 events' });
+    }
+
+    const invalid = events.find(event =>
+      (!req.vendor && !parseInt(event.vendor_id)) || !allowedTypes.includes(event.event_type)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Each event needs vendor_id and an event_type of ${allowedTypes.join(', ')}`
+      });
+    }
+
+    const vendorIdFor = event => (req.vendor ? req.vendor.id : parseInt(event.vendor_id));
+    const vendorIds = [...new Set(events.map(vendorIdFor))];
+
+    // Only vendors with a showcase up get traffic, and only on their own showcases
+    const showcasesResult = await db.query(
+      'SELECT id, user_id FROM vendor_showcases WHERE user_id = ANY($1) AND is_active = true',
+      [vendorIds]
+    );
+    const liveVendors = new Set(showcasesResult.rows.map(showcase => showcase.user_id));
+    const ownedShowcases = new Set(showcasesResult.rows.map(showcase => `${showcase.user_id}:${showcase.id}`));
+
+    // Only keep card ids that belong to the vendor
+    const cardIds = [...new Set(events.map(event => parseInt(event.card_id)).filter(Boolean))];
+    const ownedCards = new Set();
+    if (cardIds.length > 0) {
+      const cardsResult = await db.query('SELECT id, user_id FROM cards WHERE id = ANY($1)', [cardIds]);
+      for (const card of cardsResult.rows) ownedCards.add(`${card.user_id}:${card.id}`);
+    }
+
+    let recorded = 0;
+    for (const event of events) {
+      const vendorId = vendorIdFor(event);
+      if (!req.vendor && !liveVendors.has(vendorId)) continue;
+
+      const cardId = parseInt(event.card_id) || null;
+      const showcaseId = parseInt(event.showcase_id) || null;
+      const row = await recordVendorEvent({
+        vendorId,
+        eventType: event.event_type,
+        cardId: cardId && ownedCards.has(`${vendorId}:${cardId}`) ? cardId : null,
+        showcaseId: showcaseId && ownedShowcases.has(`${vendorId}:${showcaseId}`) ? showcaseId : null,
+        screenId: event.screen_id ? String(event.screen_id).slice(0, 100) : null,
+        sessionId: event.session_id ? String(event.session_id).slice(0, 100) : null,
+        source: event.source ? String(event.source).slice(0, 30) : null
+      });
+      if (row) recorded++;
+    }
+
+    res.status(202).json({ success: true, recorded });
+
+  } catch (error) {
+    console.error('Error recording analytics events:', error);
+    res.status(500).json({ success: false, error: 'Failed to record analytics events' });
+  }
+});
+
 // Get cards currently out of case (for Live Show alerts)
-router.get('/analytics/cards-out', authenticateToken, async (req, res) => {
+router.get('/analytics/cards-out', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.vendor.id;
 
-    // Get cards with case_status = 'out_for_viewing'
+    // Get cards with case_status = 'out_for_viewing' and who has them
     const result = await db.query(`
       SELECT 
         c.*,
-        EXTRACT(EPOCH FROM (NOW() - c.updated_at)) / 60 as minutes_out
+        k.id as checkout_id, k.holder_type, k.holder_name, k.checked_out_by, k.checked_out_at,
+        EXTRACT(EPOCH FROM (NOW() - COALESCE(k.checked_out_at, c.updated_at))) / 60 as minutes_out
       FROM cards c
+      LEFT JOIN case_checkouts k ON k.card_id = c.id AND k.checked_in_at IS NULL
       WHERE c.user_id = $1 
         AND c.case_status = 'out_for_viewing'
         AND c.listing_status != 'sold'
-      ORDER BY c.updated_at DESC
+      ORDER BY COALESCE(k.checked_out_at, c.updated_at) DESC
     `, [userId]);
 
     res.json({
@@ -758,11 +1726,263 @@ router.get('/analytics/cards-out', authenticateToken, async (req, res) => {
   }
 });
 
+// ========================================
+// CASE CUSTODY (check-out / check-in at shows)
+// ========================================
+
+// Card key from the body: card_id, nfc_uid or short_id
+function cardKey(body) {
+  return {
+    cardId: parseInt(body.card_id) || null,
+    nfcUid: body.nfc_uid || null,
+    shortId: body.short_id || null
+  };
+}
+
+// Take a card out of the case
+router.post('/case/check-out', authenticateToken, vendorAccess('custody'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const {
+      holder_type = 'customer',
+      holder_name,
+      holder_contact,
+      handled_by,
+      show_report_id,
+      notes
+    } = req.body;
+
+    if (!custody.HOLDER_TYPES.includes(holder_type)) {
+      return res.status(400).json({ success: false, error: `holder_type must be one of ${custody.HOLDER_TYPES.join(', ')}` });
+    }
+
+    const resolved = await custody.resolveCard(userId, cardKey(req.body));
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Card not found (send card_id, nfc_uid or short_id)' });
+    }
+
+    const { card, lookupMethod } = resolved;
+    if (card.listing_status === 'sold') {
+      return res.status(400).json({ success: false, error: 'Card is already sold' });
+    }
+
+    const showReportId = await showReportIdOr404(res, userId, show_report_id);
+    if (showReportId === undefined) return;
+
+    const checkout = await custody.checkOut(userId, card, {
+      holderType: holder_type,
+      holderName: holder_name || null,
+      holderContact: holder_contact || null,
+      handledBy: handled_by || req.vendor.actorName,
+      showReportId,
+      lookupMethod,
+      notes: notes || null
+    });
+
+    if (!checkout) {
+      return res.status(409).json({
+        success: false,
+        error: 'Card is already out of the case',
+        checkout: await custody.getOpenCheckout(card.id)
+      });
+    }
+
+    notifyShowChange(userId);
+
+    res.status(201).json({ success: true, checkout });
+
+  } catch (error) {
+    console.error('Error checking card out:', error);
+    res.status(500).json({ success: false, error: 'Failed to check card out' });
+  }
+});
+
+// Put a card back in the case
+router.post('/case/check-in', authenticateToken, vendorAccess('custody'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { handled_by, notes } = req.body;
+
+    const resolved = await custody.resolveCard(userId, cardKey(req.body));
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Card not found (send card_id, nfc_uid or short_id)' });
+    }
+
+    const checkout = await custody.checkIn(userId, resolved.card, {
+      handledBy: handled_by || req.vendor.actorName,
+      notes: notes || null
+    });
+
+    if (!checkout) {
+      return res.status(409).json({ success: false, error: 'Card is not checked out' });
+    }
+
+    notifyShowChange(userId);
+
+    res.json({ success: true, checkout });
+
+  } catch (error) {
+    console.error('Error checking card in:', error);
+    res.status(500).json({ success: false, error: 'Failed to check card in' });
+  }
+});
+
+// Custody log (?show_id=&card_id=&open=true&limit=)
+router.get('/case/custody', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { show_id, card_id, open, limit = 200 } = req.query;
+
+    const log = await custody.listCustody(userId, {
+      showReportId: parseInt(show_id) || null,
+      cardId: parseInt(card_id) || null,
+      openOnly: open === 'true',
+      limit: Math.min(parseInt(limit) || 200, 1000)
+    });
+
+    res.json({ success: true, custody: log });
+
+  } catch (error) {
+    console.error('Error fetching custody log:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch custody log' });
+  }
+});
+
+// Custody log for a show with reconciliation (cards never checked back in)
+router.get('/shows/:id/custody', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+
+    const reportResult = await db.query(
+      'SELECT id FROM show_reports WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Show report not found' });
+    }
+
+    res.json({ success: true, ...(await custody.getShowCustody(userId, reportResult.rows[0].id)) });
+
+  } catch (error) {
+    console.error('Error fetching show custody:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch show custody' });
+  }
+});
+
+// ========================================
+// PRICE LABELS (printable tags for the case)
+// ========================================
+
+// Label stock the generator can lay out
+router.get('/labels/stocks', authenticateToken, vendorAccess('view'), (req, res) => {
+  res.json({
+    success: true,
+    stocks: Object.entries(labels.LABEL_STOCKS).map(([key, stock]) => ({
+      key,
+      name: stock.name,
+      labels_per_sheet: stock.cols * stock.rows
+    }))
+  });
+});
+
+// Cards whose printed label is out of date (or never printed) - ?showcase_id= or ?card_ids=1,2,3
+router.get('/labels/stale', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const showcaseId = parseInt(req.query.showcase_id) || null;
+    const cardIds = String(req.query.card_ids || '').split(',').map(id => parseInt(id)).filter(Boolean);
+
+    if (!showcaseId && cardIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Send showcase_id or card_ids' });
+    }
+
+    const cards = await labels.selectLabelCards(req.vendor.id, { showcaseId, cardIds, changedOnly: true });
+    if (!cards) {
+      return res.status(404).json({ success: false, error: 'Showcase not found' });
+    }
+
+    res.json({
+      success: true,
+      count: cards.length,
+      cards: cards.map(card => ({ id: card.id, asking_price: card.asking_price, label: labels.labelText(card) }))
+    });
+
+  } catch (error) {
+    console.error('Error checking stale labels:', error);
+    res.status(500).json({ success: false, error: 'Failed to check labels' });
+  }
+});
+
+// Generate label sheets: { showcase_id | card_ids, stock, changed_only, format: 'svg'|'html', page, preview }
+// svg returns one sheet (?page=, X-Label-Pages has the count); html returns every sheet ready to print.
+// Printed cards are remembered so changed_only reprints only what changed - preview skips that. The run
+// is recorded once it's all been delivered (html, or the last svg page), so paging a changed_only run
+// keeps the same selection from the first page to the last.
+router.post('/labels', authenticateToken, vendorAccess('sell'), async (req, res) => {
+  try {
+    const userId = req.vendor.id;
+    const { stock = 'avery_5160', format = 'svg', changed_only = false, preview = false } = req.body;
+    const showcaseId = parseInt(req.body.showcase_id) || null;
+    const cardIds = Array.isArray(req.body.card_ids) ? req.body.card_ids.map(id => parseInt(id)).filter(Boolean) : [];
+    const page = parseInt(req.body.page) || 1;
+
+    if (!showcaseId && cardIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Send showcase_id or card_ids' });
+    }
+    if (!labels.LABEL_STOCKS[stock]) {
+      return res.status(400).json({ success: false, error: `stock must be one of ${Object.keys(labels.LABEL_STOCKS).join(', ')}` });
+    }
+    if (!['svg', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be svg or html' });
+    }
+
+    const cards = await labels.selectLabelCards(userId, { showcaseId, cardIds, changedOnly: changed_only });
+    if (!cards) {
+      return res.status(404).json({ success: false, error: 'Showcase not found' });
+    }
+    if (cards.length === 0) {
+      // Nothing to print (everything sold, or no label changed)
+      return res.status(204).end();
+    }
+
+    await labels.ensureShortLinks(cards);
+
+    const perSheet = labels.LABEL_STOCKS[stock].cols * labels.LABEL_STOCKS[stock].rows;
+    const pages = Math.ceil(cards.length / perSheet);
+    if (format === 'svg' && (page < 1 || page > pages)) {
+      return res.status(400).json({ success: false, error: `page must be between 1 and ${pages}` });
+    }
+
+    const printed = format === 'svg' ? cards.slice((page - 1) * perSheet, page * perSheet) : cards;
+    const sheets = await labels.renderLabelSheets(printed, stock);
+
+    if (!preview && (format === 'html' || page === pages)) {
+      await labels.markLabelsPrinted(userId, cards, stock);
+    }
+
+    res.setHeader('X-Label-Count', String(cards.length));
+    res.setHeader('X-Label-Pages', String(pages));
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(labels.labelSheetsHtml(sheets, stock));
+    }
+
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.setHeader('Content-Disposition', `inline; filename="labels-${stock}-page-${page}.svg"`);
+    res.send(sheets[0]);
+
+  } catch (error) {
+    console.error('Error generating labels:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate labels' });
+  }
+});
+
 // ============================================
 // UNSELL CARD - Restore to Active Status
 // ============================================
-router.post('/sales/unsell/:cardId', authenticateToken, async (req, res) => {
-  const vendorId = req.user.userId || req.user.id;
+router.post('/sales/unsell/:cardId', authenticateToken, vendorAccess('manage_sales'), async (req, res) => {
+  const vendorId = req.vendor.id;
   const { cardId } = req.params;
   const { showcase_id } = req.body; // Optional: which showcase to restore to
 
@@ -786,6 +2006,8 @@ router.post('/sales/unsell/:cardId', authenticateToken, async (req, res) => {
            sold_price = NULL,
            sold_date = NULL,
            buyer_name = NULL,
+           total_fees = NULL,
+           net_payout = NULL,
            updated_at = NOW()
        WHERE id = $2`,
       ['listed', cardId]
@@ -829,6 +2051,7 @@ router.post('/sales/unsell/:cardId', authenticateToken, async (req, res) => {
     }
 
     console.log(`🔄 Card ${cardId} unsold and restored to active`);
+    notifyShowChange(vendorId);
 
     res.json({
       success: true,
@@ -846,8 +2069,8 @@ router.post('/sales/unsell/:cardId', authenticateToken, async (req, res) => {
 // ============================================
 // CLEAR ALL SALES DATA (Testing/Show Reset)
 // ============================================
-router.delete('/sales/clear-all', authenticateToken, async (req, res) => {
-  const vendorId = req.user.userId || req.user.id;
+router.delete('/sales/clear-all', authenticateToken, vendorAccess('clear_sales'), async (req, res) => {
+  const vendorId = req.vendor.id;
   const { confirm_text } = req.body;
 
   // Safety check - require confirmation
@@ -876,6 +2099,8 @@ router.delete('/sales/clear-all', authenticateToken, async (req, res) => {
              sold_price = NULL,
              sold_date = NULL,
              buyer_name = NULL,
+             total_fees = NULL,
+             net_payout = NULL,
              updated_at = NOW()
          WHERE user_id = $2 AND listing_status = $3`,
         ['listed', vendorId, 'sold']
@@ -890,6 +2115,9 @@ router.delete('/sales/clear-all', authenticateToken, async (req, res) => {
       [vendorId]
     );
 
+    // POS transactions only group those sales
+    await db.query('DELETE FROM pos_transactions WHERE user_id = $1', [vendorId]);
+
     // Reset all show reports to pending
     await db.query(
       `UPDATE show_reports 
@@ -923,8 +2151,8 @@ router.delete('/sales/clear-all', authenticateToken, async (req, res) => {
 // ============================================
 // CLEAR ACTIVE SHOW DATA ONLY
 // ============================================
-router.delete('/shows/:showId/clear-sales', authenticateToken, async (req, res) => {
-  const vendorId = req.user.userId || req.user.id;
+router.delete('/shows/:showId/clear-sales', authenticateToken, vendorAccess('clear_sales'), async (req, res) => {
+  const vendorId = req.vendor.id;
   const { showId } = req.params;
 
   try {
@@ -0,0 +1,171 @@
+// Backend Routes: Vendor Teams (booth staff, roles, invites)
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const { vendorAccess } = require('../middleware/vendor-access');
+const team = require('../services/vendor-team');
+const { sendTeamInviteEmail } = require('../services/email-service');
+
+// ========================================
+// TEAM MANAGEMENT (owner)
+// ========================================
+
+// List the team (owner + members/invites)
+router.get('/', authenticateToken, vendorAccess('view'), async (req, res) => {
+  try {
+    const members = await team.listMembers(req.vendor.id);
+
+    res.json({
+      success: true,
+      vendor_id: req.vendor.id,
+      your_role: req.vendor.role,
+      members
+    });
+
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch team' });
+  }
+});
+
+// Invite a staff member by email
+router.post('/invite', authenticateToken, vendorAccess('manage_team'), async (req, res) => {
+  try {
+    const ownerId = req.vendor.id;
+    const { email, role = 'seller' } = req.body;
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email is required' });
+    }
+    if (!team.INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of ${team.INVITABLE_ROLES.join(', ')}` });
+    }
+    if (email.trim().toLowerCase() === (req.user.email || '').toLowerCase()) {
+      return res.status(400).json({ success: false, error: 'You are already the owner of this team' });
+    }
+
+    const invite = await team.inviteMember(ownerId, { email, role, invitedBy: req.vendor.actorId });
+    if (!invite) {
+      return res.status(409).json({ success: false, error: 'That person is already on your team' });
+    }
+
+    const ownerResult = await db.query('SELECT full_name, email FROM users WHERE id = $1', [ownerId]);
+    const owner = ownerResult.rows[0] || {};
+
+    sendTeamInviteEmail(invite.member.email, {
+      ownerName: owner.full_name || owner.email,
+      role,
+      token: invite.token
+    }).catch(() => {
+      // Invite emails are retried by the email outbox - non-critical
+    });
+
+    console.log(`👥 Vendor ${ownerId} invited ${invite.member.email} as ${role}`);
+
+    res.status(201).json({ success: true, member: team.serializeMember(invite.member) });
+
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    res.status(500).json({ success: false, error: 'Failed to invite team member' });
+  }
+});
+
+// Change a member's role
+router.patch('/members/:id', authenticateToken, vendorAccess('manage_team'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!team.INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of ${team.INVITABLE_ROLES.join(', ')}` });
+    }
+
+    const member = await team.updateRole(req.vendor.id, parseInt(req.params.id), role);
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Team member not found' });
+    }
+
+    res.json({ success: true, member: team.serializeMember(member) });
+
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({ success: false, error: 'Failed to update team member' });
+  }
+});
+
+// Remove a member or cancel an invite (owner), or leave a team (the member)
+router.delete('/members/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+
+    const member = await team.removeMember(parseInt(req.params.id), {
+      ownerId: userId,
+      memberUserId: userId
+    });
+
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Team member not found' });
+    }
+
+    res.json({ success: true, message: member.user_id === userId ? 'You left the team' : 'Team member removed' });
+
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove team member' });
+  }
+});
+
+// ========================================
+// STAFF SIDE
+// ========================================
+
+// Teams I work on - send one of these owner ids as X-Vendor-Id to act on that booth
+router.get('/memberships', authenticateToken, async (req, res) => {
+  try {
+    const memberships = await team.listMemberships(req.user.userId || req.user.id);
+    res.json({ success: true, memberships });
+
+  } catch (error) {
+    console.error('Error fetching team memberships:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch team memberships' });
+  }
+});
+
+// Accept an invite (the signed-in account must use the invited email)
+router.post('/accept', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'Invite token required' });
+    }
+
+    const invite = await team.findInvite(token);
+    if (!invite) {
+      return res.status(404).json({ success: false, error: 'Invite not found or already used' });
+    }
+    if (invite.email !== (req.user.email || '').toLowerCase()) {
+      return res.status(403).json({ success: false, error: 'This invite was sent to a different email address' });
+    }
+    if (invite.owner_id === userId) {
+      return res.status(400).json({ success: false, error: 'You cannot join your own team' });
+    }
+
+    const member = await team.acceptInvite(invite.id, userId);
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Invite not found or already used' });
+    }
+
+    console.log(`👥 User ${userId} joined vendor ${member.owner_id}'s team as ${member.role}`);
+
+    res.json({ success: true, member: team.serializeMember(member) });
+
+  } catch (error) {
+    console.error('Error accepting team invite:', error);
+    res.status(500).json({ success: false, error: 'Failed to accept invite' });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,16 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { vendorAccess } = require('../middleware/vendor-access');
 
 // ==========================================
 // SHOWCASE MANAGEMENT
 // ==========================================
 
 // GET: Card to Vendor Showcase mapping (for Card Locations dashboard)
-router.get('/showcases/card-mappings', authenticateToken, async (req, res) => {
+router.get('/showcases/card-mappings', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     
     // Get all vendor showcases for this user
     const result = await db.query(`
@@ -65,9 +66,9 @@ router.get('/showcases/card-mappings', authenticateToken, async (req, res) => {
 });
 
 // Get all showcases for vendor
-router.get('/showcases', authenticateToken, async (req, res) => {
+router.get('/showcases', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     
     const result = await db.query(`
       SELECT 
@@ -102,9 +103,9 @@ router.get('/showcases', authenticateToken, async (req, res) => {
 });
 
 // Create new showcase
-router.post('/showcases', authenticateToken, async (req, res) => {
+router.post('/showcases', authenticateToken, vendorAccess('custody'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     const { 
       showcase_name, 
       description, 
@@ -183,9 +184,9 @@ router.post('/showcases', authenticateToken, async (req, res) => {
 });
 
 // Update showcase 
-router.put('/showcases/:id', authenticateToken, async (req, res) => {
+router.put('/showcases/:id', authenticateToken, vendorAccess('custody'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     const showcaseId = req.params.id;
     const { 
       showcase_name, 
@@ -246,9 +247,9 @@ router.put('/showcases/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete showcase
-router.delete('/showcases/:id', authenticateToken, async (req, res) => {
+router.delete('/showcases/:id', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     const showcaseId = req.params.id;
     
     // Verify ownership
@@ -283,9 +284,9 @@ router.delete('/showcases/:id', authenticateToken, async (req, res) => {
 // ==========================================
 
 // Get screen configuration
-router.get('/screen-config', authenticateToken, async (req, res) => {
+router.get('/screen-config', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     
     const result = await db.query(`
       SELECT 
@@ -307,9 +308,9 @@ router.get('/screen-config', authenticateToken, async (req, res) => {
 });
 
 // Update screen configuration
-router.post('/screen-config', authenticateToken, async (req, res) => {
+router.post('/screen-config', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     const { screens } = req.body;
 
     if (!Array.isArray(screens) || screens.length === 0) {
@@ -569,9 +570,9 @@ router.get('/info/:userId', async (req, res) => {
 // ==========================================
 
 // Get all tablet configs for vendor
-router.get('/tablet-configs', authenticateToken, async (req, res) => {
+router.get('/tablet-configs', authenticateToken, vendorAccess('view'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     
     const result = await db.query(`
       SELECT 
@@ -597,9 +598,9 @@ router.get('/tablet-configs', authenticateToken, async (req, res) => {
 });
 
 // Create or update tablet config
-router.post('/tablet-config', authenticateToken, async (req, res) => {
+router.post('/tablet-config', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     const { 
       device_identifier, 
       device_name, 
@@ -639,9 +640,9 @@ router.post('/tablet-config', authenticateToken, async (req, res) => {
 });
 
 // Delete tablet config
-router.delete('/tablet-config/:id', authenticateToken, async (req, res) => {
+router.delete('/tablet-config/:id', authenticateToken, vendorAccess('manage_shows'), async (req, res) => {
   try {
-    const userId = req.user.userId || req.user.id;
+    const userId = req.vendor.id;
     const tabletId = req.params.id;
     
     await db.query(
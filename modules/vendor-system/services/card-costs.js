@@ -0,0 +1,6 @@
+/**
+ * Card Costs
+ * Delegates to the shared cost basis / expense tracking in modules/inventory
+ */
+
+module.exports = require('../../inventory/services/card-costs');
@@ -0,0 +1,194 @@
+/**
+ * Case Custody
+ *
+ * Check-out/check-in of cards from the display case at shows. Each trip out is
+ * a case_checkouts row recording who has the card and who handed it over;
+ * it closes as 'returned' on check-in or 'sold' when the card is sold while out.
+ * cards.case_status mirrors the open trip ('out_for_viewing' / 'in_case').
+ */
+
+const db = require('../database/db');
+
+const HOLDER_TYPES = ['customer', 'staff'];
+
+function cardName(card) {
+  return [card.year, card.set_name, card.player, card.card_number ? `#${card.card_number}` : null]
+    .filter(Boolean).join(' ');
+}
+
+/**
+ * Find one of the vendor's cards by id, NFC tag UID or public short id
+ * @param {number} vendorId
+ * @param {{ cardId?: number, nfcUid?: string, shortId?: string }} key
+ * @returns {Promise<{ card: object, lookupMethod: string }|null>}
+ */
+async function resolveCard(vendorId, { cardId, nfcUid, shortId }) {
+  let result;
+  let lookupMethod;
+
+  if (cardId) {
+    lookupMethod = 'card_id';
+    result = await db.query('SELECT * FROM cards WHERE id = $1 AND user_id = $2', [cardId, vendorId]);
+  } else if (nfcUid) {
+    lookupMethod = 'nfc_uid';
+    result = await db.query(
+      `SELECT c.* FROM nfc_tags t
+       JOIN cards c ON c.id = t.card_id
+       WHERE t.nfc_uid = $1 AND c.user_id = $2`,
+      [nfcUid, vendorId]
+    );
+  } else if (shortId) {
+    lookupMethod = 'short_id';
+    result = await db.query('SELECT * FROM cards WHERE short_id = $1 AND user_id = $2', [shortId, vendorId]);
+  } else {
+    return null;
+  }
+
+  return result.rows.length > 0 ? { card: result.rows[0], lookupMethod } : null;
+}
+
+async function getOpenCheckout(cardId) {
+  const result = await db.query(
+    'SELECT * FROM case_checkouts WHERE card_id = $1 AND checked_in_at IS NULL ORDER BY id DESC LIMIT 1',
+    [cardId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Take a card out of the case. Returns null if it is already out.
+ * @param {number} vendorId
+ * @param {object} card
+ * @param {{ holderType?: string, holderName?: string, holderContact?: string, handledBy?: string,
+ *           showReportId?: number, lookupMethod?: string, notes?: string }} details
+ *   showReportId defaults to the vendor's active show
+ */
+async function checkOut(vendorId, card, {
+  holderType = 'customer',
+  holderName = null,
+  holderContact = null,
+  handledBy = null,
+  showReportId = null,
+  lookupMethod = null,
+  notes = null
+} = {}) {
+  // Flipping case_status first makes concurrent check-outs of the same card lose cleanly
+  const flipped = await db.query(
+    `UPDATE cards SET case_status = 'out_for_viewing', updated_at = NOW()
+     WHERE id = $1 AND COALESCE(case_status, 'in_case') <> 'out_for_viewing'
+     RETURNING id`,
+    [card.id]
+  );
+  if (flipped.rows.length === 0) return null;
+
+  if (!showReportId) {
+    const showResult = await db.query(
+      `SELECT id FROM show_reports WHERE user_id = $1 AND status = 'active' ORDER BY started_at DESC LIMIT 1`,
+      [vendorId]
+    );
+    showReportId = showResult.rows[0] ? showResult.rows[0].id : null;
+  }
+
+  const result = await db.query(
+    `INSERT INTO case_checkouts
+       (user_id, card_id, show_report_id, card_name, lookup_method, holder_type, holder_name, holder_contact,
+        checked_out_by, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [vendorId, card.id, showReportId, cardName(card), lookupMethod, holderType, holderName, holderContact, handledBy, notes]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Put a card back in the case. Returns null if it wasn't checked out.
+ */
+async function checkIn(vendorId, card, { handledBy = null, notes = null } = {}) {
+  const result = await db.query(
+    `UPDATE case_checkouts
+     SET checked_in_at = NOW(), outcome = 'returned', checked_in_by = $1,
+         notes = COALESCE($2, notes)
+     WHERE card_id = $3 AND user_id = $4 AND checked_in_at IS NULL
+     RETURNING *`,
+    [handledBy, notes, card.id, vendorId]
+  );
+
+  if (result.rows.length === 0 && card.case_status !== 'out_for_viewing') return null;
+
+  // Also clears a case_status set before custody was tracked
+  await db.query(`UPDATE cards SET case_status = 'in_case', updated_at = NOW() WHERE id = $1`, [card.id]);
+  return result.rows[0] || { card_id: card.id, outcome: 'returned', checked_in_at: new Date() };
+}
+
+/**
+ * Close the card's open trip as sold (called when a card is sold)
+ * @returns {Promise<object|null>} The closed checkout, or null if the card wasn't out
+ */
+async function closeForSale(cardId, saleId = null) {
+  const result = await db.query(
+    `UPDATE case_checkouts
+     SET checked_in_at = NOW(), outcome = 'sold', sale_id = $1
+     WHERE card_id = $2 AND checked_in_at IS NULL
+     RETURNING *`,
+    [saleId, cardId]
+  );
+  await db.query(
+    `UPDATE cards SET case_status = NULL WHERE id = $1 AND case_status = 'out_for_viewing'`,
+    [cardId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Custody log, newest first
+ * @param {number} vendorId
+ * @param {{ showReportId?: number, cardId?: number, openOnly?: boolean, limit?: number }} [filters]
+ */
+async function listCustody(vendorId, { showReportId = null, cardId = null, openOnly = false, limit = 200 } = {}) {
+  const params = [vendorId];
+  let query = 'SELECT * FROM case_checkouts WHERE user_id = $1';
+
+  if (showReportId) {
+    params.push(showReportId);
+    query += ` AND show_report_id = $${params.length}`;
+  }
+  if (cardId) {
+    params.push(cardId);
+    query += ` AND card_id = $${params.length}`;
+  }
+  if (openOnly) query += ' AND checked_in_at IS NULL';
+
+  params.push(limit);
+  query += ` ORDER BY checked_out_at DESC, id DESC LIMIT $${params.length}`;
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * A show's custody log plus reconciliation counts - `outstanding` are cards never checked back in
+ */
+async function getShowCustody(vendorId, showReportId) {
+  const log = await listCustody(vendorId, { showReportId, limit: 10000 });
+  return {
+    summary: {
+      checkouts: log.length,
+      returned: log.filter(entry => entry.outcome === 'returned').length,
+      sold: log.filter(entry => entry.outcome === 'sold').length,
+      outstanding: log.filter(entry => !entry.checked_in_at).length
+    },
+    outstanding: log.filter(entry => !entry.checked_in_at),
+    log
+  };
+}
+
+module.exports = {
+  HOLDER_TYPES,
+  resolveCard,
+  getOpenCheckout,
+  checkOut,
+  checkIn,
+  closeForSale,
+  listCustody,
+  getShowCustody
+};
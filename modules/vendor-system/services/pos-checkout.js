@@ -0,0 +1,324 @@
+/**
+ * Point-of-Sale Checkout
+ *
+ * Sells a cart of cards in one transaction. A bundle discount is split across
+ * the cards pro rata to their prices (to the cent, so the lines always add up
+ * to the total) and each card gets its own card_sales_history row linked to the
+ * pos_transactions row. Payments can be split across methods; cash may be
+ * over-tendered and the excess comes back as change_due.
+ */
+
+const db = require('../database/db');
+const { calculateSaleProfit } = require('./card-costs');
+
+function toCents(amount) {
+  return Math.round((parseFloat(amount) || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function cardName(card) {
+  return [card.year, card.set_name, card.player, card.card_number ? `#${card.card_number}` : null]
+    .filter(Boolean).join(' ');
+}
+
+/**
+ * The vendor's cards for a cart, in cart order. Missing ids come back in `missing`,
+ * cards that are already sold in `sold`.
+ */
+async function loadCartCards(vendorId, cardIds) {
+  const result = await db.query('SELECT * FROM cards WHERE id = ANY($1) AND user_id = $2', [cardIds, vendorId]);
+  const byId = new Map(result.rows.map(card => [card.id, card]));
+
+  return {
+    cards: cardIds.map(id => byId.get(id)).filter(Boolean),
+    missing: cardIds.filter(id => !byId.has(id)),
+    sold: result.rows.filter(card => card.listing_status === 'sold').map(card => card.id)
+  };
+}
+
+/**
+ * Price a cart
+ * @param {object[]} cards - card rows, in cart order
+ * @param {Object<number, number>} prices - card id -> agreed price (defaults to asking_price)
+ * @param {{ discount?: number, discountPercent?: number }} [discount] - bundle discount, as an amount or a percent
+ * @returns {{ lines: object[], subtotal: number, discount: number, total: number }}
+ */
+function priceCart(cards, prices = {}, { discount = 0, discountPercent = 0 } = {}) {
+  const listCents = cards.map(card => toCents(prices[card.id] != null ? prices[card.id] : card.asking_price));
+  const subtotalCents = listCents.reduce((sum, cents) => sum + cents, 0);
+
+  let discountCents = discountPercent
+    ? Math.round(subtotalCents * parseFloat(discountPercent) / 100)
+    : toCents(discount);
+  discountCents = Math.min(Math.max(discountCents, 0), subtotalCents);
+
+  // Pro rata shares rounded down, then the leftover cents go to the largest remainders
+  const shares = listCents.map(cents => (subtotalCents > 0 ? (discountCents * cents) / subtotalCents : 0));
+  const lineDiscounts = shares.map(Math.floor);
+  let leftover = discountCents - lineDiscounts.reduce((sum, cents) => sum + cents, 0);
+  const byRemainder = shares
+    .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder || listCents[b.index] - listCents[a.index]);
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) break;
+    lineDiscounts[index] += 1;
+    leftover -= 1;
+  }
+
+  const lines = cards.map((card, index) => ({
+    card_id: card.id,
+    card_name: cardName(card),
+    list_price: fromCents(listCents[index]),
+    discount: fromCents(lineDiscounts[index]),
+    sale_price: fromCents(listCents[index] - lineDiscounts[index])
+  }));
+
+  return {
+    lines,
+    subtotal: fromCents(subtotalCents),
+    discount: fromCents(discountCents),
+    total: fromCents(subtotalCents - discountCents)
+  };
+}
+
+/**
+ * Check the tendered payments cover the total
+ * @param {number} total
+ * @param {{ method: string, amount: number }[]} payments
+ * @returns {{ payments: object[], paid: number, changeDue: number }|null}
+ *   null if they fall short, or overpay by more than the cash handed over
+ */
+function settlePayments(total, payments) {
+  const normalized = payments.map(payment => ({
+    method: String(payment.method).trim().toLowerCase(),
+    amount: fromCents(toCents(payment.amount))
+  }));
+
+  const paidCents = normalized.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  const cashCents = normalized
+    .filter(payment => payment.method === 'cash')
+    .reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  const changeCents = paidCents - toCents(total);
+
+  if (changeCents < 0 || changeCents > cashCents) return null;
+
+  return { payments: normalized, paid: fromCents(paidCents), changeDue: fromCents(changeCents) };
+}
+
+function receiptNumber(vendorId) {
+  return `R${vendorId}-${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 36 * 36).toString(36).toUpperCase()}`;
+}
+
+/**
+ * Sell a priced cart. Returns null if any card was sold by someone else in the meantime.
+ * @param {number} vendorId
+ * @param {object[]} cards - card rows, in the same order as pricing.lines
+ * @param {object} pricing - from priceCart()
+ * @param {object} settlement - from settlePayments()
+ * @param {{ showReportId?: number, customerName?: string, customerEmail?: string, notes?: string,
+ *           soldByUserId?: number, soldByName?: string }} details
+ * @returns {Promise<{ transaction: object, sales: object[] }|null>}
+ */
+async function checkoutCart(vendorId, cards, pricing, settlement, {
+  showReportId = null,
+  customerName = null,
+  customerEmail = null,
+  notes = null,
+  soldByUserId = null,
+  soldByName = null
+} = {}) {
+  const methods = [...new Set(settlement.payments.map(payment => payment.method))];
+  const saleMethod = methods.length === 1 ? methods[0] : 'split';
+
+  // Cost basis lives in the inventory module - work it out before taking the transaction
+  const profits = await Promise.all(
+    cards.map((card, index) => calculateSaleProfit(card, { salePrice: pricing.lines[index].sale_price }))
+  );
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const txResult = await client.query(
+      `INSERT INTO pos_transactions
+         (user_id, show_report_id, receipt_number, card_count, subtotal, discount, total, payments, change_due,
+          customer_name, customer_email, notes, sold_by_user_id, sold_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING *`,
+      [
+        vendorId,
+        showReportId,
+        receiptNumber(vendorId),
+        cards.length,
+        pricing.subtotal,
+        pricing.discount,
+        pricing.total,
+        JSON.stringify(settlement.payments),
+        settlement.changeDue,
+        customerName,
+        customerEmail,
+        notes,
+        soldByUserId,
+        soldByName
+      ]
+    );
+    const transaction = txResult.rows[0];
+
+    const sales = [];
+    for (let i = 0; i < cards.length; i++) {
+      const card = cards[i];
+      const line = pricing.lines[i];
+      const profit = profits[i];
+
+      // Guarded flip: a card sold elsewhere since the cart was priced rolls the whole sale back
+      const sold = await client.query(
+        `UPDATE cards
+         SET listing_status = 'sold', sold_price = $1, sold_date = NOW(), total_fees = $2, net_payout = $3
+         WHERE id = $4 AND user_id = $5 AND listing_status <> 'sold'
+         RETURNING id`,
+        [line.sale_price, profit.fees, profit.netPayout, card.id, vendorId]
+      );
+      if (sold.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const timeInShowcase = card.created_at
+        ? Math.floor((Date.now() - new Date(card.created_at)) / 1000 / 60)
+        : null;
+
+      const saleResult = await client.query(
+        `INSERT INTO card_sales_history (
+           user_id, card_id, show_report_id, showcase_id,
+           card_data, sale_price, sale_method,
+           customer_name, customer_email,
+           time_in_showcase_minutes, notes, sold_at,
+           cost_basis, fees, shipping_cost, net_profit,
+           sold_by_user_id, sold_by_name,
+           transaction_id, list_price, discount_amount
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), $12, $13, $14, $15, $16, $17, $18, $19, $20)
+         RETURNING *`,
+        [
+          vendorId,
+          card.id,
+          showReportId,
+          card.showcase_id || null,
+          JSON.stringify(card),
+          line.sale_price,
+          saleMethod,
+          customerName,
+          customerEmail,
+          timeInShowcase,
+          notes,
+          profit.costBasis,
+          profit.fees,
+          profit.shippingCost,
+          profit.netProfit,
+          soldByUserId,
+          soldByName,
+          transaction.id,
+          line.list_price,
+          line.discount
+        ]
+      );
+      sales.push(saleResult.rows[0]);
+    }
+
+    if (showReportId) {
+      await client.query(
+        `UPDATE show_reports
+         SET cards_sold = cards_sold + $1,
+             total_sales = total_sales + $2,
+             updated_at = NOW()
+         WHERE id = $3 AND user_id = $4`,
+        [cards.length, pricing.total, showReportId, vendorId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { transaction, sales };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A transaction with its line items, or null
+ */
+async function getTransaction(vendorId, transactionId) {
+  const result = await db.query('SELECT * FROM pos_transactions WHERE id = $1 AND user_id = $2', [transactionId, vendorId]);
+  if (result.rows.length === 0) return null;
+
+  const lines = await db.query(
+    `SELECT id, card_id, card_data, list_price, discount_amount, sale_price, cost_basis, net_profit
+     FROM card_sales_history
+     WHERE transaction_id = $1
+     ORDER BY id ASC`,
+    [transactionId]
+  );
+
+  return {
+    ...result.rows[0],
+    lines: lines.rows.map(({ card_data, ...line }) => ({ ...line, card_name: cardName(card_data || {}) }))
+  };
+}
+
+async function listTransactions(vendorId, { showReportId = null, limit = 100, offset = 0 } = {}) {
+  const params = [vendorId];
+  let query = 'SELECT * FROM pos_transactions WHERE user_id = $1';
+
+  if (showReportId) {
+    params.push(showReportId);
+    query += ` AND show_report_id = $${params.length}`;
+  }
+
+  params.push(limit, offset);
+  query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Email data for the pos_receipt template
+ */
+function receiptData(transaction, vendorName = null) {
+  return {
+    customerName: transaction.customer_name,
+    vendorName,
+    receiptNumber: transaction.receipt_number,
+    lines: transaction.lines.map(line => ({
+      cardName: line.card_name,
+      listPrice: line.list_price,
+      discount: line.discount_amount,
+      salePrice: line.sale_price
+    })),
+    subtotal: transaction.subtotal,
+    discount: transaction.discount,
+    total: transaction.total,
+    payments: transaction.payments,
+    changeDue: transaction.change_due,
+    soldAt: transaction.created_at
+  };
+}
+
+async function markReceiptSent(transactionId) {
+  await db.query('UPDATE pos_transactions SET receipt_sent_at = NOW() WHERE id = $1', [transactionId]);
+}
+
+module.exports = {
+  loadCartCards,
+  priceCart,
+  settlePayments,
+  checkoutCart,
+  getTransaction,
+  listTransactions,
+  receiptData,
+  markReceiptSent
+};
@@ -0,0 +1,237 @@
+/**
+ * Price Labels
+ *
+ * Printable price tags for the display case: SVG sheets laid out for common
+ * label stock, each label with player, year, set, grade, asking price and a
+ * QR code to the card's public page (/api/nfc/card/:shortId) - private cards
+ * print without one, printing never changes a card's visibility. card_labels
+ * remembers what was last printed per card so a bulk price change can reprint
+ * only the labels that changed.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const db = require('../database/db');
+
+const PT_PER_INCH = 72;
+
+// Sizes in inches. hPitch/vPitch are label + gap; page is the sheet (or roll label) size.
+const LABEL_STOCKS = {
+  avery_5160: { name: 'Avery 5160 (1" x 2-5/8", 30 per sheet)', page: [8.5, 11], cols: 3, rows: 10, width: 2.625, height: 1, left: 0.1875, top: 0.5, hPitch: 2.75, vPitch: 1 },
+  avery_5167: { name: 'Avery 5167 (1/2" x 1-3/4", 80 per sheet)', page: [8.5, 11], cols: 4, rows: 20, width: 1.75, height: 0.5, left: 0.3, top: 0.5, hPitch: 2.05, vPitch: 0.5 },
+  avery_5163: { name: 'Avery 5163 (2" x 4", 10 per sheet)', page: [8.5, 11], cols: 2, rows: 5, width: 4, height: 2, left: 0.15625, top: 0.5, hPitch: 4.1875, vPitch: 2 },
+  dymo_30252: { name: 'DYMO 30252 (1-1/8" x 3-1/2" roll)', page: [3.5, 1.125], cols: 1, rows: 1, width: 3.5, height: 1.125, left: 0, top: 0, hPitch: 3.5, vPitch: 1.125 }
+};
+
+function publicBaseUrl() {
+  return process.env.BACKEND_URL || 'http://localhost:5000';
+}
+
+function cardUrl(card) {
+  return `${publicBaseUrl()}/api/nfc/card/${card.short_id}?src=qr`;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * The text printed on a card's label
+ */
+function labelText(card) {
+  const price = parseFloat(card.asking_price);
+  return {
+    title: [card.year, card.player].filter(Boolean).join(' ') || 'Card',
+    set: [card.set_name, card.card_number ? `#${card.card_number}` : null].filter(Boolean).join(' '),
+    grade: card.is_graded && card.grading_company ? `${card.grading_company} ${card.grade || ''}`.trim() : 'Raw',
+    price: Number.isFinite(price) ? `$${price.toFixed(2)}` : 'Ask'
+  };
+}
+
+// Only public cards get a QR code - a private card's page would 404
+function hasQr(card) {
+  return !!(card.is_public && card.short_id);
+}
+
+function labelHash(card) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([labelText(card), hasQr(card) ? card.short_id : null]))
+    .digest('hex');
+}
+
+/**
+ * Cards for a label run - a showcase's card_ids (in display order) or card ids (in the given order).
+ * Sold cards are skipped. Returns null if the showcase isn't the vendor's.
+ * @param {number} vendorId
+ * @param {{ showcaseId?: number, cardIds?: number[], changedOnly?: boolean }} selection
+ *   changedOnly keeps cards never printed or whose label content changed since
+ */
+async function selectLabelCards(vendorId, { showcaseId = null, cardIds = [], changedOnly = false }) {
+  if (showcaseId) {
+    const showcase = await db.query(
+      'SELECT card_ids FROM vendor_showcases WHERE id = $1 AND user_id = $2',
+      [showcaseId, vendorId]
+    );
+    if (showcase.rows.length === 0) return null;
+    cardIds = (showcase.rows[0].card_ids || []).map(id => parseInt(id)).filter(Boolean);
+  }
+
+  const result = await db.query('SELECT * FROM cards WHERE id = ANY($1) AND user_id = $2', [cardIds, vendorId]);
+  const byId = new Map(result.rows.map(card => [card.id, card]));
+  const cards = cardIds.map(id => byId.get(id))
+    .filter(card => card && card.listing_status !== 'sold');
+  if (!changedOnly || cards.length === 0) return cards;
+
+  const printed = await db.query(
+    'SELECT card_id, content_hash FROM card_labels WHERE card_id = ANY($1)',
+    [cards.map(card => card.id)]
+  );
+  const hashes = new Map(printed.rows.map(row => [row.card_id, row.content_hash]));
+  return cards.filter(card => hashes.get(card.id) !== labelHash(card));
+}
+
+/**
+ * Give public cards without one a short link so their QR codes resolve.
+ * Private cards are left alone - their labels print without a QR code.
+ */
+async function ensureShortLinks(cards) {
+  for (const card of cards) {
+    if (!card.is_public || card.short_id) continue;
+
+    const result = await db.query(
+      `UPDATE cards SET short_id = COALESCE(short_id, $1)
+       WHERE id = $2
+       RETURNING short_id`,
+      [crypto.randomBytes(4).toString('hex'), card.id]
+    );
+    Object.assign(card, result.rows[0]);
+  }
+  return cards;
+}
+
+async function qrSvg(url, x, y, size) {
+  const svg = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+  const [, modules, body] = svg.match(/viewBox="0 0 (\d+) \d+"[^>]*>([\s\S]*)<\/svg>/);
+  return `<svg x="${x}" y="${y}" width="${size}" height="${size}" viewBox="0 0 ${modules} ${modules}" shape-rendering="crispEdges">${body}</svg>`;
+}
+
+// Rough Helvetica advance widths - bold runs wider
+function fitText(text, fontSize, width, bold = false) {
+  const maxChars = Math.max(Math.floor(width / (fontSize * (bold ? 0.62 : 0.55))), 1);
+  return text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 1, 0))}…` : text;
+}
+
+async function renderLabel(card, width, height) {
+  const text = labelText(card);
+  const pad = Math.min(6, height * 0.08);
+  const qrSize = Math.min(height - pad * 2, width * 0.45);
+  const textWidth = width - qrSize - pad * 3;
+  const base = Math.min(Math.max(height / 7, 5), 14);
+  const priceSize = base * 1.6;
+
+  // Short labels fold set and grade onto one line
+  const lines = height < 50
+    ? [
+      { text: text.title, size: base, weight: 'bold' },
+      { text: `${text.set}${text.set ? ' · ' : ''}${text.grade}`, size: base * 0.9 }
+    ]
+    : [
+      { text: text.title, size: base, weight: 'bold' },
+      { text: text.set, size: base * 0.9 },
+      { text: text.grade, size: base * 0.9 }
+    ];
+
+  let y = pad;
+  const textSvg = lines.map(line => {
+    y += line.size * 1.15;
+    return `<text x="${pad}" y="${y.toFixed(2)}" font-size="${line.size.toFixed(2)}"${line.weight ? ` font-weight="${line.weight}"` : ''}>${escapeXml(fitText(line.text, line.size, textWidth, !!line.weight))}</text>`;
+  }).join('');
+
+  const priceSvg = `<text x="${pad}" y="${(height - pad).toFixed(2)}" font-size="${priceSize.toFixed(2)}" font-weight="bold">${escapeXml(fitText(text.price, priceSize, textWidth, true))}</text>`;
+  const qr = hasQr(card) ? await qrSvg(cardUrl(card), width - pad - qrSize, (height - qrSize) / 2, qrSize) : '';
+
+  return `${textSvg}${priceSvg}${qr}`;
+}
+
+/**
+ * Lay cards out on sheets of the given stock
+ * @returns {Promise<string[]>} One standalone SVG document per sheet
+ */
+async function renderLabelSheets(cards, stockKey) {
+  const stock = LABEL_STOCKS[stockKey];
+  const perSheet = stock.cols * stock.rows;
+  const [pageWidth, pageHeight] = stock.page.map(inches => inches * PT_PER_INCH);
+  const width = stock.width * PT_PER_INCH;
+  const height = stock.height * PT_PER_INCH;
+  const sheets = [];
+
+  for (let start = 0; start < cards.length; start += perSheet) {
+    const labels = [];
+    for (const [index, card] of cards.slice(start, start + perSheet).entries()) {
+      const x = (stock.left + (index % stock.cols) * stock.hPitch) * PT_PER_INCH;
+      const y = (stock.top + Math.floor(index / stock.cols) * stock.vPitch) * PT_PER_INCH;
+      labels.push(`<g transform="translate(${x.toFixed(2)} ${y.toFixed(2)})">${await renderLabel(card, width, height)}</g>`);
+    }
+
+    sheets.push(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${stock.page[0]}in" height="${stock.page[1]}in" ` +
+      `viewBox="0 0 ${pageWidth} ${pageHeight}" font-family="Helvetica, Arial, sans-serif" fill="#000">` +
+      `${labels.join('')}</svg>`
+    );
+  }
+
+  return sheets;
+}
+
+/**
+ * All sheets in one page for the browser's print dialog (one sheet per printed page)
+ */
+function labelSheetsHtml(sheets, stockKey) {
+  const [pageWidth, pageHeight] = LABEL_STOCKS[stockKey].page;
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Price labels</title>
+  <style>
+    @page { size: ${pageWidth}in ${pageHeight}in; margin: 0; }
+    body { margin: 0; }
+    .sheet { width: ${pageWidth}in; height: ${pageHeight}in; page-break-after: always; }
+    .sheet:last-child { page-break-after: auto; }
+  </style>
+</head>
+<body>
+${sheets.map(sheet => `  <div class="sheet">${sheet}</div>`).join('\n')}
+</body>
+</html>`;
+}
+
+/**
+ * Remember what was printed so changed-only runs can skip these cards
+ */
+async function markLabelsPrinted(vendorId, cards, stockKey) {
+  for (const card of cards) {
+    await db.query(
+      `INSERT INTO card_labels (card_id, user_id, content_hash, printed_price, stock, printed_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (card_id) DO UPDATE
+       SET content_hash = $3, printed_price = $4, stock = $5, printed_at = NOW()`,
+      [card.id, vendorId, labelHash(card), card.asking_price, stockKey]
+    );
+  }
+}
+
+module.exports = {
+  LABEL_STOCKS,
+  labelText,
+  selectLabelCards,
+  ensureShortLinks,
+  renderLabelSheets,
+  labelSheetsHtml,
+  markLabelsPrinted
+};
@@ -0,0 +1,190 @@
+/**
+ * Show Comparison
+ *
+ * Compares a vendor's shows over a date range: revenue, sell-through
+ * (sold / starting inventory), sale vs asking price, what sold best by sport,
+ * player and grader, and how long sold cards sat in the showcase. Categories
+ * count what was brought from each show's starting_inventory snapshot, so
+ * sell-through per category shows what's worth packing next time.
+ */
+
+const db = require('../database/db');
+const { getShowProfitability } = require('./show-expenses');
+
+const TIME_BUCKETS = [
+  { label: 'under_1h', maxMinutes: 60 },
+  { label: '1h_4h', maxMinutes: 4 * 60 },
+  { label: '4h_24h', maxMinutes: 24 * 60 },
+  { label: '1d_7d', maxMinutes: 7 * 24 * 60 },
+  { label: '7d_30d', maxMinutes: 30 * 24 * 60 },
+  { label: 'over_30d', maxMinutes: Infinity }
+];
+
+const CATEGORIES = {
+  sport: card => card.sport || 'Unknown',
+  player: card => card.player || 'Unknown',
+  grader: card => (card.is_graded && card.grading_company ? card.grading_company : 'Raw')
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? round2(part / whole) : null;
+}
+
+/**
+ * Sale vs asking price over the sales whose card had an asking price
+ */
+function priceStats(sales) {
+  const priced = sales.filter(sale => toNumber(sale.card_data.asking_price));
+  const saleTotal = sales.reduce((sum, sale) => sum + (toNumber(sale.sale_price) || 0), 0);
+  const pricedSaleTotal = priced.reduce((sum, sale) => sum + (toNumber(sale.sale_price) || 0), 0);
+  const askingTotal = priced.reduce((sum, sale) => sum + toNumber(sale.card_data.asking_price), 0);
+
+  return {
+    avg_sale_price: sales.length > 0 ? round2(saleTotal / sales.length) : null,
+    avg_asking_price: priced.length > 0 ? round2(askingTotal / priced.length) : null,
+    sale_to_asking: ratio(pricedSaleTotal, askingTotal)
+  };
+}
+
+function timeDistribution(sales) {
+  const minutes = sales
+    .map(sale => sale.time_in_showcase_minutes)
+    .filter(value => value !== null && value !== undefined)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  const buckets = Object.fromEntries(TIME_BUCKETS.map(bucket => [bucket.label, 0]));
+  for (const value of minutes) {
+    buckets[TIME_BUCKETS.find(bucket => value < bucket.maxMinutes).label] += 1;
+  }
+
+  const middle = Math.floor(minutes.length / 2);
+  return {
+    sales_with_time: minutes.length,
+    median_minutes: minutes.length === 0
+      ? null
+      : (minutes.length % 2 ? minutes[middle] : Math.round((minutes[middle - 1] + minutes[middle]) / 2)),
+    avg_minutes: minutes.length > 0 ? Math.round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length) : null,
+    buckets
+  };
+}
+
+/**
+ * Best sellers for one category, by revenue
+ */
+function rankCategory(keyFor, shows, sales, limit) {
+  const rows = new Map();
+  const rowFor = key => {
+    if (!rows.has(key)) rows.set(key, { name: key, brought: 0, sold: 0, revenue: 0, sales: [] });
+    return rows.get(key);
+  };
+
+  for (const show of shows) {
+    for (const card of show.starting_inventory || []) rowFor(keyFor(card)).brought += 1;
+  }
+  for (const sale of sales) {
+    const row = rowFor(keyFor(sale.card_data));
+    row.sold += 1;
+    row.revenue += toNumber(sale.sale_price) || 0;
+    row.sales.push(sale);
+  }
+
+  return [...rows.values()]
+    .filter(row => row.sold > 0)
+    .sort((a, b) => b.revenue - a.revenue || b.sold - a.sold)
+    .slice(0, limit)
+    .map(({ sales: rowSales, ...row }) => ({
+      ...row,
+      revenue: round2(row.revenue),
+      sell_through: ratio(row.sold, row.brought),
+      ...priceStats(rowSales)
+    }));
+}
+
+/**
+ * Compare the vendor's shows dated within [from, to]
+ * @param {number} vendorId
+ * @param {{ from: string, to: string, limit?: number }} range - YYYY-MM-DD dates; limit caps each best-seller list
+ */
+async function compareShows(vendorId, { from, to, limit = 10 }) {
+  const showsResult = await db.query(
+    `SELECT * FROM show_reports
+     WHERE user_id = $1
+       AND COALESCE(show_date, started_at::date) >= $2
+       AND COALESCE(show_date, started_at::date) <= $3
+     ORDER BY COALESCE(show_date, started_at::date) ASC, id ASC`,
+    [vendorId, from, to]
+  );
+  const shows = showsResult.rows;
+
+  let sales = [];
+  if (shows.length > 0) {
+    const salesResult = await db.query(
+      `SELECT show_report_id, sale_price, card_data, time_in_showcase_minutes
+       FROM card_sales_history
+       WHERE user_id = $1 AND show_report_id = ANY($2)`,
+      [vendorId, shows.map(show => show.id)]
+    );
+    sales = salesResult.rows.map(sale => ({ ...sale, card_data: sale.card_data || {} }));
+  }
+
+  const perShow = [];
+  for (const show of shows) {
+    const showSales = sales.filter(sale => sale.show_report_id === show.id);
+    const cardsStarted = show.cards_started || (show.starting_inventory || []).length;
+    const profitability = await getShowProfitability(show);
+
+    perShow.push({
+      id: show.id,
+      show_name: show.show_name,
+      show_date: show.show_date || show.started_at,
+      show_location: show.show_location,
+      status: show.status,
+      cards_started: cardsStarted,
+      cards_sold: showSales.length,
+      sell_through: ratio(showSales.length, cardsStarted),
+      revenue: profitability.revenue,
+      net_profit: profitability.net_profit,
+      profit_per_hour: profitability.profit_per_hour,
+      cards_sold_per_hour: profitability.cards_sold_per_hour,
+      ...priceStats(showSales),
+      median_minutes_in_showcase: timeDistribution(showSales).median_minutes
+    });
+  }
+
+  const cardsStarted = perShow.reduce((sum, show) => sum + show.cards_started, 0);
+  const revenue = perShow.reduce((sum, show) => sum + show.revenue, 0);
+
+  return {
+    range: { from, to },
+    totals: {
+      shows: perShow.length,
+      cards_started: cardsStarted,
+      cards_sold: sales.length,
+      sell_through: ratio(sales.length, cardsStarted),
+      revenue: round2(revenue),
+      net_profit: round2(perShow.reduce((sum, show) => sum + show.net_profit, 0)),
+      avg_revenue_per_show: perShow.length > 0 ? round2(revenue / perShow.length) : null,
+      ...priceStats(sales)
+    },
+    shows: perShow,
+    best_sellers: Object.fromEntries(
+      Object.entries(CATEGORIES).map(([category, keyFor]) => [category, rankCategory(keyFor, shows, sales, limit)])
+    ),
+    time_in_showcase: timeDistribution(sales)
+  };
+}
+
+module.exports = {
+  TIME_BUCKETS,
+  compareShows
+};
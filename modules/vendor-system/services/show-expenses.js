@@ -0,0 +1,114 @@
+/**
+ * Show Expenses
+ *
+ * Itemized costs of working a show (table fee, travel, hotel, supplies...) and
+ * the show's profitability: sales less cost of the cards sold, selling fees,
+ * shipping and these expenses, per hour the show ran.
+ */
+
+const db = require('../database/db');
+
+const EXPENSE_CATEGORIES = ['table_fee', 'travel', 'hotel', 'supplies', 'meals', 'other'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function listShowExpenses(showReportId) {
+  const result = await db.query(
+    'SELECT * FROM show_expenses WHERE show_report_id = $1 ORDER BY incurred_at ASC, id ASC',
+    [showReportId]
+  );
+  return result.rows;
+}
+
+async function addShowExpense(showReportId, userId, { category, amount, description = null, incurredAt = null }) {
+  const result = await db.query(
+    `INSERT INTO show_expenses (show_report_id, user_id, category, amount, description, incurred_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_DATE))
+     RETURNING *`,
+    [showReportId, userId, category, amount, description, incurredAt]
+  );
+  return result.rows[0];
+}
+
+async function deleteShowExpense(expenseId, showReportId, userId) {
+  const result = await db.query(
+    'DELETE FROM show_expenses WHERE id = $1 AND show_report_id = $2 AND user_id = $3 RETURNING id',
+    [expenseId, showReportId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Hours from show start to end (or now, while it's running). Null if it never started.
+ */
+function showHours(report) {
+  if (!report.started_at) return null;
+  const end = report.ended_at ? new Date(report.ended_at) : new Date();
+  return Math.max((end - new Date(report.started_at)) / 1000 / 60 / 60, 0);
+}
+
+/**
+ * Net profit and hourly rates for a show
+ * @param {object} report - show_reports row
+ * @param {object[]} [expenses] - its show_expenses rows (loaded if omitted)
+ * cost_of_goods only covers sales with a known cost basis - cards_missing_cost counts the rest
+ */
+async function getShowProfitability(report, expenses = null) {
+  if (!expenses) expenses = await listShowExpenses(report.id);
+
+  const salesResult = await db.query(
+    `SELECT COUNT(*) AS cards_sold,
+            COALESCE(SUM(sale_price), 0) AS revenue,
+            COALESCE(SUM(cost_basis), 0) AS cost_of_goods,
+            SUM(CASE WHEN cost_basis IS NULL THEN 1 ELSE 0 END) AS cards_missing_cost,
+            COALESCE(SUM(fees), 0) AS selling_fees,
+            COALESCE(SUM(shipping_cost), 0) AS shipping
+     FROM card_sales_history
+     WHERE show_report_id = $1`,
+    [report.id]
+  );
+  const sales = salesResult.rows[0];
+
+  const expensesByCategory = {};
+  let expensesTotal = 0;
+  for (const expense of expenses) {
+    const amount = parseFloat(expense.amount) || 0;
+    expensesByCategory[expense.category] = round2((expensesByCategory[expense.category] || 0) + amount);
+    expensesTotal += amount;
+  }
+
+  const cardsSold = parseInt(sales.cards_sold) || 0;
+  const revenue = parseFloat(sales.revenue) || 0;
+  const grossProfit = revenue - (parseFloat(sales.cost_of_goods) || 0)
+    - (parseFloat(sales.selling_fees) || 0) - (parseFloat(sales.shipping) || 0);
+  const netProfit = grossProfit - expensesTotal;
+  const hours = showHours(report);
+  const perHour = value => (hours > 0 ? round2(value / hours) : null);
+
+  return {
+    cards_sold: cardsSold,
+    revenue: round2(revenue),
+    cost_of_goods: round2(parseFloat(sales.cost_of_goods) || 0),
+    cards_missing_cost: parseInt(sales.cards_missing_cost) || 0,
+    selling_fees: round2(parseFloat(sales.selling_fees) || 0),
+    shipping: round2(parseFloat(sales.shipping) || 0),
+    gross_profit: round2(grossProfit),
+    expenses_total: round2(expensesTotal),
+    expenses_by_category: expensesByCategory,
+    net_profit: round2(netProfit),
+    hours: hours !== null ? round2(hours) : null,
+    profit_per_hour: perHour(netProfit),
+    sales_per_hour: perHour(revenue),
+    cards_sold_per_hour: perHour(cardsSold)
+  };
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  listShowExpenses,
+  addShowExpense,
+  deleteShowExpense,
+  getShowProfitability
+};
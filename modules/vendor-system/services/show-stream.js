@@ -0,0 +1,305 @@
+/**
+ * Live Show Stream
+ *
+ * Server-Sent Events for a show's live dashboard. Each open stream diffs the
+ * database on a timer (sales, NFC taps, cards out of the case, running totals)
+ * so it sees changes made by any server process; notifyShowChange() lets this
+ * process push its own changes immediately instead of waiting for the next tick.
+ * Cards out longer than the alert threshold raise one `alert` per trip out.
+ *
+ *
+ * EventSource can't send an Authorization header, so a dashboard first swaps
+ * its login for a stream ticket: a one-minute token good only for opening one
+ * show's stream, which is harmless once it shows up in a request log. The
+ * stream re-checks the login's session every tick and closes once it's revoked.
+ *
+ * Events: snapshot, sale, nfc_tap, card_out, card_returned, alert, totals, show_ended, session_revoked
+ */
+
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+const POLL_MS = parseInt(process.env.SHOW_STREAM_POLL_MS) || 5000;
+const HEARTBEAT_MS = 25000;
+const DEFAULT_ALERT_MINUTES = parseInt(process.env.SHOW_CARD_OUT_ALERT_MINUTES) || 10;
+const STREAM_TICKET_EXPIRES_SECONDS = 60;
+
+// Separate signing key so a stream ticket can never pass authenticateToken
+function ticketSecret() {
+  return `${process.env.JWT_SECRET}:show-stream`;
+}
+
+/**
+ * @param {{ userId: number, email?: string, sessionId?: string, vendorId: number, showId: number }} grant
+ * @returns {string}
+ */
+function signStreamTicket({ userId, email = null, sessionId = null, vendorId, showId }) {
+  return jwt.sign(
+    { id: userId, email, sid: sessionId, vendorId, showId, purpose: 'show_stream' },
+    ticketSecret(),
+    { expiresIn: STREAM_TICKET_EXPIRES_SECONDS }
+  );
+}
+
+/**
+ * @returns {object|null} The ticket's grant, or null if it's invalid, expired or for another show
+ */
+function verifyStreamTicket(ticket, showId) {
+  try {
+    const payload = jwt.verify(ticket, ticketSecret());
+    if (payload.purpose !== 'show_stream' || payload.showId !== showId) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function isSessionActive(sessionId) {
+  const result = await db.query(
+    'SELECT revoked_at, expires_at FROM user_sessions WHERE id = $1',
+    [sessionId]
+  );
+  const session = result.rows[0];
+  return !!session && session.revoked_at === null && new Date(session.expires_at) > new Date();
+}
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+/**
+ * Wake this vendor's open streams (sale recorded, card taken out, tag tapped...)
+ */
+function notifyShowChange(vendorId) {
+  if (vendorId) changes.emit(String(vendorId));
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function cardName(card) {
+  return [card.year, card.set_name, card.player].filter(Boolean).join(' ');
+}
+
+async function getCardsOut(vendorId) {
+  const result = await db.query(
+    `SELECT c.id, c.player, c.year, c.set_name, c.card_number, c.grading_company, c.grade,
+            c.asking_price, c.front_image_thumb,
+            k.holder_type, k.holder_name, k.checked_out_by,
+            COALESCE(k.checked_out_at, c.updated_at) AS out_since,
+            EXTRACT(EPOCH FROM (NOW() - COALESCE(k.checked_out_at, c.updated_at))) / 60 AS minutes_out
+     FROM cards c
+     LEFT JOIN case_checkouts k ON k.card_id = c.id AND k.checked_in_at IS NULL
+     WHERE c.user_id = $1
+       AND c.case_status = 'out_for_viewing'
+       AND c.listing_status != 'sold'
+     ORDER BY COALESCE(k.checked_out_at, c.updated_at) ASC`,
+    [vendorId]
+  );
+  return result.rows.map(card => ({ ...card, minutes_out: Math.floor(parseFloat(card.minutes_out) || 0) }));
+}
+
+async function getTotals(show, cardsOut) {
+  const tapsResult = await db.query(
+    `SELECT COUNT(*) AS count FROM vendor_analytics WHERE show_report_id = $1 AND event_type = 'nfc_scan'`,
+    [show.id]
+  );
+  return {
+    cards_started: show.cards_started || 0,
+    cards_sold: show.cards_sold || 0,
+    cards_remaining: (show.cards_started || 0) - (show.cards_sold || 0),
+    total_sales: parseFloat(show.total_sales || 0),
+    qr_scans: show.qr_scans || 0,
+    card_views: show.card_views || 0,
+    cart_adds: show.cart_adds || 0,
+    checkouts: show.checkouts || 0,
+    nfc_taps: parseInt(tapsResult.rows[0].count) || 0,
+    cards_out: cardsOut.length
+  };
+}
+
+/**
+ * Serve a show's live stream on res until the client disconnects or the show ends
+ * @param {object} req
+ * @param {object} res
+ * @param {object} show - show_reports row (already checked to belong to the user)
+ * @param {{ alertMinutes?: number, sessionId?: string }} [options] - sessionId of the login the
+ *   stream was opened with; the stream ends when that session is revoked
+ */
+async function openShowStream(req, res, show, { alertMinutes = DEFAULT_ALERT_MINUTES, sessionId = null } = {}) {
+  const vendorId = show.user_id;
+  const outCards = new Map(); // card id -> alert already sent for this trip out
+  let lastSaleId = 0;
+  let lastTapId = 0;
+  let lastTotals = null;
+  let closed = false;
+  let ticking = false;
+  let pending = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  async function tick() {
+    if (closed) return;
+    if (ticking) {
+      pending = true;
+      return;
+    }
+    ticking = true;
+
+    try {
+      // Logging out or revoking the session ends streams it opened
+      if (sessionId && !(await isSessionActive(sessionId))) {
+        sendEvent(res, 'session_revoked', { show_id: show.id });
+        close();
+        res.end();
+        return;
+      }
+
+      const showResult = await db.query('SELECT * FROM show_reports WHERE id = $1', [show.id]);
+      const current = showResult.rows[0];
+
+      const salesResult = await db.query(
+        'SELECT * FROM card_sales_history WHERE show_report_id = $1 AND id > $2 ORDER BY id ASC',
+        [show.id, lastSaleId]
+      );
+      for (const sale of salesResult.rows) {
+        lastSaleId = sale.id;
+        sendEvent(res, 'sale', {
+          sale_id: sale.id,
+          card_id: sale.card_id,
+          card_name: cardName(sale.card_data || {}),
+          sale_price: parseFloat(sale.sale_price),
+          sale_method: sale.sale_method,
+          sold_at: sale.sold_at
+        });
+      }
+
+      const tapsResult = await db.query(
+        `SELECT a.id, a.card_id, a.created_at, c.player, c.year, c.set_name
+         FROM vendor_analytics a
+         LEFT JOIN cards c ON c.id = a.card_id
+         WHERE a.show_report_id = $1 AND a.event_type = 'nfc_scan' AND a.id > $2
+         ORDER BY a.id ASC`,
+        [show.id, lastTapId]
+      );
+      for (const tap of tapsResult.rows) {
+        lastTapId = tap.id;
+        sendEvent(res, 'nfc_tap', { card_id: tap.card_id, card_name: cardName(tap), tapped_at: tap.created_at });
+      }
+
+      const cardsOut = await getCardsOut(vendorId);
+      const stillOut = new Set();
+      for (const card of cardsOut) {
+        stillOut.add(card.id);
+        if (!outCards.has(card.id)) {
+          outCards.set(card.id, false);
+          sendEvent(res, 'card_out', { ...card, card_name: cardName(card) });
+        }
+        if (!outCards.get(card.id) && card.minutes_out >= alertMinutes) {
+          outCards.set(card.id, true);
+          sendEvent(res, 'alert', {
+            type: 'card_out_too_long',
+            card_id: card.id,
+            card_name: cardName(card),
+            holder_name: card.holder_name,
+            minutes_out: card.minutes_out,
+            threshold_minutes: alertMinutes
+          });
+        }
+      }
+      for (const cardId of outCards.keys()) {
+        if (!stillOut.has(cardId)) {
+          outCards.delete(cardId);
+          sendEvent(res, 'card_returned', { card_id: cardId });
+        }
+      }
+
+      const totals = await getTotals(current, cardsOut);
+      const totalsJson = JSON.stringify(totals);
+      if (totalsJson !== lastTotals) {
+        lastTotals = totalsJson;
+        sendEvent(res, 'totals', totals);
+      }
+
+      if (current.status !== 'active') {
+        sendEvent(res, 'show_ended', { show_id: show.id, ended_at: current.ended_at });
+        close();
+        res.end();
+      }
+    } catch (error) {
+      console.error(`❌ Show stream ${show.id} update failed:`, error.message);
+    } finally {
+      ticking = false;
+      if (pending && !closed) {
+        pending = false;
+        setImmediate(tick);
+      }
+    }
+  }
+
+  const poll = setInterval(tick, POLL_MS);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const onChange = () => tick();
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    clearInterval(heartbeat);
+    changes.removeListener(String(vendorId), onChange);
+  }
+
+  req.on('close', close);
+  changes.on(String(vendorId), onChange);
+
+  // Initial state, then everything after it arrives as events
+  const recentSales = await db.query(
+    'SELECT * FROM card_sales_history WHERE show_report_id = $1 ORDER BY id DESC LIMIT 20',
+    [show.id]
+  );
+  const lastTap = await db.query(
+    `SELECT MAX(id) AS id FROM vendor_analytics WHERE show_report_id = $1 AND event_type = 'nfc_scan'`,
+    [show.id]
+  );
+  const cardsOut = await getCardsOut(vendorId);
+
+  lastSaleId = recentSales.rows.length > 0 ? recentSales.rows[0].id : 0;
+  lastTapId = parseInt(lastTap.rows[0].id) || 0;
+  for (const card of cardsOut) outCards.set(card.id, false);
+
+  const totals = await getTotals(show, cardsOut);
+  lastTotals = JSON.stringify(totals);
+
+  sendEvent(res, 'snapshot', {
+    show: {
+      id: show.id,
+      show_name: show.show_name,
+      status: show.status,
+      started_at: show.started_at,
+      ended_at: show.ended_at
+    },
+    totals,
+    cards_out: cardsOut.map(card => ({ ...card, card_name: cardName(card) })),
+    recent_sales: recentSales.rows,
+    alert_minutes: alertMinutes
+  });
+
+  // Raise alerts for cards that were already out too long and end the stream for finished shows
+  await tick();
+}
+
+module.exports = {
+  DEFAULT_ALERT_MINUTES,
+  STREAM_TICKET_EXPIRES_SECONDS,
+  signStreamTicket,
+  verifyStreamTicket,
+  isSessionActive,
+  notifyShowChange,
+  openShowStream
+};
@@ -0,0 +1,317 @@
+/**
+ * Tax Report
+ *
+ * One tax year of sales: every card_sales_history row plus eBay sales that
+ * only exist on the card (sold before eBay sales were recorded in history).
+ * Each sale gets gross, fees, shipping, cost basis, net gain and a short/long
+ * term holding period (held more than one year = long term). Exported as CSV
+ * or an ExcelJS workbook with summary and per-payment-method sheets.
+ */
+
+const ExcelJS = require('exceljs');
+const db = require('../database/db');
+const { costBasisFor, getExpenseTotals } = require('./card-costs');
+
+const CSV_COLUMNS = [
+  { key: 'soldAt', header: 'Sale Date' },
+  { key: 'description', header: 'Card' },
+  { key: 'paymentMethod', header: 'Payment Method' },
+  { key: 'gross', header: 'Gross' },
+  { key: 'fees', header: 'Fees' },
+  { key: 'shippingCost', header: 'Shipping' },
+  { key: 'costBasis', header: 'Cost Basis' },
+  { key: 'netGain', header: 'Net Gain' },
+  { key: 'acquiredAt', header: 'Acquired' },
+  { key: 'holdingDays', header: 'Days Held' },
+  { key: 'term', header: 'Term' },
+  { key: 'customer', header: 'Customer' }
+];
+
+const MONEY_FORMAT = '$#,##0.00';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function dateOnly(value) {
+  return value ? new Date(value).toISOString().split('T')[0] : null;
+}
+
+/**
+ * Held more than one year -> long term. Acquisition falls back to when the card
+ * was added to inventory when no purchase date was recorded.
+ */
+function holdingPeriod(card, soldAt) {
+  const acquired = card.purchase_date || card.created_at;
+  if (!acquired) return { acquiredAt: null, acquiredEstimated: false, holdingDays: null, term: 'unknown' };
+
+  const acquiredDate = new Date(acquired);
+  const soldDate = new Date(soldAt);
+  const oneYearLater = new Date(acquiredDate);
+  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+
+  return {
+    acquiredAt: dateOnly(acquiredDate),
+    acquiredEstimated: !card.purchase_date,
+    holdingDays: Math.max(0, Math.floor((soldDate - acquiredDate) / 86400000)),
+    term: soldDate > oneYearLater ? 'long' : 'short'
+  };
+}
+
+function describeCard(card) {
+  const name = [card.year, card.set_name, card.player, card.parallel && card.parallel !== 'Base' ? card.parallel : null]
+    .filter(Boolean).join(' ');
+  const number = card.card_number ? ` #${card.card_number}` : '';
+  const grade = card.grading_company ? ` ${card.grading_company} ${card.grade}` : '';
+  return `${name || card.name || 'Card'}${number}${grade}`;
+}
+
+function buildRow({ saleId, source, card, soldAt, paymentMethod, gross, fees, shippingCost, costBasis, customer }) {
+  const netGain = costBasis !== null ? round2(gross - fees - shippingCost - costBasis) : null;
+  return {
+    saleId,
+    source,
+    cardId: card.id || null,
+    soldAt: dateOnly(soldAt),
+    description: describeCard(card),
+    // Free text at the till - "Cash" and "cash " are the same method
+    paymentMethod: String(paymentMethod || '').trim().toLowerCase() || 'other',
+    gross: round2(gross),
+    fees: round2(fees),
+    shippingCost: round2(shippingCost),
+    costBasis: costBasis !== null ? round2(costBasis) : null,
+    netGain,
+    customer: customer || null,
+    ...holdingPeriod(card, soldAt)
+  };
+}
+
+function emptyTotals() {
+  return {
+    sales: 0, gross: 0, fees: 0, shippingCost: 0, costBasis: 0, netGain: 0,
+    shortTermGain: 0, longTermGain: 0, salesWithoutCost: 0
+  };
+}
+
+function addToTotals(totals, row) {
+  totals.sales++;
+  totals.gross += row.gross;
+  totals.fees += row.fees;
+  totals.shippingCost += row.shippingCost;
+  if (row.netGain === null) {
+    totals.salesWithoutCost++;
+    return;
+  }
+  totals.costBasis += row.costBasis;
+  totals.netGain += row.netGain;
+  if (row.term === 'long') totals.longTermGain += row.netGain;
+  else totals.shortTermGain += row.netGain;
+}
+
+function finishTotals(totals) {
+  return Object.fromEntries(
+    Object.entries(totals).map(([key, value]) => [key, key === 'sales' || key === 'salesWithoutCost' ? value : round2(value)])
+  );
+}
+
+/**
+ * @param {number} userId
+ * @param {number} year
+ * @returns {Promise<{ year: number, rows: object[], summary: object, byMethod: object[] }>}
+ */
+async function buildTaxReport(userId, year) {
+  const from = `${year}-01-01`;
+  const to = `${year + 1}-01-01`;
+  const expenseTotals = await getExpenseTotals(userId);
+
+  const salesResult = await db.query(
+    `SELECT * FROM card_sales_history
+     WHERE user_id = $1 AND sold_at >= $2 AND sold_at < $3
+     ORDER BY sold_at ASC, id ASC`,
+    [userId, from, to]
+  );
+
+  // eBay sales marked on the card without a sales history row
+  const ebayResult = await db.query(
+    `SELECT c.* FROM cards c
+     LEFT JOIN (SELECT DISTINCT card_id FROM card_sales_history WHERE user_id = $1) h ON h.card_id = c.id
+     WHERE c.user_id = $1 AND c.ebay_listing_status = 'sold' AND h.card_id IS NULL
+       AND c.sold_date >= $2 AND c.sold_date < $3
+     ORDER BY c.sold_date ASC, c.id ASC`,
+    [userId, from, to]
+  );
+
+  const rows = salesResult.rows.map(sale => {
+    const card = typeof sale.card_data === 'string' ? JSON.parse(sale.card_data) : (sale.card_data || {});
+    // Sales recorded with costs carry their own basis; older ones fall back to the card snapshot
+    const costBasis = sale.cost_basis !== null && sale.cost_basis !== undefined
+      ? toNumber(sale.cost_basis)
+      : costBasisFor(card, expenseTotals.get(sale.card_id));
+
+    return buildRow({
+      saleId: sale.id,
+      source: 'sales_history',
+      card,
+      soldAt: sale.sold_at,
+      paymentMethod: sale.sale_method,
+      gross: toNumber(sale.sale_price) || 0,
+      fees: toNumber(sale.fees) || 0,
+      shippingCost: toNumber(sale.shipping_cost) || 0,
+      costBasis,
+      customer: sale.customer_name
+    });
+  });
+
+  for (const card of ebayResult.rows) {
+    const gross = toNumber(card.sold_price) || 0;
+    const fees = toNumber(card.total_fees) || 0;
+    const netPayout = toNumber(card.net_payout);
+    rows.push(buildRow({
+      saleId: null,
+      source: 'ebay',
+      card,
+      soldAt: card.sold_date,
+      paymentMethod: 'ebay',
+      gross,
+      fees,
+      // Whatever the payout doesn't explain beyond fees went to shipping
+      shippingCost: netPayout !== null ? Math.max(0, gross - fees - netPayout) : 0,
+      costBasis: costBasisFor(card, expenseTotals.get(card.id)),
+      customer: card.buyer_name
+    }));
+  }
+
+  rows.sort((a, b) => (a.soldAt < b.soldAt ? -1 : a.soldAt > b.soldAt ? 1 : 0));
+
+  const totals = emptyTotals();
+  const methods = new Map();
+  for (const row of rows) {
+    addToTotals(totals, row);
+    if (!methods.has(row.paymentMethod)) methods.set(row.paymentMethod, emptyTotals());
+    addToTotals(methods.get(row.paymentMethod), row);
+  }
+
+  return {
+    year,
+    rows,
+    summary: finishTotals(totals),
+    byMethod: Array.from(methods.entries())
+      .map(([method, methodTotals]) => ({ method, ...finishTotals(methodTotals) }))
+      .sort((a, b) => b.gross - a.gross)
+  };
+}
+
+// Text cells starting with = + - @ are quoted with ' so spreadsheets don't run them as formulas
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function taxReportCsv(report) {
+  const lines = [CSV_COLUMNS.map(column => csvValue(column.header)).join(',')];
+  for (const row of report.rows) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\, no ' at either end, unique ignoring case
+function sheetName(workbook, method) {
+  const base = method.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).replace(/^'+|'+$/g, '').trim() || 'other';
+  let name = base;
+  for (let n = 2; workbook.worksheets.some(sheet => sheet.name.toLowerCase() === name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  return name;
+}
+
+function styleHeader(sheet, argb) {
+  sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+  sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+}
+
+function addSalesSheet(workbook, name, rows, totals) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = [
+    { key: 'soldAt', width: 12, header: 'SALE DATE' },
+    { key: 'description', width: 45, header: 'CARD' },
+    { key: 'paymentMethod', width: 14, header: 'PAYMENT' },
+    { key: 'gross', width: 12, header: 'GROSS', style: { numFmt: MONEY_FORMAT } },
+    { key: 'fees', width: 12, header: 'FEES', style: { numFmt: MONEY_FORMAT } },
+    { key: 'shippingCost', width: 12, header: 'SHIPPING', style: { numFmt: MONEY_FORMAT } },
+    { key: 'costBasis', width: 12, header: 'COST BASIS', style: { numFmt: MONEY_FORMAT } },
+    { key: 'netGain', width: 12, header: 'NET GAIN', style: { numFmt: MONEY_FORMAT } },
+    { key: 'acquiredAt', width: 12, header: 'ACQUIRED' },
+    { key: 'holdingDays', width: 10, header: 'DAYS HELD' },
+    { key: 'term', width: 10, header: 'TERM' },
+    { key: 'customer', width: 20, header: 'CUSTOMER' }
+  ];
+
+  sheet.addRows(rows.map(row => ({
+    ...row,
+    acquiredAt: row.acquiredAt && row.acquiredEstimated ? `${row.acquiredAt} (added)` : row.acquiredAt
+  })));
+
+  const totalRow = sheet.addRow({
+    description: 'TOTAL',
+    gross: totals.gross,
+    fees: totals.fees,
+    shippingCost: totals.shippingCost,
+    costBasis: totals.costBasis,
+    netGain: totals.netGain
+  });
+  totalRow.font = { bold: true };
+
+  styleHeader(sheet, 'FF6366F1');
+  return sheet;
+}
+
+/**
+ * Summary sheet (year + per payment method), all sales, then one sheet per payment method
+ */
+function taxReportWorkbook(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'SlabTrack';
+  workbook.created = new Date();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { key: 'method', width: 18, header: 'PAYMENT METHOD' },
+    { key: 'sales', width: 10, header: 'SALES' },
+    { key: 'gross', width: 14, header: 'GROSS', style: { numFmt: MONEY_FORMAT } },
+    { key: 'fees', width: 12, header: 'FEES', style: { numFmt: MONEY_FORMAT } },
+    { key: 'shippingCost', width: 12, header: 'SHIPPING', style: { numFmt: MONEY_FORMAT } },
+    { key: 'costBasis', width: 14, header: 'COST BASIS', style: { numFmt: MONEY_FORMAT } },
+    { key: 'netGain', width: 14, header: 'NET GAIN', style: { numFmt: MONEY_FORMAT } },
+    { key: 'shortTermGain', width: 16, header: 'SHORT TERM', style: { numFmt: MONEY_FORMAT } },
+    { key: 'longTermGain', width: 16, header: 'LONG TERM', style: { numFmt: MONEY_FORMAT } },
+    { key: 'salesWithoutCost', width: 18, header: 'NO COST BASIS' }
+  ];
+  summarySheet.addRows(report.byMethod);
+  const totalRow = summarySheet.addRow({ ...report.summary, method: `TOTAL ${report.year}` });
+  totalRow.font = { bold: true };
+  styleHeader(summarySheet, 'FF10B981');
+
+  addSalesSheet(workbook, 'All Sales', report.rows, report.summary);
+
+  for (const methodTotals of report.byMethod) {
+    const rows = report.rows.filter(row => row.paymentMethod === methodTotals.method);
+    addSalesSheet(workbook, sheetName(workbook, methodTotals.method), rows, methodTotals);
+  }
+
+  return workbook;
+}
+
+module.exports = {
+  buildTaxReport,
+  taxReportCsv,
+  taxReportWorkbook
+};
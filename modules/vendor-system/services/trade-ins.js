@@ -0,0 +1,236 @@
+/**
+ * Trade-Ins
+ *
+ * A customer trades cards to the vendor at the table. Cards going out are sold
+ * at their agreed value (sale_method 'trade'); cards coming in are created in
+ * the vendor's inventory with the trade credit as their purchase price, so
+ * their later sales show true profit. The cash difference settles the rest.
+ * Every card that changes hands gets a card_ownership_history row.
+ */
+
+const db = require('../database/db');
+const { calculateSaleProfit } = require('./card-costs');
+
+// Columns a trade-in card may set when it's added to inventory
+const CARD_IN_FIELDS = [
+  'sport', 'player', 'team', 'year', 'set_name', 'card_number', 'parallel', 'manufacturer',
+  'is_rookie', 'is_autographed', 'serial_number', 'numbered_to', 'condition',
+  'is_graded', 'grading_company', 'grade', 'cert_number',
+  'front_image_url', 'back_image_url', 'asking_price'
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function cardName(card) {
+  return [card.year, card.set_name, card.player, card.card_number ? `#${card.card_number}` : null]
+    .filter(Boolean).join(' ');
+}
+
+/**
+ * Record a trade. Returns null if a card going out was sold in the meantime.
+ * @param {number} vendorId
+ * @param {{ cardsOut: { card: object, value: number }[], cardsIn: { fields: object, credit: number }[],
+ *           showReportId?: number, customerName?: string, customerEmail?: string, cashMethod?: string,
+ *           notes?: string, handledByUserId?: number, handledByName?: string }} trade
+ * @returns {Promise<{ tradeIn: object, sales: object[], cardsIn: object[] }|null>}
+ */
+async function recordTradeIn(vendorId, {
+  cardsOut = [],
+  cardsIn = [],
+  showReportId = null,
+  customerName = null,
+  customerEmail = null,
+  cashMethod = null,
+  notes = null,
+  handledByUserId = null,
+  handledByName = null
+}) {
+  const valueOut = round2(cardsOut.reduce((sum, item) => sum + item.value, 0));
+  const creditIn = round2(cardsIn.reduce((sum, item) => sum + item.credit, 0));
+  const cashDifference = round2(valueOut - creditIn);
+
+  // Cost basis lives in the inventory module - work it out before taking the transaction
+  const profits = await Promise.all(cardsOut.map(item => calculateSaleProfit(item.card, { salePrice: item.value })));
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tradeResult = await client.query(
+      `INSERT INTO trade_ins
+         (user_id, show_report_id, customer_name, customer_email, cards_out_count, cards_in_count,
+          value_out, credit_in, cash_difference, cash_method, notes, handled_by_user_id, handled_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        vendorId,
+        showReportId,
+        customerName,
+        customerEmail,
+        cardsOut.length,
+        cardsIn.length,
+        valueOut,
+        creditIn,
+        cashDifference,
+        cashDifference !== 0 ? (cashMethod || 'cash') : null,
+        notes,
+        handledByUserId,
+        handledByName
+      ]
+    );
+    const tradeIn = tradeResult.rows[0];
+
+    const sales = [];
+    for (let i = 0; i < cardsOut.length; i++) {
+      const { card, value } = cardsOut[i];
+      const profit = profits[i];
+
+      const sold = await client.query(
+        `UPDATE cards
+         SET listing_status = 'sold', sold_price = $1, sold_date = NOW(), buyer_name = $2,
+             total_fees = $3, net_payout = $4
+         WHERE id = $5 AND user_id = $6 AND listing_status <> 'sold'
+         RETURNING id`,
+        [value, customerName, profit.fees, profit.netPayout, card.id, vendorId]
+      );
+      if (sold.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const saleResult = await client.query(
+        `INSERT INTO card_sales_history (
+           user_id, card_id, show_report_id, showcase_id,
+           card_data, sale_price, sale_method,
+           customer_name, customer_email, notes, sold_at,
+           cost_basis, fees, shipping_cost, net_profit,
+           sold_by_user_id, sold_by_name, trade_in_id
+         ) VALUES ($1, $2, $3, $4, $5, $6, 'trade', $7, $8, $9, NOW(), $10, $11, $12, $13, $14, $15, $16)
+         RETURNING *`,
+        [
+          vendorId,
+          card.id,
+          showReportId,
+          card.showcase_id || null,
+          JSON.stringify(card),
+          value,
+          customerName,
+          customerEmail,
+          notes,
+          profit.costBasis,
+          profit.fees,
+          profit.shippingCost,
+          profit.netProfit,
+          handledByUserId,
+          handledByName,
+          tradeIn.id
+        ]
+      );
+      sales.push(saleResult.rows[0]);
+
+      // Customers aren't accounts - the card leaves to no new owner
+      await client.query(
+        `INSERT INTO card_ownership_history
+           (card_id, previous_owner_id, new_owner_id, sale_price, transfer_method, trade_in_id)
+         VALUES ($1, $2, NULL, $3, 'trade_in', $4)`,
+        [card.id, vendorId, value, tradeIn.id]
+      );
+    }
+
+    const received = [];
+    for (const { fields, credit } of cardsIn) {
+      const columns = Object.keys(fields);
+      const values = columns.map(column => fields[column]);
+      const placeholders = columns.map((_, i) => `, $${i + 5}`).join('');
+
+      const cardResult = await client.query(
+        `INSERT INTO cards
+           (user_id, purchase_price, purchase_date, acquisition_source, acquisition_notes, trade_in_id${columns.map(column => `, ${column}`).join('')})
+         VALUES ($1, $2, CURRENT_DATE, 'trade', $3, $4${placeholders})
+         RETURNING *`,
+        [vendorId, credit, `Trade-in #${tradeIn.id}${customerName ? ` from ${customerName}` : ''}`, tradeIn.id, ...values]
+      );
+      received.push(cardResult.rows[0]);
+
+      await client.query(
+        `INSERT INTO card_ownership_history
+           (card_id, previous_owner_id, new_owner_id, sale_price, transfer_method, trade_in_id)
+         VALUES ($1, NULL, $2, $3, 'trade_in', $4)`,
+        [cardResult.rows[0].id, vendorId, credit, tradeIn.id]
+      );
+    }
+
+    if (showReportId && cardsOut.length > 0) {
+      await client.query(
+        `UPDATE show_reports
+         SET cards_sold = cards_sold + $1,
+             total_sales = total_sales + $2,
+             updated_at = NOW()
+         WHERE id = $3 AND user_id = $4`,
+        [cardsOut.length, valueOut, showReportId, vendorId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { tradeIn, sales, cardsIn: received };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A trade with the cards that went out and came in, or null
+ */
+async function getTradeIn(vendorId, tradeInId) {
+  const result = await db.query('SELECT * FROM trade_ins WHERE id = $1 AND user_id = $2', [tradeInId, vendorId]);
+  if (result.rows.length === 0) return null;
+
+  const outResult = await db.query(
+    `SELECT id AS sale_id, card_id, card_data, sale_price, cost_basis, net_profit
+     FROM card_sales_history
+     WHERE trade_in_id = $1
+     ORDER BY id ASC`,
+    [tradeInId]
+  );
+  const inResult = await db.query(
+    `SELECT id, player, year, set_name, card_number, grading_company, grade, purchase_price, asking_price, listing_status
+     FROM cards
+     WHERE trade_in_id = $1
+     ORDER BY id ASC`,
+    [tradeInId]
+  );
+
+  return {
+    ...result.rows[0],
+    cards_out: outResult.rows.map(({ card_data, ...sale }) => ({ ...sale, card_name: cardName(card_data || {}) })),
+    cards_in: inResult.rows.map(card => ({ ...card, card_name: cardName(card) }))
+  };
+}
+
+async function listTradeIns(vendorId, { showReportId = null, limit = 100, offset = 0 } = {}) {
+  const params = [vendorId];
+  let query = 'SELECT * FROM trade_ins WHERE user_id = $1';
+
+  if (showReportId) {
+    params.push(showReportId);
+    query += ` AND show_report_id = $${params.length}`;
+  }
+
+  params.push(limit, offset);
+  query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+module.exports = {
+  CARD_IN_FIELDS,
+  recordTradeIn,
+  getTradeIn,
+  listTradeIns
+};
@@ -0,0 +1,6 @@
+/**
+ * Transfer Codes
+ * Delegates to the transfer code service in modules/transfers
+ */
+
+module.exports = require('../../transfers/services/transfer-codes');
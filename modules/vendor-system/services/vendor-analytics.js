@@ -0,0 +1,206 @@
+/**
+ * Vendor Analytics
+ *
+ * Traffic events per vendor in vendor_analytics. Events recorded while the
+ * vendor has an active show are tagged with it, bump that show report's
+ * counters (used by the show export) and wake its live stream.
+ * getAnalyticsSummary aggregates per period for the Live Show tab.
+ */
+
+const db = require('../database/db');
+const { notifyShowChange } = require('./show-stream');
+
+const EVENT_TYPES = [
+  'showcase_view',
+  'nfc_scan',
+  'qr_scan',
+  'card_view',
+  'display_impression',
+  'cart_add',
+  'checkout'
+];
+
+// What anonymous pages (showcase, display screens, card pages) may report. Scans are
+// recorded where they land (showcase / NFC routes) and checkouts by POS; cart adds
+// need a signed-in vendor or seller.
+const PUBLIC_EVENT_TYPES = ['showcase_view', 'card_view', 'display_impression'];
+const VENDOR_EVENT_TYPES = [...PUBLIC_EVENT_TYPES, 'cart_add'];
+
+const PERIODS = ['today', 'show', '7d', '30d'];
+
+// event_type -> show_reports counter
+const SHOW_COUNTERS = {
+  qr_scan: 'qr_scans',
+  card_view: 'card_views',
+  cart_add: 'cart_adds',
+  checkout: 'checkouts'
+};
+
+async function getActiveShow(vendorId) {
+  const result = await db.query(
+    `SELECT * FROM show_reports
+     WHERE user_id = $1 AND status = 'active'
+     ORDER BY started_at DESC
+     LIMIT 1`,
+    [vendorId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record one traffic event. Never throws - analytics must not break the page being viewed.
+ * @param {{ vendorId: number, eventType: string, cardId?: number, showcaseId?: number,
+ *           screenId?: string, sessionId?: string, source?: string, metadata?: object }} event
+ * @returns {Promise<object|null>} The event row, or null if it wasn't recorded
+ */
+async function recordVendorEvent({
+  vendorId,
+  eventType,
+  cardId = null,
+  showcaseId = null,
+  screenId = null,
+  sessionId = null,
+  source = null,
+  metadata = null
+}) {
+  if (!vendorId || !EVENT_TYPES.includes(eventType)) return null;
+
+  try {
+    const show = await getActiveShow(vendorId);
+
+    const result = await db.query(
+      `INSERT INTO vendor_analytics
+         (vendor_id, event_type, card_id, showcase_id, show_report_id, screen_id, session_id, source, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        vendorId,
+        eventType,
+        cardId,
+        showcaseId,
+        show ? show.id : null,
+        screenId,
+        sessionId,
+        source,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+
+    const counter = SHOW_COUNTERS[eventType];
+    if (show && counter) {
+      await db.query(
+        `UPDATE show_reports SET ${counter} = COALESCE(${counter}, 0) + 1, updated_at = NOW() WHERE id = $1`,
+        [show.id]
+      );
+    }
+    if (show) notifyShowChange(vendorId);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error(`❌ Vendor analytics event failed (vendor ${vendorId}, ${eventType}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Aggregated traffic for the Live Show tab
+ * @param {number} vendorId
+ * @param {{ period?: 'today'|'show'|'7d'|'30d', showId?: number }} [options]
+ *   'show' uses showId, or the active show (empty summary if there is none)
+ */
+async function getAnalyticsSummary(vendorId, { period = 'today', showId = null } = {}) {
+  const params = [vendorId];
+  let filter;
+  let show = null;
+
+  if (period === 'show') {
+    if (showId) {
+      const showResult = await db.query(
+        'SELECT * FROM show_reports WHERE id = $1 AND user_id = $2',
+        [showId, vendorId]
+      );
+      show = showResult.rows[0] || null;
+    } else {
+      show = await getActiveShow(vendorId);
+    }
+    params.push(show ? show.id : null);
+    filter = 'a.show_report_id = $2';
+  } else if (period === '7d' || period === '30d') {
+    params.push(parseInt(period));
+    filter = `a.created_at >= NOW() - $2 * INTERVAL '1 day'`;
+  } else {
+    filter = `a.created_at >= DATE_TRUNC('day', NOW())`;
+  }
+
+  const countsResult = await db.query(
+    `SELECT a.event_type, COUNT(*) AS count
+     FROM vendor_analytics a
+     WHERE a.vendor_id = $1 AND ${filter}
+     GROUP BY a.event_type`,
+    params
+  );
+  const visitorsResult = await db.query(
+    `SELECT COUNT(DISTINCT a.session_id) AS visitors
+     FROM vendor_analytics a
+     WHERE a.vendor_id = $1 AND ${filter} AND a.session_id IS NOT NULL`,
+    params
+  );
+  const topCardsResult = await db.query(
+    `SELECT a.card_id, c.player, c.year, c.set_name, c.asking_price, COUNT(*) AS events
+     FROM vendor_analytics a
+     JOIN cards c ON c.id = a.card_id
+     WHERE a.vendor_id = $1 AND ${filter}
+       AND a.event_type IN ('card_view', 'nfc_scan', 'qr_scan')
+     GROUP BY a.card_id, c.player, c.year, c.set_name, c.asking_price
+     ORDER BY events DESC
+     LIMIT 10`,
+    params
+  );
+  const cardsOutResult = await db.query(
+    `SELECT COUNT(*) AS count FROM cards
+     WHERE user_id = $1 AND case_status = 'out_for_viewing' AND listing_status != 'sold'`,
+    [vendorId]
+  );
+  const custodyResult = await db.query(
+    `SELECT
+       SUM(CASE WHEN checked_out_at >= DATE_TRUNC('day', NOW()) THEN 1 ELSE 0 END) AS removed,
+       SUM(CASE WHEN checked_in_at >= DATE_TRUNC('day', NOW()) AND outcome = 'returned' THEN 1 ELSE 0 END) AS returned
+     FROM case_checkouts
+     WHERE user_id = $1`,
+    [vendorId]
+  );
+
+  const counts = Object.fromEntries(countsResult.rows.map(row => [row.event_type, parseInt(row.count)]));
+
+  return {
+    period,
+    show: show ? { id: show.id, show_name: show.show_name, started_at: show.started_at, ended_at: show.ended_at } : null,
+    qr_scans: counts.qr_scan || 0,
+    nfc_taps: counts.nfc_scan || 0,
+    card_views: counts.card_view || 0,
+    showcase_views: counts.showcase_view || 0,
+    display_impressions: counts.display_impression || 0,
+    cart_adds: counts.cart_add || 0,
+    checkouts: counts.checkout || 0,
+    unique_visitors: parseInt(visitorsResult.rows[0].visitors) || 0,
+    cards_out: parseInt(cardsOutResult.rows[0].count) || 0,
+    cards_removed_today: parseInt(custodyResult.rows[0].removed) || 0,
+    cards_returned_today: parseInt(custodyResult.rows[0].returned) || 0,
+    top_cards: topCardsResult.rows.map(row => ({
+      card_id: row.card_id,
+      name: [row.year, row.set_name, row.player].filter(Boolean).join(' '),
+      asking_price: row.asking_price,
+      events: parseInt(row.events)
+    }))
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PUBLIC_EVENT_TYPES,
+  VENDOR_EVENT_TYPES,
+  PERIODS,
+  getActiveShow,
+  recordVendorEvent,
+  getAnalyticsSummary
+};
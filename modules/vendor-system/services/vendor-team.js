@@ -0,0 +1,192 @@
+/**
+ * Vendor Teams
+ *
+ * Staff who work a vendor's booth. The vendor's own account is the owner;
+ * everyone else is invited by email and gets a role that limits what they can
+ * do on the owner's inventory, sales and shows (see ROLE_PERMISSIONS and
+ * middleware/vendor-access.js).
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+
+const ROLES = ['owner', 'manager', 'seller', 'viewer'];
+const INVITABLE_ROLES = ['manager', 'seller', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'sell', 'custody', 'manage_inventory', 'manage_shows', 'manage_sales', 'reports', 'clear_sales', 'manage_team'],
+  manager: ['view', 'sell', 'custody', 'manage_inventory', 'manage_shows', 'manage_sales', 'reports'],
+  seller: ['view', 'sell', 'custody'],
+  viewer: ['view']
+};
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function serializeMember(member) {
+  if (!member) return null;
+  const { invite_token_hash, ...rest } = member;
+  return rest;
+}
+
+/**
+ * Active membership of userId on ownerId's team, or null
+ */
+async function getMembership(ownerId, userId) {
+  const result = await db.query(
+    `SELECT * FROM vendor_team_members WHERE owner_id = $1 AND user_id = $2 AND status = 'active'`,
+    [ownerId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listMembers(ownerId) {
+  const result = await db.query(
+    `SELECT m.*, u.full_name
+     FROM vendor_team_members m
+     LEFT JOIN users u ON u.id = m.user_id
+     WHERE m.owner_id = $1 AND m.status <> 'removed'
+     ORDER BY m.invited_at ASC`,
+    [ownerId]
+  );
+  return result.rows.map(serializeMember);
+}
+
+/**
+ * Teams userId works on (to pick the X-Vendor-Id to act as)
+ */
+async function listMemberships(userId) {
+  const result = await db.query(
+    `SELECT m.id, m.owner_id, m.role, m.accepted_at, u.full_name AS owner_name, u.email AS owner_email
+     FROM vendor_team_members m
+     JOIN users u ON u.id = m.owner_id
+     WHERE m.user_id = $1 AND m.status = 'active'
+     ORDER BY m.accepted_at ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Invite (or re-invite) someone by email
+ * @returns {Promise<{ member: object, token: string }|null>} null if they're already an active member
+ */
+async function inviteMember(ownerId, { email, role, invitedBy }) {
+  const normalizedEmail = email.trim().toLowerCase();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const existing = await db.query(
+    'SELECT * FROM vendor_team_members WHERE owner_id = $1 AND email = $2',
+    [ownerId, normalizedEmail]
+  );
+
+  if (existing.rows.length > 0) {
+    if (existing.rows[0].status === 'active') return null;
+
+    const result = await db.query(
+      `UPDATE vendor_team_members
+       SET role = $1, status = 'invited', user_id = NULL, invite_token_hash = $2, invited_by = $3,
+           invited_at = NOW(), accepted_at = NULL, updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [role, hashToken(token), invitedBy, existing.rows[0].id]
+    );
+    return { member: result.rows[0], token };
+  }
+
+  const result = await db.query(
+    `INSERT INTO vendor_team_members (owner_id, email, role, invite_token_hash, invited_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [ownerId, normalizedEmail, role, hashToken(token), invitedBy]
+  );
+  return { member: result.rows[0], token };
+}
+
+async function findInvite(token) {
+  const result = await db.query(
+    `SELECT * FROM vendor_team_members WHERE invite_token_hash = $1 AND status = 'invited'`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+async function acceptInvite(inviteId, userId) {
+  const result = await db.query(
+    `UPDATE vendor_team_members
+     SET user_id = $1, status = 'active', invite_token_hash = NULL, accepted_at = NOW(), updated_at = NOW()
+     WHERE id = $2 AND status = 'invited'
+     RETURNING *`,
+    [userId, inviteId]
+  );
+  return result.rows[0] || null;
+}
+
+async function updateRole(ownerId, memberId, role) {
+  const result = await db.query(
+    `UPDATE vendor_team_members SET role = $1, updated_at = NOW()
+     WHERE id = $2 AND owner_id = $3 AND status <> 'removed'
+     RETURNING *`,
+    [role, memberId, ownerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove a member - by the owner, or a member leaving (memberUserId)
+ */
+async function removeMember(memberId, { ownerId = null, memberUserId = null }) {
+  const result = await db.query(
+    `UPDATE vendor_team_members
+     SET status = 'removed', invite_token_hash = NULL, updated_at = NOW()
+     WHERE id = $1 AND status <> 'removed' AND (owner_id = $2 OR user_id = $3)
+     RETURNING *`,
+    [memberId, ownerId, memberUserId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Per-seller totals for a show's sales (sales from before teams have no seller)
+ */
+async function getSalesBySeller(showReportId) {
+  const result = await db.query(
+    `SELECT s.sold_by_user_id, MAX(s.sold_by_name) AS sold_by_name, MAX(u.full_name) AS full_name,
+            COUNT(*) AS sales, COALESCE(SUM(s.sale_price), 0) AS revenue
+     FROM card_sales_history s
+     LEFT JOIN users u ON u.id = s.sold_by_user_id
+     WHERE s.show_report_id = $1
+     GROUP BY s.sold_by_user_id
+     ORDER BY revenue DESC`,
+    [showReportId]
+  );
+
+  return result.rows.map(row => ({
+    user_id: row.sold_by_user_id,
+    name: row.sold_by_user_id ? (row.full_name || row.sold_by_name || `User ${row.sold_by_user_id}`) : 'Unattributed',
+    sales: parseInt(row.sales),
+    revenue: Math.round(parseFloat(row.revenue) * 100) / 100
+  }));
+}
+
+module.exports = {
+  ROLES,
+  INVITABLE_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  serializeMember,
+  getMembership,
+  listMembers,
+  listMemberships,
+  inviteMember,
+  findInvite,
+  acceptInvite,
+  updateRole,
+  removeMember,
+  getSalesBySeller
+};
@@ -36,15 +36,28 @@ const paymentsRoutes = require('./modules/payments/routes/payments.js');
 const inventoryRoutes = require('./modules/inventory/routes/inventory.js');
 const marketplaceRoutes = require('./modules/marketplace/routes/marketplace.js');
 const vendor_systemRoutes = require('./modules/vendor-system/routes/vendor-sales.js');
+const vendor_teamRoutes = require('./modules/vendor-system/routes/vendor-team.js');
+const vendor_showcaseRoutes = require('./modules/vendor-system/routes/vendor.js');
 const transfersRoutes = require('./modules/transfers/routes/transfer.js');
 const ai_scannerRoutes = require('./modules/ai-scanner/routes/scanner.js');
 const collectionsRoutes = require('./modules/collections/routes/collections.js');
 const ebay_integrationRoutes = require('./modules/ebay-integration/routes/ebay-auth.js');
+const ebay_salesRoutes = require('./modules/ebay-integration/routes/ebay-sales.js');
+// Listing, pricing and sale routes (and their background jobs) - the eBay service needs API credentials to load
+const ebay_listingRoutes = process.env.EBAY_APP_ID && process.env.EBAY_CERT_ID
+  ? require('./modules/ebay-integration/routes/ebay.js')
+  : null;
 const nfc_tagsRoutes = require('./modules/nfc-tags/routes/nfc.js');
 const showcaseRoutes = require('./modules/showcase/routes/showcase.js');
 const admin_dashboardRoutes = require('./modules/admin-dashboard/routes/admin.js');
 const analyticsRoutes = require('./modules/analytics/routes/metrics.js');
 const admin_apiRoutes = require('./modules/admin-api/routes/analytics.js');
+const notificationsRoutes = require('./modules/notifications/routes/notifications.js');
+const jobsRoutes = require('./modules/jobs/routes/jobs.js');
+const jobQueue = require('./modules/jobs/services/queue');
+const { startPriceRefreshScheduler } = require('./modules/ebay-integration/services/price-refresh');
+const { startOutboxWorker } = require('./modules/email/services/email-service');
+const { requireAdminMfa } = require('./modules/auth/middleware/mfa');
 
 // Register routes
 app.use('/api/auth', authRoutes);
@@ -52,16 +65,22 @@ app.use('/api/payments', stripe_paymentsRoutes);
 app.use('/api/billing', paymentsRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/marketplace', marketplaceRoutes);
+app.use('/api/vendors/team', vendor_teamRoutes);
 app.use('/api/vendors', vendor_systemRoutes);
+app.use('/api/vendors', vendor_showcaseRoutes);
 app.use('/api/transfers', transfersRoutes);
 app.use('/api/scanner', ai_scannerRoutes);
 app.use('/api/collections', collectionsRoutes);
 app.use('/api/ebay', ebay_integrationRoutes);
+app.use('/api/ebay', ebay_salesRoutes);
+if (ebay_listingRoutes) app.use('/api/ebay', ebay_listingRoutes);
 app.use('/api/nfc', nfc_tagsRoutes);
 app.use('/api/showcase', showcaseRoutes);
-app.use('/api/admin', admin_dashboardRoutes);
+app.use('/api/admin', requireAdminMfa, admin_dashboardRoutes);
 app.use('/api/analytics', analyticsRoutes);
-app.use('/api/admin-api', admin_apiRoutes); // Changed from /api/admin to avoid conflict
+app.use('/api/admin-api', requireAdminMfa, admin_apiRoutes); // Changed from /api/admin to avoid conflict
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // ============================================
 // BRAIN & HEALTH ROUTES (Admin System)
@@ -79,7 +98,7 @@ app.get('/health', (req, res) => {
     status: 'ok',
     project: 'SoleVault',
     timestamp: new Date().toISOString(),
-    modules: 15
+    modules: 17
   });
 });
 
@@ -106,12 +125,22 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
+  // Retry queued transactional email (modules/email)
+  startOutboxWorker();
+  // Run queued background jobs (modules/jobs) - handlers register when their routes load
+  jobQueue.startWorker();
+  // Re-price stale cards from recent eBay sales (node-cron)
+  startPriceRefreshScheduler();
+  if (!ebay_listingRoutes) {
+    console.log('⚠️  eBay listing routes off - set EBAY_APP_ID and EBAY_CERT_ID');
+  }
+
   console.log('');
   console.log('🚀 SoleVault backend running on port ' + PORT);
   console.log('   Health: http://localhost:' + PORT + '/health');
   console.log('   API:    http://localhost:' + PORT + '/api');
   console.log('');
-  console.log('📦 Loaded modules (15):');
+  console.log('📦 Loaded modules (17):');
   console.log('   ✅ auth');
   console.log('   ✅ stripe-payments');
   console.log('   ✅ payments');
@@ -127,6 +156,8 @@ app.listen(PORT, () => {
   console.log('   ✅ admin-dashboard');
   console.log('   ✅ analytics');
   console.log('   ✅ admin-api');
+  console.log('   ✅ notifications');
+  console.log('   ✅ jobs');
 });
 
 module.exports = app;
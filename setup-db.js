@@ -8,6 +8,7 @@
 
 require('dotenv').config();
 const { Pool } = require('pg');
+const { migrateUp } = require('./migrations/runner');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -427,6 +428,11 @@ async function setupDatabase() {
     }
     console.log('✅ Indexes created\n');
 
+    // Apply versioned migrations (cards, showcases, NFC, sales, eBay, ...)
+    console.log('🔄 Running migrations...');
+    const applied = await migrateUp(pool);
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)\n` : '✅ Migrations up to date\n');
+
     // Seed admin user if ADMIN_EMAIL and ADMIN_PASSWORD are set
     await seedAdminUser();
 